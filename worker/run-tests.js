@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+/**
+ * Run every test suite (test-*.js) in turn, each in its own process, and
+ * report which failed. test-endpoints.js is left out: it needs a running
+ * server (see its header).
+ * Run: npm test
+ */
+
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const dir = path.dirname(fileURLToPath(import.meta.url));
+const EXCLUDED = new Set(['test-helpers.js', 'test-endpoints.js']);
+
+const suites = fs.readdirSync(dir)
+  .filter(name => /^test-.*\.js$/.test(name) && !EXCLUDED.has(name))
+  .sort();
+
+const failed = [];
+for (const suite of suites) {
+  console.log(`\n##### ${suite}`);
+  const { status } = spawnSync(process.execPath, [path.join(dir, suite)], { stdio: 'inherit', cwd: dir });
+  if (status !== 0) failed.push(suite);
+}
+
+console.log(`\n${suites.length - failed.length}/${suites.length} suites passed`);
+if (failed.length > 0) {
+  console.error(`Failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
@@ -0,0 +1,174 @@
+/**
+ * API keys for the AEI
+ *
+ * Reads stay open to anonymous clients; writes need an API key, sent as
+ * Authorization: Bearer <key> on REST and MCP requests alike. Keys are issued
+ * through the admin routes and stored only as SHA-256 hashes:
+ *   <GRAPH_KEY>:api-keys   { rev, keys: [{ id, name, prefix, hash, scopes, quotas, created }] }
+ *
+ * Scopes:
+ *   read      GET routes, POST /query and /verify, the read-only MCP tools
+ *   write     entity, observation and relation writes, /attest, webhook subscriptions
+ *   register  POST /register-agent
+ *   admin     issuing and revoking keys; implies every other scope
+ * Anonymous callers have read only.
+ *
+ * quotas replace the anonymous per-hour rate limits, bucket by bucket (see
+ * RATE_LIMITS in index.js): a positive integer, or null for no limit. Buckets
+ * left out keep the default; quotas: null lifts every limit. Keyed requests
+ * are counted per key rather than per IP.
+ *
+ * The ADMIN_API_KEY secret is the privileged key: admin scope with no limits.
+ * It issues the first keys.
+ *
+ * Sign-In with Ethereum session tokens (wallet-auth.js) are accepted in the
+ * same header and authenticate as the wallet address: read only, plus the
+ * scopes an admin has granted the address.
+ */
+
+import { loadDocument, updateDocument } from './graph-store.js';
+import { SESSION_PREFIX, sessionPrincipal } from './wallet-auth.js';
+
+export const SCOPES = ['read', 'write', 'register', 'admin'];
+const DEFAULT_SCOPES = ['read', 'write'];
+const KEY_PREFIX = 'aei_';
+const MAX_KEYS = 1000;
+const MAX_NAME_LENGTH = 100;
+
+const ADMIN_PRINCIPAL = { id: 'admin', name: 'ADMIN_API_KEY', scopes: ['admin'], quotas: null };
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function hashApiKey(key) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key)));
+}
+
+/**
+ * The caller behind a request: { principal } — { id, name, scopes, quotas },
+ * plus address for wallet sessions, or null when no key was sent — or
+ * { error } for a malformed or unknown key.
+ */
+export async function authenticate(env, request) {
+  const header = request.headers.get('Authorization');
+  if (!header) return { principal: null };
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  if (!match) return { error: 'Malformed Authorization header — use "Bearer <key>"' };
+
+  if (match[1].startsWith(SESSION_PREFIX)) {
+    const principal = await sessionPrincipal(env, match[1]);
+    return principal ? { principal } : { error: 'Session expired or unknown — sign in again' };
+  }
+
+  const hash = await hashApiKey(match[1]);
+  if (env.ADMIN_API_KEY && hash === await hashApiKey(env.ADMIN_API_KEY)) return { principal: ADMIN_PRINCIPAL };
+  const keys = (await loadDocument(env, 'api-keys'))?.keys || [];
+  const record = keys.find(k => k.hash === hash);
+  if (!record) return { error: 'Invalid API key' };
+  return { principal: { id: record.id, name: record.name, scopes: record.scopes, quotas: record.quotas } };
+}
+
+export function hasScope(principal, scope) {
+  if (!principal) return scope === 'read';
+  return principal.scopes.includes('admin') || principal.scopes.includes(scope);
+}
+
+/**
+ * Why the caller may not act with a scope, or null when it may.
+ */
+export function scopeError(principal, scope) {
+  if (hasScope(principal, scope)) return null;
+  return principal
+    ? `API key "${principal.name}" lacks the ${scope} scope`
+    : `An API key with the ${scope} scope is required — send Authorization: Bearer <key>`;
+}
+
+/**
+ * The hourly limit of a rate-limit bucket for the caller: its key's quota, or
+ * defaultLimit for anonymous callers and buckets the key leaves out. null
+ * means unlimited.
+ */
+export function quotaFor(principal, bucket, defaultLimit) {
+  if (!principal) return defaultLimit;
+  if (principal.quotas === null) return null;
+  return bucket in principal.quotas ? principal.quotas[bucket] : defaultLimit;
+}
+
+/**
+ * Validate a key request body against the known rate-limit buckets.
+ * Returns { name, scopes, quotas } or { error }.
+ */
+export function parseApiKeyRequest(body, buckets) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'name is required' };
+  if (name.length > MAX_NAME_LENGTH) return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+
+  const scopes = body.scopes === undefined ? DEFAULT_SCOPES : body.scopes;
+  if (!Array.isArray(scopes) || scopes.length === 0) return { error: `scopes must be a non-empty array of: ${SCOPES.join(', ')}` };
+  const unknown = scopes.find(s => !SCOPES.includes(s));
+  if (unknown !== undefined) return { error: `Unknown scope "${unknown}" — use: ${SCOPES.join(', ')}` };
+
+  let quotas = body.quotas === undefined ? {} : body.quotas;
+  if (quotas !== null) {
+    if (typeof quotas !== 'object' || Array.isArray(quotas)) return { error: 'quotas must be an object of { bucket: limit per hour }, or null for no limits' };
+    for (const [bucket, limit] of Object.entries(quotas)) {
+      if (!buckets.includes(bucket)) return { error: `Unknown quota "${bucket}" — use: ${buckets.join(', ')}` };
+      if (limit !== null && !(Number.isInteger(limit) && limit > 0)) return { error: `quotas.${bucket} must be a positive integer, or null for no limit` };
+    }
+    quotas = { ...quotas };
+  }
+
+  return { name, scopes: [...new Set(scopes)], quotas };
+}
+
+/**
+ * A key record without its hash, as returned by the API.
+ */
+export function publicApiKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Issue a key. Returns { record, key } — the key itself exists only in this
+ * return value — or null when the key limit is reached.
+ */
+export async function createApiKey(env, { name, scopes, quotas }) {
+  const key = KEY_PREFIX + toHex(crypto.getRandomValues(new Uint8Array(32)));
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    hash: await hashApiKey(key),
+    scopes,
+    quotas,
+    created: new Date().toISOString()
+  };
+  let full = false;
+  await updateDocument(env, 'api-keys', doc => {
+    const keys = doc?.keys || [];
+    full = keys.length >= MAX_KEYS;
+    if (full) return false;
+    return { keys: [...keys, record] };
+  });
+  return full ? null : { record, key };
+}
+
+export async function listApiKeys(env) {
+  return ((await loadDocument(env, 'api-keys'))?.keys || []).map(publicApiKey);
+}
+
+/**
+ * Revoke a key. Returns false when there is no key with that id.
+ */
+export async function revokeApiKey(env, id) {
+  let found = false;
+  await updateDocument(env, 'api-keys', doc => {
+    const keys = doc?.keys || [];
+    found = keys.some(k => k.id === id);
+    if (!found) return false;
+    return { keys: keys.filter(k => k.id !== id) };
+  });
+  return found;
+}
@@ -0,0 +1,121 @@
+/**
+ * Multi-party attestations on stored observations
+ *
+ * A client-signed observation (POST /observation/signed) keeps every verified
+ * signature over it. The first must come from a signer authorized for the
+ * source; independent attesters then co-sign the same observation hash by
+ * submitting the same observation with their own signature:
+ *   attestation: {
+ *     attribute, value, source,
+ *     signatures: [{ signer, signature, authorized, verified_at }],
+ *     quorum?: { threshold, signers }   k of n: threshold signatures needed
+ *   }                                   from the n listed signers
+ * Attestations stored before co-signing hold a single signer and signature
+ * instead of signatures; attestationSignatures reads both.
+ *
+ * Anyone can make a key and co-sign, so only signers authorized for the
+ * source or listed in the quorum count as attesters, and each counts with its
+ * own reputation — the trust score of the agent entity its address is linked
+ * to (see trust.js), none when it is unlinked: signer trust is
+ * 1 - Π(1 - reputation). A quorum must list the signer who sets it.
+ * A reached quorum lifts an observation's effective confidence to at least
+ * that; a quorum still short of its threshold scales it down by the fraction
+ * reached (see trust.js).
+ */
+
+import { observationDigest } from './crypto-utils.js';
+
+export const MAX_QUORUM = 100;
+
+function isAddress(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+/**
+ * The signatures of a stored attestation, in either stored form.
+ */
+export function attestationSignatures(attestation) {
+  if (Array.isArray(attestation.signatures)) return attestation.signatures;
+  return [{ signer: attestation.signer, signature: attestation.signature, authorized: true, verified_at: attestation.verified_at }];
+}
+
+/**
+ * The signed fields of a stored attested observation, rebuilt from the
+ * observation itself and its attestation.
+ */
+export function signedFields(entityName, obs) {
+  const { attribute, value, source } = obs.attestation;
+  return { entity_id: entityName, attribute, value, observed_at: obs.observed_at, source, confidence: obs.confidence };
+}
+
+/**
+ * Whether a signature was made over what the stored observation now says.
+ * Each signature was checked when it was submitted; this only rehashes.
+ */
+export function signatureMatches(entityName, obs, signature) {
+  return observationDigest(signedFields(entityName, obs), signature?.scheme || 'legacy') === signature?.message_hash;
+}
+
+/**
+ * Check a requested quorum. Returns { quorum } normalized
+ * ({ threshold, signers: lower-cased addresses }) or { error }.
+ */
+export function parseQuorum(input) {
+  if (input === undefined || input === null) return { quorum: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'quorum must be an object: { threshold, signers }' };
+  const { threshold, signers } = input;
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > MAX_QUORUM) {
+    return { error: `quorum.threshold must be an integer from 1 to ${MAX_QUORUM}` };
+  }
+  if (signers === undefined || signers === null) return { error: 'quorum.signers must list the addresses whose signatures count towards it' };
+  if (!Array.isArray(signers) || !signers.every(isAddress)) return { error: 'quorum.signers must be an array of addresses' };
+  const distinct = [...new Set(signers.map(s => s.toLowerCase()))];
+  if (threshold > distinct.length) return { error: `quorum.threshold ${threshold} exceeds the ${distinct.length} listed signer(s)` };
+  return { quorum: { threshold, signers: distinct } };
+}
+
+/**
+ * Whether two normalized quorums are the same.
+ */
+export function sameQuorum(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+/**
+ * Trust from independent signers, each weighted by its reputation in
+ * reputations (by address, see getSignerReputations); unlinked signers add
+ * nothing.
+ */
+export function signerTrust(signers, reputations) {
+  const doubt = signers.reduce((product, signer) => product * (1 - (reputations[signer] ?? 0)), 1);
+  return parseFloat((1 - doubt).toFixed(4));
+}
+
+/**
+ * What an attested observation's signatures add up to: { verified,
+ * attester_count, signer_trust?, quorum? }. Only signatures that still match
+ * the stored observation count, and only from signers authorized for the
+ * source or listed in the quorum; verified means all of them match.
+ * signer_trust is reported when signer reputations are given. quorum, when one is
+ * set, is { threshold, signers, count, reached } where count is the distinct
+ * listed signers whose signatures match — none for quorums stored without a
+ * list.
+ */
+export function attestationSummary(entityName, obs, reputations = null) {
+  const signatures = attestationSignatures(obs.attestation);
+  const matching = signatures.filter(s => signatureMatches(entityName, obs, s.signature));
+  const { quorum } = obs.attestation;
+  const listed = quorum?.signers || [];
+  const signers = [...new Set(matching.filter(s => s.authorized || listed.includes(s.signer)).map(s => s.signer))];
+  const summary = {
+    verified: signatures.length > 0 && matching.length === signatures.length,
+    attester_count: signers.length
+  };
+  if (reputations) summary.signer_trust = signerTrust(signers, reputations);
+
+  if (quorum) {
+    const count = signers.filter(s => listed.includes(s)).length;
+    summary.quorum = { threshold: quorum.threshold, signers: quorum.signers, count, reached: count >= quorum.threshold };
+  }
+  return summary;
+}
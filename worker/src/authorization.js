@@ -0,0 +1,159 @@
+/**
+ * Who may attest for an observation's source
+ *
+ * The source of a signed observation is checked against the recovered signer:
+ *   0x<address>                      the address itself
+ *   <name>.eth                       the address the ENS name resolves to
+ *   erc8004:<agentId>                the owner of ERC-8004 agent <agentId> on Base,
+ *   eip155:8453:<registry>:<agentId>   or a delegate of it
+ * ERC-8004 agents are ERC-721 tokens in the identity registry; delegates are
+ * the token's approved address and the owner's approved operators. Ownership
+ * is read from the chain (see chain-reader.js), names through ENS (ens.js).
+ * Other sources cannot be checked and are not authorized.
+ */
+
+import {
+  BASE_CHAIN_ID,
+  ChainError,
+  chainReader,
+  selector,
+  encodeUint,
+  encodeAddress,
+  decodeAddress,
+  decodeBool
+} from './chain-reader.js';
+import { isEnsName, ensResolver } from './ens.js';
+
+// ERC-8004 identity registry on Base
+export const ERC8004_REGISTRY = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
+
+const OWNER_OF = selector('ownerOf(uint256)');
+const GET_APPROVED = selector('getApproved(uint256)');
+const IS_APPROVED_FOR_ALL = selector('isApprovedForAll(address,address)');
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+function isAddress(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+/**
+ * The ERC-8004 agent a source names, as { chain_id, registry, agent_id }, or
+ * null when it names none. Only the Base registry is recognized.
+ */
+export function parseAgentSource(source) {
+  const match = /^erc8004:(\d+)$/.exec(source) || /^eip155:(\d+):(0x[0-9a-fA-F]{40}):(\d+)$/.exec(source);
+  if (!match) return null;
+  const [chainId, registry, agentId] = match.length === 2
+    ? [BASE_CHAIN_ID, ERC8004_REGISTRY, match[1]]
+    : [Number(match[1]), match[2], match[3]];
+  if (chainId !== BASE_CHAIN_ID || registry.toLowerCase() !== ERC8004_REGISTRY.toLowerCase()) return null;
+  if (BigInt(agentId) > MAX_UINT256) return null;
+  return { chain_id: chainId, registry: ERC8004_REGISTRY, agent_id: BigInt(agentId).toString() };
+}
+
+/**
+ * How signer relates to an ERC-8004 agent: { owner, relation } where relation
+ * is 'owner', 'approved', 'operator' or null. Throws ChainError.
+ */
+async function agentRelation(reader, agent, signer) {
+  const tokenId = encodeUint(agent.agent_id);
+  const owner = decodeAddress(await reader.call(agent.registry, OWNER_OF + tokenId));
+  if (owner === signer) return { owner, relation: 'owner' };
+  if (decodeAddress(await reader.call(agent.registry, GET_APPROVED + tokenId)) === signer) return { owner, relation: 'approved' };
+  const operator = decodeBool(await reader.call(agent.registry, IS_APPROVED_FOR_ALL + encodeAddress(owner) + encodeAddress(signer)));
+  return { owner, relation: operator ? 'operator' : null };
+}
+
+/**
+ * Check an ENS source: the name must resolve to the signer. The trail lists
+ * the lookups made — forward for the name, then reverse for the signer, whose
+ * primary name is reported but not required.
+ */
+async function authorizeEnsName(env, signer, name) {
+  const resolver = ensResolver(env);
+  if (!resolver) {
+    return { authorized: false, method: 'ens', reason: 'ENS lookups are not configured (ETHEREUM_RPC_URL)', trail: [], error: 'no_rpc' };
+  }
+
+  const trail = [];
+  let address;
+  try {
+    address = await resolver.resolveName(name);
+  } catch (error) {
+    return { authorized: false, method: 'ens', reason: `ENS lookup failed: ${error.message}`, trail, error: 'lookup_failed' };
+  }
+  trail.push({ lookup: 'forward', name: name.toLowerCase(), address });
+  if (!address) return { authorized: false, method: 'ens', reason: `${name} does not resolve to an address`, trail };
+  if (address !== signer) {
+    return { authorized: false, method: 'ens', reason: `${name} resolves to ${address}, not signer ${signer}`, trail };
+  }
+
+  try {
+    trail.push({ lookup: 'reverse', address: signer, name: await resolver.lookupAddress(signer) });
+  } catch (error) {
+    trail.push({ lookup: 'reverse', address: signer, name: null, error: error.message });
+  }
+  const primary = trail[1].name === name.toLowerCase();
+  return {
+    authorized: true,
+    method: 'ens',
+    reason: `${name} resolves to the signer${primary ? ', its primary name' : ''}`,
+    trail
+  };
+}
+
+/**
+ * Check whether signer may attest for source. Returns
+ * { authorized, method: 'address'|'ens'|'erc8004'|null, reason, trail?, agent?, error? }:
+ * trail is the ENS resolution, agent the ERC-8004 lookup (chain_id, registry,
+ * agent_id, owner, relation); error is set when a lookup could not be made.
+ */
+export async function authorizeSource(env, signerAddress, source) {
+  if (!isAddress(signerAddress)) {
+    return { authorized: false, method: null, reason: 'Signer is not a valid address' };
+  }
+  const signer = signerAddress.toLowerCase();
+
+  if (isAddress(source)) {
+    const authorized = signer === source.toLowerCase();
+    return {
+      authorized,
+      method: 'address',
+      reason: authorized ? 'Signer is the source address' : `Signer ${signer} does not match source ${source}`
+    };
+  }
+
+  if (isEnsName(source)) return authorizeEnsName(env, signer, source);
+
+  const agent = parseAgentSource(source);
+  if (!agent) {
+    return { authorized: false, method: null, reason: `Source ${source} is not an address, an ENS name or an ERC-8004 agent on Base` };
+  }
+
+  const reader = chainReader(env, agent.chain_id);
+  if (!reader) {
+    return { authorized: false, method: 'erc8004', reason: 'ERC-8004 lookups are not configured (BASE_RPC_URL)', agent, error: 'no_rpc' };
+  }
+
+  let lookup;
+  try {
+    lookup = await agentRelation(reader, agent, signer);
+  } catch (error) {
+    if (error instanceof ChainError && error.reverted) {
+      return { authorized: false, method: 'erc8004', reason: `ERC-8004 agent ${agent.agent_id} does not exist`, agent };
+    }
+    return { authorized: false, method: 'erc8004', reason: `ERC-8004 lookup failed: ${error.message}`, agent, error: 'lookup_failed' };
+  }
+
+  const result = { ...agent, ...lookup };
+  return lookup.relation
+    ? { authorized: true, method: 'erc8004', reason: `Signer is the ${lookup.relation === 'owner' ? 'owner' : `${lookup.relation} delegate`} of ERC-8004 agent ${agent.agent_id}`, agent: result }
+    : { authorized: false, method: 'erc8004', reason: `Signer ${signer} neither owns nor is a delegate of ERC-8004 agent ${agent.agent_id} (owner ${lookup.owner})`, agent: result };
+}
+
+/**
+ * Check if signer is authorized to attest for source (see authorizeSource).
+ */
+export async function isAuthorizedSource(env, signerAddress, source) {
+  return (await authorizeSource(env, signerAddress, source)).authorized;
+}
@@ -0,0 +1,135 @@
+/**
+ * Read-only access to EVM chains over JSON-RPC
+ *
+ * A node is anything with an EIP-1193 style request({ method, params }) —
+ * an ethers or viem provider works. The worker talks to Base through
+ * BASE_RPC_URL and to Ethereum mainnet (ENS) through ETHEREUM_RPC_URL, or
+ * through nodes passed in as env.BASE_RPC / env.ETHEREUM_RPC (tests: see
+ * createFixtureNode in test-helpers.js). Contract reads are eth_calls against the
+ * latest block, cached in KG_STORE so repeated checks don't hit the node:
+ *   <GRAPH_KEY>:chain:<chain_id>:<to>:<calldata>   result hex (expiring)
+ * Reverts are not cached.
+ */
+
+import { keccak256 } from './crypto-utils.js';
+
+export const ETHEREUM_CHAIN_ID = 1;
+export const BASE_CHAIN_ID = 8453;
+const CACHE_TTL = 300;            // seconds
+const RPC_TIMEOUT_MS = 10 * 1000;
+
+// env bindings for each supported chain: a node object, or an RPC URL
+const CHAIN_NODES = {
+  [ETHEREUM_CHAIN_ID]: ['ETHEREUM_RPC', 'ETHEREUM_RPC_URL'],
+  [BASE_CHAIN_ID]: ['BASE_RPC', 'BASE_RPC_URL']
+};
+
+/**
+ * A JSON-RPC error from the node, or a failure reaching it.
+ * reverted is set when the call itself reverted.
+ */
+export class ChainError extends Error {
+  constructor(message, { code = null, reverted = false } = {}) {
+    super(message);
+    this.name = 'ChainError';
+    this.code = code;
+    this.reverted = reverted;
+  }
+}
+
+// Geth-style nodes answer code 3; others put "execution reverted" in the message
+function rpcError(error) {
+  const message = error.message || 'RPC error';
+  return new ChainError(message, { code: error.code ?? null, reverted: error.code === 3 || /revert/i.test(message) });
+}
+
+/**
+ * A node reached over HTTP JSON-RPC.
+ */
+export function rpcNode(url) {
+  let id = 0;
+  return {
+    async request({ method, params = [] }) {
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params }),
+          signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+        });
+      } catch (error) {
+        throw new ChainError(`RPC request failed: ${error.message}`);
+      }
+      if (!response.ok) throw new ChainError(`RPC request failed: HTTP ${response.status}`);
+      const body = await response.json();
+      if (body.error) throw rpcError(body.error);
+      return body.result;
+    }
+  };
+}
+
+/**
+ * A cached contract reader for a chain, or null when no node is configured
+ * for it. reader.call(to, data) resolves to the eth_call result hex and
+ * throws ChainError.
+ */
+export function chainReader(env, chainId) {
+  if (!CHAIN_NODES[chainId]) return null;
+  const [nodeBinding, urlBinding] = CHAIN_NODES[chainId];
+  const node = env[nodeBinding] || (env[urlBinding] ? rpcNode(env[urlBinding]) : null);
+  if (!node) return null;
+
+  return {
+    chainId,
+    async call(to, data) {
+      const key = `${env.GRAPH_KEY}:chain:${chainId}:${to.toLowerCase()}:${data}`;
+      const cached = await env.KG_STORE.get(key);
+      if (cached !== null) return cached;
+
+      let result;
+      try {
+        result = await node.request({ method: 'eth_call', params: [{ to, data }, 'latest'] });
+      } catch (error) {
+        throw error instanceof ChainError ? error : rpcError(error);
+      }
+      await env.KG_STORE.put(key, result, { expirationTtl: CACHE_TTL });
+      return result;
+    }
+  };
+}
+
+// --- ABI encoding (just what the contract reads here need) ---
+
+/**
+ * The 4-byte selector of a function signature, e.g. "ownerOf(uint256)".
+ */
+export function selector(signature) {
+  return keccak256(signature).slice(0, 10);
+}
+
+export function encodeUint(value) {
+  return BigInt(value).toString(16).padStart(64, '0');
+}
+
+export function encodeAddress(address) {
+  return address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+}
+
+export function decodeAddress(result) {
+  return '0x' + result.slice(-40).toLowerCase();
+}
+
+export function decodeBool(result) {
+  return BigInt(result) !== 0n;
+}
+
+// A single returned string: offset word, length word, then the UTF-8 bytes
+export function decodeString(result) {
+  const hex = result.replace(/^0x/, '');
+  if (hex.length < 128) return '';
+  const offset = Number(BigInt('0x' + hex.slice(0, 64))) * 2;
+  const length = Number(BigInt('0x' + hex.slice(offset, offset + 64))) * 2;
+  const bytes = hex.slice(offset + 64, offset + 64 + length).match(/.{2}/g) || [];
+  return new TextDecoder().decode(new Uint8Array(bytes.map(b => parseInt(b, 16))));
+}
@@ -68,35 +68,188 @@ export function publicKeyToAddress(publicKeyBytes) {
 }
 
 /**
- * Create message to sign from observation fields
+ * EIP-191 hash of a text message, as signed by personal_sign:
+ * keccak256("\x19Ethereum Signed Message:\n" + byte length + message)
+ */
+export function hashPersonalMessage(message) {
+  const length = new TextEncoder().encode(message).length;
+  return keccak256(`\x19Ethereum Signed Message:\n${length}${message}`);
+}
+
+/**
+ * Sign a text message the way wallets do for personal_sign (EIP-191)
+ *
+ * @returns {string} 65-byte r || s || v signature as hex, v being 27 or 28
+ */
+export async function signPersonalMessage(message, privateKeyHex) {
+  return signHash(hashPersonalMessage(message), privateKeyHex);
+}
+
+/**
+ * Sign a 32-byte hash as Ethereum wallets do: no further hashing, 65-byte
+ * r || s || v signature as hex, v being 27 or 28
+ */
+async function signHash(hashHex, privateKeyHex) {
+  const sig = await secp.signAsync(hexToBytes(hashHex), hexToBytes(privateKeyHex), { prehash: false, format: 'recovered' });
+  // noble puts the recovery byte first; Ethereum puts it last, offset by 27
+  return bytesToHex(new Uint8Array([...sig.slice(1), sig[0] + 27]));
+}
+
+/**
+ * Recover the signer's address from a message hash and a 65-byte
+ * r || s || v signature (v as 27/28 or 0/1). Throws if the signature is
+ * malformed or recovers no key.
+ */
+export function recoverAddress(messageHash, signatureHex) {
+  if (!/^0x[0-9a-fA-F]{130}$/.test(signatureHex)) {
+    throw new Error('Signature must be 65 bytes of hex (r, s, v)');
+  }
+  const sig = hexToBytes(signatureHex);
+  const v = sig[64] >= 27 ? sig[64] - 27 : sig[64];
+  if (v !== 0 && v !== 1) throw new Error('Invalid recovery byte v');
+
+  const recovered = new Uint8Array([v, ...sig.slice(0, 64)]);
+  const publicKey = secp.recoverPublicKey(recovered, hexToBytes(messageHash), { prehash: false });
+  return publicKeyToAddress(secp.Point.fromBytes(publicKey).toBytes(false));
+}
+
+/**
+ * Create message to sign from observation fields (legacy scheme)
+ *
+ * Fields are joined with "|", so a value containing "|" is ambiguous; new
+ * signatures use EIP-712 typed data (see observationTypedData).
  */
 export function createSignableMessage(observation) {
   const { entity_id, attribute, value, observed_at, source, confidence } = observation;
   return `${entity_id}|${attribute}|${value}|${observed_at}|${source}|${confidence}`;
 }
 
+// --- EIP-712 typed data ---
+
 /**
- * Generate ECDSA signature for observation
- *
- * @param {Object} observation - Observation object to sign
- * @param {string} privateKeyHex - Hex-encoded private key (with or without 0x prefix)
- * @returns {Object} Signature object with algorithm, public_key, signature_hex, message_hash
+ * Observation signing schemes: "eip712" typed data (the default), or
+ * "legacy" — Keccak-256 of createSignableMessage. Signature objects without a
+ * scheme are legacy.
+ */
+export const SIGNATURE_SCHEMES = ['eip712', 'legacy'];
+
+export const EIP712_DOMAIN = { name: 'Agentic Economy Index', version: '1' };
+
+// Every field is a string so any value and confidence sign exactly as given
+export const OBSERVATION_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' }
+  ],
+  Observation: [
+    { name: 'entity_id', type: 'string' },
+    { name: 'attribute', type: 'string' },
+    { name: 'value', type: 'string' },
+    { name: 'observed_at', type: 'string' },
+    { name: 'source', type: 'string' },
+    { name: 'confidence', type: 'string' }
+  ]
+};
+
+function concatBytes(...arrays) {
+  const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+  let offset = 0;
+  for (const a of arrays) {
+    out.set(a, offset);
+    offset += a.length;
+  }
+  return out;
+}
+
+function encodeTypeString(primaryType, types) {
+  return `${primaryType}(${types[primaryType].map(f => `${f.type} ${f.name}`).join(',')})`;
+}
+
+// encodeData of one field: atomic types as 32-byte words, strings as their hash
+function encodeField(type, value) {
+  if (type === 'string') return keccak_256(new TextEncoder().encode(value));
+  if (type === 'bytes32') return hexToBytes(value);
+  if (type === 'uint256' || type === 'address') {
+    const word = new Uint8Array(32);
+    let n = BigInt(value);
+    for (let i = 31; n > 0n; i--, n >>= 8n) word[i] = Number(n & 0xffn);
+    return word;
+  }
+  throw new Error(`Unsupported EIP-712 field type: ${type}`);
+}
+
+/**
+ * hashStruct of EIP-712 for structs of atomic fields (string, bytes32,
+ * uint256, address) — all the observation and domain types need
+ */
+export function hashStruct(primaryType, data, types) {
+  const typeHash = keccak_256(new TextEncoder().encode(encodeTypeString(primaryType, types)));
+  return keccak_256(concatBytes(typeHash, ...types[primaryType].map(f => encodeField(f.type, data[f.name]))));
+}
+
+/**
+ * The EIP-712 digest of typed data ({ domain, types, primaryType, message },
+ * as passed to eth_signTypedData_v4)
  */
+export function hashTypedData({ domain, types, primaryType, message }) {
+  const domainSeparator = hashStruct('EIP712Domain', domain, types);
+  return bytesToHex(keccak_256(concatBytes(Uint8Array.of(0x19, 0x01), domainSeparator, hashStruct(primaryType, message, types))));
+}
+
+/**
+ * The EIP-712 typed data of an observation, ready for eth_signTypedData_v4.
+ * Non-string values are signed as their JSON, confidence as its decimal text.
+ */
+export function observationTypedData(observation) {
+  const { entity_id, attribute, value, observed_at, source, confidence } = observation;
+  return {
+    domain: EIP712_DOMAIN,
+    types: OBSERVATION_TYPES,
+    primaryType: 'Observation',
+    message: {
+      entity_id: String(entity_id),
+      attribute: String(attribute),
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+      observed_at: String(observed_at),
+      source: String(source),
+      confidence: String(confidence)
+    }
+  };
+}
+
+/**
+ * The hash an observation's signature covers under a scheme
+ */
+export function observationDigest(observation, scheme = 'legacy') {
+  return scheme === 'eip712'
+    ? hashTypedData(observationTypedData(observation))
+    : keccak256(createSignableMessage(observation));
+}
 
 /**
  * Verify ECDSA signature on observation
  *
+ * The signature's scheme (absent: legacy) decides what was signed. The
+ * signer is recovered from the signature and must be the claimed public_key
+ * address; public_key_full, if sent, is ignored.
+ *
  * @param {Object} observation - Observation object that was signed
  * @param {Object} signature - Signature object from signObservation
  * @returns {Object} { valid: boolean, signer: string|null, error: string|null }
  */
 export async function verifySignature(observation, signature) {
   try {
-    // Reconstruct message
-    const message = createSignableMessage(observation);
+    const scheme = signature.scheme || 'legacy';
+    if (!SIGNATURE_SCHEMES.includes(scheme)) {
+      return {
+        valid: false,
+        signer: null,
+        error: `Unsupported signature scheme: ${scheme}`
+      };
+    }
 
-    // Hash message
-    const messageHash = keccak256(message);
+    // Hash the message as the scheme defines it
+    const messageHash = observationDigest(observation, scheme);
 
     // Verify message hash matches
     if (messageHash !== signature.message_hash) {
@@ -116,27 +269,20 @@ export async function verifySignature(observation, signature) {
       };
     }
 
-    // Parse signature
-    const sigBytes = hexToBytes(signature.signature_hex);
-    const hashBytes = hexToBytes(messageHash);
-
-    // Verify using secp256k1
-    // Note: We can't easily recover address without recovery byte,
-    // so we just verify the signature is valid for the message
-    const publicKeyBytes = hexToBytes(signature.public_key_full);
-    const isValid = secp.verify(sigBytes, hashBytes, publicKeyBytes);
-
-    if (!isValid) {
+    // Recover the signer and check it against the claimed address
+    const claimed = signature.public_key.toLowerCase();
+    const signers = recoverSigners(messageHash, signature.signature_hex, scheme);
+    if (!signers.includes(claimed)) {
       return {
         valid: false,
         signer: null,
-        error: 'Invalid signature'
+        error: 'Signature was not made by the claimed public_key address'
       };
     }
 
     return {
       valid: true,
-      signer: signature.public_key,
+      signer: claimed,
       error: null
     };
   } catch (error) {
@@ -149,46 +295,59 @@ export async function verifySignature(observation, signature) {
 }
 
 /**
- * Check if entity is authorized to attest for a given source
- *
- * For now, simple check: signer address must match source
- * In production, would check ERC-8004 token ownership or delegation
+ * The addresses a signature may have come from. A 65-byte r || s || v
+ * signature recovers exactly one. Legacy signatures made before recovery
+ * bytes were added are 64-byte compact signatures over sha256(messageHash):
+ * each recovery id that yields a key gives a candidate.
  */
-export function isAuthorizedSource(signerAddress, source) {
-  // If source is an Ethereum address, must match signer
-  if (source.startsWith('0x')) {
-    return signerAddress.toLowerCase() === source.toLowerCase();
+function recoverSigners(messageHash, signatureHex, scheme) {
+  if (scheme === 'legacy' && /^0x[0-9a-fA-F]{128}$/.test(signatureHex)) {
+    const compact = hexToBytes(signatureHex);
+    const candidates = [];
+    for (const recovery of [0, 1]) {
+      try {
+        const publicKey = secp.recoverPublicKey(new Uint8Array([recovery, ...compact]), hexToBytes(messageHash));
+        candidates.push(publicKeyToAddress(secp.Point.fromBytes(publicKey).toBytes(false)));
+      } catch {
+        // No point on the curve for this recovery id
+      }
+    }
+    return candidates;
   }
-
-  // If source is a domain (e.g., "orac.eth"), would need ENS resolution
-  // For now, accept if signer is provided
-  return signerAddress && signerAddress.length === 42 && signerAddress.startsWith('0x');
+  return [recoverAddress(messageHash, signatureHex)];
 }
-export async function signObservation(observation, privateKeyHex) {
+
+/**
+ * Generate ECDSA signature for observation
+ *
+ * @param {Object} observation - Observation object to sign
+ * @param {string} privateKeyHex - Hex-encoded private key (with or without 0x prefix)
+ * @param {Object} [options] - { scheme: 'eip712' (default) or 'legacy' }
+ * @returns {Object} Signature object with algorithm, scheme, public_key (signer address), signature_hex (65-byte r || s || v), message_hash
+ */
+export async function signObservation(observation, privateKeyHex, { scheme = 'eip712' } = {}) {
+  if (!SIGNATURE_SCHEMES.includes(scheme)) throw new Error(`Unsupported signature scheme: ${scheme}`);
+
   // Remove 0x prefix if present and convert to bytes
   const privateKeyClean = privateKeyHex.startsWith('0x') ? privateKeyHex.slice(2) : privateKeyHex;
   const privateKeyBytes = hexToBytes('0x' + privateKeyClean);
 
-  // Create signable message
-  const message = createSignableMessage(observation);
-
-  // Hash the message
-  const messageHash = keccak256(message);
-  const messageHashBytes = hexToBytes(messageHash);
+  // Hash the message as the scheme defines it
+  const messageHash = observationDigest(observation, scheme);
 
-  // Sign with secp256k1
-  const signature = await secp.signAsync(messageHashBytes, privateKeyBytes);
+  // Sign with secp256k1 as wallets do: recoverable r || s || v over the hash,
+  // so verifiers recover the signer instead of trusting a sent public key
+  const signatureHex = await signHash(messageHash, '0x' + privateKeyClean);
 
   // Get public key
   const publicKey = secp.getPublicKey(privateKeyBytes, false); // uncompressed
   const address = publicKeyToAddress(publicKey);
-  const publicKeyHex = bytesToHex(publicKey);
 
   return {
     algorithm: 'ECDSA-secp256k1',
+    scheme,
     public_key: address,
-    public_key_full: publicKeyHex,  // Full public key for verification
-    signature_hex: bytesToHex(signature),
+    signature_hex: signatureHex,
     message_hash: messageHash
   };
 }
@@ -0,0 +1,119 @@
+/**
+ * ENS name resolution for attestation sources
+ *
+ * A resolver answers two questions:
+ *   resolveName(name)       forward: the address a name points to, or null
+ *   lookupAddress(address)  reverse: the primary name an address claims, or null
+ * The worker resolves on Ethereum mainnet through the ENS registry (see
+ * chain-reader.js for ETHEREUM_RPC_URL), or through a resolver passed in as
+ * env.ENS_RESOLVER — e.g. createStaticResolver (test-helpers.js) in tests.
+ * Either way answers are cached in KG_STORE for ENS_TTL seconds, misses
+ * included:
+ *   <GRAPH_KEY>:ens:name:<name>        { address } (expiring)
+ *   <GRAPH_KEY>:ens:address:<address>  { name }    (expiring)
+ * Only plain resolver records are read: no wildcard (ENSIP-10) or offchain
+ * (CCIP-read) resolution, and names are lower-cased rather than fully
+ * ENSIP-15 normalized.
+ */
+
+import { keccak_256 } from '@noble/hashes/sha3.js';
+import { bytesToHex } from './crypto-utils.js';
+import { ETHEREUM_CHAIN_ID, ChainError, chainReader, selector, decodeAddress, decodeString } from './chain-reader.js';
+
+// ENS registry, same address on mainnet and testnets
+export const ENS_REGISTRY = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+const ENS_TTL = 300; // seconds
+
+const RESOLVER = selector('resolver(bytes32)');
+const ADDR = selector('addr(bytes32)');
+const NAME = selector('name(bytes32)');
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+/**
+ * Whether source is an ENS name (e.g. "orac.eth").
+ */
+export function isEnsName(source) {
+  return typeof source === 'string' && /^(?:[a-z0-9-]+\.)+eth$/i.test(source);
+}
+
+/**
+ * EIP-137 namehash of a name, as 0x-prefixed hex.
+ */
+export function namehash(name) {
+  let node = new Uint8Array(32);
+  if (name) {
+    const encoder = new TextEncoder();
+    for (const label of name.toLowerCase().split('.').reverse()) {
+      node = keccak_256(new Uint8Array([...node, ...keccak_256(encoder.encode(label))]));
+    }
+  }
+  return bytesToHex(node);
+}
+
+// --- Resolvers ---
+
+/**
+ * Resolution through the ENS registry on a chain reader: the registry names
+ * the resolver contract for a node, which holds its addr or name record.
+ */
+export function chainResolver(reader) {
+  // A resolver without the record (or the interface) reverts: no record
+  async function record(node, fn) {
+    const resolver = decodeAddress(await reader.call(ENS_REGISTRY, RESOLVER + node.slice(2)));
+    if (resolver === ZERO_ADDRESS) return null;
+    try {
+      return await reader.call(resolver, fn + node.slice(2));
+    } catch (error) {
+      if (error instanceof ChainError && error.reverted) return null;
+      throw error;
+    }
+  }
+
+  return {
+    async resolveName(name) {
+      const result = await record(namehash(name), ADDR);
+      if (!result || result === '0x') return null;
+      const address = decodeAddress(result);
+      return address === ZERO_ADDRESS ? null : address;
+    },
+    async lookupAddress(address) {
+      const result = await record(namehash(`${address.toLowerCase().slice(2)}.addr.reverse`), NAME);
+      if (!result || result === '0x') return null;
+      return decodeString(result) || null;
+    }
+  };
+}
+
+/**
+ * The caching resolver for this environment, or null when ENS cannot be
+ * resolved (no ENS_RESOLVER and no mainnet node).
+ */
+export function ensResolver(env) {
+  let resolver = env.ENS_RESOLVER;
+  if (!resolver) {
+    const reader = chainReader(env, ETHEREUM_CHAIN_ID);
+    if (!reader) return null;
+    resolver = chainResolver(reader);
+  }
+
+  async function cached(key, field, lookup) {
+    const hit = await env.KG_STORE.get(key, 'json');
+    if (hit) return hit[field];
+    const value = await lookup();
+    await env.KG_STORE.put(key, JSON.stringify({ [field]: value }), { expirationTtl: ENS_TTL });
+    return value;
+  }
+
+  return {
+    resolveName(name) {
+      const normalized = name.toLowerCase();
+      return cached(`${env.GRAPH_KEY}:ens:name:${normalized}`, 'address',
+        async () => (await resolver.resolveName(normalized))?.toLowerCase() || null);
+    },
+    lookupAddress(address) {
+      const normalized = address.toLowerCase();
+      return cached(`${env.GRAPH_KEY}:ens:address:${normalized}`, 'name',
+        async () => (await resolver.lookupAddress(normalized))?.toLowerCase() || null);
+    }
+  };
+}
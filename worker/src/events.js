@@ -0,0 +1,152 @@
+/**
+ * Append-only mutation event log for the AEI
+ *
+ * Every committed write (see onMutation in graph-store.js) appends one event:
+ *   <GRAPH_KEY>:event:<id>               { id, timestamp, operation, kind, entities, actor, before, after }
+ *   <GRAPH_KEY>:history:<name>:<id>      per-entity index, one key per event touching <name>
+ *   <GRAPH_KEY>:event-days               { rev, days: ['YYYY-MM-DD', ...] } — days that have events
+ *
+ * Event ids start with the ISO timestamp of the write, so KV's lexicographic
+ * key order is chronological and an id doubles as a `since` bound. KV can only
+ * list by prefix, so reads from a point in time list the day buckets from
+ * event-days onwards. Events are never updated or deleted.
+ *
+ * actor is { source_agent, ip_hash, via, api_key, address } — api_key is the
+ * id of the API key the write was made with, address the wallet signed in
+ * with Sign-In with Ethereum (wallet-auth.js). The client IP is never stored — only a
+ * truncated HMAC-SHA-256 keyed with the IP_HASH_SALT secret, since events are
+ * public (/events, /entity/<name>/history, webhooks). Without the secret
+ * ip_hash is null: an unkeyed hash of an IPv4 address is trivial to reverse.
+ *
+ * The day index is written before the event, so an event is never missing
+ * from the feed; a day left without events by a failed write reads as empty.
+ */
+
+import { loadDocument, updateDocument, readMany } from './graph-store.js';
+import { encodeCursor } from './pagination.js';
+import { listAllKeys } from './storage.js';
+
+const EVENT_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z-\d{4}-[0-9a-f]{8}$/;
+const IP_HASH_BYTES = 16;
+
+// Per-isolate ordering for events written within the same millisecond
+let lastMillis = 0;
+let sequence = 0;
+
+function nextEventId() {
+  const millis = Math.max(Date.now(), lastMillis);
+  sequence = millis === lastMillis ? sequence + 1 : 0;
+  lastMillis = millis;
+  const random = crypto.randomUUID().slice(0, 8);
+  return `${new Date(millis).toISOString()}-${String(sequence % 10000).padStart(4, '0')}-${random}`;
+}
+
+function eventKey(env, id) {
+  return `${env.GRAPH_KEY}:event:${id}`;
+}
+
+function historyPrefix(env, name) {
+  return `${env.GRAPH_KEY}:history:${encodeURIComponent(name)}:`;
+}
+
+/**
+ * Load events by id, in the order given (e.g. a page of listEntityHistory).
+ */
+export async function loadEvents(env, ids) {
+  const values = await readMany(env, ids.map(id => eventKey(env, id)));
+  return ids.map(id => values.get(eventKey(env, id))).filter(Boolean);
+}
+
+/**
+ * HMAC-SHA-256 of a client IP keyed with env.IP_HASH_SALT (hex, truncated),
+ * or null when the IP is unknown or no salt is configured.
+ */
+export async function hashClientIP(env, ip) {
+  if (!ip || ip === 'unknown' || !env.IP_HASH_SALT) return null;
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(env.IP_HASH_SALT), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const digest = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(ip)));
+  return [...digest.slice(0, IP_HASH_BYTES)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Mutation listener: append the write to the log and index it under every
+ * entity it touched. Register with onMutation(recordEvent).
+ */
+export async function recordEvent(env, mutation) {
+  const id = nextEventId();
+  const event = {
+    id,
+    timestamp: id.slice(0, 24),
+    operation: mutation.operation,
+    kind: mutation.kind,
+    entities: mutation.names,
+    actor: mutation.context.actor || { source_agent: null, ip_hash: null, via: 'internal', api_key: null, address: null },
+    before: mutation.before,
+    after: mutation.after
+  };
+
+  const day = id.slice(0, 10);
+  const days = await loadDocument(env, 'event-days');
+  if (!days?.days.includes(day)) {
+    await updateDocument(env, 'event-days', doc => {
+      const list = doc?.days || [];
+      if (list.includes(day)) return false;
+      return { days: [...list, day].sort() };
+    });
+  }
+
+  await env.KG_STORE.put(eventKey(env, id), JSON.stringify(event));
+  for (const name of mutation.names) {
+    await env.KG_STORE.put(historyPrefix(env, name) + id, id);
+  }
+  return event;
+}
+
+/**
+ * Parse ?since= — an event id (exclusive) or an ISO 8601 time.
+ * Returns { since } (null when absent) or { error }.
+ */
+export function parseSince(value) {
+  if (!value) return { since: null };
+  if (EVENT_ID_PATTERN.test(value)) return { since: value };
+  const date = new Date(value);
+  if (isNaN(date)) return { error: 'Invalid since — use an ISO 8601 date or an event id' };
+  return { since: date.toISOString() };
+}
+
+/**
+ * Events after `since` (and after the page cursor), oldest first.
+ * Returns { events, next_cursor }.
+ */
+export async function readEvents(env, since, page) {
+  const bounds = [since, page.after?.[0]].filter(b => typeof b === 'string');
+  const bound = bounds.sort().pop() || '';
+  const days = (await loadDocument(env, 'event-days'))?.days || [];
+
+  const ids = [];
+  for (const day of days) {
+    if (day < bound.slice(0, 10)) continue;
+    const names = await listAllKeys(env.KG_STORE, `${env.GRAPH_KEY}:event:${day}`);
+    for (const name of names) {
+      const id = name.slice(`${env.GRAPH_KEY}:event:`.length);
+      if (id > bound) ids.push(id);
+    }
+    if (ids.length > page.limit) break;
+  }
+
+  const pageIds = ids.slice(0, page.limit);
+  const more = ids.length > page.limit;
+  return {
+    events: await loadEvents(env, pageIds),
+    next_cursor: more ? encodeCursor([pageIds[pageIds.length - 1]]) : null
+  };
+}
+
+/**
+ * Every event id recorded for one entity, oldest first.
+ */
+export async function listEntityHistory(env, name) {
+  const prefix = historyPrefix(env, name);
+  return (await listAllKeys(env.KG_STORE, prefix)).map(key => key.slice(prefix.length));
+}
@@ -0,0 +1,76 @@
+/**
+ * File-backed storage for running the AEI worker outside Cloudflare (Node only)
+ *
+ * Keeps the working set in memory (MemoryStore) and makes it durable with an
+ * append-only journal: one JSON line per put/delete, replayed on start-up and
+ * compacted to a snapshot of live keys once it grows well past their count.
+ * Writes are synchronous, so an acknowledged put survives a crash.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { MemoryStore } from './storage.js';
+
+const COMPACT_MIN_LINES = 1000;
+
+export class FileStore extends MemoryStore {
+  constructor(filePath, options = {}) {
+    super(options);
+    this.filePath = filePath;
+    this.journalLines = 0;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this._replay();
+  }
+
+  _replay() {
+    if (!fs.existsSync(this.filePath)) return;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // Torn final line from an interrupted write
+      }
+      if (record.d) this.entries.delete(record.k);
+      else this.entries.set(record.k, { value: record.v, expiresAt: record.e ?? null });
+      this.journalLines++;
+    }
+  }
+
+  _append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    this.journalLines++;
+    if (this.journalLines > COMPACT_MIN_LINES && this.journalLines > this.entries.size * 2) {
+      this.compact();
+    }
+  }
+
+  _write(key, entry) {
+    super._write(key, entry);
+    this._append({ k: key, v: entry.value, e: entry.expiresAt });
+  }
+
+  _remove(key) {
+    if (!this.entries.has(key)) return;
+    super._remove(key);
+    this._append({ k: key, d: 1 });
+  }
+
+  /**
+   * Rewrite the journal as one line per live key (atomic rename).
+   */
+  compact() {
+    const now = this.now();
+    const lines = [];
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) continue;
+      lines.push(JSON.stringify({ k: key, v: entry.value, e: entry.expiresAt }));
+    }
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.filePath);
+    this.journalLines = lines.length;
+  }
+}
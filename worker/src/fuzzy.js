@@ -0,0 +1,144 @@
+/**
+ * Fuzzy matching helpers for entity names and search terms
+ * Edit distance (with transpositions), trigram similarity, name normalization,
+ * and ranked name completion for /suggest.
+ */
+
+const DEFAULT_SUGGEST_LIMIT = 10;
+
+/**
+ * Optimal-string-alignment edit distance (insert, delete, substitute, swap
+ * adjacent). Stops early and returns max + 1 once the distance exceeds max.
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Edits tolerated for a term of this length: none for short terms, where a
+ * single edit is usually a different word.
+ */
+export function maxEditsFor(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Padded character trigrams of a string.
+ */
+export function trigrams(s) {
+  const padded = `  ${s.toLowerCase()} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+/**
+ * Jaccard similarity of two strings' trigram sets, 0-1.
+ */
+export function trigramSimilarity(a, b) {
+  const ga = trigrams(a);
+  const gb = trigrams(b);
+  let shared = 0;
+  for (const g of ga) if (gb.has(g)) shared++;
+  return shared / (ga.size + gb.size - shared || 1);
+}
+
+/**
+ * Case- and punctuation-insensitive form of a name: "Context Vault" and
+ * "contextvault" normalize the same.
+ */
+export function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a name into lowercase words, including camelCase boundaries:
+ * "ContextVault" -> ["context", "vault"].
+ */
+export function nameWords(name) {
+  return (String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .match(/[a-z0-9]+/g) || []);
+}
+
+/**
+ * Resolve a requested entity name against the known names.
+ * Exact match first, then a unique case/punctuation-insensitive match, then
+ * a unique closest match within the edit budget.
+ * Returns { name, exact } or { name: null, suggestions }.
+ */
+export function resolveEntityName(names, requested) {
+  if (names.includes(requested)) return { name: requested, exact: true };
+
+  const target = normalizeName(requested);
+  const normalizedMatches = names.filter(n => normalizeName(n) === target);
+  if (normalizedMatches.length === 1) return { name: normalizedMatches[0], exact: false };
+
+  const budget = maxEditsFor(target);
+  const scored = names
+    .map(n => ({ name: n, distance: editDistance(target, normalizeName(n), Math.max(budget, 2)) }))
+    .filter(s => s.distance <= Math.max(budget, 2))
+    .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name));
+
+  const close = scored.filter(s => s.distance <= budget);
+  if (normalizedMatches.length === 0 && close.length > 0 && (close.length === 1 || close[0].distance < close[1].distance)) {
+    return { name: close[0].name, exact: false };
+  }
+  const suggestions = [...new Set([...normalizedMatches, ...scored.map(s => s.name)])].slice(0, 5);
+  return { name: null, suggestions };
+}
+
+/**
+ * Rank entity-name completions for a typed prefix.
+ *
+ * Tiers: exact-case prefix, case-insensitive prefix, normalized prefix
+ * ("context va" -> "ContextVault"), word prefix ("vault" -> "ContextVault"),
+ * then typo-tolerant prefix. Shorter names win within a tier.
+ *
+ * @param {Object} entityTypes - { name: entityType } (the manifest index)
+ * @returns {Array} [{ name, entityType, match }]
+ */
+export function suggestNames(entityTypes, prefix, limit = DEFAULT_SUGGEST_LIMIT) {
+  const lower = prefix.toLowerCase();
+  const normalized = normalizeName(prefix);
+  if (!normalized) return [];
+  const budget = maxEditsFor(normalized);
+  const tiers = ['prefix', 'prefix', 'normalized', 'word', 'fuzzy'];
+
+  const ranked = [];
+  for (const [name, entityType] of Object.entries(entityTypes)) {
+    const norm = normalizeName(name);
+    let tier = -1;
+    if (name.startsWith(prefix)) tier = 0;
+    else if (name.toLowerCase().startsWith(lower)) tier = 1;
+    else if (norm.startsWith(normalized)) tier = 2;
+    else if (nameWords(name).some(w => w.startsWith(normalized))) tier = 3;
+    else if (budget > 0 && editDistance(normalized, norm.slice(0, normalized.length), budget) <= budget) tier = 4;
+    if (tier >= 0) ranked.push({ name, entityType, tier });
+  }
+
+  ranked.sort((a, b) => a.tier - b.tier || a.name.length - b.name.length || a.name.localeCompare(b.name));
+  return ranked.slice(0, limit).map(r => ({ name: r.name, entityType: r.entityType, match: tiers[r.tier] }));
+}
@@ -0,0 +1,484 @@
+/**
+ * Sharded graph storage for the AEI worker
+ *
+ * Instead of one JSON blob under env.GRAPH_KEY, the graph is spread over:
+ *   <GRAPH_KEY>:manifest      { schema, rev, entities: { name: entityType }, relations, updated }
+ *   <GRAPH_KEY>:entity:<name> { type, name, entityType, rev, created, updated, observations: [...] }
+ *   <GRAPH_KEY>:rels:<name>   { rev, relations: [...] } — every relation touching <name>, both directions
+ * Entities last written before observations moved into their record keep them
+ * under <GRAPH_KEY>:obs:<name> ({ rev, observations }, or a bare array) until
+ * their next write; the key is ignored once the record carries observations.
+ *
+ * Single-entity reads and writes only touch the keys for that entity (plus the
+ * manifest when an entity or relation is added). Whole-graph reads (/graph,
+ * /stats, search, PageRank) assemble the graph from the shards with bulk gets.
+ *
+ * Concurrency: the manifest, entity records and adjacency lists each carry a
+ * revision. Writes go through the store's compareAndSwap, which is atomic per
+ * key (on KV, via the StoreCoordinator Durable Object): re-read the document,
+ * check it is still at the revision the mutation started from, and swap in
+ * rev + 1 only if the stored value hasn't changed since; otherwise retry the
+ * mutation on a fresh copy. An entity's observations live in its record, so
+ * an update commits both or neither, and two writers appending to the same
+ * entity can't drop each other's entries.
+ *
+ * Writes take an optional context { operation, actor } describing who made
+ * them; it is passed through to mutation listeners (the event log, events.js)
+ * along with the state before and after the write.
+ */
+
+const SCHEMA_VERSION = 2;
+const BULK_GET_LIMIT = 100; // KV bulk get accepts at most 100 keys per call
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Stores already checked for a legacy blob in this isolate
+const migratedStores = new WeakSet();
+
+// Called with (env, entity) after every committed entity create/update
+const entityWriteListeners = [];
+// Called with (env, mutation) after every committed entity or relation write
+const mutationListeners = [];
+
+/**
+ * Thrown when a versioned write loses to a concurrent writer, or when the
+ * caller's expected revision (If-Match) no longer matches.
+ */
+export class ConflictError extends Error {
+  constructor(message, currentRev = null) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+    this.currentRev = currentRev;
+  }
+}
+
+function keyFor(env, kind, name) {
+  return name === undefined ? `${env.GRAPH_KEY}:${kind}` : `${env.GRAPH_KEY}:${kind}:${name}`;
+}
+
+function emptyManifest() {
+  return { schema: SCHEMA_VERSION, rev: 0, entities: {}, relations: 0, updated: null };
+}
+
+// Observation lists were bare arrays before they carried a revision
+function observationsOf(doc) {
+  return Array.isArray(doc) ? doc : doc?.observations || [];
+}
+
+/**
+ * Read many JSON keys at once, in chunks the KV bulk API accepts.
+ * Returns a Map of key -> parsed value (null when missing).
+ */
+export async function readMany(env, keys) {
+  const result = new Map();
+  for (let i = 0; i < keys.length; i += BULK_GET_LIMIT) {
+    const chunk = keys.slice(i, i + BULK_GET_LIMIT);
+    const values = await env.KG_STORE.get(chunk, 'json');
+    for (const key of chunk) result.set(key, values.get(key) ?? null);
+  }
+  return result;
+}
+
+/**
+ * Compare-and-swap a versioned JSON document. Returns the written document,
+ * or null if the stored revision is no longer baseRev or another writer
+ * swapped first. options are passed to the store (e.g. expirationTtl).
+ */
+async function casPut(env, key, baseRev, doc, options) {
+  const raw = await env.KG_STORE.get(key);
+  const current = raw === null ? null : JSON.parse(raw);
+  if ((current?.rev || 0) !== baseRev) return null;
+
+  const { writer, ...fields } = doc; // Token left by writes before compareAndSwap
+  const next = { ...fields, rev: baseRev + 1 };
+  return await env.KG_STORE.compareAndSwap(key, raw, JSON.stringify(next), options) ? next : null;
+}
+
+// Write a document only if its key is still unused; false if it was taken
+function putIfMissing(env, key, doc) {
+  return env.KG_STORE.compareAndSwap(key, null, JSON.stringify(doc));
+}
+
+/**
+ * Register a listener run after each committed entity write, e.g. to keep a
+ * derived index in sync. Listener failures never fail the write itself.
+ */
+export function onEntityWrite(listener) {
+  entityWriteListeners.push(listener);
+}
+
+async function notifyEntityWrite(env, entity) {
+  for (const listener of entityWriteListeners) {
+    try {
+      await listener(env, entity);
+    } catch (err) {
+      console.error('Entity write listener failed:', err.message);
+    }
+  }
+}
+
+/**
+ * Register a listener run after each committed write with
+ * { kind: 'entity' | 'relation', operation, names, before, after, context }.
+ * before is null for creates. Listener failures never fail the write itself.
+ */
+export function onMutation(listener) {
+  mutationListeners.push(listener);
+}
+
+async function notifyMutation(env, kind, defaultOperation, names, before, after, context = {}) {
+  const mutation = { kind, operation: context.operation || defaultOperation, names, before, after, context };
+  for (const listener of mutationListeners) {
+    try {
+      await listener(env, mutation);
+    } catch (err) {
+      console.error('Mutation listener failed:', err.message);
+    }
+  }
+}
+
+// Detached copy for mutation events — mutate() changes the entity in place
+function snapshot(entity) {
+  return structuredClone(entity);
+}
+
+/**
+ * Load a versioned auxiliary document stored under <GRAPH_KEY>:<kind>.
+ */
+export async function loadDocument(env, kind) {
+  return env.KG_STORE.get(keyFor(env, kind), 'json');
+}
+
+/**
+ * Apply mutate(doc) to an auxiliary document with compare-and-set, retrying
+ * on conflict. mutate receives null when the document doesn't exist yet and
+ * returns the document to write (or false to skip). expirationTtl, when
+ * given, makes the document expire that many seconds after each write.
+ */
+export async function updateDocument(env, kind, mutate, { expirationTtl } = {}) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const doc = await loadDocument(env, kind);
+    const next = mutate(doc ? structuredClone(doc) : null);
+    if (next === false) return doc;
+    const written = await casPut(env, keyFor(env, kind), doc?.rev || 0, next, expirationTtl ? { expirationTtl } : undefined);
+    if (written) return written;
+  }
+  throw new ConflictError(`"${kind}" is being modified concurrently, try again`);
+}
+
+/**
+ * Delete an auxiliary document written with updateDocument.
+ */
+export async function deleteDocument(env, kind) {
+  const key = keyFor(env, kind);
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const raw = await env.KG_STORE.get(key);
+    if (raw === null || await env.KG_STORE.compareAndSwap(key, raw, null)) return;
+  }
+  throw new ConflictError(`"${kind}" is being modified concurrently, try again`);
+}
+
+/**
+ * One-time migration from the legacy single-blob graph.
+ * The legacy blob is left in place so a rollback still has its data.
+ */
+async function ensureSharded(env) {
+  if (migratedStores.has(env.KG_STORE)) return;
+  const manifest = await env.KG_STORE.get(keyFor(env, 'manifest'), 'json');
+  if (!manifest) {
+    const legacy = await env.KG_STORE.get(env.GRAPH_KEY, 'json');
+    if (legacy) await importGraph(env, legacy);
+  }
+  migratedStores.add(env.KG_STORE);
+}
+
+/**
+ * Write a full { entities, relations } graph into sharded form. Keys already
+ * written (by a concurrent or interrupted import) are kept as they are.
+ */
+export async function importGraph(env, graph) {
+  const manifest = emptyManifest();
+  const adjacency = {};
+  for (const entity of graph.entities || []) adjacency[entity.name] = [];
+  for (const rel of graph.relations || []) {
+    if (adjacency[rel.source]) adjacency[rel.source].push(rel);
+    if (adjacency[rel.target] && rel.target !== rel.source) adjacency[rel.target].push(rel);
+    manifest.relations++;
+  }
+
+  for (const entity of graph.entities || []) {
+    await putIfMissing(env, keyFor(env, 'entity', entity.name), { ...entity, observations: entity.observations || [], rev: entity.rev || 1 });
+    await putIfMissing(env, keyFor(env, 'rels', entity.name), { rev: 1, relations: adjacency[entity.name] });
+    manifest.entities[entity.name] = entity.entityType;
+  }
+
+  manifest.rev = 1;
+  manifest.updated = new Date().toISOString();
+  await putIfMissing(env, keyFor(env, 'manifest'), manifest);
+}
+
+/**
+ * Load the manifest: entity name -> type index plus the relation count.
+ */
+export async function loadManifest(env) {
+  await ensureSharded(env);
+  return (await env.KG_STORE.get(keyFor(env, 'manifest'), 'json')) || emptyManifest();
+}
+
+/**
+ * Apply mutate(manifest) with compare-and-set, retrying on conflict.
+ * mutate may return false to skip the write.
+ */
+async function updateManifest(env, mutate) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const manifest = await loadManifest(env);
+    const baseRev = manifest.rev || 0;
+    if (mutate(manifest) === false) return { manifest, changed: false };
+    manifest.updated = new Date().toISOString();
+    const written = await casPut(env, keyFor(env, 'manifest'), baseRev, manifest);
+    if (written) return { manifest: written, changed: true };
+  }
+  throw new ConflictError('Manifest is being modified concurrently, try again');
+}
+
+// Entities from their records, reading the legacy observation key only for
+// records that don't carry their observations yet
+async function withObservations(env, records) {
+  const legacy = records.filter(r => !Array.isArray(r.observations)).map(r => keyFor(env, 'obs', r.name));
+  const obs = legacy.length > 0 ? await readMany(env, legacy) : new Map();
+  return records.map(({ writer, ...rest }) => ({
+    ...rest,
+    rev: rest.rev || 0,
+    observations: Array.isArray(rest.observations) ? rest.observations : observationsOf(obs.get(keyFor(env, 'obs', rest.name)))
+  }));
+}
+
+/**
+ * Load a single entity (with its observations and revision), or null if it doesn't exist.
+ */
+export async function loadEntity(env, name) {
+  await ensureSharded(env);
+  const record = await env.KG_STORE.get(keyFor(env, 'entity', name), 'json');
+  return record ? (await withObservations(env, [record]))[0] : null;
+}
+
+/**
+ * Load an entity's adjacency document: { rev, relations }.
+ */
+export async function loadAdjacency(env, name) {
+  await ensureSharded(env);
+  const doc = await env.KG_STORE.get(keyFor(env, 'rels', name), 'json');
+  return { rev: doc?.rev || 0, relations: doc?.relations || [] };
+}
+
+/**
+ * Load every relation touching an entity (incoming and outgoing).
+ */
+export async function loadRelations(env, name) {
+  return (await loadAdjacency(env, name)).relations;
+}
+
+/**
+ * Load the relations of several entities with bulk gets, for traversals that
+ * expand a whole frontier at once. Returns Map name -> relations.
+ */
+export async function loadRelationsMany(env, names) {
+  await ensureSharded(env);
+  const values = await readMany(env, names.map(name => keyFor(env, 'rels', name)));
+  return new Map(names.map(name => [name, values.get(keyFor(env, 'rels', name))?.relations || []]));
+}
+
+/**
+ * Load an entity together with its adjacency as a minimal graph, so helpers
+ * like formatEntity/getActiveRels work without pulling the whole graph.
+ */
+export async function loadEntityGraph(env, name) {
+  const entity = await loadEntity(env, name);
+  if (!entity) return { entity: null, graph: { entities: [], relations: [] } };
+  const relations = await loadRelations(env, name);
+  return { entity, graph: { entities: [entity], relations } };
+}
+
+/**
+ * Assemble the full graph from the shards.
+ */
+export async function loadGraph(env) {
+  const manifest = await loadManifest(env);
+  const names = Object.keys(manifest.entities);
+  const values = await readMany(env, names.flatMap(name => [keyFor(env, 'entity', name), keyFor(env, 'rels', name)]));
+
+  const records = [];
+  const relations = [];
+  for (const name of names) {
+    const record = values.get(keyFor(env, 'entity', name));
+    if (!record) continue;
+    records.push(record);
+    // Each relation lives in both endpoints' adjacency; keep the source copy only
+    for (const rel of values.get(keyFor(env, 'rels', name))?.relations || []) {
+      if (rel.source === name) relations.push(rel);
+    }
+  }
+  return { entities: await withObservations(env, records), relations, rev: manifest.rev || 0 };
+}
+
+/**
+ * Load a set of entities with bulk gets, plus every relation touching them
+ * (deduplicated). Missing names are skipped.
+ */
+export async function loadSubgraph(env, names) {
+  await ensureSharded(env);
+  const values = await readMany(env, names.flatMap(name => [keyFor(env, 'entity', name), keyFor(env, 'rels', name)]));
+
+  const records = [];
+  const relations = [];
+  const seen = new Set();
+  for (const name of names) {
+    const record = values.get(keyFor(env, 'entity', name));
+    if (!record) continue;
+    records.push(record);
+    for (const rel of values.get(keyFor(env, 'rels', name))?.relations || []) {
+      const id = `${rel.source}\u0000${rel.relation}\u0000${rel.target}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      relations.push(rel);
+    }
+  }
+  return { entities: await withObservations(env, records), relations };
+}
+
+/**
+ * Check whether an entity exists using only the manifest.
+ */
+export async function entityExists(env, name) {
+  const manifest = await loadManifest(env);
+  return Object.prototype.hasOwnProperty.call(manifest.entities, name);
+}
+
+/**
+ * HTTP ETag for an entity's current revision.
+ */
+export function entityEtag(entity) {
+  return `"${entity.rev || 0}"`;
+}
+
+/**
+ * Parse an If-Match header into an expected revision.
+ * Returns undefined when absent or "*" (no precondition).
+ */
+export function parseIfMatch(header) {
+  if (!header || header.trim() === '*') return undefined;
+  const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? parseInt(match[1]) : NaN;
+}
+
+/**
+ * Create a new entity. Claims the name in the manifest first, so two
+ * concurrent creates of the same name can't both succeed.
+ * Returns false if the entity already exists.
+ */
+export async function createEntity(env, entity, { context } = {}) {
+  const { changed } = await updateManifest(env, manifest => {
+    if (Object.prototype.hasOwnProperty.call(manifest.entities, entity.name)) return false;
+    manifest.entities[entity.name] = entity.entityType;
+  });
+  if (!changed) return false;
+
+  entity.observations = entity.observations || [];
+  entity.rev = 1;
+  if (!await putIfMissing(env, keyFor(env, 'entity', entity.name), entity)) {
+    throw new ConflictError(`Entity "${entity.name}" is being created concurrently, try again`);
+  }
+  await notifyEntityWrite(env, entity);
+  await notifyMutation(env, 'entity', 'create_entity', [entity.name], null, snapshot(entity), context);
+  return true;
+}
+
+/**
+ * Apply mutate(entity) to a fresh copy of the entity and write it back with
+ * compare-and-set, retrying on a concurrent write.
+ *
+ * mutate may return false to skip the write (nothing to change). When
+ * expectedRev is given (from If-Match) no retry happens: a mismatch or a lost
+ * race throws ConflictError. Returns the updated entity, or null if it doesn't exist.
+ * context describes the write for mutation listeners; record: false skips
+ * them (for bookkeeping writes that are part of a larger, already-recorded one).
+ */
+export async function updateEntity(env, name, mutate, { expectedRev, context, record = true } = {}) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const entity = await loadEntity(env, name);
+    if (!entity) return null;
+    if (expectedRev !== undefined && entity.rev !== expectedRev) {
+      throw new ConflictError(`Entity "${name}" has changed (revision ${entity.rev})`, entity.rev);
+    }
+
+    const baseRev = entity.rev;
+    const typeBefore = entity.entityType;
+    const before = record ? snapshot(entity) : null;
+    if (await mutate(entity) === false) return entity;
+
+    const written = await casPut(env, keyFor(env, 'entity', name), baseRev, entity);
+    if (written) {
+      entity.rev = written.rev;
+      if (entity.entityType !== typeBefore) {
+        await updateManifest(env, m => { m.entities[name] = entity.entityType; });
+      }
+      await notifyEntityWrite(env, entity);
+      if (record) await notifyMutation(env, 'entity', 'update_entity', [name], before, snapshot(entity), context);
+      return entity;
+    }
+    if (expectedRev !== undefined) {
+      throw new ConflictError(`Entity "${name}" was modified concurrently`);
+    }
+  }
+  throw new ConflictError(`Entity "${name}" is being modified concurrently, try again`);
+}
+
+async function updateAdjacency(env, name, mutate) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const doc = await loadAdjacency(env, name);
+    const baseRev = doc.rev;
+    if (mutate(doc.relations) === false) return false;
+    if (await casPut(env, keyFor(env, 'rels', name), baseRev, { relations: doc.relations })) return true;
+  }
+  throw new ConflictError(`Relations of "${name}" are being modified concurrently, try again`);
+}
+
+function sameRelation(a, b) {
+  return a.source === b.source && a.relation === b.relation && a.target === b.target;
+}
+
+/**
+ * Append a relation to both endpoints' adjacency lists and bump both
+ * entities' revisions (their formatted view now includes the relation).
+ * Returns false if the same source/relation/target already exists.
+ * With expectedRev (If-Match on the source) the source's revision is claimed
+ * first, with compare-and-set: ConflictError if it has moved on, and no
+ * relation is written.
+ */
+export async function addRelation(env, relation, { context, expectedRev } = {}) {
+  const touched = relation.created || new Date().toISOString();
+  if (expectedRev !== undefined) {
+    await updateEntity(env, relation.source, entity => { entity.updated = touched; }, { expectedRev, record: false });
+  }
+
+  const added = await updateAdjacency(env, relation.source, rels => {
+    if (rels.some(r => sameRelation(r, relation))) return false;
+    rels.push(relation);
+  });
+  if (!added) return false;
+
+  if (relation.target !== relation.source) {
+    await updateAdjacency(env, relation.target, rels => {
+      if (rels.some(r => sameRelation(r, relation))) return false;
+      rels.push(relation);
+    });
+  }
+
+  await updateManifest(env, manifest => { manifest.relations++; });
+
+  for (const name of new Set([relation.source, relation.target])) {
+    await updateEntity(env, name, entity => { entity.updated = touched; }, { record: false });
+  }
+  await notifyMutation(env, 'relation', 'create_relation', [...new Set([relation.source, relation.target])], null, { ...relation }, context);
+  return true;
+}
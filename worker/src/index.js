@@ -1,98 +1,241 @@
 // Agentic Economy Index (AEI) — Cloudflare Worker
 // Public REST API + MCP Streamable HTTP endpoint
-// Storage: Cloudflare KV
+// Storage: Cloudflare KV or any store from storage.js, sharded per entity (see graph-store.js)
 // Features: FadeMem decay scoring, time-aware observations, ECDSA attestation signatures
 
 import {
-  signObservation,
-  verifySignature,
-  isAuthorizedSource
-} from './crypto-utils.js';
+  loadGraphPage,
+  resolveEntityNames,
+  formatEntity,
+  searchNodes,
+  readEntity,
+  findPath,
+  readNeighborhood,
+  readGraph,
+  graphStats,
+  queryGraph,
+  entityHistory,
+  listEvents,
+  trustScore,
+  createEntity,
+  addObservation,
+  invalidateObservation,
+  createRelation,
+  registerAgent,
+  attestObservation,
+  verifyObservation,
+  submitSignedObservation,
+  OperationError
+} from './operations.js';
+import {
+  loadManifest,
+  loadEntityGraph,
+  updateEntity,
+  onEntityWrite,
+  onMutation,
+  entityEtag,
+  parseIfMatch,
+  ConflictError
+} from './graph-store.js';
+import { resolveStore } from './storage.js';
+import { indexEntity, repairSearchIndex } from './search-index.js';
+import { suggestNames } from './fuzzy.js';
+import { parsePage, paginate, compareKeys } from './pagination.js';
+import { parseTraversalOptions, findPaths, formatPath, parseNeighborhoodOptions, extractNeighborhood } from './traversal.js';
+import { QueryError } from './query.js';
+import { recordEvent, hashClientIP } from './events.js';
+import { getOrComputeTrustScores } from './trust.js';
+import {
+  parseSubscription,
+  createSubscription,
+  loadSubscription,
+  publicSubscription,
+  deleteSubscription,
+  holdsSecret,
+  eventType,
+  deliverEvent,
+  processWebhookRetries,
+  listDeadLetters
+} from './webhooks.js';
+import {
+  handleMcpTransport,
+  McpError,
+  ERROR_CODES,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  subscribeResource,
+  unsubscribeResource,
+  notifyResourceUpdated
+} from './mcp-transport.js';
+import { MCP_TOOLS } from './mcp-tools.js';
+import {
+  authenticate,
+  hasScope,
+  scopeError,
+  quotaFor,
+  parseApiKeyRequest,
+  createApiKey,
+  publicApiKey,
+  listApiKeys,
+  revokeApiKey
+} from './api-keys.js';
+import {
+  issueNonce,
+  verifySignIn,
+  endSession,
+  SESSION_PREFIX,
+  parseWalletGrant,
+  grantWallet,
+  listWalletGrants,
+  revokeWalletGrant
+} from './wallet-auth.js';
+import { obsText, getActiveObs, getActiveRels } from './observations.js';
+
+// Keep the search index in step with every entity write
+onEntityWrite(indexEntity);
+// Record every write in the append-only event log, then notify webhook
+// subscribers and MCP sessions subscribed to the entities' resources
+onMutation(async (env, mutation) => {
+  const event = await recordEvent(env, mutation);
+  const delivery = Promise.all([
+    deliverEvent(env, event).catch(err => console.error('Webhook delivery failed:', err.message)),
+    eventType(event) && Promise.all(event.entities.map(name => notifyResourceUpdated(env, entityUri(name))))
+      .catch(err => console.error('MCP resource notification failed:', err.message))
+  ]);
+  if (env.waitUntil) env.waitUntil(delivery);
+  else await delivery;
+});
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match, X-Webhook-Secret, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'ETag, Mcp-Session-Id',
 };
 
-// FadeMem parameters
-const DECAY_HALF_LIFE_DAYS = 30;
-const ACCESS_BOOST = 0.1;
-const RECENCY_BOOST_DAYS = 7;
-const MIN_RELEVANCE = 0.01;
-
-// Rate limiting (per IP address, per hour)
+// Rate limiting (per hour, per IP address for anonymous callers; API keys
+// count per key and may carry their own quotas — see api-keys.js; wallet
+// sessions count per address and per IP)
 const RATE_LIMITS = {
   entities: 10,     // Max new entities per hour
   observations: 50, // Max observations per hour
   relations: 20,    // Max relations per hour
-  reads: 1000       // Max read operations per hour
+  reads: 1000,      // Max read operations per hour
+  sign_ins: 30,     // Max Sign-In with Ethereum nonces and verifications per hour
+  subscriptions: 10 // Max new webhook subscriptions per hour
 };
 
-// --- Observation helpers ---
+// --- Rate Limiting ---
+
+const NO_LIMIT = 9999; // Reported in X-RateLimit-* headers for keys without a limit
+
+async function checkRateLimit(env, ip, operation) {
+  const principal = env.principal;
+  const limit = quotaFor(principal, operation, RATE_LIMITS[operation] || 100);
+  if (limit === null) {
+    return { allowed: true, remaining: NO_LIMIT, limit: NO_LIMIT };
+  }
+
+  const buckets = [{ key: principal ? `rate:key:${principal.id}:${operation}` : `rate:${ip}:${operation}`, limit }];
+  // Any address can sign in, so a wallet also spends its IP's allowance:
+  // more sessions from one client buy no more requests
+  if (principal?.address) buckets.push({ key: `rate:${ip}:${operation}`, limit: RATE_LIMITS[operation] || 100 });
+  const counts = await Promise.all(buckets.map(async ({ key }) => parseInt(await env.KG_STORE.get(key)) || 0));
 
-function normalizeObs(obs) {
-  if (typeof obs === 'string') {
-    return { text: obs, observed_at: null, expires_at: null, last_accessed: null, access_count: 0, relevance: 1.0, source_agent: 'orac', confidence: 1.0, t_invalid: null };
+  if (buckets.some((bucket, i) => counts[i] >= bucket.limit)) {
+    return { allowed: false, remaining: 0, limit };
   }
-  return {
-    text: obs.text || '',
-    observed_at: obs.observed_at || null,
-    expires_at: obs.expires_at || null,
-    last_accessed: obs.last_accessed || null,
-    access_count: obs.access_count || 0,
-    relevance: obs.relevance !== undefined ? obs.relevance : 1.0,
-    source_agent: obs.source_agent || 'orac',
-    confidence: obs.confidence !== undefined ? obs.confidence : 1.0,
-    t_invalid: obs.t_invalid || null
-  };
-}
 
-function isExpired(obs, now) {
-  const o = normalizeObs(obs);
-  return o.expires_at && new Date(o.expires_at) <= now;
+  await Promise.all(buckets.map(({ key }, i) =>
+    env.KG_STORE.put(key, (counts[i] + 1).toString(), { expirationTtl: 3600 }))); // 1 hour TTL
+
+  return { allowed: true, remaining: Math.min(...buckets.map((bucket, i) => bucket.limit - counts[i] - 1)), limit };
 }
 
-function decayScore(obs, now) {
-  const o = normalizeObs(obs);
-  const observedAt = o.observed_at ? new Date(o.observed_at) : now;
-  const ageDays = (now - observedAt) / (1000 * 60 * 60 * 24);
-  const decay = Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
-  const accessBoost = 1 + (o.access_count * ACCESS_BOOST);
-  let recencyBoost = 1;
-  if (o.last_accessed) {
-    const lastAccessDays = (now - new Date(o.last_accessed)) / (1000 * 60 * 60 * 24);
-    if (lastAccessDays < RECENCY_BOOST_DAYS) {
-      recencyBoost = 1 + (1 - lastAccessDays / RECENCY_BOOST_DAYS) * 0.5;
+/**
+ * Meter a REST handler (env, request, ...args) against a rate-limit bucket:
+ * over the limit it answers 429 without running, otherwise its response
+ * carries the X-RateLimit-* headers.
+ */
+function withRateLimit(bucket, handler) {
+  return async (env, request, ...args) => {
+    const rateCheck = await checkRateLimit(env, getClientIP(request), bucket);
+    const rateHeaders = {
+      'X-RateLimit-Limit': rateCheck.limit.toString(),
+      'X-RateLimit-Remaining': rateCheck.remaining.toString()
+    };
+    if (!rateCheck.allowed) {
+      return Response.json(
+        { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
+        { status: 429, headers: { ...CORS_HEADERS, ...rateHeaders, 'Retry-After': '3600' } }
+      );
     }
-  }
-  return Math.max(MIN_RELEVANCE, o.relevance * decay * accessBoost * recencyBoost);
+
+    const response = await handler(env, request, ...args);
+    for (const [name, value] of Object.entries(rateHeaders)) response.headers.set(name, value);
+    return response;
+  };
 }
 
-function obsText(obs) {
-  return typeof obs === 'string' ? obs : (obs.text || '');
+// --- Authentication ---
+
+function unauthorized(error) {
+  return Response.json({ error }, { status: 401, headers: { ...CORS_HEADERS, 'WWW-Authenticate': 'Bearer realm="aei"' } });
 }
 
-// --- Rate Limiting ---
+/**
+ * Check the caller's scope for a route. Returns null, or the 401 (anonymous)
+ * or 403 (key without the scope) response.
+ */
+function requireScope(env, scope) {
+  if (!scope) return null;
+  const error = scopeError(env.principal, scope);
+  if (!error) return null;
+  return env.principal ? Response.json({ error }, { status: 403, headers: CORS_HEADERS }) : unauthorized(error);
+}
 
-async function checkRateLimit(env, ip, operation) {
-  // Bypass rate limiting for Orac's IP
-  if (ip === '139.68.251.208') {
-    return { allowed: true, remaining: 9999, limit: 9999 };
-  }
+// Scope of each POST route (null: open to anyone); the rest need write
+const POST_SCOPES = {
+  '/auth/nonce': null,
+  '/auth/verify': null,
+  '/query': 'read',
+  '/verify': 'read',
+  '/register-agent': 'register',
+  '/admin/api-keys': 'admin',
+  '/admin/wallet-grants': 'admin'
+};
 
-  const key = `rate:${ip}:${operation}`;
-  const count = await env.KG_STORE.get(key);
-  const limit = RATE_LIMITS[operation] || 100;
+// --- Optimistic concurrency ---
 
-  if (count && parseInt(count) >= limit) {
-    return { allowed: false, remaining: 0, limit };
+/**
+ * Read the If-Match precondition. Returns { expectedRev } or { error: Response }.
+ */
+function readIfMatch(request) {
+  const expectedRev = parseIfMatch(request.headers.get('If-Match'));
+  if (Number.isNaN(expectedRev)) {
+    return { error: Response.json({ error: 'Invalid If-Match header — use the ETag from GET /entity/<name>' }, { status: 400, headers: CORS_HEADERS }) };
   }
+  return { expectedRev };
+}
 
-  const newCount = count ? parseInt(count) + 1 : 1;
-  await env.KG_STORE.put(key, newCount.toString(), { expirationTtl: 3600 }); // 1 hour TTL
+/**
+ * Read ?as_of=<ISO8601> for point-in-time reads. Returns { asOf } (null when
+ * absent; a future time means now) or { error: Response }.
+ */
+function readAsOf(url) {
+  const value = url.searchParams.get('as_of');
+  if (!value) return { asOf: null };
+  const asOf = new Date(value);
+  if (isNaN(asOf)) {
+    return { error: Response.json({ error: 'Invalid as_of — use an ISO 8601 date (e.g. "2026-02-01T00:00:00Z")' }, { status: 400, headers: CORS_HEADERS }) };
+  }
+  const now = new Date();
+  return { asOf: asOf > now ? now : asOf };
+}
 
-  return { allowed: true, remaining: limit - newCount, limit };
+function conflictResponse(err) {
+  const headers = { ...CORS_HEADERS };
+  if (err.currentRev !== null) headers.ETag = `"${err.currentRev}"`;
+  return Response.json({ error: err.message, current_rev: err.currentRev }, { status: 409, headers });
 }
 
 function getClientIP(request) {
@@ -101,152 +244,66 @@ function getClientIP(request) {
          'unknown';
 }
 
-// --- Graph Operations ---
-
-async function loadGraph(env) {
-  const data = await env.KG_STORE.get(env.GRAPH_KEY, 'json');
-  return data || { entities: [], relations: [] };
-}
-
-async function saveGraph(env, graph) {
-  await env.KG_STORE.put(env.GRAPH_KEY, JSON.stringify(graph));
-}
-
-function getActiveObs(entity, now, includeExpired = false) {
-  return (entity.observations || []).filter(o =>
-    (includeExpired || !isExpired(o, now)) && !normalizeObs(o).t_invalid
-  );
+/**
+ * Who is making a request, for the event log (the actor option of the
+ * write operations in operations.js).
+ */
+async function requestActor(env, request, via = 'rest') {
+  const principal = env.principal;
+  return {
+    ip_hash: await hashClientIP(env, getClientIP(request)),
+    via,
+    api_key: principal && !principal.address ? principal.id : null,
+    address: principal?.address ?? null
+  };
 }
 
-function getActiveRels(graph, entityName, now, includeExpired = false) {
-  return graph.relations.filter(r =>
-    (r.source === entityName || r.target === entityName) &&
-    (includeExpired || !r.expires_at || new Date(r.expires_at) > now)
-  );
+/**
+ * Describe a write made here rather than through operations.js (usage
+ * tracking) for the event log.
+ */
+async function writeContext(env, request, operation, sourceAgent = null) {
+  return { operation, actor: { source_agent: sourceAgent, ...(await requestActor(env, request)) } };
 }
 
-function searchNodes(graph, query, now) {
-  const q = query.toLowerCase();
-  const results = [];
-  for (const entity of graph.entities) {
-    const activeObs = getActiveObs(entity, now);
-    const searchable = [entity.name, entity.entityType, ...activeObs.map(o => obsText(o))].join(' ').toLowerCase();
-    if (searchable.includes(q)) {
-      const scores = activeObs.map(o => decayScore(o, now));
-      const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
-      results.push({ entity, score: avgScore });
-    }
+/**
+ * The error response for a failed operation: its status with the message and
+ * any extra fields, or 409 with the current revision for a write conflict.
+ * Anything else is rethrown.
+ */
+function errorResponse(err) {
+  if (err instanceof ConflictError) return conflictResponse(err);
+  if (err instanceof OperationError) {
+    return Response.json({ error: err.message, ...err.details }, { status: err.status, headers: CORS_HEADERS });
   }
-  results.sort((a, b) => b.score - a.score);
-  return results;
-}
-
-function formatEntity(entity, graph, now, includeExpired = false) {
-  const activeObs = getActiveObs(entity, now, includeExpired);
-  const rels = getActiveRels(graph, entity.name, now, includeExpired);
-  return {
-    name: entity.name,
-    entityType: entity.entityType,
-    observations: activeObs.map(o => {
-      const n = normalizeObs(o);
-      const result = { text: n.text, score: parseFloat(decayScore(o, now).toFixed(3)) };
-      if (n.observed_at) result.observed_at = n.observed_at;
-      if (n.expires_at) {
-        result.expires_at = n.expires_at;
-        result.expired = isExpired(o, now);
-      }
-      if (n.access_count > 0) result.access_count = n.access_count;
-      if (n.source_agent && n.source_agent !== 'orac') result.source_agent = n.source_agent;
-      if (n.confidence !== undefined && n.confidence < 1.0) result.confidence = n.confidence;
-      return result;
-    }),
-    relations: rels.map(r => {
-      const rel = {
-        direction: r.source === entity.name ? 'outgoing' : 'incoming',
-        relation: r.relation,
-        entity: r.source === entity.name ? r.target : r.source
-      };
-      if (r.expires_at) rel.expires_at = r.expires_at;
-      return rel;
-    }),
-    created: entity.created,
-    updated: entity.updated
-  };
+  if (err instanceof QueryError) return Response.json({ error: err.message }, { status: err.status, headers: CORS_HEADERS });
+  throw err;
 }
 
 // --- REST API Handlers ---
 
-async function handleSearch(env, request, query, minConfidence) {
-  const ip = getClientIP(request);
-  const rateCheck = await checkRateLimit(env, ip, 'reads');
-
-  if (!rateCheck.allowed) {
-    return Response.json(
-      { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
-      { status: 429, headers: { ...CORS_HEADERS, 'Retry-After': '3600' } }
-    );
+const handleSearch = withRateLimit('reads', async (env, request, input, asOf = null) => {
+  try {
+    return Response.json(await searchNodes(env, input, { asOf }), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
+});
 
-  const graph = await loadGraph(env);
-  const now = new Date();
-  let results = searchNodes(graph, query, now);
-
-  // Trust-aware filtering if min_confidence specified
-  let trustScores = null;
-  if (minConfidence !== null && minConfidence !== undefined) {
-    trustScores = await getOrComputeTrustScores(env, graph);
-    results = results.filter(r => {
-      const obs = getActiveObs(r.entity, now);
-      // Include entity if any observation meets confidence threshold
-      return obs.some(o => computeEffectiveConfidence(o, r.entity.name, trustScores) >= minConfidence);
-    });
+const handleEntity = withRateLimit('reads', async (env, request, name, asOf = null) => {
+  let result, entity;
+  try {
+    ({ result, entity } = await readEntity(env, name, { asOf }));
+  } catch (err) {
+    return errorResponse(err);
   }
+  name = entity.name;
 
-  const headers = {
-    ...CORS_HEADERS,
-    'X-RateLimit-Limit': rateCheck.limit.toString(),
-    'X-RateLimit-Remaining': rateCheck.remaining.toString()
-  };
-
-  return Response.json({
-    query,
-    count: results.length,
-    min_confidence: minConfidence || null,
-    results: results.map(r => {
-      const formatted = { ...formatEntity(r.entity, graph, now), score: parseFloat(r.score.toFixed(3)) };
-      // Add effective confidence to each observation if trust mode active
-      if (trustScores) {
-        formatted.observations = formatted.observations.map((obs, i) => {
-          const rawObs = getActiveObs(r.entity, now)[i];
-          return rawObs ? {
-            ...obs,
-            effective_confidence: computeEffectiveConfidence(rawObs, r.entity.name, trustScores)
-          } : obs;
-        });
-      }
-      return formatted;
-    })
-  }, { headers });
-}
-
-async function handleEntity(env, request, name) {
-  const ip = getClientIP(request);
-  const rateCheck = await checkRateLimit(env, ip, 'reads');
-
-  if (!rateCheck.allowed) {
-    return Response.json(
-      { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
-      { status: 429, headers: { ...CORS_HEADERS, 'Retry-After': '3600' } }
-    );
-  }
+  // Point-in-time read: what the index held at as_of. Not a usage signal, and
+  // no ETag — the snapshot isn't a revision you can write against.
+  if (asOf) return Response.json(result, { headers: CORS_HEADERS });
 
-  const graph = await loadGraph(env);
   const now = new Date();
-  const entity = graph.entities.find(e => e.name === name);
-  if (!entity) {
-    return Response.json({ error: `Entity "${name}" not found` }, { status: 404, headers: CORS_HEADERS });
-  }
-
   // Record query as a usage signal — fire-and-forget, don't block response
   (async () => {
     try {
@@ -260,774 +317,666 @@ async function handleEntity(env, request, name) {
 
       // Every 10 queries, write a usage observation back to the entity
       if (count % 10 === 0) {
+        // Applied to a fresh copy with compare-and-set, so it never overwrites a concurrent real write
         const obsText = `AEI lookup count: ${count} queries (as of ${now.toISOString().slice(0,10)})`;
-        const idx = entity.observations ? entity.observations.findIndex(o =>
-          (o.text || o.observation || '').includes('AEI lookup count:')
-        ) : -1;
-        if (idx >= 0) {
-          entity.observations[idx] = { ...entity.observations[idx], text: obsText, updated_at: now.toISOString() };
-        } else {
-          if (!entity.observations) entity.observations = [];
-          entity.observations.push({ text: obsText, score: 1, source_agent: 'okg-usage-tracker', created_at: now.toISOString() });
-        }
-        await saveGraph(env, graph);
+        await updateEntity(env, name, fresh => {
+          const idx = fresh.observations.findIndex(o =>
+            (o.text || o.observation || '').includes('AEI lookup count:')
+          );
+          if (idx >= 0) {
+            fresh.observations[idx] = { ...fresh.observations[idx], text: obsText, updated_at: now.toISOString() };
+          } else {
+            fresh.observations.push({ text: obsText, score: 1, source_agent: 'okg-usage-tracker', created_at: now.toISOString(), recorded_at: now.toISOString() });
+          }
+        }, { context: await writeContext(env, request, 'record_usage', 'okg-usage-tracker') });
       }
     } catch {} // Never let usage tracking break a read
   })();
 
-  const headers = {
-    ...CORS_HEADERS,
-    'X-RateLimit-Limit': rateCheck.limit.toString(),
-    'X-RateLimit-Remaining': rateCheck.remaining.toString()
-  };
-
-  return Response.json(formatEntity(entity, graph, now), { headers });
-}
-
-async function handleStats(env) {
-  const graph = await loadGraph(env);
-  const now = new Date();
-  const types = {};
-  for (const e of graph.entities) types[e.entityType] = (types[e.entityType] || 0) + 1;
-  const allObs = graph.entities.flatMap(e => (e.observations || []));
-  const activeObs = allObs.filter(o => !isExpired(o, now));
-  const expiredObs = allObs.filter(o => isExpired(o, now));
-  const activeRels = graph.relations.filter(r => !r.expires_at || new Date(r.expires_at) > now);
-
-  const scores = activeObs.map(o => decayScore(o, now));
-  const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+  const headers = { ...CORS_HEADERS, ETag: entityEtag(entity) };
+  if (result.resolved_from) headers['Content-Location'] = `/entity/${encodeURIComponent(entity.name)}`;
 
-  return Response.json({
-    entities: graph.entities.length,
-    relations: activeRels.length,
-    observations: { active: activeObs.length, expired: expiredObs.length },
-    decay: { avg_score: parseFloat(avgScore.toFixed(3)), half_life_days: DECAY_HALF_LIFE_DAYS },
-    types
-  }, { headers: CORS_HEADERS });
-}
+  return Response.json(result, { headers });
+});
 
-async function handleGraph(env) {
-  const graph = await loadGraph(env);
-  const now = new Date();
+const handleSuggest = withRateLimit('reads', async (env, request, prefix, limit) => {
+  // Names and types come straight from the manifest — no entity reads
+  const manifest = await loadManifest(env);
   return Response.json({
-    entities: graph.entities.map(e => formatEntity(e, graph, now)),
-    relations: graph.relations
-      .filter(r => !r.expires_at || new Date(r.expires_at) > now)
-      .map(r => ({ source: r.source, relation: r.relation, target: r.target }))
+    prefix,
+    suggestions: suggestNames(manifest.entities, prefix, limit)
   }, { headers: CORS_HEADERS });
-}
+});
 
-async function handleCreateEntity(env, request, body) {
-  const ip = getClientIP(request);
-  const rateCheck = await checkRateLimit(env, ip, 'entities');
-
-  if (!rateCheck.allowed) {
-    return Response.json(
-      { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
-      { status: 429, headers: { ...CORS_HEADERS, 'Retry-After': '3600' } }
-    );
+const handlePath = withRateLimit('reads', async (env, request, input) => {
+  try {
+    return Response.json(await findPath(env, input), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
+});
 
-  const { name, entityType, observations } = body;
-  if (!name || !entityType) {
-    return Response.json({ error: 'name and entityType required' }, { status: 400, headers: CORS_HEADERS });
-  }
-  const graph = await loadGraph(env);
-  if (graph.entities.find(e => e.name === name)) {
-    return Response.json({ error: `Entity "${name}" already exists` }, { status: 409, headers: CORS_HEADERS });
+const handleNeighborhood = withRateLimit('reads', async (env, request, name, input) => {
+  try {
+    return Response.json(await readNeighborhood(env, name, input), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
-  const now = new Date().toISOString();
-  const obsArray = (observations || []).map(o => {
-    if (typeof o === 'string') {
-      return { text: o, observed_at: now, expires_at: null, last_accessed: null, access_count: 0, relevance: 1.0, source_agent: body.source_agent || 'orac', confidence: body.confidence !== undefined ? body.confidence : 1.0, t_invalid: null };
-    }
-    return { text: o.text || o, observed_at: o.observed_at || now, expires_at: o.expires_at || null, last_accessed: null, access_count: 0, relevance: 1.0, source_agent: o.source_agent || body.source_agent || 'orac', confidence: o.confidence !== undefined ? o.confidence : (body.confidence !== undefined ? body.confidence : 1.0), t_invalid: null };
-  });
-  graph.entities.push({ type: 'entity', name, entityType, observations: obsArray, created: now, updated: now });
-  await saveGraph(env, graph);
-
-  const headers = {
-    ...CORS_HEADERS,
-    'X-RateLimit-Limit': rateCheck.limit.toString(),
-    'X-RateLimit-Remaining': rateCheck.remaining.toString()
-  };
+});
 
-  return Response.json({ created: name, entityType }, { status: 201, headers });
-}
-
-async function handleAddObservation(env, request, body) {
-  const ip = getClientIP(request);
-  const rateCheck = await checkRateLimit(env, ip, 'observations');
-
-  if (!rateCheck.allowed) {
-    return Response.json(
-      { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
-      { status: 429, headers: { ...CORS_HEADERS, 'Retry-After': '3600' } }
-    );
+/**
+ * GET /entity/<name>/history — every recorded write touching the entity, oldest first
+ */
+const handleEntityHistory = withRateLimit('reads', async (env, request, name, input) => {
+  try {
+    return Response.json(await entityHistory(env, name, input), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
+});
 
-  const { name, observation, expires_at, source_agent, confidence } = body;
-  if (!name || !observation) {
-    return Response.json({ error: 'name and observation required' }, { status: 400, headers: CORS_HEADERS });
-  }
-  const graph = await loadGraph(env);
-  const entity = graph.entities.find(e => e.name === name);
-  if (!entity) {
-    return Response.json({ error: `Entity "${name}" not found` }, { status: 404, headers: CORS_HEADERS });
+/**
+ * GET /events?since= — the mutation event log, oldest first. since takes an
+ * ISO time or the id of the last event seen, so clients can tail the log.
+ */
+const handleEvents = withRateLimit('reads', async (env, request, input) => {
+  try {
+    return Response.json(await listEvents(env, input), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
-  const now = new Date().toISOString();
-  entity.observations.push({
-    text: observation,
-    observed_at: now,
-    expires_at: expires_at || null,
-    last_accessed: null,
-    access_count: 0,
-    relevance: 1.0,
-    source_agent: source_agent || 'orac',
-    confidence: confidence !== undefined ? confidence : 1.0,
-    t_invalid: null
-  });
-  entity.updated = now;
-  await saveGraph(env, graph);
-
-  const headers = {
-    ...CORS_HEADERS,
-    'X-RateLimit-Limit': rateCheck.limit.toString(),
-    'X-RateLimit-Remaining': rateCheck.remaining.toString()
-  };
+});
 
-  const result = { added: observation, to: name };
-  if (expires_at) result.expires_at = expires_at;
-  if (source_agent) result.source_agent = source_agent;
-  if (confidence !== undefined) result.confidence = confidence;
-  return Response.json(result, { headers });
-}
+/**
+ * POST /query — declarative pattern matching (see query.js for the language)
+ */
+const handleQuery = withRateLimit('reads', async (env, request, body) => {
+  try {
+    return Response.json(await queryGraph(env, body), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
+  }
+});
 
-async function handleCreateRelation(env, request, body) {
-  const ip = getClientIP(request);
-  const rateCheck = await checkRateLimit(env, ip, 'relations');
+const handleStats = withRateLimit('reads', async env => {
+  return Response.json(await graphStats(env), { headers: CORS_HEADERS });
+});
 
-  if (!rateCheck.allowed) {
-    return Response.json(
-      { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
-      { status: 429, headers: { ...CORS_HEADERS, 'Retry-After': '3600' } }
-    );
+const handleGraph = withRateLimit('reads', async (env, request, input, asOf = null) => {
+  try {
+    return Response.json(await readGraph(env, input, { asOf }), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
+});
 
-  const { source, relation, target, expires_at } = body;
-  if (!source || !relation || !target) {
-    return Response.json({ error: 'source, relation, and target required' }, { status: 400, headers: CORS_HEADERS });
-  }
-  const graph = await loadGraph(env);
-  if (!graph.entities.find(e => e.name === source)) {
-    return Response.json({ error: `Source "${source}" not found` }, { status: 404, headers: CORS_HEADERS });
-  }
-  if (!graph.entities.find(e => e.name === target)) {
-    return Response.json({ error: `Target "${target}" not found` }, { status: 404, headers: CORS_HEADERS });
-  }
-  const exists = graph.relations.find(r => r.source === source && r.relation === relation && r.target === target);
-  if (exists) {
-    return Response.json({ error: 'Relation already exists' }, { status: 409, headers: CORS_HEADERS });
-  }
-  graph.relations.push({ type: 'relation', source, relation, target, created: new Date().toISOString(), expires_at: expires_at || null });
-  await saveGraph(env, graph);
+const handleAgents = withRateLimit('reads', async (env, request, page) => {
+  const { entities, total, next_cursor } = await loadGraphPage(env, page, new Date(), 'agent');
+  return Response.json({
+    count: entities.length,
+    total,
+    limit: page.limit,
+    next_cursor,
+    agents: entities.map(a => ({
+      name: a.name,
+      observations: a.observations?.length || 0,
+      preview: (a.observations || []).slice(0, 2).map(o => typeof o === 'string' ? o : o.text)
+    }))
+  }, { headers: CORS_HEADERS });
+});
 
-  const headers = {
-    ...CORS_HEADERS,
-    'X-RateLimit-Limit': rateCheck.limit.toString(),
-    'X-RateLimit-Remaining': rateCheck.remaining.toString()
-  };
+const handleCreateEntity = withRateLimit('entities', async (env, request, body) => {
+  let result, entity;
+  try {
+    ({ result, entity } = await createEntity(env, body, { actor: await requestActor(env, request) }));
+  } catch (err) {
+    return errorResponse(err);
+  }
 
-  return Response.json({ created: `${source} --[${relation}]--> ${target}` }, { status: 201, headers });
-}
+  return Response.json(result, { status: 201, headers: { ...CORS_HEADERS, ETag: entityEtag(entity) } });
+});
 
-async function handleInvalidateObservation(env, request, body) {
-  const ip = getClientIP(request);
-  const rateCheck = await checkRateLimit(env, ip, 'observations');
+const handleAddObservation = withRateLimit('observations', async (env, request, body) => {
+  const { expectedRev, error } = readIfMatch(request);
+  if (error) return error;
 
-  if (!rateCheck.allowed) {
-    return Response.json(
-      { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
-      { status: 429, headers: { ...CORS_HEADERS, 'Retry-After': '3600' } }
-    );
+  let result, entity;
+  try {
+    ({ result, entity } = await addObservation(env, body, { actor: await requestActor(env, request), expectedRev }));
+  } catch (err) {
+    return errorResponse(err);
   }
 
-  const { name, observation } = body;
-  if (!name || !observation) {
-    return Response.json({ error: 'name and observation required' }, { status: 400, headers: CORS_HEADERS });
-  }
-  const graph = await loadGraph(env);
-  const entity = graph.entities.find(e => e.name === name);
-  if (!entity) {
-    return Response.json({ error: `Entity "${name}" not found` }, { status: 404, headers: CORS_HEADERS });
-  }
-  const obs = entity.observations.find(o => (o.text || o) === observation && !normalizeObs(o).t_invalid);
-  if (!obs) {
-    return Response.json({ error: 'Observation not found (or already invalidated)' }, { status: 404, headers: CORS_HEADERS });
-  }
-  const now = new Date().toISOString();
-  obs.t_invalid = now;
-  entity.updated = now;
-  await saveGraph(env, graph);
+  return Response.json(result, { headers: { ...CORS_HEADERS, ETag: entityEtag(entity) } });
+});
 
-  return Response.json({
-    invalidated: observation,
-    on: name,
-    t_invalid: now,
-    note: 'Observation preserved in history but filtered from active queries'
-  }, { headers: CORS_HEADERS });
-}
+const handleAddSignedObservation = withRateLimit('observations', async (env, request, body) => {
+  const { expectedRev, error } = readIfMatch(request);
+  if (error) return error;
 
-// --- MCP JSON-RPC Handler ---
+  let result, entity;
+  try {
+    ({ result, entity } = await submitSignedObservation(env, body, { actor: await requestActor(env, request), expectedRev }));
+  } catch (err) {
+    return errorResponse(err);
+  }
 
-async function handleMcp(env, body) {
-  const now = new Date();
+  return Response.json(result, { headers: { ...CORS_HEADERS, ETag: entityEtag(entity) } });
+});
 
-  if (body.method === 'initialize') {
-    return Response.json({
-      jsonrpc: '2.0', id: body.id,
-      result: {
-        protocolVersion: '2024-11-05',
-        capabilities: { tools: { listChanged: false } },
-        serverInfo: { name: 'orac-knowledge-graph', version: '4.2.0' }
-      }
-    }, { headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
-  }
+const handleCreateRelation = withRateLimit('relations', async (env, request, body) => {
+  // If-Match applies to the source entity
+  const { expectedRev, error } = readIfMatch(request);
+  if (error) return error;
 
-  if (body.method === 'tools/list') {
-    return Response.json({
-      jsonrpc: '2.0', id: body.id,
-      result: {
-        tools: [
-          {
-            name: 'search_nodes',
-            description: 'Search the Agentic Economy Index by keyword. Returns matching entities ranked by FadeMem decay score — recently observed and frequently accessed knowledge ranks higher. Covers agents, platforms, protocols, tools, and concepts. Try queries like "memory", "identity", "agent", or specific names like "Aineko".',
-            inputSchema: { type: 'object', properties: { query: { type: 'string', description: 'Keyword to search for across entity names, types, and observations' } }, required: ['query'] }
-          },
-          {
-            name: 'read_entity',
-            description: 'Read a specific entity by exact name. Returns all active observations (each with a FadeMem decay score from 0-2+), relations to other entities, and timestamps. Observation scores reflect how fresh and frequently-accessed the knowledge is.',
-            inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Exact entity name (case-sensitive). Use search_nodes first if unsure of the name.' } }, required: ['name'] }
-          },
-          {
-            name: 'read_graph',
-            description: 'Read the entire Agentic Economy Index — all entities with their observations and all active relations. Returns a compact summary of each entity (name, type, first 2 observations). Useful for getting a complete picture or building a local copy.',
-            inputSchema: { type: 'object', properties: {} }
-          },
-          {
-            name: 'graph_stats',
-            description: 'Get statistics about the Agentic Economy Index: total entities, relations, observations (active vs expired), average FadeMem decay score, and entity type distribution. Useful for understanding the scope and health of the index.',
-            inputSchema: { type: 'object', properties: {} }
-          },
-          {
-            name: 'create_entity',
-            description: 'Create a new entity in the Agentic Economy Index. This index is collaborative — contributions welcome. Entity types include: agent, person, platform, protocol, standard, tool, concept, lesson, capability. Observations are facts about the entity.',
-            inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Entity name (e.g., "MyAgent", "NewProtocol")' }, entityType: { type: 'string', description: 'One of: agent, person, platform, protocol, standard, tool, concept, lesson, capability' }, observations: { type: 'array', items: { type: 'string' }, description: 'Initial facts about this entity (e.g., ["Built on Claude", "Focuses on code review"])' } }, required: ['name', 'entityType'] }
-          },
-          {
-            name: 'add_observation',
-            description: 'Add a new observation (fact) to an existing entity. Observations are timestamped and scored by FadeMem decay. Include source_agent (your agent name) and confidence (0-1) for provenance tracking. Use expires_at for time-limited facts.',
-            inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Exact name of the entity to add the observation to' }, observation: { type: 'string', description: 'The fact to record (e.g., "Released v2.0 with streaming support")' }, expires_at: { type: 'string', description: 'Optional ISO 8601 datetime when this fact becomes stale (e.g., "2026-03-01T00:00:00Z")' }, source_agent: { type: 'string', description: 'Your agent name — who is making this observation (defaults to "orac" if omitted)' }, confidence: { type: 'number', description: 'Your confidence in this observation, 0-1 (defaults to 1.0)' } }, required: ['name', 'observation'] }
-          },
-          {
-            name: 'invalidate_observation',
-            description: 'Soft-delete an observation — marks it as invalid (sets t_invalid timestamp) without removing it from history. Use when a fact was wrong or has been superseded. The observation will no longer appear in searches but is preserved for audit purposes.',
-            inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Exact name of the entity' }, observation: { type: 'string', description: 'Exact text of the observation to invalidate' } }, required: ['name', 'observation'] }
-          },
-          {
-            name: 'create_relation',
-            description: 'Create a directed relation between two existing entities. Use active-voice relation types: collaborates_with, runs_on, active_on, registered_on, uses, contacted, built, explores, engaged_with, depends_on, implements. Optional expires_at for temporary relationships.',
-            inputSchema: { type: 'object', properties: { source: { type: 'string', description: 'Source entity name (the subject)' }, relation: { type: 'string', description: 'Relation type in active voice (e.g., "collaborates_with", "uses", "runs_on")' }, target: { type: 'string', description: 'Target entity name (the object)' }, expires_at: { type: 'string', description: 'Optional ISO 8601 datetime when this relation expires' } }, required: ['source', 'relation', 'target'] }
-          }
-        ]
-      }
-    }, { headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
+  try {
+    return Response.json(await createRelation(env, body, { actor: await requestActor(env, request), expectedRev }), { status: 201, headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
+});
 
-  if (body.method === 'tools/call') {
-    const { name: toolName, arguments: args } = body.params;
-    const graph = await loadGraph(env);
-    let text = '';
-
-    switch (toolName) {
-      case 'search_nodes': {
-        const results = searchNodes(graph, args.query, now);
-        text = results.length === 0 ? `No results for "${args.query}"` :
-          results.map(r => {
-            const e = r.entity;
-            const activeObs = getActiveObs(e, now);
-            const rels = getActiveRels(graph, e.name, now);
-            return `[${e.entityType}] ${e.name} (score: ${r.score.toFixed(3)})\n${activeObs.map(o => `  • ${obsText(o)} [${decayScore(o, now).toFixed(3)}]`).join('\n')}${rels.length ? '\n' + rels.map(r => r.source === e.name ? `  → ${r.relation} → ${r.target}` : `  ← ${r.relation} ← ${r.source}`).join('\n') : ''}`;
-          }).join('\n\n');
-        break;
-      }
-      case 'read_entity': {
-        const entity = graph.entities.find(e => e.name === args.name);
-        if (!entity) { text = `Entity "${args.name}" not found.`; break; }
-        const activeObs = getActiveObs(entity, now);
-        const rels = getActiveRels(graph, args.name, now);
-        text = `[${entity.entityType}] ${entity.name}\n${activeObs.map(o => `  • ${obsText(o)} [score: ${decayScore(o, now).toFixed(3)}]`).join('\n')}${rels.length ? '\nRelations:\n' + rels.map(r => r.source === args.name ? `  → ${r.relation} → ${r.target}` : `  ← ${r.relation} ← ${r.source}`).join('\n') : ''}`;
-        break;
-      }
-      case 'read_graph': {
-        const activeRels = graph.relations.filter(r => !r.expires_at || new Date(r.expires_at) > now);
-        text = `${graph.entities.length} entities, ${activeRels.length} relations\n\n${graph.entities.map(e => { const obs = getActiveObs(e, now); return `[${e.entityType}] ${e.name}: ${obs.slice(0, 2).map(o => obsText(o)).join('; ')}`; }).join('\n')}`;
-        break;
-      }
-      case 'graph_stats': {
-        const types = {};
-        for (const e of graph.entities) types[e.entityType] = (types[e.entityType] || 0) + 1;
-        const allObs = graph.entities.flatMap(e => getActiveObs(e, now));
-        const scores = allObs.map(o => decayScore(o, now));
-        const avg = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
-        text = `Entities: ${graph.entities.length}, Relations: ${graph.relations.length}, Active Observations: ${allObs.length}\nAvg decay score: ${avg.toFixed(3)}, Half-life: ${DECAY_HALF_LIFE_DAYS} days\nTypes: ${Object.entries(types).map(([t, c]) => `${t}:${c}`).join(', ')}`;
-        break;
-      }
-      case 'create_entity': {
-        if (graph.entities.find(e => e.name === args.name)) { text = `Entity "${args.name}" already exists.`; break; }
-        const obsNow = new Date().toISOString();
-        graph.entities.push({ type: 'entity', name: args.name, entityType: args.entityType, observations: (args.observations || []).map(o => ({ text: o, observed_at: obsNow, expires_at: null, last_accessed: null, access_count: 0, relevance: 1.0, source_agent: args.source_agent || 'orac', confidence: args.confidence !== undefined ? args.confidence : 1.0, t_invalid: null })), created: obsNow, updated: obsNow });
-        await saveGraph(env, graph);
-        text = `Created: ${args.name} (${args.entityType})`;
-        break;
-      }
-      case 'add_observation': {
-        const ent = graph.entities.find(e => e.name === args.name);
-        if (!ent) { text = `Entity "${args.name}" not found.`; break; }
-        const obsNow = new Date().toISOString();
-        ent.observations.push({ text: args.observation, observed_at: obsNow, expires_at: args.expires_at || null, last_accessed: null, access_count: 0, relevance: 1.0, source_agent: args.source_agent || 'orac', confidence: args.confidence !== undefined ? args.confidence : 1.0, t_invalid: null });
-        ent.updated = obsNow;
-        await saveGraph(env, graph);
-        text = `Added to "${args.name}": ${args.observation}` + (args.expires_at ? ` (expires: ${args.expires_at})` : '') + (args.source_agent ? ` [source: ${args.source_agent}]` : '');
-        break;
-      }
-      case 'invalidate_observation': {
-        const ent = graph.entities.find(e => e.name === args.name);
-        if (!ent) { text = `Entity "${args.name}" not found.`; break; }
-        const obs = ent.observations.find(o => o.text === args.observation && !normalizeObs(o).t_invalid);
-        if (!obs) { text = `Observation not found (or already invalidated).`; break; }
-        obs.t_invalid = new Date().toISOString();
-        ent.updated = obs.t_invalid;
-        await saveGraph(env, graph);
-        text = `Invalidated observation on "${args.name}": ${args.observation}`;
-        break;
-      }
-      case 'create_relation': {
-        if (!graph.entities.find(e => e.name === args.source)) { text = `Source "${args.source}" not found.`; break; }
-        if (!graph.entities.find(e => e.name === args.target)) { text = `Target "${args.target}" not found.`; break; }
-        graph.relations.push({ type: 'relation', source: args.source, relation: args.relation, target: args.target, created: new Date().toISOString(), expires_at: args.expires_at || null });
-        await saveGraph(env, graph);
-        text = `Created: ${args.source} --[${args.relation}]--> ${args.target}`;
-        break;
-      }
-      default:
-        text = `Unknown tool: ${toolName}`;
-    }
+const handleInvalidateObservation = withRateLimit('observations', async (env, request, body) => {
+  const { expectedRev, error } = readIfMatch(request);
+  if (error) return error;
 
-    return Response.json({
-      jsonrpc: '2.0', id: body.id,
-      result: { content: [{ type: 'text', text }] }
-    }, { headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' } });
+  let result, entity;
+  try {
+    ({ result, entity } = await invalidateObservation(env, body, { actor: await requestActor(env, request), expectedRev }));
+  } catch (err) {
+    return errorResponse(err);
   }
 
-  return Response.json({
-    jsonrpc: '2.0', id: body.id,
-    error: { code: -32601, message: `Method not found: ${body.method}` }
-  }, { status: 400, headers: CORS_HEADERS });
-}
+  return Response.json(result, { headers: { ...CORS_HEADERS, ETag: entityEtag(entity) } });
+});
 
-// --- OKG v4.0: Trust Propagation (Phase 2+3) ---
-
-// Relation types that imply trust
-const TRUST_RELATION_TYPES = new Set([
-  'trusts', 'endorsed_by', 'verified_by', 'collaborates_with',
-  'depends_on', 'implements', 'built', 'uses'
-]);
-
-// Weight by relation type (stronger = higher trust contribution)
-const TRUST_WEIGHTS = {
-  trusts: 1.0,
-  endorsed_by: 0.9,
-  verified_by: 0.9,
-  collaborates_with: 0.7,
-  depends_on: 0.6,
-  implements: 0.6,
-  built: 0.8,
-  uses: 0.5
-};
+// --- MCP JSON-RPC Methods (transport: mcp-transport.js) ---
 
-/**
- * Compute PageRank reputation scores for all entities.
- * Returns { entityName: normalizedScore } in 0-1 range.
- */
-function computePageRank(graph, iterations = 50, damping = 0.85, tolerance = 0.001) {
-  const names = graph.entities.map(e => e.name);
-  if (names.length === 0) return {};
-
-  // Initialize all scores to 1.0
-  const scores = {};
-  for (const name of names) scores[name] = 1.0;
-
-  // Extract trust edges from relations
-  const outDegree = {};
-  const inEdges = {};  // inEdges[entity] = [{from, weight}]
-  for (const name of names) { outDegree[name] = 0; inEdges[name] = []; }
-
-  for (const rel of graph.relations) {
-    if (!TRUST_RELATION_TYPES.has(rel.relation)) continue;
-    if (!scores.hasOwnProperty(rel.source) || !scores.hasOwnProperty(rel.target)) continue;
-    const weight = TRUST_WEIGHTS[rel.relation] || 0.5;
-    outDegree[rel.source]++;
-    inEdges[rel.target].push({ from: rel.source, weight });
-  }
+// --- MCP Resources and Prompts ---
 
-  // Iterative PageRank
-  for (let iter = 0; iter < iterations; iter++) {
-    const newScores = {};
-    let maxChange = 0;
-    for (const name of names) {
-      let sum = 0;
-      for (const edge of inEdges[name]) {
-        const deg = outDegree[edge.from] || 1;
-        sum += (scores[edge.from] / deg) * edge.weight;
-      }
-      newScores[name] = (1 - damping) + damping * sum;
-      maxChange = Math.max(maxChange, Math.abs(newScores[name] - (scores[name] || 1.0)));
-    }
-    Object.assign(scores, newScores);
-    if (maxChange < tolerance) break;
-  }
+// Every entity is a resource at aei://entity/<URI-encoded name>
+const ENTITY_URI_PREFIX = 'aei://entity/';
+const PROMPT_NEIGHBORS = 10; // Neighbors summarized in profile_agent
 
-  // Normalize to 0-1 range
-  const values = Object.values(scores);
-  const minScore = Math.min(...values);
-  const maxScore = Math.max(...values);
-  const range = maxScore - minScore;
-
-  if (range < 0.0001) {
-    // All entities have same score — return 0.5 for all
-    for (const name of names) scores[name] = 0.5;
-  } else {
-    for (const name of names) {
-      scores[name] = parseFloat(((scores[name] - minScore) / range).toFixed(4));
-    }
-  }
+function entityUri(name) {
+  return ENTITY_URI_PREFIX + encodeURIComponent(name);
+}
 
-  return scores;
+function parseEntityUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(ENTITY_URI_PREFIX)) return null;
+  try {
+    return decodeURIComponent(uri.slice(ENTITY_URI_PREFIX.length)) || null;
+  } catch {
+    return null;
+  }
 }
 
 /**
- * Get trust scores from KV cache or compute fresh.
- * Cache TTL: 8 hours.
+ * The entity as resource contents: the same JSON as GET /entity/<name>.
  */
-async function getOrComputeTrustScores(env, graph) {
-  const CACHE_KEY = 'trust_scores_v1';
-  const CACHE_TTL = 8 * 60 * 60; // 8 hours
-
-  try {
-    const cached = await env.KG_STORE.get(CACHE_KEY, 'json');
-    if (cached) return cached;
-  } catch {}
+function entityResource(entity, graph, now) {
+  return {
+    uri: entityUri(entity.name),
+    mimeType: 'application/json',
+    text: JSON.stringify(formatEntity(entity, graph, now), null, 2)
+  };
+}
 
-  const scores = computePageRank(graph);
+const MCP_PROMPTS = [
+  {
+    name: 'profile_agent',
+    title: 'Profile an agent',
+    description: 'Write a profile of an agent from everything the index knows: its observations, relations, trust score and the entities around it.',
+    arguments: [{ name: 'name', description: 'Agent name (case and small typos are tolerated)', required: true }]
+  },
+  {
+    name: 'compare_protocols',
+    title: 'Compare two protocols',
+    description: 'Compare two protocols (or standards) side by side: what each does, who uses them and what connects them.',
+    arguments: [
+      { name: 'first', description: 'First protocol name', required: true },
+      { name: 'second', description: 'Second protocol name', required: true }
+    ]
+  },
+  {
+    name: 'explain_connection',
+    title: 'Explain a connection',
+    description: 'Explain how two entities are connected, using the shortest relation paths between them.',
+    arguments: [
+      { name: 'from', description: 'Starting entity name', required: true },
+      { name: 'to', description: 'Destination entity name', required: true }
+    ]
+  }
+];
 
-  try {
-    await env.KG_STORE.put(CACHE_KEY, JSON.stringify(scores), { expirationTtl: CACHE_TTL });
-  } catch {}
+const userText = text => ({ role: 'user', content: { type: 'text', text } });
+const userResource = resource => ({ role: 'user', content: { type: 'resource', resource } });
 
-  return scores;
+function summarizeEntity(entity, now) {
+  return `[${entity.entityType}] ${entity.name}: ${getActiveObs(entity, now).slice(0, 2).map(o => obsText(o)).join('; ')}`;
 }
 
 /**
- * Invalidate trust score cache (call when graph structure changes significantly).
+ * Resolve a prompt's entity arguments to entities with their relations.
+ * Throws INVALID_PARAMS for a missing argument or an unknown entity.
  */
-async function invalidateTrustCache(env) {
-  try { await env.KG_STORE.delete('trust_scores_v1'); } catch {}
+async function promptEntities(env, prompt, args) {
+  const values = prompt.arguments.map(arg => args[arg.name]);
+  const missing = prompt.arguments.find((arg, i) => typeof values[i] !== 'string' || !values[i].trim());
+  if (missing) throw new McpError(ERROR_CODES.INVALID_PARAMS, `Missing required argument: ${missing.name}`);
+
+  const { names, missing: unknown, suggestions } = await resolveEntityNames(env, values);
+  if (unknown) {
+    throw new McpError(ERROR_CODES.INVALID_PARAMS,
+      `Entity "${unknown}" not found.${suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : ''}`,
+      { suggestions });
+  }
+  return Promise.all(names.map(name => loadEntityGraph(env, name)));
 }
 
 /**
- * Time-only decay factor (excludes access boost and relevance).
+ * prompts/get: the prompt's messages with the entities' context embedded as
+ * resources, so the client needs no further tool calls.
  */
-function pureTimeDecay(obs, now) {
-  const o = normalizeObs(obs);
-  const observedAt = o.observed_at ? new Date(o.observed_at) : now;
-  const ageDays = (now - observedAt) / (1000 * 60 * 60 * 24);
-  return Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
+async function getPrompt(env, name, args, now) {
+  const prompt = MCP_PROMPTS.find(p => p.name === name);
+  if (!prompt) throw new McpError(ERROR_CODES.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  const loaded = await promptEntities(env, prompt, args);
+  const [first, second] = loaded.map(l => l.entity);
+
+  switch (name) {
+    case 'profile_agent': {
+      const { entities } = await extractNeighborhood(env, first.name, parseNeighborhoodOptions({ depth: 1, max_nodes: PROMPT_NEIGHBORS + 1 }).options, now);
+      const trustScores = await getOrComputeTrustScores(env);
+      const trust = trustScores[first.name] !== undefined ? trustScores[first.name] : 0.5;
+      const neighbors = entities.filter(e => e.name !== first.name);
+      return {
+        description: `Profile of ${first.name}`,
+        messages: [
+          userText(`Write a profile of ${first.name}${first.entityType === 'agent' ? '' : ` (indexed as ${first.entityType}, not agent)`} from the Agentic Economy Index entry below. Cover what it is and does, where it runs and who it works with, and how current the knowledge is — observation scores fall as facts age. Its trust score (PageRank over trust relations) is ${trust.toFixed(3)}. Say where the index is thin rather than guessing.`),
+          userResource(entityResource(first, loaded[0].graph, now)),
+          ...(neighbors.length ? [userText(`Entities directly connected to ${first.name}:\n${neighbors.map(e => `  ${summarizeEntity(e, now)}`).join('\n')}`)] : [])
+        ]
+      };
+    }
+    case 'compare_protocols': {
+      const neighborsOf = ({ entity, graph }) => new Set(getActiveRels(graph, entity.name, now).map(r => r.source === entity.name ? r.target : r.source));
+      const [a, b] = loaded.map(neighborsOf);
+      const shared = [...a].filter(n => b.has(n) && n !== first.name && n !== second.name).sort();
+      return {
+        description: `Comparison of ${first.name} and ${second.name}`,
+        messages: [
+          userText(`Compare ${first.name} and ${second.name} using their Agentic Economy Index entries below: purpose, design, adoption (who uses or implements each), maturity, and how they relate to each other. End with when to choose one over the other.`),
+          userResource(entityResource(first, loaded[0].graph, now)),
+          userResource(entityResource(second, loaded[1].graph, now)),
+          userText(shared.length ? `Connected to both: ${shared.join(', ')}` : `No entity is connected to both ${first.name} and ${second.name}.`)
+        ]
+      };
+    }
+    case 'explain_connection': {
+      const result = await findPaths(env, first.name, second.name, parseTraversalOptions({}).options, now);
+      const paths = result.found
+        ? `Shortest path(s), ${result.length} hop(s):\n${result.paths.map(p => `  ${formatPath(p)}`).join('\n')}`
+        : `The index has no path between them within ${result.explored} explored entities.`;
+      return {
+        description: `How ${first.name} connects to ${second.name}`,
+        messages: [
+          userText(`Explain how ${first.name} is connected to ${second.name} in the agentic economy, using the relation paths and entries below. Describe what each step means in practice.\n\n${paths}`),
+          userResource(entityResource(first, loaded[0].graph, now)),
+          userResource(entityResource(second, loaded[1].graph, now))
+        ]
+      };
+    }
+  }
 }
 
 /**
- * Compute effective confidence for an observation.
- * C_eff = C_base * R(source) * time_decay
+ * Handle one MCP request and return its result; throws McpError for a
+ * JSON-RPC error. The protocol version was negotiated by the transport.
  */
-function computeEffectiveConfidence(obs, entityName, trustScores) {
+async function mcpDispatch(env, request, message, { session, protocolVersion }) {
   const now = new Date();
-  const o = normalizeObs(obs);
-  // Use explicit confidence if set, otherwise fall back to relevance (legacy)
-  const cBase = o.confidence !== undefined ? o.confidence : (o.relevance !== undefined ? o.relevance : 1.0);
-  const reputation = trustScores[entityName] !== undefined ? trustScores[entityName] : 0.5;
-  const timeFactor = pureTimeDecay(obs, now);
-  return parseFloat((cBase * reputation * timeFactor).toFixed(4));
-}
 
-/**
- * GET /trust-score/{entity_id}
- */
-async function handleTrustScore(env, request, entityId) {
-  const rateCheck = await checkRateLimit(env, getClientIP(request), 'reads');
-  if (!rateCheck.allowed) {
-    return Response.json({ error: 'Rate limit exceeded' }, { status: 429, headers: CORS_HEADERS });
+  if (message.method === 'initialize') {
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: true, listChanged: false },
+        prompts: { listChanged: false }
+      },
+      serverInfo: { name: 'orac-knowledge-graph', version: '4.2.0' }
+    };
   }
 
-  const graph = await loadGraph(env);
-  const entity = graph.entities.find(e => e.name === entityId);
-  if (!entity) {
-    return Response.json({ error: `Entity "${entityId}" not found` }, { status: 404, headers: CORS_HEADERS });
+  // Resources and prompts are reads
+  if (message.method.startsWith('resources/') || message.method.startsWith('prompts/')) {
+    const denied = scopeError(env.principal, 'read');
+    if (denied) throw new McpError(ERROR_CODES.INVALID_REQUEST, denied);
   }
 
-  const trustScores = await getOrComputeTrustScores(env, graph);
-  const score = trustScores[entityId] !== undefined ? trustScores[entityId] : 0.5;
-
-  const outTrust = graph.relations.filter(r => r.source === entityId && TRUST_RELATION_TYPES.has(r.relation));
-  const inTrust = graph.relations.filter(r => r.target === entityId && TRUST_RELATION_TYPES.has(r.relation));
+  if (message.method === 'resources/list') {
+    const { page, error } = parsePage({ cursor: message.params?.cursor });
+    if (error) throw new McpError(ERROR_CODES.INVALID_PARAMS, error);
+    const manifest = await loadManifest(env);
+    const names = Object.keys(manifest.entities).sort((a, b) => compareKeys([a], [b]));
+    const { items, next_cursor } = paginate(names, page, name => [name]);
+    const result = {
+      resources: items.map(name => ({
+        uri: entityUri(name),
+        name,
+        description: `${manifest.entities[name]} in the Agentic Economy Index`,
+        mimeType: 'application/json'
+      }))
+    };
+    if (next_cursor) result.nextCursor = next_cursor;
+    return result;
+  }
 
-  return Response.json({
-    entity_id: entityId,
-    reputation_score: score,
-    last_updated: new Date().toISOString(),
-    based_on: {
-      trust_edges_out: outTrust.length,
-      trust_edges_in: inTrust.length,
-      trusts: outTrust.map(r => ({ entity: r.target, relation: r.relation, weight: TRUST_WEIGHTS[r.relation] || 0.5 })),
-      trusted_by: inTrust.map(r => ({ entity: r.source, relation: r.relation, weight: TRUST_WEIGHTS[r.relation] || 0.5 }))
-    }
-  }, { headers: CORS_HEADERS });
-}
+  if (message.method === 'resources/templates/list') {
+    return {
+      resourceTemplates: [{
+        uriTemplate: `${ENTITY_URI_PREFIX}{name}`,
+        name: 'entity',
+        title: 'Entity',
+        description: 'An entity of the Agentic Economy Index by exact name (URI-encoded): observations with FadeMem scores, relations and timestamps — the same JSON as GET /entity/<name>.',
+        mimeType: 'application/json'
+      }]
+    };
+  }
 
-// --- OKG v4.0: Attestation signatures ---
+  if (message.method === 'resources/read') {
+    const uri = message.params?.uri;
+    const name = parseEntityUri(uri);
+    if (!name) throw new McpError(ERROR_CODES.INVALID_PARAMS, `Invalid resource URI — use ${ENTITY_URI_PREFIX}{name}`);
+    const { entity, graph } = await loadEntityGraph(env, name);
+    if (!entity) throw new McpError(ERROR_CODES.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    return { contents: [entityResource(entity, graph, now)] };
+  }
 
-async function handleAttest(env, request, body) {
-  const ip = request.headers.get('cf-connecting-ip') || 'unknown';
-  const rateCheck = await checkRateLimit(env, ip, 'observations');
+  if (message.method === 'resources/subscribe' || message.method === 'resources/unsubscribe') {
+    const uri = message.params?.uri;
+    if (!parseEntityUri(uri)) throw new McpError(ERROR_CODES.INVALID_PARAMS, `Invalid resource URI — use ${ENTITY_URI_PREFIX}{name}`);
+    if (!session) throw new McpError(ERROR_CODES.INVALID_REQUEST, 'Subscriptions need a session — send initialize and pass its Mcp-Session-Id');
+    if (message.method === 'resources/subscribe') await subscribeResource(env, session, uri);
+    else await unsubscribeResource(env, session, uri);
+    return {};
+  }
 
-  if (!rateCheck.allowed) {
-    return Response.json({
-      error: 'Rate limit exceeded',
-      limit: rateCheck.limit,
-      remaining: rateCheck.remaining
-    }, { status: 429, headers: CORS_HEADERS });
+  if (message.method === 'prompts/list') {
+    return { prompts: MCP_PROMPTS };
   }
 
-  const { observation, privateKey } = body;
+  if (message.method === 'prompts/get') {
+    const name = message.params?.name;
+    if (typeof name !== 'string') throw new McpError(ERROR_CODES.INVALID_PARAMS, 'params.name is required');
+    return getPrompt(env, name, message.params.arguments || {}, now);
+  }
 
-  if (!observation || !privateKey) {
-    return Response.json({
-      error: 'Missing required fields: observation, privateKey'
-    }, { status: 400, headers: CORS_HEADERS });
+  if (message.method === 'tools/list') {
+    return { tools: MCP_TOOLS.map(({ name, description, inputSchema, outputSchema }) => ({ name, description, inputSchema, outputSchema })) };
   }
 
-  // Validate observation structure
-  const required = ['entity_id', 'attribute', 'value', 'observed_at', 'source', 'confidence'];
-  for (const field of required) {
-    if (!(field in observation)) {
-      return Response.json({
-        error: `Missing required observation field: ${field}`
-      }, { status: 400, headers: CORS_HEADERS });
+  if (message.method === 'tools/call') {
+    const toolName = message.params?.name;
+    if (typeof toolName !== 'string') throw new McpError(ERROR_CODES.INVALID_PARAMS, 'params.name is required');
+    const tool = MCP_TOOLS.find(t => t.name === toolName);
+    if (!tool) throw new McpError(ERROR_CODES.INVALID_PARAMS, `Unknown tool: ${toolName}`);
+    // Tool-level failures are results the model can read, not JSON-RPC errors
+    const fail = text => ({ content: [{ type: 'text', text }], isError: true });
+
+    // Tools need the same scope, and count against the same limits, as their REST routes
+    const denied = scopeError(env.principal, tool.scope);
+    if (denied) return fail(denied);
+    if (tool.rate) {
+      const rateCheck = await checkRateLimit(env, getClientIP(request), tool.rate);
+      if (!rateCheck.allowed) return fail(`Rate limit exceeded: ${rateCheck.limit} ${tool.rate} per hour. Try again later.`);
     }
+
+    let result;
+    try {
+      result = await tool.run(env, message.params.arguments || {}, { actor: await requestActor(env, request, 'mcp') });
+    } catch (err) {
+      if (err instanceof ConflictError) return fail(`Conflict: ${err.message}`);
+      if (!(err instanceof OperationError) && !(err instanceof QueryError)) throw err;
+      const { suggestions = [], details } = err.details || {};
+      return fail(err.message +
+        (typeof details === 'string' ? `: ${details}` : '') +
+        (suggestions.length ? `. Did you mean: ${suggestions.join(', ')}?` : ''));
+    }
+    return { content: [{ type: 'text', text: tool.render(result) }], structuredContent: result };
   }
 
+  throw new McpError(ERROR_CODES.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+}
+
+/**
+ * GET /trust-score/{entity_id}
+ */
+const handleTrustScore = withRateLimit('reads', async (env, request, entityId) => {
   try {
-    const signature = await signObservation(observation, privateKey);
-
-    return Response.json({
-      observation,
-      signature,
-      info: 'Signature created. Use /verify to verify this signature, or submit to the graph with the signature attached.'
-    }, { headers: CORS_HEADERS });
-  } catch (error) {
-    return Response.json({
-      error: 'Signature creation failed',
-      details: error.message
-    }, { status: 500, headers: CORS_HEADERS });
+    return Response.json(await trustScore(env, entityId), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
-}
+});
 
-async function handleVerify(env, request, body) {
-  const ip = request.headers.get('cf-connecting-ip') || 'unknown';
-  const rateCheck = await checkRateLimit(env, ip, 'reads');
+// --- OKG v4.0: Attestation signatures ---
 
-  if (!rateCheck.allowed) {
-    return Response.json({
-      error: 'Rate limit exceeded',
-      limit: rateCheck.limit,
-      remaining: rateCheck.remaining
-    }, { status: 429, headers: CORS_HEADERS });
+const handleAttest = withRateLimit('observations', async (env, request, body) => {
+  try {
+    // Deprecated in favour of client-side signing (POST /observation/signed)
+    return Response.json(await attestObservation(env, body), { headers: { ...CORS_HEADERS, Deprecation: 'true' } });
+  } catch (err) {
+    return errorResponse(err);
   }
+});
 
-  const { observation, signature } = body;
-
-  if (!observation || !signature) {
-    return Response.json({
-      error: 'Missing required fields: observation, signature'
-    }, { status: 400, headers: CORS_HEADERS });
+const handleVerify = withRateLimit('reads', async (env, request, body) => {
+  try {
+    return Response.json(await verifyObservation(env, body), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
   }
+});
 
+const handleRegisterAgent = withRateLimit('entities', async (env, request, body) => {
   try {
-    const result = await verifySignature(observation, signature);
-
-    if (!result.valid) {
-      return Response.json({
-        valid: false,
-        error: result.error,
-        info: 'Signature verification failed. The observation may have been tampered with, or the signature is malformed.'
-      }, { status: 200, headers: CORS_HEADERS });
-    }
+    return Response.json(await registerAgent(env, body, { actor: await requestActor(env, request) }), { headers: CORS_HEADERS });
+  } catch (err) {
+    return errorResponse(err);
+  }
+});
+
+// --- Webhook subscriptions ---
+
+const handleCreateSubscription = withRateLimit('subscriptions', async (env, request, body) => {
+  const { url, filters, error } = await parseSubscription(env, body);
+  if (error) return Response.json({ error }, { status: 400, headers: CORS_HEADERS });
 
-    // Check source authorization
-    const authorized = isAuthorizedSource(result.signer, observation.source);
-
-    return Response.json({
-      valid: true,
-      signer: result.signer,
-      authorized,
-      info: authorized
-        ? 'Signature valid and signer is authorized for this source'
-        : `Signature valid but signer ${result.signer} does not match source ${observation.source}`
-    }, { headers: CORS_HEADERS });
-  } catch (error) {
-    return Response.json({
-      error: 'Verification failed',
-      details: error.message
-    }, { status: 500, headers: CORS_HEADERS });
+  const subscription = await createSubscription(env, { url, filters });
+  if (!subscription) {
+    return Response.json({ error: 'Subscription limit reached' }, { status: 409, headers: CORS_HEADERS });
   }
-}
 
-async function handleRegisterAgent(env, request, body) {
-  const { name, twitter, moltbook, description, platform, verified_via } = body;
+  return Response.json({
+    ...publicSubscription(subscription),
+    secret: subscription.secret,
+    signing: 'X-AEI-Signature: sha256=<hex HMAC-SHA256 of "<X-AEI-Timestamp>.<raw body>" keyed with the secret>',
+    note: 'Store the secret now — it is not shown again. It verifies deliveries and is required to delete the subscription.'
+  }, { status: 201, headers: CORS_HEADERS });
+});
 
-  if (!name || typeof name !== 'string' || name.trim().length === 0) {
-    return Response.json(
-      { error: 'Agent name is required' },
-      { status: 400, headers: CORS_HEADERS }
-    );
+/**
+ * Load a subscription for its owner: the caller must send its secret in
+ * X-Webhook-Secret (as for DELETE) or hold the admin scope — its filters and
+ * dead letters show what the subscriber watches. Returns { subscription } or
+ * { error: Response }.
+ */
+async function ownedSubscription(env, request, id) {
+  const subscription = await loadSubscription(env, id);
+  if (!subscription) {
+    return { error: Response.json({ error: `Subscription "${id}" not found` }, { status: 404, headers: CORS_HEADERS }) };
+  }
+  if (!hasScope(env.principal, 'admin') && !holdsSecret(subscription, request.headers.get('X-Webhook-Secret'))) {
+    return { error: Response.json({ error: 'X-Webhook-Secret header must carry the subscription secret' }, { status: 403, headers: CORS_HEADERS }) };
   }
+  return { subscription };
+}
+
+const handleSubscription = withRateLimit('reads', async (env, request, id) => {
+  const { subscription, error } = await ownedSubscription(env, request, id);
+  if (error) return error;
+  const deadLetters = await listDeadLetters(env, id);
+  return Response.json({ ...publicSubscription(subscription), dead_letters: deadLetters.length }, { headers: CORS_HEADERS });
+});
 
-  const ip = getClientIP(request);
-  const rateCheck = await checkRateLimit(env, ip, 'entities');
+const handleDeadLetters = withRateLimit('reads', async (env, request, id, page) => {
+  const { error } = await ownedSubscription(env, request, id);
+  if (error) return error;
+  const { items, total, next_cursor } = paginate(await listDeadLetters(env, id), page, d => [d.last_attempt_at, d.id]);
+
+  return Response.json({
+    subscription: id,
+    count: items.length,
+    total,
+    limit: page.limit,
+    next_cursor,
+    dead_letters: items.map(({ body, subscription_id, ...delivery }) => ({ ...delivery, payload: JSON.parse(body) }))
+  }, { headers: CORS_HEADERS });
+});
 
-  if (!rateCheck.allowed) {
-    return Response.json(
-      { error: 'Rate limit exceeded', limit: rateCheck.limit, retryAfter: '1 hour' },
-      { status: 429, headers: { ...CORS_HEADERS, 'Retry-After': '3600' } }
-    );
+async function handleDeleteSubscription(env, request, id) {
+  const outcome = await deleteSubscription(env, id, request.headers.get('X-Webhook-Secret'));
+  if (outcome === 'not_found') {
+    return Response.json({ error: `Subscription "${id}" not found` }, { status: 404, headers: CORS_HEADERS });
+  }
+  if (outcome === 'forbidden') {
+    return Response.json({ error: 'X-Webhook-Secret header must carry the subscription secret' }, { status: 403, headers: CORS_HEADERS });
   }
+  return Response.json({ deleted: id }, { headers: CORS_HEADERS });
+}
 
-  // Build observations
-  const observations = [];
-  if (description) observations.push(`${description}`);
-  if (twitter) observations.push(`Twitter: ${twitter}`);
-  if (moltbook) observations.push(`Moltbook: ${moltbook}`);
-  if (platform) observations.push(`Runs on ${platform}`);
-  if (verified_via) observations.push(`Verification: ${verified_via}`);
-
-  // Create or update entity
-  const graph = await loadGraph(env);
-  let entity = graph.entities.find(e => e.name === name.trim());
-  const isNew = !entity;
-
-  if (entity) {
-    // Update existing
-    for (const obs of observations) {
-      if (!entity.observations.some(o => (o.text || o) === obs)) {
-        entity.observations.push({
-          text: obs,
-          observed_at: new Date().toISOString(),
-          expires_at: null,
-          last_accessed: null,
-          access_count: 0,
-          relevance: 1.0,
-          source_agent: 'self-registered',
-          confidence: 1.0,
-          t_invalid: null
-        });
-      }
-    }
-    entity.updated = new Date().toISOString();
-  } else {
-    // Create new
-    entity = {
-      name: name.trim(),
-      entityType: 'agent',
-      observations: observations.map(text => ({
-        text,
-        observed_at: new Date().toISOString(),
-        expires_at: null,
-        last_accessed: null,
-        access_count: 0,
-        relevance: 1.0,
-        source_agent: 'self-registered',
-        confidence: 1.0,
-        t_invalid: null
-      })),
-      created: new Date().toISOString(),
-      updated: new Date().toISOString()
-    };
-    graph.entities.push(entity);
+// --- Sign-In with Ethereum ---
+
+const handleSignIn = withRateLimit('sign_ins', async (env, request, body, step) => {
+  const url = new URL(request.url);
+  const { result, error, status } = step === 'nonce' ? await issueNonce(env, url, body) : await verifySignIn(env, url, body);
+  if (error) return Response.json({ error }, { status: status || 400, headers: CORS_HEADERS });
+  return Response.json(result, { status: step === 'nonce' ? 200 : 201, headers: CORS_HEADERS });
+});
+
+async function handleSignOut(env, request) {
+  const token = /^Bearer\s+(\S+)$/i.exec(request.headers.get('Authorization') || '')?.[1];
+  if (!token?.startsWith(SESSION_PREFIX) || !(await endSession(env, token))) {
+    return Response.json({ error: 'Send the session token as Authorization: Bearer <token>' }, { status: 400, headers: CORS_HEADERS });
   }
+  return Response.json({ signed_out: env.principal.address }, { headers: CORS_HEADERS });
+}
 
-  // Create relations
-  if (twitter && !graph.relations.some(r => r.source === name.trim() && r.target === 'Twitter')) {
-    graph.relations.push({
-      source: name.trim(),
-      relation: 'active_on',
-      target: 'Twitter',
-      created: new Date().toISOString(),
-      expires_at: null
-    });
+// --- API keys (admin scope) ---
+
+async function handleCreateApiKey(env, body) {
+  const { name, scopes, quotas, error } = parseApiKeyRequest(body, Object.keys(RATE_LIMITS));
+  if (error) return Response.json({ error }, { status: 400, headers: CORS_HEADERS });
+
+  const issued = await createApiKey(env, { name, scopes, quotas });
+  if (!issued) {
+    return Response.json({ error: 'API key limit reached' }, { status: 409, headers: CORS_HEADERS });
   }
 
-  if (moltbook && !graph.relations.some(r => r.source === name.trim() && r.target === 'Moltbook')) {
-    graph.relations.push({
-      source: name.trim(),
-      relation: 'active_on',
-      target: 'Moltbook',
-      created: new Date().toISOString(),
-      expires_at: null
-    });
+  return Response.json({
+    ...publicApiKey(issued.record),
+    key: issued.key,
+    note: 'Store the key now — only its hash is kept. Send it as Authorization: Bearer <key>.'
+  }, { status: 201, headers: CORS_HEADERS });
+}
+
+async function handleListApiKeys(env) {
+  const keys = await listApiKeys(env);
+  return Response.json({ count: keys.length, keys }, { headers: CORS_HEADERS });
+}
+
+async function handleRevokeApiKey(env, id) {
+  if (!(await revokeApiKey(env, id))) {
+    return Response.json({ error: 'API key not found' }, { status: 404, headers: CORS_HEADERS });
   }
+  return Response.json({ revoked: id }, { headers: CORS_HEADERS });
+}
 
-  if (platform && graph.entities.some(e => e.name === platform)) {
-    if (!graph.relations.some(r => r.source === name.trim() && r.target === platform && r.relation === 'runs_on')) {
-      graph.relations.push({
-        source: name.trim(),
-        relation: 'runs_on',
-        target: platform,
-        created: new Date().toISOString(),
-        expires_at: null
-      });
-    }
+// --- Wallet grants (admin scope) ---
+
+async function handleGrantWallet(env, body) {
+  const { address, scopes, error } = parseWalletGrant(body);
+  if (error) return Response.json({ error }, { status: 400, headers: CORS_HEADERS });
+
+  const grant = await grantWallet(env, { address, scopes });
+  if (!grant) {
+    return Response.json({ error: 'Wallet grant limit reached' }, { status: 409, headers: CORS_HEADERS });
   }
+  return Response.json(grant, { status: 201, headers: CORS_HEADERS });
+}
 
-  await saveGraph(env, graph);
+async function handleListWalletGrants(env) {
+  const grants = await listWalletGrants(env);
+  return Response.json({ count: grants.length, grants }, { headers: CORS_HEADERS });
+}
 
-  return Response.json({
-    success: true,
-    agent: name.trim(),
-    observations: observations.length,
-    message: isNew ? 'Agent registered successfully' : 'Agent profile updated'
-  }, { headers: CORS_HEADERS });
+async function handleRevokeWalletGrant(env, address) {
+  if (!(await revokeWalletGrant(env, address.toLowerCase()))) {
+    return Response.json({ error: 'No grant for that address' }, { status: 404, headers: CORS_HEADERS });
+  }
+  return Response.json({ revoked: address.toLowerCase() }, { headers: CORS_HEADERS });
 }
 
 // --- Main Router ---
 
+// Routes decode names and ids out of the path with decodeURIComponent. They
+// split it only at literal characters, so when the whole path decodes, every
+// piece of it does.
+function decodablePath(pathname) {
+  try {
+    decodeURIComponent(pathname);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Durable Object class behind env.KG_LOCKS (see wrangler.toml)
+export { StoreCoordinator } from './store-coordinator.js';
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
+    env = { ...env, KG_STORE: resolveStore(env.KG_STORE, env.KG_LOCKS) };
+    // Webhook deliveries run after the response when the runtime allows it
+    if (ctx?.waitUntil) env.waitUntil = promise => ctx.waitUntil(promise);
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: CORS_HEADERS });
     }
 
+    if (!decodablePath(url.pathname)) {
+      return Response.json({ error: 'Malformed percent-encoding in the URL path' }, { status: 400, headers: CORS_HEADERS });
+    }
+
+    // Who is calling: an API key's principal, or null for anonymous clients
+    const auth = await authenticate(env, request);
+    if (auth.error) return unauthorized(auth.error);
+    env.principal = auth.principal;
+
+    if (url.pathname === '/mcp') {
+      return handleMcpTransport(env, request, {
+        dispatch: (message, context) => mcpDispatch(env, request, message, context),
+        headers: CORS_HEADERS
+      });
+    }
+
     if (request.method === 'GET') {
+      const denied = requireScope(env, url.pathname.startsWith('/admin/') ? 'admin' : 'read');
+      if (denied) return denied;
+
       switch (url.pathname) {
         case '/':
           // Serve the graph visualization UI
@@ -1073,7 +1022,8 @@ export default {
 <body>
     <div id="controls">
         <h1>Agentic Economy Index</h1>
-        <input type="text" id="search" placeholder="Search entities...">
+        <input type="text" id="search" list="suggestions" autocomplete="off" placeholder="Search entities...">
+        <datalist id="suggestions"></datalist>
         <select id="filter-type">
             <option value="">All Types</option>
             <option value="agent">Agents</option>
@@ -1091,7 +1041,7 @@ export default {
     </div>
     <div id="stats">Loading...</div>
     <script>
-        const API_BASE=window.location.origin;const typeColors={agent:'#4a9eff',platform:'#4ade80',protocol:'#fb923c',tool:'#a78bfa',concept:'#6b7280',person:'#f472b6',standard:'#fbbf24',lesson:'#ef4444',capability:'#14b8a6'};let graphData={entities:[],relations:[]},simulation,svg,g,link,node,nodeLabel,linkLabel;function initSVG(){svg=d3.select('#graph');const width=window.innerWidth,height=window.innerHeight;svg.attr('width',width).attr('height',height);const zoom=d3.zoom().scaleExtent([0.1,4]).on('zoom',e=>g.attr('transform',e.transform));svg.call(zoom);g=svg.append('g')}async function loadGraph(){try{const r=await fetch(\`\${API_BASE}/graph\`),data=await r.json();graphData=data;document.getElementById('stats').textContent=\`\${data.entities.length} entities • \${data.relations.length} relations\`;renderGraph()}catch(e){console.error('Failed:',e);document.getElementById('stats').textContent='Failed to load'}}function renderGraph(){const width=window.innerWidth,height=window.innerHeight;g.selectAll('*').remove();simulation=d3.forceSimulation(graphData.entities).force('link',d3.forceLink(graphData.relations).id(d=>d.name).distance(150)).force('charge',d3.forceManyBody().strength(-400)).force('center',d3.forceCenter(width/2,height/2)).force('collision',d3.forceCollide().radius(30));link=g.append('g').selectAll('line').data(graphData.relations).join('line').attr('class','link').attr('stroke-width',1.5);linkLabel=g.append('g').selectAll('text').data(graphData.relations).join('text').attr('class','link-label').text(d=>d.relation);node=g.append('g').selectAll('circle').data(graphData.entities).join('circle').attr('class','node').attr('r',d=>Math.sqrt((d.observations?.length||1)*50)).attr('fill',d=>typeColors[d.entityType]||'#6b7280').call(drag(simulation)).on('click',(e,d)=>showDetail(d));nodeLabel=g.append('g').selectAll('text').data(graphData.entities).join('text').attr('class','node-label').attr('dy',d=>Math.sqrt((d.observations?.length||1)*50)+15).text(d=>d.name);simulation.on('tick',()=>{link.attr('x1',d=>d.source.x).attr('y1',d=>d.source.y).attr('x2',d=>d.target.x).attr('y2',d=>d.target.y);linkLabel.attr('x',d=>(d.source.x+d.target.x)/2).attr('y',d=>(d.source.y+d.target.y)/2);node.attr('cx',d=>d.x).attr('cy',d=>d.y);nodeLabel.attr('x',d=>d.x).attr('y',d=>d.y)})}function drag(simulation){function dragstarted(e){if(!e.active)simulation.alphaTarget(0.3).restart();e.subject.fx=e.subject.x;e.subject.fy=e.subject.y}function dragged(e){e.subject.fx=e.x;e.subject.fy=e.y}function dragended(e){if(!e.active)simulation.alphaTarget(0);e.subject.fx=null;e.subject.fy=null}return d3.drag().on('start',dragstarted).on('drag',dragged).on('end',dragended)}async function showDetail(entity){const r=await fetch(\`\${API_BASE}/entity/\${encodeURIComponent(entity.name)}\`),data=await r.json();document.getElementById('detail-content').innerHTML=\`<h2>\${data.name}</h2><span class="type">\${data.entityType}</span><div class="section"><h3>Observations (\${data.observations?.length||0})</h3>\${(data.observations||[]).map(obs=>\`<div class="observation">\${obs.text||obs}\${obs.relevance?\`<div class="meta">Score: \${obs.relevance.toFixed(3)}</div>\`:''}</div>\`).join('')}</div>\${data.relations?.length?\`<div class="section"><h3>Relations (\${data.relations.length})</h3>\${data.relations.map(rel=>{const isSource=rel.source===data.name,other=isSource?rel.target:rel.source,arrow=isSource?'→':'←';return\`<div class="relation" onclick="navigateTo('\${other}')">\${arrow} \${rel.relation} \${arrow} \${other}</div>\`}).join('')}</div>\`:''}\`;document.getElementById('detail-panel').classList.add('open')}function closePanel(){document.getElementById('detail-panel').classList.remove('open')}function navigateTo(entityName){const entity=graphData.entities.find(e=>e.name===entityName);if(entity){showDetail(entity);const width=window.innerWidth,height=window.innerHeight,scale=1.5,x=-entity.x*scale+width/2,y=-entity.y*scale+height/2;svg.transition().duration(750).call(d3.zoom().transform,d3.zoomIdentity.translate(x,y).scale(scale))}}document.getElementById('search').addEventListener('input',e=>{const q=e.target.value.toLowerCase();if(!q){if(node)node.attr('opacity',1);if(nodeLabel)nodeLabel.attr('opacity',1);return}if(node)node.attr('opacity',d=>d.name.toLowerCase().includes(q)?1:0.2);if(nodeLabel)nodeLabel.attr('opacity',d=>d.name.toLowerCase().includes(q)?1:0.2)});document.getElementById('filter-type').addEventListener('change',e=>{const t=e.target.value;if(!t){if(node)node.attr('opacity',1);if(nodeLabel)nodeLabel.attr('opacity',1);if(link)link.attr('opacity',1);return}if(node)node.attr('opacity',d=>d.entityType===t?1:0.1);if(nodeLabel)nodeLabel.attr('opacity',d=>d.entityType===t?1:0.1);if(link)link.attr('opacity',d=>{const src=typeof d.source==='object'?d.source:graphData.entities.find(e=>e.name===d.source);const tgt=typeof d.target==='object'?d.target:graphData.entities.find(e=>e.name===d.target);return (src&&src.entityType===t)||(tgt&&tgt.entityType===t)?1:0.1})});initSVG();loadGraph();window.addEventListener('resize',()=>{const width=window.innerWidth,height=window.innerHeight;svg.attr('width',width).attr('height',height);simulation.force('center',d3.forceCenter(width/2,height/2));simulation.alpha(0.3).restart()});
+        const API_BASE=window.location.origin;const typeColors={agent:'#4a9eff',platform:'#4ade80',protocol:'#fb923c',tool:'#a78bfa',concept:'#6b7280',person:'#f472b6',standard:'#fbbf24',lesson:'#ef4444',capability:'#14b8a6'};let graphData={entities:[],relations:[]},simulation,svg,g,link,node,nodeLabel,linkLabel;function initSVG(){svg=d3.select('#graph');const width=window.innerWidth,height=window.innerHeight;svg.attr('width',width).attr('height',height);const zoom=d3.zoom().scaleExtent([0.1,4]).on('zoom',e=>g.attr('transform',e.transform));svg.call(zoom);g=svg.append('g')}async function loadGraph(){try{const params=new URLSearchParams(window.location.search),focus=params.get('entity');if(focus){const r=await fetch(\`\${API_BASE}/entity/\${encodeURIComponent(focus)}/neighborhood?depth=\${encodeURIComponent(params.get('depth')||'2')}\${params.get('types')?\`&types=\${encodeURIComponent(params.get('types'))}\`:''}\${params.get('relations')?\`&relations=\${encodeURIComponent(params.get('relations'))}\`:''}\`),data=await r.json();if(!r.ok)throw new Error(data.error);graphData={entities:data.entities,relations:data.relations};document.getElementById('stats').innerHTML=\`Neighborhood of \${data.center} (\${data.depth} hops): \${data.counts.entities} entities • \${data.counts.relations} relations\${data.truncated.nodes||data.truncated.edges?' (truncated)':''} • <a href="/">Full graph</a>\`;renderGraph();return}const data={entities:[],relations:[]};let cursor=null;do{const r=await fetch(\`\${API_BASE}/graph?limit=500\${cursor?\`&cursor=\${encodeURIComponent(cursor)}\`:''}\`),pageData=await r.json();data.entities.push(...pageData.entities);data.relations.push(...pageData.relations);cursor=pageData.next_cursor}while(cursor);graphData=data;document.getElementById('stats').textContent=\`\${data.entities.length} entities • \${data.relations.length} relations\`;renderGraph()}catch(e){console.error('Failed:',e);document.getElementById('stats').textContent='Failed to load'}}function renderGraph(){const width=window.innerWidth,height=window.innerHeight;g.selectAll('*').remove();simulation=d3.forceSimulation(graphData.entities).force('link',d3.forceLink(graphData.relations).id(d=>d.name).distance(150)).force('charge',d3.forceManyBody().strength(-400)).force('center',d3.forceCenter(width/2,height/2)).force('collision',d3.forceCollide().radius(30));link=g.append('g').selectAll('line').data(graphData.relations).join('line').attr('class','link').attr('stroke-width',1.5);linkLabel=g.append('g').selectAll('text').data(graphData.relations).join('text').attr('class','link-label').text(d=>d.relation);node=g.append('g').selectAll('circle').data(graphData.entities).join('circle').attr('class','node').attr('r',d=>Math.sqrt((d.observations?.length||1)*50)).attr('fill',d=>typeColors[d.entityType]||'#6b7280').call(drag(simulation)).on('click',(e,d)=>showDetail(d));nodeLabel=g.append('g').selectAll('text').data(graphData.entities).join('text').attr('class','node-label').attr('dy',d=>Math.sqrt((d.observations?.length||1)*50)+15).text(d=>d.name);simulation.on('tick',()=>{link.attr('x1',d=>d.source.x).attr('y1',d=>d.source.y).attr('x2',d=>d.target.x).attr('y2',d=>d.target.y);linkLabel.attr('x',d=>(d.source.x+d.target.x)/2).attr('y',d=>(d.source.y+d.target.y)/2);node.attr('cx',d=>d.x).attr('cy',d=>d.y);nodeLabel.attr('x',d=>d.x).attr('y',d=>d.y)})}function drag(simulation){function dragstarted(e){if(!e.active)simulation.alphaTarget(0.3).restart();e.subject.fx=e.subject.x;e.subject.fy=e.subject.y}function dragged(e){e.subject.fx=e.x;e.subject.fy=e.y}function dragended(e){if(!e.active)simulation.alphaTarget(0);e.subject.fx=null;e.subject.fy=null}return d3.drag().on('start',dragstarted).on('drag',dragged).on('end',dragended)}async function showDetail(entity){const r=await fetch(\`\${API_BASE}/entity/\${encodeURIComponent(entity.name)}\`),data=await r.json();document.getElementById('detail-content').innerHTML=\`<h2>\${data.name}</h2><span class="type">\${data.entityType}</span><div class="section"><a href="/?entity=\${encodeURIComponent(data.name)}&depth=2">Explore neighborhood (2 hops) →</a></div><div class="section"><h3>Observations (\${data.observations?.length||0})</h3>\${(data.observations||[]).map(obs=>\`<div class="observation">\${obs.text||obs}\${obs.relevance?\`<div class="meta">Score: \${obs.relevance.toFixed(3)}</div>\`:''}</div>\`).join('')}</div>\${data.relations?.length?\`<div class="section"><h3>Relations (\${data.relations.length})</h3>\${data.relations.map(rel=>{const isSource=rel.source===data.name,other=isSource?rel.target:rel.source,arrow=isSource?'→':'←';return\`<div class="relation" onclick="navigateTo('\${other}')">\${arrow} \${rel.relation} \${arrow} \${other}</div>\`}).join('')}</div>\`:''}\`;document.getElementById('detail-panel').classList.add('open')}function closePanel(){document.getElementById('detail-panel').classList.remove('open')}function navigateTo(entityName){const entity=graphData.entities.find(e=>e.name===entityName);if(entity){showDetail(entity);const width=window.innerWidth,height=window.innerHeight,scale=1.5,x=-entity.x*scale+width/2,y=-entity.y*scale+height/2;svg.transition().duration(750).call(d3.zoom().transform,d3.zoomIdentity.translate(x,y).scale(scale))}}let suggestTimer=null,suggested=null;function applySearchHighlight(q){const hit=d=>suggested?suggested.has(d.name):d.name.toLowerCase().includes(q);if(node)node.attr('opacity',d=>hit(d)?1:0.2);if(nodeLabel)nodeLabel.attr('opacity',d=>hit(d)?1:0.2)}document.getElementById('search').addEventListener('input',e=>{const raw=e.target.value.trim(),q=raw.toLowerCase();clearTimeout(suggestTimer);suggested=null;if(!q){document.getElementById('suggestions').innerHTML='';if(node)node.attr('opacity',1);if(nodeLabel)nodeLabel.attr('opacity',1);return}if(graphData.entities.some(en=>en.name===raw)){navigateTo(raw);return}applySearchHighlight(q);suggestTimer=setTimeout(async()=>{try{const r=await fetch(\`\${API_BASE}/suggest?prefix=\${encodeURIComponent(raw)}\`),data=await r.json();if(document.getElementById('search').value.trim()!==raw)return;suggested=new Set(data.suggestions.map(s=>s.name));document.getElementById('suggestions').replaceChildren(...data.suggestions.map(s=>{const option=document.createElement('option');option.value=s.name;option.textContent=s.entityType;return option}));applySearchHighlight(q)}catch(err){}},150)});document.getElementById('filter-type').addEventListener('change',e=>{const t=e.target.value;if(!t){if(node)node.attr('opacity',1);if(nodeLabel)nodeLabel.attr('opacity',1);if(link)link.attr('opacity',1);return}if(node)node.attr('opacity',d=>d.entityType===t?1:0.1);if(nodeLabel)nodeLabel.attr('opacity',d=>d.entityType===t?1:0.1);if(link)link.attr('opacity',d=>{const src=typeof d.source==='object'?d.source:graphData.entities.find(e=>e.name===d.source);const tgt=typeof d.target==='object'?d.target:graphData.entities.find(e=>e.name===d.target);return (src&&src.entityType===t)||(tgt&&tgt.entityType===t)?1:0.1})});initSVG();loadGraph();window.addEventListener('resize',()=>{const width=window.innerWidth,height=window.innerHeight;svg.attr('width',width).attr('height',height);simulation.force('center',d3.forceCenter(width/2,height/2));simulation.alpha(0.3).restart()});
     </script>
 </body>
 </html>`;
@@ -1100,18 +1050,12 @@ export default {
           });
 
         case '/agents.html':
-        case '/agents':
+        case '/agents': {
           // Agent Directory - JSON listing for now, full UI coming soon
-          const graph = await loadGraph(env);
-          const agents = graph.entities.filter(e => e.entityType === 'agent');
-          return Response.json({
-            count: agents.length,
-            agents: agents.map(a => ({
-              name: a.name,
-              observations: a.observations?.length || 0,
-              preview: (a.observations || []).slice(0, 2).map(o => typeof o === 'string' ? o : o.text)
-            }))
-          }, { headers: CORS_HEADERS });
+          const { page, error } = parsePage(Object.fromEntries(url.searchParams));
+          if (error) return Response.json({ error }, { status: 400, headers: CORS_HEADERS });
+          return handleAgents(env, request, page);
+        }
 
         case '/api':
           return Response.json({
@@ -1129,32 +1073,67 @@ export default {
               relation_types: ['collaborates_with', 'runs_on', 'active_on', 'registered_on', 'uses', 'contacted', 'built', 'explores', 'engaged_with', 'depends_on', 'implements']
             },
             features: {
-              fademem: 'Biologically-inspired memory decay. Each observation has a relevance score that decays over time (30-day half-life) but is boosted by access frequency and recency. Stale knowledge fades; actively-used knowledge stays strong. Search results are ranked by decay score.',
+              fademem: 'Biologically-inspired memory decay. Each observation has a relevance score that decays over time (30-day half-life) but is boosted by access frequency and recency. Stale knowledge fades; actively-used knowledge stays strong. Search ranking combines BM25 relevance with the decay score.',
+              search: 'Inverted index with stemming and BM25 relevance, kept up to date on every write. Multi-word queries match each word independently; results include highlighted snippets (**matched words**) of the observations that matched. Misspelled words match indexed words within a small edit distance (reported as corrections).',
+              as_of: 'Point-in-time reads: add ?as_of=<ISO8601> to /entity/<name>, /search or /graph to see what the index held at that moment — observations recorded by then (recorded_at, stamped by the server; observed_at is client-supplied and not used), including ones invalidated (t_invalid, shown as invalidated_at) or expired since; entities and relations created after it are left out. Entities written since are rewound through the event log, so in-place edits (entityType changes, co-signs, the usage tracker\'s lookup count) show their values at that moment. Decay scores are computed as of that moment; trust scores are current.',
+              pagination: 'Listings (/graph, /agents, /search, /entity/<name>/history, /events and their MCP tools) are paginated: pass limit (default 50, max 500) and the next_cursor from the previous response as cursor. Responses include total; next_cursor is null on the last page. Cursors are keyset positions, so pages stay stable as entities are added.',
+              suggest: 'GET /suggest?prefix= completes entity names from the manifest: prefix, case-insensitive, camelCase-word and typo-tolerant matches. Entity reads tolerate case differences and small typos in the name.',
               time_aware: 'Observations can have an expires_at timestamp for time-limited facts (e.g., "suspended until Feb 15"). Expired observations are automatically filtered from search results.',
               access_tracking: 'Reading or searching an entity updates its access_count and last_accessed fields, which feed back into the decay score. Knowledge that gets used becomes more prominent.',
               trust_propagation: 'PageRank-based reputation scoring from trust relations (trusts, collaborates_with, depends_on). Normalized 0-1. Use /trust-score/<entity> or /search?min_confidence=0.5 for trust-filtered results.',
-              attestation: 'ECDSA-secp256k1 cryptographic attestation. POST /attest to sign observations, POST /verify to verify. Ethereum-compatible (Keccak-256 + secp256k1).'
+              attestation: 'ECDSA-secp256k1 cryptographic attestation, Ethereum-compatible (Keccak-256 + secp256k1). Observations are signed as EIP-712 typed data — domain { name: "Agentic Economy Index", version: "1" }, type Observation(string entity_id,string attribute,string value,string observed_at,string source,string confidence), non-string values as JSON — so wallets can show what they sign (eth_signTypedData_v4); the signature object carries scheme: "eip712" and a 65-byte r||s||v signature_hex. Legacy signatures (Keccak-256 of the "|"-joined fields; no scheme, or scheme: "legacy") still verify. Clients sign observations locally (signObservation in crypto-utils.js) and submit them with POST /observation/signed; the server recovers the signer from the signature, checks that it is the claimed public_key address and may attest for the source, and stores the signature with the observation. Entity reads return it as attestation, with verified: true while the stored observation still matches what was signed. Independent attesters co-sign a stored observation by submitting it again with their own signature; each observation keeps the list of verified signatures. Only signers authorized for the source or listed in the quorum count: attester_count is the number of distinct counted signers and signer_trust is 1 - Π(1 - reputation) over them, where a signer\'s reputation is the trust score of the agent its address is linked to and unlinked signers add nothing; a signed-in wallet links its address by POST /register-agent with identity, an ENS name, ERC-8004 agent or address it is authorized for (the agent must be new, or already linked through that identity) (reported by entity reads, signed submissions and trust-aware searches). A k-of-n quorum, { threshold, signers }, must list its n signers, including the signer setting it; it is set by the first signature, only listed signers may co-sign, and observations report quorum: { threshold, signers, count, reached }. A reached quorum raises the reputation factor of effective_confidence to at least signer_trust; an unreached one scales effective_confidence by count / threshold. POST /verify checks a signature without storing it. A source is an address, which only that address may sign for; an ENS name (e.g. "orac.eth"), which only the address it resolves to may sign for, resolved on Ethereum mainnet over ETHEREUM_RPC_URL and cached for 5 minutes; or an ERC-8004 agent on Base — "erc8004:<agentId>" or "eip155:8453:0x8004A169FB4a3325136EB29fA0ceB6D2e539a432:<agentId>" — which its token owner and delegates (the token\'s approved address, the owner\'s approved operators) may sign for, read from the identity registry over BASE_RPC_URL and cached for 5 minutes. POST /attest (server-side signing with a key sent in the request) is deprecated and disabled unless ALLOW_SERVER_SIGNING is "true".',
+              storage: 'Sharded per entity behind a small KV-style store interface. Runs on Cloudflare KV, or self-hosted in plain Node (node src/node-server.js) with a file-backed journal.',
+              event_log: 'Every write (REST or MCP) appends an event to an append-only log: { id, timestamp, operation, kind, entities, actor: { source_agent, ip_hash, via, api_key, address }, before, after }. Client IPs are stored only as hashes keyed with a server secret (ip_hash is null when none is configured); api_key is the id of the key the write was made with, address the signed-in wallet. Read it per entity with /entity/<name>/history or as a feed with /events?since=.',
+              webhooks: 'POST /subscriptions registers a public https callback URL for create, observe, invalidate and relate events, optionally filtered by entities, types, relations, source_agent and events. Deliveries are POSTs signed with X-AEI-Signature: sha256=HMAC-SHA256(secret, "<X-AEI-Timestamp>.<body>"); a non-2xx response or timeout is retried after 30s, 2m, 10m, 1h and 6h, then dead-lettered.',
+              authentication: 'Reads are open to everyone. Writes need an API key sent as Authorization: Bearer <key>, on REST and MCP alike (401 without one, 403 when the key lacks the scope). Scopes: read, write (entities, observations, relations, /attest, webhook subscriptions), register (/register-agent) and admin (managing keys; implies the others). Anonymous callers are rate-limited per IP; keyed requests are counted per key, against the key\'s own quotas where it has them. MCP tools need the scope of the matching REST route; a missing scope comes back as a tool error. Agents can instead sign in with their Ethereum key (Sign-In with Ethereum, EIP-4361): POST /auth/nonce, sign the message with personal_sign (EIP-191), then POST /auth/verify for a session token valid up to an hour, sent the same way. Sessions read; write and register need an admin grant to the address (POST /admin/wallet-grants). Session writes are attributed to the recovered address rather than to source_agent, and count against both the address and the client IP.',
+              concurrency: 'Every entity carries a revision, returned as the ETag of GET /entity/<name>. Writes are compare-and-set and retried on conflict; send If-Match with the ETag on POST /observation, /observation/invalidate or /relation (source entity) to fail with 409 instead of writing over a newer revision.'
             },
             api: {
               rest: {
-                'GET /search?q=<query>': 'Search entities by keyword. Returns matches ranked by FadeMem decay score. Example: /search?q=memory',
+                'GET /search?q=<query>': 'Full-text search. Returns matches ranked by BM25 relevance combined with FadeMem decay score, each with highlights: [{ observation, snippet }]. Example: /search?q=x402 memory',
+                'GET /search?q=<query>&type=&has_relation=&source_agent=&observed_after=&observed_before=&updated_since=&include_expired=&sort=': 'Filtered search. type takes one or more comma-separated types; has_relation=<relation>:<entity> matches an active relation in either direction (either side may be *); source_agent, observed_after and observed_before must hold for the same observation; updated_since filters on the entity update time; include_expired=true also matches and returns expired observations and relations. sort is score (default), trust, updated or created. Example: /search?q=agent&type=agent&has_relation=runs_on:NanoClaw&sort=trust',
                 'GET /search?q=<query>&min_confidence=<0-1>': 'Trust-filtered search. Only returns observations with effective confidence >= threshold. Effective confidence = base_confidence * reputation_score * time_decay. Example: /search?q=memory&min_confidence=0.5',
                 'GET /trust-score/<entity_id>': 'Get PageRank reputation score for an entity. Scores computed from trust relations (trusts, collaborates_with, depends_on, etc.) using modified PageRank with damping 0.85. Normalized 0-1. Example: /trust-score/Orac',
-                'GET /entity/<name>': 'Read a specific entity with all observations (each showing its decay score), relations, and timestamps. Example: /entity/Orac',
-                'GET /graph': 'Full AEI dump — all entities and active relations. Good for building a local copy.',
+                'GET /entity/<name>': 'Read a specific entity with all observations (each showing its decay score), relations, and timestamps. The ETag header carries the entity revision. A name differing only in case or by a small typo resolves to the matching entity (resolved_from is set); otherwise 404 lists suggestions. Example: /entity/Orac',
+                'GET /entity/<name>?as_of=<ISO8601>': 'The entity as the index held it at that moment (404 if it did not exist yet). Also accepted by /search and /graph. Example: /entity/Orac?as_of=2026-02-01T00:00:00Z',
+                'GET /suggest?prefix=<text>&limit=<n>': 'Ranked entity-name completions (default 10, max 50): [{ name, entityType, match }] where match is prefix, normalized, word or fuzzy. Example: /suggest?prefix=cont',
+                'GET /graph?limit=<n>&cursor=<next_cursor>': 'AEI dump, one page of entities at a time in name order, with the active relations whose source is on the page. Follow next_cursor until it is null to build a local copy.',
+                'GET /agents?limit=<n>&cursor=<next_cursor>': 'Agent directory: name, observation count and a short preview for each agent, paginated like /graph.',
+                'GET /entity/<name>/neighborhood?depth=<n>&relations=&types=': 'The induced subgraph within depth hops of an entity (default 2, max 6): entities (each with its distance and relations inside the neighborhood) and the relations among them. relations=<type,type> follows only those relation types; types=<type,type> only reaches entities of those types; direction=out|in|both; include_expired=true; max_nodes (default 100, max 500) and max_edges (default 500, max 2000) cap the result, reported in truncated. Example: /entity/Orac/neighborhood?depth=2&types=agent,platform',
+                'GET /entity/<name>/history?limit=<n>&cursor=<next_cursor>': 'Every recorded write touching the entity, oldest first: creates, observations added or invalidated, relations in either direction and agent registrations, each with the actor and the state before and after. Example: /entity/Orac/history',
+                'GET /events?since=<ISO8601 or event id>&limit=<n>': 'The mutation event log across the whole graph, oldest first. since is exclusive when given an event id, so passing the id of the last event seen tails the log; follow next_cursor for further pages. Example: /events?since=2026-02-01T00:00:00Z',
+                'GET /path?from=<entity>&to=<entity>': 'Shortest path(s) between two entities. Options: relations=<type,type> to follow only those relation types, direction=out|in|both (default both), max_depth (default 4, max 6), limit (paths, default 5, max 20), include_expired=true. Returns { found, length, paths: [{ nodes, edges, text }] }. Example: /path?from=KlausWorks&to=x402',
+                'POST /query': 'Declarative pattern query. Body: { nodes: { var: { type, name, trust, created, updated, observation } }, edges: [{ from, to, relation, direction: out|both, as }], return: ["var.name", "var.trust", "rel.relation", ...], limit, distinct, include_expired }. Predicates are literals or { eq, ne, in, contains, prefix, gt, gte, lt, lte, exists }; observation predicates (a string means text contains) must hold for one active observation. Returns { columns, rows, count, truncated }. Example: {"nodes":{"a":{"type":"agent","trust":{"gt":0.6}},"p":{"name":"NanoClaw"},"x":{"name":"x402"}},"edges":[{"from":"a","relation":"runs_on","to":"p"},{"from":"a","relation":"uses","to":"x"}],"return":["a.name","a.trust"]}',
                 'GET /stats': 'AEI statistics: entity count, relation count, observation counts (active vs expired), average decay score, entity type distribution.',
                 'POST /entity': 'Create a new entity. Body: { name: string, entityType: string, observations?: string[], source_agent?: string, confidence?: number }',
-                'POST /observation': 'Add an observation to an existing entity. Body: { name: string, observation: string, expires_at?: ISO8601, source_agent?: string, confidence?: number (0-1) }',
+                'POST /observation': 'Add an observation to an existing entity. Body: { name: string, observation: string, expires_at?: ISO8601, source_agent?: string, confidence?: number (0-1) }. Optional If-Match: <ETag> header; 409 if the entity has changed.',
                 'POST /observation/invalidate': 'Soft-delete an observation — sets t_invalid, preserves history. Body: { name: string, observation: string }',
                 'POST /relation': 'Create a directed relation between two entities. Body: { source: string, relation: string, target: string, expires_at?: ISO8601 }',
-                'POST /attest': 'Sign an observation with ECDSA. Body: { observation: { entity_id, attribute, value, observed_at, source, confidence }, privateKey: string }. Returns observation + signature.',
-                'POST /verify': 'Verify observation signature. Body: { observation: {...}, signature: {...} }. Returns { valid: bool, signer: address, authorized: bool }.'
+                'POST /subscriptions': 'Subscribe a webhook. Body: { url: https URL, not on a loopback, private or link-local address, entities?: string[], types?: string[], relations?: string[], source_agent?: string[], events?: ("create"|"observe"|"invalidate"|"relate")[] }. Every filter given must match. Returns the subscription with its secret (shown once) for verifying X-AEI-Signature. Deliveries carry { delivery, type, subscription, event } where event is the event log entry.',
+                'GET /subscriptions/<id>': 'Subscription details (without the secret) and its dead-letter count. Requires the X-Webhook-Secret: <secret> header (or an admin key).',
+                'GET /subscriptions/<id>/dead-letters?limit=<n>&cursor=<next_cursor>': 'Deliveries that failed every retry, with the last error and the undelivered payload. Requires the X-Webhook-Secret: <secret> header (or an admin key).',
+                'DELETE /subscriptions/<id>': 'Unsubscribe. Requires the X-Webhook-Secret: <secret> header.',
+                'POST /auth/nonce': 'Start a Sign-In with Ethereum. Body: { address?: 0x address, chain_id?: number (default 8453) }. Returns { nonce, issued_at, expires_at } and, with an address, the EIP-4361 message to sign. Nonces are single-use and last 10 minutes.',
+                'POST /auth/verify': 'Finish signing in. Body: { message: EIP-4361 message for this host, with a URI on this origin, signature: 0x r||s||v personal_sign signature }. Returns { token, address, chain_id, expires_at }; send the token as Authorization: Bearer <token>.',
+                'DELETE /auth/session': 'Sign out: revoke the session token sent in the Authorization header.',
+                'POST /admin/api-keys': 'Issue an API key (admin scope). Body: { name: string, scopes?: ("read"|"write"|"register"|"admin")[] (default read, write), quotas?: { entities?, observations?, relations?, reads?, sign_ins?, subscriptions?: per-hour limit, or null for none } or null for no limits }. Returns the key once; only its hash is stored.',
+                'GET /admin/api-keys': 'List API keys (admin scope): id, name, key prefix, scopes, quotas and creation time.',
+                'DELETE /admin/api-keys/<id>': 'Revoke an API key (admin scope).',
+                'POST /admin/wallet-grants': 'Let a signed-in address write (admin scope). Body: { address: 0x address, scopes: ("write"|"register")[] }. Replaces any earlier grant; sessions pick it up on their next request.',
+                'GET /admin/wallet-grants': 'List wallet grants (admin scope): address, scopes and grant time.',
+                'DELETE /admin/wallet-grants/<address>': 'Revoke a wallet grant (admin scope); the address\'s sessions go back to read only.',
+                'POST /observation/signed': 'Add a client-signed observation to observation.entity_id, stored as "<attribute>: <value>". Body: { observation: { entity_id, attribute: string, value: string|number|boolean, observed_at, source, confidence }, signature: { algorithm, scheme?, public_key: signer address, signature_hex: 65-byte r||s||v, message_hash }, scheme?: "eip712"|"legacy", expires_at?: ISO8601, quorum?: { threshold: k, signers: n addresses } }. Stored as "<attribute>: <value>" attributed to source. Submitting an observation already stored (same signed fields) co-signs it: the signature is added to its list, from any signer — or only the listed signers, with a quorum — once each, though only signers authorized for source or listed count as attesters; result has cosigned instead of added, plus attester_count, signer_trust and quorum. 400 if the signature or quorum is invalid, 403 if the signer is not authorized for source (new observations) or not a listed quorum signer, 502 if the source could not be looked up (ENS, ERC-8004), 409 if already submitted or attested by this signer, or if quorum differs from the one the first signature set. Optional If-Match: <ETag> header.',
+                'POST /attest': 'Deprecated — sign locally and use POST /observation/signed. Disabled unless ALLOW_SERVER_SIGNING is "true" (410 otherwise). Sign an observation with ECDSA. Body: { observation: { entity_id, attribute, value, observed_at, source, confidence }, privateKey: string, scheme?: "eip712" (default) | "legacy" }. Returns observation + signature.',
+                'POST /verify': 'Verify observation signature. Body: { observation: {...}, signature: {...}, scheme?: "eip712"|"legacy" }. The scheme is the one the signature names, else the scheme given, else legacy; 400 if they disagree. Returns { valid: bool, scheme, signer: address, authorized: bool, authorization: { authorized, method: "address"|"ens"|"erc8004"|null, reason, trail?: [{ lookup: "forward"|"reverse", name, address }], agent?: { chain_id, registry, agent_id, owner, relation: "owner"|"approved"|"operator"|null } } }.'
               },
               mcp: {
                 endpoint: 'POST /mcp',
                 protocol: 'MCP JSON-RPC 2.0 (Streamable HTTP transport)',
-                protocol_version: '2024-11-05',
-                description: 'Full MCP server with 7 tools: search_nodes, read_entity, read_graph, graph_stats, create_entity, add_observation, create_relation. Send initialize first, then tools/list to discover tools, then tools/call to use them.',
+                protocol_versions: SUPPORTED_PROTOCOL_VERSIONS,
+                transport: 'POST /mcp takes one JSON-RPC message or a batch and answers with JSON, or with an SSE stream when the Accept header asks only for text/event-stream or a request carries a progressToken; notifications alone get 202. initialize negotiates the protocol version and returns an Mcp-Session-Id header to send on later requests (GET /mcp with Accept: text/event-stream streams server notifications for the session, DELETE /mcp ends it). A session belongs to the API key or wallet session that initialized it (or to anonymous callers); anyone else gets 403. Requests without a session are served statelessly.',
+                description: `Full MCP server with ${MCP_TOOLS.length} tools: ${MCP_TOOLS.map(t => t.name).join(', ')}. Every REST capability except /suggest, /agents and webhook subscriptions has a tool backed by the same operation, with the same validation, error messages and rate limits. Send initialize first, then tools/list to discover tools, then tools/call to use them. Every tool declares an outputSchema and returns structuredContent in the same shape as the matching REST response, alongside a text rendering; failures such as an unknown entity come back as results with isError: true.`,
+                resources: 'Every entity is a resource at aei://entity/{name} (URI-encoded name) holding the same JSON as GET /entity/<name>. resources/list pages through them, resources/templates/list returns the template, resources/read reads one. Within a session, resources/subscribe queues notifications/resources/updated on the GET /mcp stream whenever the entity changes.',
+                prompts: `prompts/list and prompts/get: ${MCP_PROMPTS.map(p => `${p.name} (${p.arguments.map(a => a.name).join(', ')})`).join(', ')} — each returns messages with the entities embedded as resources.`,
                 example: '{"jsonrpc":"2.0","id":1,"method":"tools/call","params":{"name":"search_nodes","arguments":{"query":"memory"}}}'
               }
             },
@@ -1172,43 +1151,93 @@ export default {
         case '/search': {
           const q = url.searchParams.get('q');
           if (!q) return Response.json({ error: 'Query parameter q is required' }, { status: 400, headers: CORS_HEADERS });
-          const mcParam = url.searchParams.get('min_confidence');
-          const minConf = mcParam !== null ? parseFloat(mcParam) : null;
-          return handleSearch(env, request, q, isNaN(minConf) ? null : minConf);
+          const { asOf, error } = readAsOf(url);
+          if (error) return error;
+          return handleSearch(env, request, { ...Object.fromEntries(url.searchParams), query: q }, asOf);
+        }
+
+        case '/suggest': {
+          const prefix = url.searchParams.get('prefix');
+          if (!prefix) return Response.json({ error: 'Query parameter prefix is required' }, { status: 400, headers: CORS_HEADERS });
+          const limit = parseInt(url.searchParams.get('limit') || '10');
+          return handleSuggest(env, request, prefix, Math.min(Math.max(isNaN(limit) ? 10 : limit, 1), 50));
+        }
+
+        case '/path': {
+          if (!url.searchParams.get('from') || !url.searchParams.get('to')) {
+            return Response.json({ error: 'Query parameters from and to are required' }, { status: 400, headers: CORS_HEADERS });
+          }
+          return handlePath(env, request, Object.fromEntries(url.searchParams));
         }
 
         case '/stats':
-          return handleStats(env);
+          return handleStats(env, request);
+
+        case '/events':
+          return handleEvents(env, request, Object.fromEntries(url.searchParams));
+
+        case '/graph': {
+          const { asOf, error } = readAsOf(url);
+          if (error) return error;
+          return handleGraph(env, request, Object.fromEntries(url.searchParams), asOf);
+        }
+
+        case '/admin/api-keys':
+          return handleListApiKeys(env);
 
-        case '/graph':
-          return handleGraph(env);
+        case '/admin/wallet-grants':
+          return handleListWalletGrants(env);
 
         default:
           if (url.pathname.startsWith('/trust-score/')) {
             const entityId = decodeURIComponent(url.pathname.slice(13));
             return handleTrustScore(env, request, entityId);
           }
+          if (url.pathname.startsWith('/entity/') && url.pathname.endsWith('/neighborhood')) {
+            const name = decodeURIComponent(url.pathname.slice(8, -'/neighborhood'.length));
+            return handleNeighborhood(env, request, name, Object.fromEntries(url.searchParams));
+          }
+          if (url.pathname.startsWith('/subscriptions/') && url.pathname.endsWith('/dead-letters')) {
+            const id = decodeURIComponent(url.pathname.slice(15, -'/dead-letters'.length));
+            const { page, error } = parsePage(Object.fromEntries(url.searchParams));
+            if (error) return Response.json({ error }, { status: 400, headers: CORS_HEADERS });
+            return handleDeadLetters(env, request, id, page);
+          }
+          if (url.pathname.startsWith('/subscriptions/')) {
+            return handleSubscription(env, request, decodeURIComponent(url.pathname.slice(15)));
+          }
+          if (url.pathname.startsWith('/entity/') && url.pathname.endsWith('/history')) {
+            const name = decodeURIComponent(url.pathname.slice(8, -'/history'.length));
+            return handleEntityHistory(env, request, name, Object.fromEntries(url.searchParams));
+          }
           if (url.pathname.startsWith('/entity/')) {
             const name = decodeURIComponent(url.pathname.slice(8));
-            return handleEntity(env, request, name);
+            const { asOf, error } = readAsOf(url);
+            if (error) return error;
+            return handleEntity(env, request, name, asOf);
           }
           return Response.json({ error: 'Not found' }, { status: 404, headers: CORS_HEADERS });
       }
     }
 
     if (request.method === 'POST') {
+      const denied = requireScope(env, url.pathname in POST_SCOPES ? POST_SCOPES[url.pathname] : 'write');
+      if (denied) return denied;
+
       const body = await request.json().catch(() => null);
       if (!body) return Response.json({ error: 'Invalid JSON' }, { status: 400, headers: CORS_HEADERS });
 
       switch (url.pathname) {
-        case '/mcp':
-          return handleMcp(env, body);
+        case '/query':
+          return handleQuery(env, request, body);
         case '/entity':
           return handleCreateEntity(env, request, body);
         case '/observation':
           return handleAddObservation(env, request, body);
         case '/observation/invalidate':
           return handleInvalidateObservation(env, request, body);
+        case '/observation/signed':
+          return handleAddSignedObservation(env, request, body);
         case '/relation':
           return handleCreateRelation(env, request, body);
         case '/register-agent':
@@ -1217,11 +1246,50 @@ export default {
           return handleAttest(env, request, body);
         case '/verify':
           return handleVerify(env, request, body);
+        case '/subscriptions':
+          return handleCreateSubscription(env, request, body);
+        case '/admin/api-keys':
+          return handleCreateApiKey(env, body);
+        case '/admin/wallet-grants':
+          return handleGrantWallet(env, body);
+        case '/auth/nonce':
+          return handleSignIn(env, request, body, 'nonce');
+        case '/auth/verify':
+          return handleSignIn(env, request, body, 'verify');
         default:
           return Response.json({ error: 'Not found' }, { status: 404, headers: CORS_HEADERS });
       }
     }
 
+    if (request.method === 'DELETE') {
+      if (url.pathname === '/auth/session') {
+        return handleSignOut(env, request);
+      }
+      if (url.pathname.startsWith('/admin/api-keys/')) {
+        const denied = requireScope(env, 'admin');
+        if (denied) return denied;
+        return handleRevokeApiKey(env, decodeURIComponent(url.pathname.slice('/admin/api-keys/'.length)));
+      }
+      if (url.pathname.startsWith('/admin/wallet-grants/')) {
+        const denied = requireScope(env, 'admin');
+        if (denied) return denied;
+        return handleRevokeWalletGrant(env, decodeURIComponent(url.pathname.slice('/admin/wallet-grants/'.length)));
+      }
+      if (url.pathname.startsWith('/subscriptions/')) {
+        const denied = requireScope(env, 'write');
+        if (denied) return denied;
+        return handleDeleteSubscription(env, request, decodeURIComponent(url.pathname.slice(15)));
+      }
+      return Response.json({ error: 'Not found' }, { status: 404, headers: CORS_HEADERS });
+    }
+
     return Response.json({ error: 'Method not allowed' }, { status: 405, headers: CORS_HEADERS });
+  },
+
+  // Cron trigger (see wrangler.toml): retry failed webhook deliveries that are due
+  async scheduled(event, env, ctx) {
+    env = { ...env, KG_STORE: resolveStore(env.KG_STORE, env.KG_LOCKS) };
+    ctx.waitUntil(processWebhookRetries(env, new Date(event.scheduledTime)));
+    ctx.waitUntil(repairSearchIndex(env));
   }
 };
@@ -0,0 +1,264 @@
+/**
+ * Output schemas for the MCP tools
+ *
+ * Each tool returns structuredContent alongside its text rendering, in the
+ * same shape as the matching REST response — both come from the same
+ * operation in operations.js — so agents can consume either API the same way.
+ * Tool errors carry isError and no structuredContent.
+ */
+
+const string = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+const QUORUM = object({
+  threshold: { ...integer, description: 'Signatures needed (k)' },
+  signers: { ...nullable({ type: 'array', items: string }), description: 'The n signers that count; null on quorums stored before a list was required, which count no one' }
+}, ['threshold']);
+
+const QUORUM_STATUS = object({
+  ...QUORUM.properties,
+  count: { ...integer, description: 'Matching signatures that count towards the threshold' },
+  reached: boolean
+}, ['threshold', 'count', 'reached']);
+
+const OBSERVATION = object({
+  text: string,
+  score: { ...number, description: 'FadeMem decay score' },
+  observed_at: { ...string, description: 'When the fact was observed, as given by the writer' },
+  recorded_at: { ...string, description: 'When the server stored the observation; as_of reads filter on this' },
+  expires_at: string,
+  expired: boolean,
+  access_count: integer,
+  invalidated_at: string,
+  source_agent: string,
+  confidence: number,
+  effective_confidence: { ...number, description: 'Confidence × source reputation × time decay (searches with min_confidence)' },
+  attestation: object({
+    attribute: string,
+    value: { description: 'Signed value' },
+    source: string,
+    signatures: {
+      type: 'array',
+      description: 'Every verified signature: the first from a signer authorized for source, then co-signers',
+      items: object({
+        signer: string,
+        signature: { type: 'object' },
+        authorized: { ...boolean, description: 'The signer is authorized for source' },
+        verified_at: string
+      }, ['signer', 'signature'])
+    },
+    quorum: QUORUM
+  }, ['attribute', 'value', 'source']),
+  verified: { ...boolean, description: 'The stored observation still matches every signature' },
+  attester_count: { ...integer, description: 'Distinct signers authorized for source or listed in the quorum whose signature matches the stored observation' },
+  signer_trust: { ...number, description: '1 - Π(1 - reputation) over those signers, unscored signers adding nothing; reported where trust scores are loaded (entity reads, trust-aware searches)' },
+  quorum: QUORUM_STATUS
+}, ['text', 'score']);
+
+const ENTITY_RELATION = object({
+  direction: { type: 'string', enum: ['outgoing', 'incoming'] },
+  relation: string,
+  entity: string,
+  expires_at: string
+}, ['direction', 'relation', 'entity']);
+
+const ENTITY_PROPERTIES = {
+  name: string,
+  entityType: string,
+  observations: { type: 'array', items: OBSERVATION },
+  relations: { type: 'array', items: ENTITY_RELATION },
+  created: string,
+  updated: string
+};
+const ENTITY_REQUIRED = ['name', 'entityType', 'observations', 'relations'];
+
+const RELATION = object({ source: string, relation: string, target: string, expires_at: string }, ['source', 'relation', 'target']);
+
+const PAGE = { total: integer, limit: integer, next_cursor: nullable(string) };
+
+const EVENT = object({
+  id: string,
+  timestamp: string,
+  operation: string,
+  kind: { type: 'string', enum: ['entity', 'relation'] },
+  entities: { type: 'array', items: string },
+  actor: object({ source_agent: nullable(string), ip_hash: nullable(string), via: string, api_key: nullable(string), address: nullable(string) }),
+  before: nullable({ type: 'object' }),
+  after: nullable({ type: 'object' })
+}, ['id', 'timestamp', 'operation', 'kind', 'entities', 'actor']);
+
+const SCHEME = { type: 'string', enum: ['eip712', 'legacy'], description: 'Signing scheme: EIP-712 typed data, or the legacy "|"-joined message' };
+
+const TRUST_EDGE = object({ entity: string, relation: string, weight: number }, ['entity', 'relation', 'weight']);
+
+export const TOOL_OUTPUT_SCHEMAS = {
+  search_nodes: object({
+    query: string,
+    count: integer,
+    ...PAGE,
+    min_confidence: nullable(number),
+    filters: { type: 'object', description: 'The filter options that were applied' },
+    sort: string,
+    corrections: { type: 'object', description: 'Misspelled query terms and the index terms they were matched to' },
+    results: {
+      type: 'array',
+      items: object({
+        ...ENTITY_PROPERTIES,
+        score: number,
+        relevance: number,
+        highlights: { type: 'array', items: object({ observation: string, snippet: string }, ['observation', 'snippet']) }
+      }, [...ENTITY_REQUIRED, 'score', 'relevance', 'highlights'])
+    }
+  }, ['query', 'count', 'total', 'limit', 'next_cursor', 'results']),
+
+  read_entity: object({ ...ENTITY_PROPERTIES, resolved_from: string }, ENTITY_REQUIRED),
+
+  find_path: object({
+    from: string,
+    to: string,
+    direction: { type: 'string', enum: ['out', 'in', 'both'] },
+    max_depth: integer,
+    relations: nullable({ type: 'array', items: string }),
+    found: boolean,
+    length: nullable(integer),
+    paths: {
+      type: 'array',
+      items: object({ nodes: { type: 'array', items: string }, edges: { type: 'array', items: RELATION }, text: string }, ['nodes', 'edges', 'text'])
+    },
+    explored: integer
+  }, ['from', 'to', 'found', 'length', 'paths', 'explored']),
+
+  get_neighborhood: object({
+    center: string,
+    depth: integer,
+    direction: { type: 'string', enum: ['out', 'in', 'both'] },
+    relation_types: nullable({ type: 'array', items: string }),
+    types: nullable({ type: 'array', items: string }),
+    counts: object({ entities: integer, relations: integer }, ['entities', 'relations']),
+    truncated: object({ nodes: boolean, edges: boolean }, ['nodes', 'edges']),
+    entities: { type: 'array', items: object({ ...ENTITY_PROPERTIES, distance: integer }, [...ENTITY_REQUIRED, 'distance']) },
+    relations: { type: 'array', items: RELATION }
+  }, ['center', 'counts', 'truncated', 'entities', 'relations']),
+
+  read_graph: object({
+    entities: { type: 'array', items: object(ENTITY_PROPERTIES, ENTITY_REQUIRED) },
+    relations: { type: 'array', items: RELATION },
+    ...PAGE,
+    total_relations: integer
+  }, ['entities', 'relations', 'total', 'limit', 'next_cursor']),
+
+  query_graph: object({
+    columns: { type: 'array', items: string },
+    rows: { type: 'array', items: { type: 'object', description: 'One match: each column and its value' } },
+    count: integer,
+    truncated: boolean
+  }, ['columns', 'rows', 'count', 'truncated']),
+
+  entity_history: object({ entity: string, count: integer, ...PAGE, events: { type: 'array', items: EVENT } }, ['entity', 'count', 'total', 'limit', 'next_cursor', 'events']),
+
+  list_events: object({
+    since: nullable(string),
+    count: integer,
+    limit: integer,
+    next_cursor: nullable(string),
+    events: { type: 'array', items: EVENT }
+  }, ['since', 'count', 'limit', 'next_cursor', 'events']),
+
+  trust_score: object({
+    entity_id: string,
+    reputation_score: number,
+    last_updated: string,
+    based_on: object({
+      trust_edges_out: integer,
+      trust_edges_in: integer,
+      trusts: { type: 'array', items: TRUST_EDGE },
+      trusted_by: { type: 'array', items: TRUST_EDGE }
+    }, ['trust_edges_out', 'trust_edges_in', 'trusts', 'trusted_by'])
+  }, ['entity_id', 'reputation_score', 'based_on']),
+
+  graph_stats: object({
+    entities: integer,
+    relations: integer,
+    observations: object({ active: integer, expired: integer }, ['active', 'expired']),
+    decay: object({ avg_score: number, half_life_days: number }, ['avg_score', 'half_life_days']),
+    types: { type: 'object', additionalProperties: integer, description: 'Entity count per type' }
+  }, ['entities', 'relations', 'observations', 'decay', 'types']),
+
+  create_entity: object({ created: string, entityType: string }, ['created', 'entityType']),
+
+  add_observation: object({
+    added: string,
+    to: string,
+    expires_at: string,
+    source_agent: string,
+    confidence: number
+  }, ['added', 'to']),
+
+  invalidate_observation: object({ invalidated: string, on: string, t_invalid: string, note: string }, ['invalidated', 'on', 't_invalid']),
+
+  create_relation: object({ created: string }, ['created']),
+
+  register_agent: object({ success: boolean, agent: string, observations: integer, message: string, linked: object({ address: string, identity: string }) }, ['success', 'agent', 'observations', 'message']),
+
+  add_signed_observation: object({
+    added: { ...string, description: 'Set when the observation is new' },
+    cosigned: { ...string, description: 'Set when the signature was added to a stored observation' },
+    to: string,
+    source: string,
+    signer: string,
+    scheme: SCHEME,
+    verified: boolean,
+    attester_count: integer,
+    signer_trust: number,
+    quorum: QUORUM_STATUS
+  }, ['to', 'source', 'signer', 'scheme', 'verified', 'attester_count', 'signer_trust']),
+
+  attest_observation: object({
+    observation: { type: 'object' },
+    signature: object({
+      algorithm: string,
+      scheme: SCHEME,
+      public_key: { ...string, description: 'Signer address' },
+      signature_hex: string,
+      message_hash: string
+    }, ['algorithm', 'public_key', 'signature_hex', 'message_hash']),
+    info: string,
+    deprecated: string
+  }, ['observation', 'signature']),
+
+  verify_observation: object({
+    valid: boolean,
+    scheme: SCHEME,
+    signer: string,
+    authorized: boolean,
+    authorization: object({
+      authorized: boolean,
+      method: { ...nullable(string), enum: ['address', 'ens', 'erc8004', null] },
+      reason: string,
+      trail: {
+        type: 'array',
+        description: 'ENS lookups made: forward (name → address), then reverse (signer → primary name)',
+        items: object({
+          lookup: { type: 'string', enum: ['forward', 'reverse'] },
+          name: nullable(string),
+          address: nullable(string),
+          error: string
+        }, ['lookup', 'name', 'address'])
+      },
+      agent: object({
+        chain_id: integer,
+        registry: string,
+        agent_id: { ...string, description: 'ERC-8004 token id' },
+        owner: string,
+        relation: { ...nullable(string), enum: ['owner', 'approved', 'operator', null] }
+      }, ['chain_id', 'registry', 'agent_id']),
+      error: { ...string, description: 'Set when the chain could not be read' }
+    }, ['authorized', 'method', 'reason']),
+    error: nullable(string),
+    info: string
+  }, ['valid'])
+};
@@ -0,0 +1,417 @@
+/**
+ * MCP tools of the AEI
+ *
+ * One tool per REST capability, each backed by the same operation in
+ * operations.js, so arguments are validated and rejected exactly as the REST
+ * body or query string is. A tool is:
+ *   name, description, inputSchema, outputSchema   as listed by tools/list
+ *   scope    the API-key scope its REST route needs (see api-keys.js)
+ *   rate     the RATE_LIMITS bucket its REST route counts against (null: none)
+ *   run      (env, args, { actor }) → the REST response body (structuredContent)
+ *   render   result → the text content for the model
+ * Operation failures become tool results with isError (see mcpDispatch).
+ *
+ * REST-only: /suggest (use search_nodes or the tolerant name matching of the
+ * other tools), /agents (search_nodes with type "agent") and webhook
+ * subscriptions, which need a callback URL rather than a model.
+ */
+
+import { TOOL_OUTPUT_SCHEMAS } from './mcp-schemas.js';
+import { MAX_PAGE_LIMIT } from './pagination.js';
+import { SIGNATURE_SCHEMES } from './crypto-utils.js';
+import {
+  searchNodes,
+  readEntity,
+  findPath,
+  readNeighborhood,
+  readGraph,
+  graphStats,
+  queryGraph,
+  entityHistory,
+  listEvents,
+  trustScore,
+  createEntity,
+  addObservation,
+  invalidateObservation,
+  createRelation,
+  registerAgent,
+  attestObservation,
+  submitSignedObservation,
+  verifyObservation
+} from './operations.js';
+
+export const MCP_PAGE_LIMIT = 20; // Tool results are text for a model's context — keep pages small
+
+const PAGE_PROPERTIES = {
+  limit: { type: 'number', description: `Items per page (default ${MCP_PAGE_LIMIT}, max ${MAX_PAGE_LIMIT})` },
+  cursor: { type: 'string', description: 'next_cursor from the previous page, to continue the listing' }
+};
+
+const ATTESTATION_SCHEMA = {
+  type: 'object',
+  description: 'The attested observation',
+  properties: {
+    entity_id: { type: 'string', description: 'Entity the observation is about' },
+    attribute: { type: 'string', description: 'Attribute observed (e.g. "status")' },
+    value: { description: 'Observed value' },
+    observed_at: { type: 'string', description: 'ISO 8601 time of the observation' },
+    source: { type: 'string', description: 'Who vouches for it: the signer address, an ENS name resolving to the signer, or an ERC-8004 agent on Base ("erc8004:<agentId>") the signer owns or is a delegate of' },
+    confidence: { type: 'number', description: 'Confidence 0-1' }
+  },
+  required: ['entity_id', 'attribute', 'value', 'observed_at', 'source', 'confidence']
+};
+
+const SCHEME_ARG = {
+  type: 'string',
+  enum: SIGNATURE_SCHEMES,
+  description: 'Signing scheme of the signature, if it does not name one: eip712 (typed data) or legacy ("|"-joined message, the default for signatures without a scheme)'
+};
+
+function pageFooter(shown, total, nextCursor) {
+  if (!nextCursor) return shown < total ? `\n\n(${shown} of ${total} shown)` : '';
+  return `\n\n(${shown} of ${total} shown — call again with cursor "${nextCursor}" for more)`;
+}
+
+function relationLines(relations) {
+  return relations.map(r => r.direction === 'outgoing' ? `  → ${r.relation} → ${r.entity}` : `  ← ${r.relation} ← ${r.entity}`).join('\n');
+}
+
+function observationLine(o, scoreLabel = '') {
+  const confidence = o.effective_confidence !== undefined ? `, effective confidence ${o.effective_confidence.toFixed(3)}` : '';
+  return `  • ${o.text} [${scoreLabel}${o.score.toFixed(3)}${confidence}]`;
+}
+
+function summaryLine(entity) {
+  return `[${entity.entityType}] ${entity.name}: ${entity.observations.slice(0, 2).map(o => o.text).join('; ')}`;
+}
+
+function eventLines(events) {
+  return events.map(e => {
+    const who = [e.actor.source_agent, `via ${e.actor.via}`].filter(Boolean).join(' ');
+    return `  ${e.timestamp} ${e.operation} ${e.entities.join(' → ')} (${who}) [${e.id}]`;
+  }).join('\n');
+}
+
+function cell(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+export const MCP_TOOLS = [
+  {
+    name: 'search_nodes',
+    description: 'Search the Agentic Economy Index by keyword. Words are matched independently (with stemming) and results are ranked by BM25 relevance combined with FadeMem decay score — entities matching more of your words, and recently observed or frequently accessed knowledge, rank higher. Each result shows highlighted snippets of the observations that matched. Covers agents, platforms, protocols, tools, and concepts. Try queries like "memory", "x402 payments", "agent identity", or specific names like "Aineko". Optional filters narrow results by type, relation, observation source or dates; sort reorders them; min_confidence keeps only entities with an observation whose trust-weighted confidence reaches it (same options as REST /search).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'One or more keywords to search for across entity names, types, and observations' },
+        type: { type: 'string', description: 'Only entities of this type, or several comma-separated (e.g. "agent", "protocol,standard")' },
+        has_relation: { type: 'string', description: 'Only entities with an active relation "relation:Entity" in either direction (e.g. "runs_on:NanoClaw"); either side may be "*"' },
+        source_agent: { type: 'string', description: 'Only entities with an observation recorded by this agent (e.g. "self-registered")' },
+        observed_after: { type: 'string', description: 'ISO 8601 — only entities with an observation observed at or after this time' },
+        observed_before: { type: 'string', description: 'ISO 8601 — only entities with an observation observed at or before this time' },
+        updated_since: { type: 'string', description: 'ISO 8601 — only entities updated at or after this time' },
+        include_expired: { type: 'boolean', description: 'Also match and show expired observations and relations (default false)' },
+        sort: { type: 'string', enum: ['score', 'trust', 'updated', 'created'], description: 'Result order: score (relevance × freshness, default), trust (PageRank), updated or created (newest first)' },
+        min_confidence: { type: 'number', description: 'Trust filter, 0-1: effective confidence = confidence × source reputation × time decay. Each observation then reports its effective_confidence.' },
+        limit: { type: 'number', description: `Results per page (default ${MCP_PAGE_LIMIT}, max ${MAX_PAGE_LIMIT})` },
+        cursor: PAGE_PROPERTIES.cursor
+      },
+      required: ['query']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.search_nodes,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => searchNodes(env, args, { defaultLimit: MCP_PAGE_LIMIT }),
+    render: r => {
+      if (r.count === 0) return `No results for "${r.query}"`;
+      const corrected = Object.entries(r.corrections || {}).map(([from, to]) => `${from} → ${to.join(' / ')}`);
+      return (corrected.length ? `(matched misspelled terms: ${corrected.join(', ')})\n\n` : '') +
+        r.results.map(e => {
+          const matched = e.highlights.length ? '\n' + e.highlights.map(h => `  ↳ ${h.snippet}`).join('\n') : '';
+          return `[${e.entityType}] ${e.name} (score: ${e.score.toFixed(3)})${matched}\n${e.observations.map(o => observationLine(o)).join('\n')}${e.relations.length ? '\n' + relationLines(e.relations) : ''}`;
+        }).join('\n\n') + pageFooter(r.count, r.total, r.next_cursor);
+    }
+  },
+  {
+    name: 'read_entity',
+    description: 'Read a specific entity by name. Returns all active observations (each with a FadeMem decay score from 0-2+), relations to other entities, and timestamps. Observation scores reflect how fresh and frequently-accessed the knowledge is. Names differing only in case or by a small typo resolve to the matching entity; otherwise close names are suggested.',
+    inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Entity name. Case and small typos are tolerated; use search_nodes first if unsure of the name.' } }, required: ['name'] },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.read_entity,
+    scope: 'read',
+    rate: 'reads',
+    run: async (env, args) => (await readEntity(env, args.name)).result,
+    render: e => `${e.resolved_from ? `(resolved "${e.resolved_from}" to "${e.name}")\n` : ''}[${e.entityType}] ${e.name}\n${e.observations.map(o => observationLine(o, 'score: ')).join('\n')}${e.relations.length ? '\nRelations:\n' + relationLines(e.relations) : ''}`
+  },
+  {
+    name: 'find_path',
+    description: 'Find how two entities are connected: the shortest path(s) of relations between them, e.g. KlausWorks → collaborates_with → Orac → uses → x402. Optionally restrict relation types, direction (out follows source→target, in follows target→source) and hop count. Expired relations are skipped unless include_expired is set.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', description: 'Starting entity name' },
+        to: { type: 'string', description: 'Destination entity name' },
+        relations: { type: 'array', items: { type: 'string' }, description: 'Only follow these relation types (e.g. ["collaborates_with", "uses"])' },
+        direction: { type: 'string', enum: ['out', 'in', 'both'], description: 'Edge direction to follow (default both)' },
+        max_depth: { type: 'number', description: 'Maximum number of hops (default 4, max 6)' },
+        limit: { type: 'number', description: 'Maximum number of shortest paths to return (default 5, max 20)' },
+        include_expired: { type: 'boolean', description: 'Also follow expired relations (default false)' }
+      },
+      required: ['from', 'to']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.find_path,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => findPath(env, args),
+    render: r => !r.found
+      ? `No path from ${r.from} to ${r.to} within ${r.max_depth} hops (${r.explored} entities explored).`
+      : `${r.paths.length} shortest path(s) of length ${r.length}:\n${r.paths.map(p => `  ${p.text}`).join('\n')}`
+  },
+  {
+    name: 'get_neighborhood',
+    description: 'Get the subgraph around an entity: every entity within depth hops (with its distance) and the relations among them. Optionally follow only some relation types, reach only some entity types, or fix the direction. Same options as REST /entity/<name>/neighborhood.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Center entity name' },
+        depth: { type: 'number', description: 'Hops from the center (default 2, max 6)' },
+        relations: { type: 'array', items: { type: 'string' }, description: 'Only follow these relation types' },
+        types: { type: 'array', items: { type: 'string' }, description: 'Only reach entities of these types (e.g. ["agent", "platform"])' },
+        direction: { type: 'string', enum: ['out', 'in', 'both'], description: 'Edge direction to follow (default both)' },
+        max_nodes: { type: 'number', description: 'Entity cap (default 100, max 500)' },
+        max_edges: { type: 'number', description: 'Relation cap (default 500, max 2000)' },
+        include_expired: { type: 'boolean', description: 'Also follow expired relations (default false)' }
+      },
+      required: ['name']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.get_neighborhood,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => readNeighborhood(env, args.name, args),
+    render: r => {
+      const truncated = r.truncated.nodes || r.truncated.edges ? ' (truncated — raise max_nodes/max_edges for more)' : '';
+      return `${r.counts.entities} entities and ${r.counts.relations} relations within ${r.depth} hop(s) of ${r.center}${truncated}\n\n` +
+        r.entities.map(e => `  ${e.distance} ${summaryLine(e)}`).join('\n') +
+        (r.relations.length ? '\n\nRelations:\n' + r.relations.map(rel => `  ${rel.source} → ${rel.relation} → ${rel.target}`).join('\n') : '');
+    }
+  },
+  {
+    name: 'read_graph',
+    description: 'Read the Agentic Economy Index page by page — entities in name order with a compact summary of each (name, type, first 2 observations). Pass the returned cursor to get the next page. Useful for getting a complete picture or building a local copy.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'number', description: `Entities per page (default ${MCP_PAGE_LIMIT}, max ${MAX_PAGE_LIMIT})` },
+        cursor: PAGE_PROPERTIES.cursor
+      }
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.read_graph,
+    scope: 'read',
+    rate: null,
+    run: (env, args) => readGraph(env, args, { defaultLimit: MCP_PAGE_LIMIT }),
+    render: r => `${r.total} entities, ${r.total_relations} relations\n\n${r.entities.map(summaryLine).join('\n')}${pageFooter(r.entities.length, r.total, r.next_cursor)}`
+  },
+  {
+    name: 'graph_stats',
+    description: 'Get statistics about the Agentic Economy Index: total entities, relations, observations (active vs expired), average FadeMem decay score, and entity type distribution. Useful for understanding the scope and health of the index.',
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.graph_stats,
+    scope: 'read',
+    rate: null,
+    run: env => graphStats(env),
+    render: s => `Entities: ${s.entities}, Relations: ${s.relations}, Active Observations: ${s.observations.active}\nAvg decay score: ${s.decay.avg_score.toFixed(3)}, Half-life: ${s.decay.half_life_days} days\nTypes: ${Object.entries(s.types).map(([t, c]) => `${t}:${c}`).join(', ')}`
+  },
+  {
+    name: 'query_graph',
+    description: 'Match a pattern against the graph, like a small Cypher: named node variables with predicates on type, name, trust, created, updated or observation text, edges between them, and the columns to return. Example: {"nodes":{"a":{"type":"agent","trust":{"gt":0.6}},"p":{"name":"NanoClaw"}},"edges":[{"from":"a","relation":"runs_on","to":"p"}],"return":["a.name","a.trust"]}. Same language as REST POST /query.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        nodes: { type: 'object', description: 'Variable → { type, name, trust, created, updated, observation }. Predicates are literals or { eq, ne, in, contains, prefix, gt, gte, lt, lte, exists }; an observation string means text contains.' },
+        edges: { type: 'array', items: { type: 'object' }, description: 'Edges [{ from, to, relation, direction: out|both, as }]' },
+        return: { type: 'array', items: { type: 'string' }, description: 'Columns, e.g. ["a.name", "a.trust", "r.relation"]' },
+        limit: { type: 'number', description: 'Maximum rows' },
+        distinct: { type: 'boolean', description: 'Drop duplicate rows' },
+        include_expired: { type: 'boolean', description: 'Also match expired observations and relations (default false)' }
+      },
+      required: ['nodes', 'return']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.query_graph,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => queryGraph(env, args),
+    render: r => r.count === 0 ? 'No matches'
+      : `${r.count} row(s)${r.truncated ? ' (truncated — raise limit for more)' : ''}\n${r.columns.join(' | ')}\n${r.rows.map(row => r.columns.map(c => cell(row[c])).join(' | ')).join('\n')}`
+  },
+  {
+    name: 'entity_history',
+    description: 'Every recorded write touching an entity, oldest first: creation, observations added or invalidated, relations in either direction and agent registrations, each with the actor and the state before and after.',
+    inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Exact entity name' }, ...PAGE_PROPERTIES }, required: ['name'] },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.entity_history,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => entityHistory(env, args.name, args, { defaultLimit: MCP_PAGE_LIMIT }),
+    render: r => r.total === 0 ? `No recorded writes for ${r.entity}`
+      : `History of ${r.entity}:\n${eventLines(r.events)}${pageFooter(r.count, r.total, r.next_cursor)}`
+  },
+  {
+    name: 'list_events',
+    description: 'The mutation event log across the whole graph, oldest first. Pass since (an ISO 8601 time, or the id of the last event you saw) to see only newer writes.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: { type: 'string', description: 'ISO 8601 time, or an event id (exclusive) to continue after it' },
+        ...PAGE_PROPERTIES
+      }
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.list_events,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => listEvents(env, args, { defaultLimit: MCP_PAGE_LIMIT }),
+    render: r => (r.count === 0 ? `No events${r.since ? ` since ${r.since}` : ''}` : eventLines(r.events)) +
+      (r.next_cursor ? `\n\n(more — call again with cursor "${r.next_cursor}")` : '')
+  },
+  {
+    name: 'trust_score',
+    description: 'Get the PageRank reputation score (0-1) of an entity, computed from trust relations (trusts, collaborates_with, depends_on, ...), and the trust edges it rests on. Same as REST /trust-score/<entity>.',
+    inputSchema: { type: 'object', properties: { entity_id: { type: 'string', description: 'Exact entity name' } }, required: ['entity_id'] },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.trust_score,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => trustScore(env, args.entity_id),
+    render: r => {
+      const edges = list => list.map(t => `${t.entity} (${t.relation})`).join(', ') || 'none';
+      return `${r.entity_id}: reputation ${r.reputation_score.toFixed(3)}\nTrusts: ${edges(r.based_on.trusts)}\nTrusted by: ${edges(r.based_on.trusted_by)}`;
+    }
+  },
+  {
+    name: 'create_entity',
+    description: 'Create a new entity in the Agentic Economy Index. This index is collaborative — contributions welcome. Entity types include: agent, person, platform, protocol, standard, tool, concept, lesson, capability. Observations are facts about the entity.',
+    inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Entity name (e.g., "MyAgent", "NewProtocol")' }, entityType: { type: 'string', description: 'One of: agent, person, platform, protocol, standard, tool, concept, lesson, capability' }, observations: { type: 'array', items: { type: 'string' }, description: 'Initial facts about this entity (e.g., ["Built on Claude", "Focuses on code review"])' }, source_agent: { type: 'string', description: 'Your agent name — who is recording the observations (defaults to "orac" if omitted)' }, confidence: { type: 'number', description: 'Your confidence in the observations, 0-1 (defaults to 1.0)' } }, required: ['name', 'entityType'] },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.create_entity,
+    scope: 'write',
+    rate: 'entities',
+    run: async (env, args, { actor }) => (await createEntity(env, args, { actor })).result,
+    render: r => `Created: ${r.created} (${r.entityType})`
+  },
+  {
+    name: 'add_observation',
+    description: 'Add a new observation (fact) to an existing entity. Observations are timestamped and scored by FadeMem decay. Include source_agent (your agent name) and confidence (0-1) for provenance tracking. Use expires_at for time-limited facts.',
+    inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Exact name of the entity to add the observation to' }, observation: { type: 'string', description: 'The fact to record (e.g., "Released v2.0 with streaming support")' }, expires_at: { type: 'string', description: 'Optional ISO 8601 datetime when this fact becomes stale (e.g., "2026-03-01T00:00:00Z")' }, source_agent: { type: 'string', description: 'Your agent name — who is making this observation (defaults to "orac" if omitted)' }, confidence: { type: 'number', description: 'Your confidence in this observation, 0-1 (defaults to 1.0)' } }, required: ['name', 'observation'] },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.add_observation,
+    scope: 'write',
+    rate: 'observations',
+    run: async (env, args, { actor }) => (await addObservation(env, args, { actor })).result,
+    render: r => `Added to "${r.to}": ${r.added}` + (r.expires_at ? ` (expires: ${r.expires_at})` : '') + (r.source_agent ? ` [source: ${r.source_agent}]` : '')
+  },
+  {
+    name: 'invalidate_observation',
+    description: 'Soft-delete an observation — marks it as invalid (sets t_invalid timestamp) without removing it from history. Use when a fact was wrong or has been superseded. The observation will no longer appear in searches but is preserved for audit purposes.',
+    inputSchema: { type: 'object', properties: { name: { type: 'string', description: 'Exact name of the entity' }, observation: { type: 'string', description: 'Exact text of the observation to invalidate' } }, required: ['name', 'observation'] },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.invalidate_observation,
+    scope: 'write',
+    rate: 'observations',
+    run: async (env, args, { actor }) => (await invalidateObservation(env, args, { actor })).result,
+    render: r => `Invalidated observation on "${r.on}": ${r.invalidated}`
+  },
+  {
+    name: 'create_relation',
+    description: 'Create a directed relation between two existing entities. Use active-voice relation types: collaborates_with, runs_on, active_on, registered_on, uses, contacted, built, explores, engaged_with, depends_on, implements. Optional expires_at for temporary relationships.',
+    inputSchema: { type: 'object', properties: { source: { type: 'string', description: 'Source entity name (the subject)' }, relation: { type: 'string', description: 'Relation type in active voice (e.g., "collaborates_with", "uses", "runs_on")' }, target: { type: 'string', description: 'Target entity name (the object)' }, expires_at: { type: 'string', description: 'Optional ISO 8601 datetime when this relation expires' } }, required: ['source', 'relation', 'target'] },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.create_relation,
+    scope: 'write',
+    rate: 'relations',
+    run: (env, args, { actor }) => createRelation(env, args, { actor }),
+    render: r => `Created: ${r.created}`
+  },
+  {
+    name: 'register_agent',
+    description: 'Register yourself (or update your profile) as an agent in the index. Details become self-registered observations, and active_on/runs_on relations are added for the platforms you name. Registering again merges new details into the existing profile.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Agent name' },
+        description: { type: 'string', description: 'What the agent is and does' },
+        twitter: { type: 'string', description: 'Twitter/X handle' },
+        moltbook: { type: 'string', description: 'Moltbook username' },
+        platform: { type: 'string', description: 'Platform the agent runs on (linked with runs_on if indexed, e.g. "NanoClaw")' },
+        verified_via: { type: 'string', description: 'How the identity can be verified (e.g. "ERC-8004 #6588")' },
+        identity: { type: 'string', description: 'ENS name, ERC-8004 agent ("erc8004:<agentId>") or address your signed-in wallet controls; links the wallet to this agent so its signatures carry the agent\'s reputation' }
+      },
+      required: ['name']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.register_agent,
+    scope: 'register',
+    rate: 'entities',
+    run: (env, args, { actor }) => registerAgent(env, args, { actor }),
+    render: r => `${r.message}: ${r.agent} (${r.observations} observation(s))`
+  },
+  {
+    name: 'add_signed_observation',
+    description: 'Add an observation you signed locally (signObservation, ECDSA secp256k1) to the entity named by observation.entity_id. The signature is checked, the signer must be authorized for observation.source, and the signature is stored with the observation. Submitting an observation that is already stored co-signs it: independent attesters add their signature over the same observation, and an optional k-of-n quorum reports when enough have. Same as REST POST /observation/signed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        observation: ATTESTATION_SCHEMA,
+        signature: { type: 'object', description: 'The signature object from signObservation: algorithm, scheme, public_key (signer address), signature_hex (65-byte r||s||v), message_hash' },
+        scheme: SCHEME_ARG,
+        expires_at: { type: 'string', description: 'Optional ISO 8601 datetime when this fact becomes stale' },
+        quorum: {
+          type: 'object',
+          description: 'Optional k-of-n quorum, set by the first signature: threshold signatures needed from the listed signers',
+          properties: {
+            threshold: { type: 'integer', minimum: 1 },
+            signers: { type: 'array', items: { type: 'string' }, description: 'Signer addresses that count towards the threshold' }
+          },
+          required: ['threshold', 'signers']
+        }
+      },
+      required: ['observation', 'signature']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.add_signed_observation,
+    scope: 'write',
+    rate: 'observations',
+    run: async (env, args, { actor }) => (await submitSignedObservation(env, args, { actor })).result,
+    render: r => {
+      const quorum = r.quorum ? `, quorum ${r.quorum.count}/${r.quorum.threshold}${r.quorum.reached ? ' reached' : ''}` : '';
+      return r.cosigned
+        ? `Co-signed on "${r.to}": ${r.cosigned} [${r.attester_count} attesters${quorum}]`
+        : `Added to "${r.to}": ${r.added} [signed by ${r.signer} for ${r.source}${quorum}]`;
+    }
+  },
+  {
+    name: 'attest_observation',
+    description: 'Deprecated: sign locally and use add_signed_observation instead — this sends your private key to the server, and is disabled unless the server allows it. Signs an observation with an ECDSA secp256k1 key (Ethereum-compatible). Same as REST POST /attest.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        observation: ATTESTATION_SCHEMA,
+        privateKey: { type: 'string', description: 'Hex secp256k1 private key to sign with' },
+        scheme: { ...SCHEME_ARG, description: 'Signing scheme (default eip712)' }
+      },
+      required: ['observation', 'privateKey']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.attest_observation,
+    scope: 'write',
+    rate: 'observations',
+    run: (env, args) => attestObservation(env, args),
+    render: r => `Signed by ${r.signature.public_key}:\n${JSON.stringify(r.signature, null, 2)}\n\n${r.deprecated}`
+  },
+  {
+    name: 'verify_observation',
+    description: 'Verify an attested observation: checks the signature and whether the signer is authorized for the observation\'s source (the source address itself, the address its ENS name resolves to, or the owner or a delegate of the ERC-8004 agent it names, read from the Base registry). Same as REST POST /verify.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        observation: ATTESTATION_SCHEMA,
+        signature: { type: 'object', description: 'The signature object returned by attest_observation' },
+        scheme: SCHEME_ARG
+      },
+      required: ['observation', 'signature']
+    },
+    outputSchema: TOOL_OUTPUT_SCHEMAS.verify_observation,
+    scope: 'read',
+    rate: 'reads',
+    run: (env, args) => verifyObservation(env, args),
+    render: r => r.valid ? `${r.info} (${r.scheme})` : `Invalid ${r.scheme} signature: ${r.error}`
+  }
+];
@@ -0,0 +1,431 @@
+/**
+ * MCP Streamable HTTP transport for the AEI
+ *
+ * The protocol plumbing of the single /mcp endpoint. What each method does
+ * lives in index.js (mcpDispatch); this module only moves JSON-RPC messages.
+ *
+ *   POST /mcp    one JSON-RPC message or a batch. Requests are answered with
+ *                JSON (an object, or an array for a batch), or with an SSE
+ *                stream when the client accepts only text/event-stream or asks
+ *                for progress (params._meta.progressToken). Notifications and
+ *                responses alone get 202 Accepted with no body.
+ *   GET /mcp     SSE stream of server-to-client messages for a session
+ *   DELETE /mcp  end a session
+ *
+ * Sessions: initialize negotiates the protocol version and answers with an
+ * Mcp-Session-Id header for the client to echo. Sessions live in KV:
+ *   <GRAPH_KEY>:mcp-session:<id>              { id, principal, protocolVersion, clientInfo, initialized, subscriptions, created, last_seen }
+ *   <GRAPH_KEY>:mcp-outbox:<id>               { rev, next_id, messages: [{ id, queued, message }] }
+ *   <GRAPH_KEY>:mcp-resource-sub:<uri>:<id>   the session subscribed to the resource (uri URI-encoded)
+ * Requests without a session id are still served (stateless clients), but an
+ * unknown or ended session is a 404 so the client knows to initialize again.
+ * A session belongs to the caller that initialized it (principal: the id of
+ * its API key or wallet session, null when anonymous); anyone else sending
+ * its id gets a 403.
+ *
+ * The outbox is one versioned document per session, read with a single get
+ * (KV list is eventually consistent, so listing per-message keys could miss
+ * or repeat messages). A GET /mcp stream polls it with backoff while idle.
+ * Messages carry increasing ids, sent as the SSE event id: the stream only
+ * sends ids above the client's Last-Event-ID and the last id it sent, and
+ * removes what it sent from the outbox, so a message is not delivered twice.
+ */
+
+import { listAllKeys } from './storage.js';
+import { loadDocument, updateDocument, deleteDocument } from './graph-store.js';
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+// Assumed for requests that carry neither a session nor MCP-Protocol-Version
+const DEFAULT_PROTOCOL_VERSION = '2025-03-26';
+
+export const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SESSION_NOT_FOUND: -32001,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+const SESSION_TTL = 24 * 60 * 60;           // seconds; refreshed while the session is in use
+const SESSION_REFRESH_MS = 60 * 60 * 1000;
+const OUTBOX_TTL = 60 * 60;                 // seconds an undelivered server message is kept
+const MAX_OUTBOX = 1000;                    // undelivered messages kept per session, oldest dropped first
+const STREAM_POLL_MIN_MS = 1000;            // Idle polling doubles from this...
+const STREAM_POLL_MAX_MS = 10000;           // ...up to this
+const STREAM_KEEPALIVE_MS = 15000;
+const STREAM_MAX_MS = 5 * 60 * 1000;        // Clients reconnect after the stream ends
+const STREAM_RETRY_MS = 3000;
+
+/**
+ * A JSON-RPC error to return for one request.
+ */
+export class McpError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function errorMessage(id, code, message, data) {
+  return { jsonrpc: '2.0', id: id ?? null, error: data === undefined ? { code, message } : { code, message, data } };
+}
+
+function sessionKey(env, id) {
+  return `${env.GRAPH_KEY}:mcp-session:${id}`;
+}
+
+function outboxKind(id) {
+  return `mcp-outbox:${id}`;
+}
+
+function resourceSubPrefix(env, uri) {
+  return `${env.GRAPH_KEY}:mcp-resource-sub:${encodeURIComponent(uri)}:`;
+}
+
+// --- Sessions ---
+
+async function saveSession(env, session) {
+  await env.KG_STORE.put(sessionKey(env, session.id), JSON.stringify(session), { expirationTtl: SESSION_TTL });
+}
+
+export async function loadSession(env, id) {
+  return env.KG_STORE.get(sessionKey(env, id), 'json');
+}
+
+// Who a session belongs to: the caller's principal id, or null when anonymous
+function principalId(env) {
+  return env.principal?.id ?? null;
+}
+
+async function startSession(env, params) {
+  const requested = params?.protocolVersion;
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    principal: principalId(env),
+    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : LATEST_PROTOCOL_VERSION,
+    clientInfo: params?.clientInfo || null,
+    initialized: false,
+    subscriptions: [],
+    created: now,
+    last_seen: now
+  };
+  await saveSession(env, session);
+  return session;
+}
+
+async function touchSession(env, session) {
+  if (Date.now() - new Date(session.last_seen).getTime() < SESSION_REFRESH_MS) return;
+  session.last_seen = new Date().toISOString();
+  await saveSession(env, session);
+  // Subscriptions live as long as their session
+  for (const uri of session.subscriptions || []) {
+    await env.KG_STORE.put(resourceSubPrefix(env, uri) + session.id, '1', { expirationTtl: SESSION_TTL });
+  }
+}
+
+/**
+ * Queue a server-to-client message (a notification) for a session. It is
+ * sent on the session's next GET /mcp stream, at most once.
+ */
+export async function enqueueSessionMessage(env, sessionId, message) {
+  await updateDocument(env, outboxKind(sessionId), doc => {
+    const outbox = doc || { next_id: 1, messages: [] };
+    const cutoff = Date.now() - OUTBOX_TTL * 1000;
+    outbox.messages = outbox.messages.filter(m => new Date(m.queued).getTime() > cutoff).slice(-(MAX_OUTBOX - 1));
+    outbox.messages.push({ id: outbox.next_id++, queued: new Date().toISOString(), message });
+    return outbox;
+  }, { expirationTtl: OUTBOX_TTL });
+}
+
+// --- Resource subscriptions ---
+
+/**
+ * Subscribe a session to change notifications for a resource URI.
+ */
+export async function subscribeResource(env, session, uri) {
+  await env.KG_STORE.put(resourceSubPrefix(env, uri) + session.id, '1', { expirationTtl: SESSION_TTL });
+  session.subscriptions = [...new Set([...(session.subscriptions || []), uri])];
+  await saveSession(env, session);
+}
+
+export async function unsubscribeResource(env, session, uri) {
+  await env.KG_STORE.delete(resourceSubPrefix(env, uri) + session.id);
+  session.subscriptions = (session.subscriptions || []).filter(u => u !== uri);
+  await saveSession(env, session);
+}
+
+/**
+ * Queue notifications/resources/updated for every session subscribed to uri.
+ * Returns the number of sessions notified.
+ */
+export async function notifyResourceUpdated(env, uri) {
+  const prefix = resourceSubPrefix(env, uri);
+  let notified = 0;
+  for (const key of await listAllKeys(env.KG_STORE, prefix)) {
+    const sessionId = key.slice(prefix.length);
+    if (!(await loadSession(env, sessionId))) {
+      await env.KG_STORE.delete(key); // Session ended or expired
+      continue;
+    }
+    await enqueueSessionMessage(env, sessionId, { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } });
+    notified++;
+  }
+  return notified;
+}
+
+// Queued messages with ids above after, oldest first
+async function pendingMessages(env, sessionId, after) {
+  const outbox = await loadDocument(env, outboxKind(sessionId));
+  return (outbox?.messages || []).filter(m => m.id > after);
+}
+
+// Remove messages up to id from the outbox once they have been sent
+async function acknowledgeMessages(env, sessionId, id) {
+  await updateDocument(env, outboxKind(sessionId), doc => {
+    if (!doc?.messages.some(m => m.id <= id)) return false;
+    doc.messages = doc.messages.filter(m => m.id > id);
+    return doc;
+  }, { expirationTtl: OUTBOX_TTL });
+}
+
+/**
+ * The session named by Mcp-Session-Id. Returns { session } (null when the
+ * header is absent and not required) or { error: Response }.
+ */
+async function readSession(env, request, headers, required) {
+  const id = request.headers.get('Mcp-Session-Id');
+  if (!id) {
+    if (!required) return { session: null };
+    return { error: Response.json(errorMessage(null, ERROR_CODES.INVALID_REQUEST, 'Mcp-Session-Id header required — send initialize first'), { status: 400, headers }) };
+  }
+  const session = await loadSession(env, id);
+  if (!session) {
+    return { error: Response.json(errorMessage(null, ERROR_CODES.SESSION_NOT_FOUND, 'Session not found — send initialize to start a new session'), { status: 404, headers }) };
+  }
+  if ((session.principal ?? null) !== principalId(env)) {
+    return { error: Response.json(errorMessage(null, ERROR_CODES.INVALID_REQUEST, 'Session belongs to another caller — send initialize to start your own'), { status: 403, headers }) };
+  }
+  return { session };
+}
+
+// --- SSE ---
+
+const encoder = new TextEncoder();
+
+function sseEvent(message, id) {
+  return encoder.encode(`${id === undefined ? '' : `id: ${id}\n`}event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function sseHeaders(headers) {
+  return { ...headers, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' };
+}
+
+function wantsStream(request, requests) {
+  const accept = request.headers.get('Accept') || '';
+  if (!accept.includes('text/event-stream')) return false;
+  const acceptsJson = accept.includes('application/json') || accept.includes('*/*');
+  return !acceptsJson || requests.some(r => r.params?._meta?.progressToken !== undefined);
+}
+
+// --- POST: client-to-server messages ---
+
+async function handleNotification(env, message, session) {
+  if (message.method === 'notifications/initialized' && session && !session.initialized) {
+    session.initialized = true;
+    await saveSession(env, session);
+  }
+  // Other notifications (cancelled, progress, roots/list_changed) need no action:
+  // every request completes within its own HTTP exchange
+}
+
+async function answer(message, dispatch, context) {
+  try {
+    if (message.method === 'ping') return { jsonrpc: '2.0', id: message.id, result: {} };
+    const result = await dispatch(message, context);
+    return { jsonrpc: '2.0', id: message.id, result };
+  } catch (err) {
+    if (err instanceof McpError) return errorMessage(message.id, err.code, err.message, err.data);
+    console.error('MCP request failed:', err);
+    return errorMessage(message.id, ERROR_CODES.INTERNAL_ERROR, `Internal error: ${err.message}`);
+  }
+}
+
+async function handlePost(env, request, dispatch, headers) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json(errorMessage(null, ERROR_CODES.PARSE_ERROR, 'Parse error: body is not valid JSON'), { status: 400, headers });
+  }
+
+  const batch = Array.isArray(body);
+  const messages = batch ? body : [body];
+  if (messages.length === 0) {
+    return Response.json(errorMessage(null, ERROR_CODES.INVALID_REQUEST, 'Invalid Request: empty batch'), { status: 400, headers });
+  }
+
+  const versionHeader = request.headers.get('MCP-Protocol-Version');
+  if (versionHeader && !SUPPORTED_PROTOCOL_VERSIONS.includes(versionHeader)) {
+    return Response.json(errorMessage(null, ERROR_CODES.INVALID_REQUEST,
+      `Unsupported MCP-Protocol-Version "${versionHeader}" — supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`
+    ), { status: 400, headers });
+  }
+
+  const responseHeaders = { ...headers };
+  let session = null;
+  const initialize = !batch && body?.method === 'initialize' && body.id !== undefined;
+  if (initialize) {
+    session = await startSession(env, body.params);
+    responseHeaders['Mcp-Session-Id'] = session.id;
+  } else {
+    const { session: existing, error } = await readSession(env, request, headers, false);
+    if (error) return error;
+    session = existing;
+    if (session) await touchSession(env, session);
+  }
+
+  // Sort the messages: invalid ones are answered with an error, responses to
+  // server requests are dropped, notifications are handled without a reply
+  const replies = [];
+  const requests = [];
+  for (const message of messages) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+      replies.push(errorMessage(message?.id, ERROR_CODES.INVALID_REQUEST, 'Invalid Request: expected a JSON-RPC 2.0 message'));
+    } else if (typeof message.method !== 'string') {
+      if (!('result' in message) && !('error' in message)) {
+        replies.push(errorMessage(message.id, ERROR_CODES.INVALID_REQUEST, 'Invalid Request: method is required'));
+      }
+    } else if (message.id === undefined) {
+      await handleNotification(env, message, session);
+    } else if (message.method === 'initialize' && !initialize) {
+      replies.push(errorMessage(message.id, ERROR_CODES.INVALID_REQUEST, 'initialize must be sent on its own, not in a batch'));
+    } else {
+      requests.push(message);
+    }
+  }
+
+  if (requests.length === 0 && replies.length === 0) {
+    return new Response(null, { status: 202, headers });
+  }
+
+  const context = {
+    session,
+    protocolVersion: session?.protocolVersion || versionHeader || DEFAULT_PROTOCOL_VERSION
+  };
+
+  if (wantsStream(request, requests)) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    (async () => {
+      for (const reply of replies) await writer.write(sseEvent(reply));
+      for (const message of requests) {
+        const progressToken = message.params?._meta?.progressToken;
+        if (progressToken !== undefined) {
+          await writer.write(sseEvent({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken, progress: 0, total: 1 } }));
+        }
+        const reply = await answer(message, dispatch, context);
+        if (progressToken !== undefined) {
+          await writer.write(sseEvent({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken, progress: 1, total: 1 } }));
+        }
+        await writer.write(sseEvent(reply));
+      }
+    })()
+      .catch(err => console.error('MCP stream failed:', err.message))
+      .finally(() => writer.close().catch(() => {}));
+    return new Response(readable, { headers: sseHeaders(responseHeaders) });
+  }
+
+  for (const message of requests) replies.push(await answer(message, dispatch, context));
+  return Response.json(batch ? replies : replies[0], { headers: { ...responseHeaders, 'Content-Type': 'application/json' } });
+}
+
+// --- GET: server-to-client stream ---
+
+async function handleStream(env, request, headers) {
+  if (!(request.headers.get('Accept') || '').includes('text/event-stream')) {
+    return Response.json({ error: 'GET /mcp opens an SSE stream — send Accept: text/event-stream' }, { status: 406, headers });
+  }
+  const { session, error } = await readSession(env, request, headers, true);
+  if (error) return error;
+  await touchSession(env, session);
+
+  // Pull-driven: the outbox is only polled while the client is reading
+  const opened = Date.now();
+  let lastWrite = opened;
+  let lastSent = parseInt(request.headers.get('Last-Event-ID')) || 0;
+  let pollDelay = STREAM_POLL_MIN_MS;
+  let closed = false;
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(`retry: ${STREAM_RETRY_MS}\n\n`));
+    },
+    async pull(controller) {
+      while (!closed) {
+        const messages = await pendingMessages(env, session.id, lastSent);
+        if (messages.length > 0) {
+          lastSent = messages[messages.length - 1].id;
+          // Sent either way: a failed removal only leaves them for Last-Event-ID to skip
+          await acknowledgeMessages(env, session.id, lastSent)
+            .catch(err => console.error('MCP outbox acknowledgement failed:', err.message));
+          for (const { id, message } of messages) controller.enqueue(sseEvent(message, id));
+          lastWrite = Date.now();
+          pollDelay = STREAM_POLL_MIN_MS;
+          return;
+        }
+        if (Date.now() - opened >= STREAM_MAX_MS) {
+          controller.close();
+          return;
+        }
+        if (Date.now() - lastWrite >= STREAM_KEEPALIVE_MS) {
+          controller.enqueue(encoder.encode(': keepalive\n\n'));
+          lastWrite = Date.now();
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, pollDelay));
+        pollDelay = Math.min(pollDelay * 2, STREAM_POLL_MAX_MS);
+      }
+    },
+    cancel() {
+      closed = true;
+    }
+  }, { highWaterMark: 0 });
+
+  return new Response(stream, { headers: sseHeaders(headers) });
+}
+
+// --- DELETE: end a session ---
+
+async function handleDelete(env, request, headers) {
+  const { session, error } = await readSession(env, request, headers, true);
+  if (error) return error;
+  await env.KG_STORE.delete(sessionKey(env, session.id));
+  await deleteDocument(env, outboxKind(session.id));
+  for (const uri of session.subscriptions || []) {
+    await env.KG_STORE.delete(resourceSubPrefix(env, uri) + session.id);
+  }
+  return new Response(null, { status: 204, headers });
+}
+
+/**
+ * Serve /mcp. dispatch(message, { session, protocolVersion }) handles one
+ * request and returns its result or throws McpError; headers (CORS) are
+ * added to every response.
+ */
+export async function handleMcpTransport(env, request, { dispatch, headers }) {
+  switch (request.method) {
+    case 'POST':
+      return handlePost(env, request, dispatch, headers);
+    case 'GET':
+      return handleStream(env, request, headers);
+    case 'DELETE':
+      return handleDelete(env, request, headers);
+    default:
+      return Response.json({ error: 'Method not allowed' }, { status: 405, headers: { ...headers, Allow: 'GET, POST, DELETE' } });
+  }
+}
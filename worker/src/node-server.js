@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Run the AEI worker's fetch handler in a plain Node process (self-hosting,
+ * local testing). Storage is a FileStore journal instead of Cloudflare KV.
+ *
+ * Run: node src/node-server.js
+ *   PORT          listen port (default 8787, same as wrangler dev)
+ *   KG_DATA_FILE  journal path (default .data/kg-store.jsonl), or ":memory:" for a throwaway store
+ *   GRAPH_KEY     key namespace (default "knowledge-graph", as in wrangler.toml)
+ *   PUBLIC_ORIGIN the origin clients reach the server at (e.g. https://aei.example.com); requests
+ *                 are handled as if made to it, so Sign-In with Ethereum messages must name its host
+ *   TRUST_PROXY   set to 1 when behind a proxy that sets X-Forwarded-For / CF-Connecting-IP and
+ *                 passes on a checked Host header (used when PUBLIC_ORIGIN is unset)
+ *   ADMIN_API_KEY the privileged API key (admin scope, no rate limits) that issues the others
+ *   IP_HASH_SALT  secret keying the client IP hashes in the event log (unset: none recorded)
+ *   ALLOW_SERVER_SIGNING  "true" re-enables the deprecated POST /attest (signing with a key sent by the client)
+ *   BASE_RPC_URL  Base JSON-RPC endpoint for ERC-8004 ownership checks
+ *   ETHEREUM_RPC_URL  Ethereum mainnet JSON-RPC endpoint for ENS sources
+ *   ALLOW_PRIVATE_WEBHOOKS  "true" allows http and loopback/private webhook URLs (local development only)
+ *
+ * Webhook hosts are resolved with DNS before subscribing and before each
+ * delivery, so a subscriber's name can't point the server at its own network.
+ *
+ * The worker's scheduled handler (webhook retries, search index repair) runs
+ * once a minute, like the cron trigger in wrangler.toml.
+ */
+
+import http from 'node:http';
+import { lookup } from 'node:dns/promises';
+import worker from './index.js';
+import { MemoryStore } from './storage.js';
+import { FileStore } from './file-store.js';
+
+const PORT = parseInt(process.env.PORT || '8787');
+const DATA_FILE = process.env.KG_DATA_FILE || '.data/kg-store.jsonl';
+const PUBLIC_ORIGIN = process.env.PUBLIC_ORIGIN ? new URL(process.env.PUBLIC_ORIGIN).origin : null;
+
+const env = {
+  GRAPH_KEY: process.env.GRAPH_KEY || 'knowledge-graph',
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY,
+  IP_HASH_SALT: process.env.IP_HASH_SALT,
+  ALLOW_SERVER_SIGNING: process.env.ALLOW_SERVER_SIGNING,
+  BASE_RPC_URL: process.env.BASE_RPC_URL,
+  ETHEREUM_RPC_URL: process.env.ETHEREUM_RPC_URL,
+  ALLOW_PRIVATE_WEBHOOKS: process.env.ALLOW_PRIVATE_WEBHOOKS,
+  WEBHOOK_RESOLVER: async hostname => (await lookup(hostname, { all: true })).map(a => a.address),
+  KG_STORE: DATA_FILE === ':memory:' ? new MemoryStore() : new FileStore(DATA_FILE)
+};
+
+const SCHEDULE_INTERVAL_MS = 60 * 1000;
+
+// Stand-in for the Workers execution context: background work just runs on
+const ctx = {
+  waitUntil: promise => promise.catch(error => console.error(error)),
+  passThroughOnException() {}
+};
+
+async function toRequest(req) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+  }
+  // Without a trusted proxy in front, the socket address is the only client IP we can believe
+  if (!process.env.TRUST_PROXY) {
+    headers.delete('cf-connecting-ip');
+    headers.set('x-forwarded-for', req.socket.remoteAddress || 'unknown');
+  }
+
+  let body;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    body = Buffer.concat(chunks);
+  }
+  return new Request(requestOrigin(req) + req.url, { method: req.method, headers, body });
+}
+
+// The origin a request is handled as made to. The Host header is the
+// client's to choose — and the SIWE domain is checked against it — so it is
+// only believed from a trusted proxy.
+function requestOrigin(req) {
+  if (PUBLIC_ORIGIN) return PUBLIC_ORIGIN;
+  if (process.env.TRUST_PROXY && req.headers.host) return `http://${req.headers.host}`;
+  return `http://localhost:${PORT}`;
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const response = await worker.fetch(await toRequest(req), env, ctx);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (response.body) {
+      for await (const chunk of response.body) res.write(chunk);
+    }
+    res.end();
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Internal error' }));
+  }
+});
+
+setInterval(() => {
+  worker.scheduled({ cron: '* * * * *', scheduledTime: Date.now() }, env, ctx);
+}, SCHEDULE_INTERVAL_MS).unref();
+
+server.listen(PORT, () => {
+  console.log(`AEI worker listening on http://localhost:${PORT} (store: ${DATA_FILE})`);
+});
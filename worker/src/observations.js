@@ -0,0 +1,103 @@
+/**
+ * Observation and relation helpers shared across the AEI worker
+ * FadeMem decay scoring, expiry/invalidation filtering, text access
+ */
+
+// FadeMem parameters
+export const DECAY_HALF_LIFE_DAYS = 30;
+export const ACCESS_BOOST = 0.1;
+export const RECENCY_BOOST_DAYS = 7;
+export const MIN_RELEVANCE = 0.01;
+
+export function normalizeObs(obs) {
+  if (typeof obs === 'string') {
+    return { text: obs, observed_at: null, recorded_at: null, expires_at: null, last_accessed: null, access_count: 0, relevance: 1.0, source_agent: 'orac', confidence: 1.0, t_invalid: null };
+  }
+  const normalized = {
+    text: obs.text || '',
+    observed_at: obs.observed_at || null,
+    recorded_at: obs.recorded_at || null,
+    expires_at: obs.expires_at || null,
+    last_accessed: obs.last_accessed || null,
+    access_count: obs.access_count || 0,
+    relevance: obs.relevance !== undefined ? obs.relevance : 1.0,
+    source_agent: obs.source_agent || 'orac',
+    confidence: obs.confidence !== undefined ? obs.confidence : 1.0,
+    t_invalid: obs.t_invalid || null
+  };
+  // Client-signed observations (POST /observation/signed) carry their signatures
+  if (obs.attestation) normalized.attestation = obs.attestation;
+  return normalized;
+}
+
+export function isExpired(obs, now) {
+  const o = normalizeObs(obs);
+  return o.expires_at && new Date(o.expires_at) <= now;
+}
+
+export function decayScore(obs, now) {
+  const o = normalizeObs(obs);
+  const observedAt = o.observed_at ? new Date(o.observed_at) : now;
+  const ageDays = (now - observedAt) / (1000 * 60 * 60 * 24);
+  const decay = Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
+  const accessBoost = 1 + (o.access_count * ACCESS_BOOST);
+  let recencyBoost = 1;
+  if (o.last_accessed) {
+    const lastAccessDays = (now - new Date(o.last_accessed)) / (1000 * 60 * 60 * 24);
+    if (lastAccessDays < RECENCY_BOOST_DAYS) {
+      recencyBoost = 1 + (1 - lastAccessDays / RECENCY_BOOST_DAYS) * 0.5;
+    }
+  }
+  return Math.max(MIN_RELEVANCE, o.relevance * decay * accessBoost * recencyBoost);
+}
+
+export function obsText(obs) {
+  return typeof obs === 'string' ? obs : (obs.text || '');
+}
+
+/**
+ * Was the observation invalidated (t_invalid) at or before `now`?
+ */
+export function isInvalidated(obs, now) {
+  const o = normalizeObs(obs);
+  return o.t_invalid && new Date(o.t_invalid) <= now;
+}
+
+/**
+ * Was the observation recorded after `now`? Only possible when reading as of
+ * a past moment. Uses recorded_at, stamped by the server when the observation
+ * is written — observed_at comes from the client and may be backdated.
+ * Observations stored before recorded_at fall back to observed_at.
+ */
+export function isRecordedAfter(obs, now) {
+  const o = normalizeObs(obs);
+  const recordedAt = o.recorded_at || o.observed_at;
+  return recordedAt && new Date(recordedAt) > now;
+}
+
+/**
+ * Observations the index held at `now`: recorded by then, not yet invalidated
+ * and (unless includeExpired) not yet expired. Passing a past moment as `now`
+ * reconstructs what the index believed then.
+ */
+export function getActiveObs(entity, now, includeExpired = false) {
+  return (entity.observations || []).filter(o =>
+    (includeExpired || !isExpired(o, now)) && !isInvalidated(o, now) && !isRecordedAfter(o, now)
+  );
+}
+
+/**
+ * Did the entity (or relation) exist at `now`? Records without a creation
+ * time are treated as always present.
+ */
+export function existedAt(record, now) {
+  return !record.created || new Date(record.created) <= now;
+}
+
+export function getActiveRels(graph, entityName, now, includeExpired = false) {
+  return graph.relations.filter(r =>
+    (r.source === entityName || r.target === entityName) &&
+    (includeExpired || !r.expires_at || new Date(r.expires_at) > now) &&
+    existedAt(r, now)
+  );
+}
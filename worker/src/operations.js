@@ -0,0 +1,1001 @@
+/**
+ * Operations behind the REST API and the MCP tools
+ *
+ * Every capability is implemented once here and served by both surfaces:
+ * REST handlers in index.js add rate limiting, If-Match and HTTP status codes;
+ * MCP tools (mcp-tools.js) add a text rendering of the same result. Inputs are
+ * plain objects with the same field names as the REST body or query string
+ * and the MCP tool arguments, so validation and error messages are shared.
+ *
+ * Operations return the REST response body. Those that read or write a single
+ * entity return { result, entity } so REST can send the entity's ETag.
+ * Failures throw OperationError with the HTTP status and any extra fields of
+ * the REST error body (suggestions, created, ...); write conflicts throw
+ * ConflictError from graph-store.js.
+ */
+
+import { signObservation, verifySignature, SIGNATURE_SCHEMES } from './crypto-utils.js';
+import { authorizeSource } from './authorization.js';
+import { attestationSignatures, signatureMatches, attestationSummary, parseQuorum, sameQuorum } from './attestations.js';
+import {
+  loadGraph,
+  loadEntityGraph,
+  loadRelations,
+  loadManifest,
+  loadSubgraph,
+  entityExists,
+  createEntity as insertEntity,
+  updateEntity,
+  addRelation
+} from './graph-store.js';
+import { loadSearchIndex, searchCandidates, rankEntities, queryCorrections, buildSearchIndex } from './search-index.js';
+import { resolveEntityName } from './fuzzy.js';
+import { parseSearchFilters, matchesFilters, sortResults, searchSortKey } from './search-filters.js';
+import { parsePage, paginate, DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT } from './pagination.js';
+import { parseTraversalOptions, findPaths, formatPath, parseNeighborhoodOptions, extractNeighborhood } from './traversal.js';
+import { parseQuery, runQuery } from './query.js';
+import { parseSince, readEvents, listEntityHistory, loadEvents } from './events.js';
+import {
+  getOrComputeTrustScores,
+  getSignerReputations,
+  loadSignerLinks,
+  mayLinkSigner,
+  linkSigner,
+  computeEffectiveConfidence,
+  TRUST_RELATION_TYPES,
+  TRUST_WEIGHTS
+} from './trust.js';
+import {
+  DECAY_HALF_LIFE_DAYS,
+  normalizeObs,
+  isExpired,
+  decayScore,
+  getActiveObs,
+  getActiveRels,
+  existedAt
+} from './observations.js';
+
+/**
+ * A failed operation: status is the HTTP status REST answers with, details
+ * are merged into the error body.
+ */
+export class OperationError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'OperationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const ATTESTATION_FIELDS = ['entity_id', 'attribute', 'value', 'observed_at', 'source', 'confidence'];
+const SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Describe a write for the event log. actor carries who made it
+ * ({ ip_hash, via, api_key, address }); the source agent comes from the
+ * input, or is the address for wallet sessions.
+ */
+function writeContext(operation, actor = {}, sourceAgent = null) {
+  return {
+    operation,
+    actor: {
+      source_agent: actor.address || sourceAgent,
+      ip_hash: actor.ip_hash ?? null,
+      via: actor.via || 'internal',
+      api_key: actor.api_key ?? null,
+      address: actor.address ?? null
+    }
+  };
+}
+
+/**
+ * The source agent to record for a write: a signed-in wallet writes as its
+ * recovered address, whatever source_agent the input claims.
+ */
+function attributedAgent(actor, sourceAgent) {
+  return actor?.address || sourceAgent;
+}
+
+function newObservation(text, { observed_at, expires_at, source_agent, confidence } = {}) {
+  return {
+    text,
+    observed_at: observed_at || new Date().toISOString(),
+    recorded_at: new Date().toISOString(),
+    expires_at: expires_at || null,
+    last_accessed: null,
+    access_count: 0,
+    relevance: 1.0,
+    source_agent: source_agent || 'orac',
+    confidence: confidence !== undefined ? confidence : 1.0,
+    t_invalid: null
+  };
+}
+
+function notFound(name, suggestions = []) {
+  return new OperationError(404, `Entity "${name}" not found`, { suggestions });
+}
+
+// --- Graph reads ---
+
+const REWIND_BATCH = 25;
+
+/**
+ * The entity record as it stood just before the first of `events` (oldest
+ * first) that wrote it, or undefined if none did. Writes that edit in place —
+ * the usage tracker's lookup count, co-signs, entityType changes — leave no
+ * trace in the current record, so point-in-time reads restore it from the
+ * event log (events.js). before is null when that first write created it.
+ */
+function stateBefore(events, name) {
+  const first = events.find(e => e.kind === 'entity' && e.entities.includes(name));
+  return first ? first.before : undefined;
+}
+
+/**
+ * A rewound entity with the current record's later invalidations carried
+ * over, so they are still reported (invalidated_at) as for an entity left
+ * untouched. Observations are only appended, so they pair up by position.
+ */
+function rewind(state, current) {
+  if (!state) return state;
+  const observations = (state.observations || []).map((o, i) => {
+    const now = current.observations?.[i];
+    return !o.t_invalid && now?.t_invalid && now.recorded_at === o.recorded_at ? { ...o, t_invalid: now.t_invalid } : o;
+  });
+  return { ...state, observations };
+}
+
+/**
+ * One entity as it stood at asOf: rewound through its history events after
+ * asOf, read a batch at a time until one wrote the entity. Returns null if it
+ * did not exist yet.
+ */
+async function entityAsOf(env, entity, asOf) {
+  const bound = asOf.toISOString();
+  const later = (await listEntityHistory(env, entity.name)).filter(id => id.slice(0, 24) > bound);
+  for (let i = 0; i < later.length; i += REWIND_BATCH) {
+    const state = rewind(stateBefore(await loadEvents(env, later.slice(i, i + REWIND_BATCH)), entity.name), entity);
+    if (state !== undefined) return state && existedAt(state, asOf) ? state : null;
+  }
+  return existedAt(entity, asOf) ? entity : null;
+}
+
+/**
+ * The graph as it stood at asOf: entities and relations created by then,
+ * entities written since rewound from the event log (every event after asOf
+ * is read once). Observations are left whole — getActiveObs(entity, asOf)
+ * picks the ones visible at that moment.
+ */
+export async function loadGraphAsOf(env, asOf) {
+  const graph = await loadGraph(env);
+  const bound = asOf.toISOString();
+  const events = [];
+  let page = { limit: MAX_PAGE_LIMIT, after: null };
+  for (;;) {
+    const { events: batch, next_cursor } = await readEvents(env, bound, page);
+    events.push(...batch.filter(e => e.timestamp > bound));
+    if (!next_cursor) break;
+    page = { limit: page.limit, after: [batch[batch.length - 1].id] };
+  }
+
+  const entities = [];
+  for (const entity of graph.entities) {
+    const state = stateBefore(events, entity.name);
+    const rewound = state === undefined ? entity : rewind(state, entity);
+    if (rewound && existedAt(rewound, asOf)) entities.push(rewound);
+  }
+  const names = new Set(entities.map(e => e.name));
+  const relations = graph.relations.filter(r => existedAt(r, asOf) && names.has(r.source) && names.has(r.target));
+  return { entities, relations };
+}
+
+/**
+ * Ranked full-text search (see search-index.js). Loads only the candidate
+ * entities, returned as a subgraph for formatEntity, then applies structured
+ * filters and the requested sort (see search-filters.js).
+ *
+ * With asOf, `now` should be asOf: the stored index only reflects the current
+ * state, so an index of the graph as it stood then is built in memory.
+ */
+export async function searchEntities(env, query, now, filters = null, asOf = null) {
+  let index, graph;
+  if (asOf) {
+    const historical = await loadGraphAsOf(env, asOf);
+    index = buildSearchIndex(historical.entities, asOf);
+    const candidates = new Set(searchCandidates(index, query));
+    graph = { entities: historical.entities.filter(e => candidates.has(e.name)), relations: historical.relations };
+  } else {
+    index = await loadSearchIndex(env, query);
+    graph = await loadSubgraph(env, searchCandidates(index, query));
+  }
+  let results = rankEntities(index, graph.entities, query, now);
+  let trustScores = null;
+  if (filters) {
+    results = results.filter(r => matchesFilters(r.entity, graph, filters, now));
+    if (filters.sort === 'trust') trustScores = await getOrComputeTrustScores(env);
+    if (filters.sort !== 'score') sortResults(results, filters.sort, trustScores);
+  }
+  return { results, graph, trustScores, corrections: queryCorrections(index, query) };
+}
+
+/**
+ * One page of entities in name order (optionally only one type), read via the
+ * manifest so only the page's shards are loaded. relations holds each active
+ * relation once, on the page of its source entity; graph is the subgraph for
+ * formatEntity.
+ */
+export async function loadGraphPage(env, page, now, entityType = null, asOf = null) {
+  const manifest = await loadManifest(env);
+  // Point-in-time reads need creation times, so they page over the graph as it stood then
+  const historical = asOf ? await loadGraphAsOf(env, asOf) : null;
+  const listed = historical
+    ? historical.entities.map(e => [e.name, e.entityType])
+    : Object.entries(manifest.entities);
+  const names = listed
+    .filter(([, type]) => !entityType || type === entityType)
+    .map(([name]) => name)
+    .sort((a, b) => a.localeCompare(b));
+  const { items, total, next_cursor } = paginate(names, page, name => [name]);
+  const onPage = new Set(items);
+  const graph = historical
+    ? { entities: historical.entities.filter(e => onPage.has(e.name)).sort((a, b) => a.name.localeCompare(b.name)), relations: historical.relations }
+    : await loadSubgraph(env, items);
+  const relations = graph.relations.filter(r =>
+    onPage.has(r.source) && (!r.expires_at || new Date(r.expires_at) > now)
+  );
+  const totalRelations = historical ? historical.relations.length : manifest.relations || 0;
+  return { entities: graph.entities, relations, graph, total, totalRelations, next_cursor };
+}
+
+/**
+ * Resolve several requested names against the manifest (exact, then case- and
+ * typo-tolerant). Returns { names } or { missing, suggestions } for the first
+ * name that doesn't resolve.
+ */
+export async function resolveEntityNames(env, requested) {
+  const manifest = await loadManifest(env);
+  const known = Object.keys(manifest.entities);
+  const names = [];
+  for (const name of requested) {
+    const match = resolveEntityName(known, name);
+    if (!match.name) return { missing: name, suggestions: match.suggestions };
+    names.push(match.name);
+  }
+  return { names };
+}
+
+/**
+ * Load an entity by name, falling back to a case-insensitive or close
+ * (typo-tolerant) match from the manifest. Returns { entity, graph } plus
+ * resolvedFrom when the name was corrected, or suggestions when nothing
+ * matched unambiguously.
+ */
+export async function resolveEntity(env, name) {
+  const exact = await loadEntityGraph(env, name);
+  if (exact.entity) return exact;
+  const manifest = await loadManifest(env);
+  const match = resolveEntityName(Object.keys(manifest.entities), name);
+  if (!match.name) return { entity: null, suggestions: match.suggestions };
+  const resolved = await loadEntityGraph(env, match.name);
+  return resolved.entity ? { ...resolved, resolvedFrom: name } : { entity: null, suggestions: [] };
+}
+
+// --- Response shapes ---
+
+// signerReputations (getSignerReputations), when the caller has them, add
+// signer_trust to attested observations
+export function formatEntity(entity, graph, now, includeExpired = false, signerReputations = null) {
+  const activeObs = getActiveObs(entity, now, includeExpired);
+  const rels = getActiveRels(graph, entity.name, now, includeExpired);
+  return {
+    name: entity.name,
+    entityType: entity.entityType,
+    observations: activeObs.map(o => {
+      const n = normalizeObs(o);
+      const result = { text: n.text, score: parseFloat(decayScore(o, now).toFixed(3)) };
+      if (n.observed_at) result.observed_at = n.observed_at;
+      if (n.recorded_at) result.recorded_at = n.recorded_at;
+      if (n.expires_at) {
+        result.expires_at = n.expires_at;
+        result.expired = isExpired(o, now);
+      }
+      if (n.access_count > 0) result.access_count = n.access_count;
+      // Only visible in as-of reads: the observation was invalidated after that moment
+      if (n.t_invalid) result.invalidated_at = n.t_invalid;
+      if (n.source_agent && n.source_agent !== 'orac') result.source_agent = n.source_agent;
+      if (n.confidence !== undefined && n.confidence < 1.0) result.confidence = n.confidence;
+      if (n.attestation) {
+        result.attestation = n.attestation;
+        Object.assign(result, attestationSummary(entity.name, n, signerReputations));
+      }
+      return result;
+    }),
+    relations: rels.map(r => {
+      const rel = {
+        direction: r.source === entity.name ? 'outgoing' : 'incoming',
+        relation: r.relation,
+        entity: r.source === entity.name ? r.target : r.source
+      };
+      if (r.expires_at) rel.expires_at = r.expires_at;
+      return rel;
+    }),
+    created: entity.created,
+    updated: entity.updated
+  };
+}
+
+function formatRelation(r) {
+  const rel = { source: r.source, relation: r.relation, target: r.target };
+  if (r.expires_at) rel.expires_at = r.expires_at;
+  return rel;
+}
+
+// --- Reads ---
+
+/**
+ * Ranked search with structured filters. input: query, min_confidence, the
+ * filter options of search-filters.js, limit and cursor.
+ */
+export async function searchNodes(env, input, { asOf = null, defaultLimit = DEFAULT_PAGE_LIMIT } = {}) {
+  const query = typeof input.query === 'string' ? input.query.trim() : '';
+  if (!query) throw new OperationError(400, 'query is required');
+  let minConfidence = null;
+  if (input.min_confidence !== undefined && input.min_confidence !== null && input.min_confidence !== '') {
+    minConfidence = Number(input.min_confidence);
+    if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+      throw new OperationError(400, 'min_confidence must be a number between 0 and 1');
+    }
+  }
+  const { filters, applied, error } = parseSearchFilters(input);
+  if (error) throw new OperationError(400, error);
+  const { page, error: pageError } = parsePage(input, defaultLimit);
+  if (pageError) throw new OperationError(400, pageError);
+
+  const now = asOf || new Date();
+  const includeExpired = filters.includeExpired;
+  let { results, graph, trustScores, corrections } = await searchEntities(env, query, now, filters, asOf);
+
+  // Trust-aware filtering if min_confidence specified
+  const trustMode = minConfidence !== null;
+  if (trustMode) trustScores ||= await getOrComputeTrustScores(env);
+  const signerReputations = trustScores && await getSignerReputations(env, trustScores);
+  if (trustMode) {
+    results = results.filter(r => {
+      const obs = getActiveObs(r.entity, now, includeExpired);
+      // Include entity if any observation meets confidence threshold
+      return obs.some(o => computeEffectiveConfidence(o, r.entity.name, trustScores, signerReputations) >= minConfidence);
+    });
+  }
+
+  const { items, total, next_cursor } = paginate(results, page, r => searchSortKey(r, filters.sort, trustScores));
+
+  return {
+    query,
+    count: items.length,
+    total,
+    limit: page.limit,
+    next_cursor,
+    min_confidence: minConfidence,
+    filters: applied,
+    sort: filters.sort,
+    ...(asOf && { as_of: asOf.toISOString() }),
+    ...(Object.keys(corrections).length > 0 && { corrections }),
+    results: items.map(r => {
+      const formatted = {
+        ...formatEntity(r.entity, graph, now, includeExpired, signerReputations),
+        score: parseFloat(r.score.toFixed(3)),
+        relevance: parseFloat(r.relevance.toFixed(3)),
+        highlights: r.highlights
+      };
+      // Add effective confidence to each observation if trust mode active
+      if (trustMode) {
+        const rawObs = getActiveObs(r.entity, now, includeExpired);
+        formatted.observations = formatted.observations.map((obs, i) => rawObs[i] ? {
+          ...obs,
+          effective_confidence: computeEffectiveConfidence(rawObs[i], r.entity.name, trustScores, signerReputations)
+        } : obs);
+      }
+      return formatted;
+    })
+  };
+}
+
+/**
+ * One entity, resolving case and small typos. With asOf, the entity as it
+ * stood then. Returns { result, entity }.
+ */
+export async function readEntity(env, name, { asOf = null } = {}) {
+  if (typeof name !== 'string' || !name) throw new OperationError(400, 'name is required');
+  const { entity: current, graph, resolvedFrom, suggestions } = await resolveEntity(env, name);
+  if (!current) throw notFound(name, suggestions);
+  const now = asOf || new Date();
+  const entity = asOf ? await entityAsOf(env, current, asOf) : current;
+  if (!entity) {
+    throw new OperationError(404, `Entity "${current.name}" did not exist at ${asOf.toISOString()}`, { created: current.created });
+  }
+
+  const result = formatEntity(entity, graph, now, false, await getSignerReputations(env, await getOrComputeTrustScores(env)));
+  if (asOf) result.as_of = asOf.toISOString();
+  if (resolvedFrom) result.resolved_from = resolvedFrom;
+  return { result, entity };
+}
+
+/**
+ * Shortest relation paths between two entities. input: from, to and the
+ * traversal options of traversal.js.
+ */
+export async function findPath(env, input) {
+  if (!input.from || !input.to) throw new OperationError(400, 'from and to are required');
+  const { options, error } = parseTraversalOptions(input);
+  if (error) throw new OperationError(400, error);
+  const { names, missing, suggestions } = await resolveEntityNames(env, [input.from, input.to]);
+  if (missing) throw notFound(missing, suggestions);
+
+  const result = await findPaths(env, names[0], names[1], options);
+  return {
+    from: names[0],
+    to: names[1],
+    direction: options.direction,
+    max_depth: options.maxDepth,
+    relations: options.relations ? [...options.relations] : null,
+    found: result.found,
+    length: result.length,
+    paths: result.paths.map(p => ({ ...p, text: formatPath(p) })),
+    explored: result.explored
+  };
+}
+
+/**
+ * The subgraph within depth hops of an entity. input: the neighborhood
+ * options of traversal.js.
+ */
+export async function readNeighborhood(env, name, input) {
+  if (typeof name !== 'string' || !name) throw new OperationError(400, 'name is required');
+  const { options, error } = parseNeighborhoodOptions(input);
+  if (error) throw new OperationError(400, error);
+  const { names, missing, suggestions } = await resolveEntityNames(env, [name]);
+  if (missing) throw notFound(missing, suggestions);
+
+  const now = new Date();
+  const { entities, relations, distances, truncated } = await extractNeighborhood(env, names[0], options, now);
+  const subgraph = { entities, relations };
+  return {
+    center: names[0],
+    depth: options.maxDepth,
+    direction: options.direction,
+    relation_types: options.relations ? [...options.relations] : null,
+    types: options.types ? [...options.types] : null,
+    counts: { entities: entities.length, relations: relations.length },
+    truncated,
+    // Entity relations are limited to the neighborhood, so the response is a self-contained subgraph
+    entities: entities.map(e => ({ ...formatEntity(e, subgraph, now, options.includeExpired), distance: distances.get(e.name) })),
+    relations: relations.map(formatRelation)
+  };
+}
+
+/**
+ * One page of the whole graph in entity name order. input: limit, cursor.
+ */
+export async function readGraph(env, input, { asOf = null, defaultLimit = DEFAULT_PAGE_LIMIT } = {}) {
+  const { page, error } = parsePage(input, defaultLimit);
+  if (error) throw new OperationError(400, error);
+  const now = asOf || new Date();
+  const { entities, relations, graph, total, totalRelations, next_cursor } = await loadGraphPage(env, page, now, null, asOf);
+  return {
+    ...(asOf && { as_of: asOf.toISOString() }),
+    entities: entities.map(e => formatEntity(e, graph, now)),
+    relations: relations.map(r => ({ source: r.source, relation: r.relation, target: r.target })),
+    total,
+    total_relations: totalRelations,
+    limit: page.limit,
+    next_cursor
+  };
+}
+
+export async function graphStats(env) {
+  const graph = await loadGraph(env);
+  const now = new Date();
+  const types = {};
+  for (const e of graph.entities) types[e.entityType] = (types[e.entityType] || 0) + 1;
+  const allObs = graph.entities.flatMap(e => (e.observations || []));
+  const activeObs = allObs.filter(o => !isExpired(o, now));
+  const expiredObs = allObs.filter(o => isExpired(o, now));
+  const activeRels = graph.relations.filter(r => !r.expires_at || new Date(r.expires_at) > now);
+
+  const scores = activeObs.map(o => decayScore(o, now));
+  const avgScore = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+
+  return {
+    entities: graph.entities.length,
+    relations: activeRels.length,
+    observations: { active: activeObs.length, expired: expiredObs.length },
+    decay: { avg_score: parseFloat(avgScore.toFixed(3)), half_life_days: DECAY_HALF_LIFE_DAYS },
+    types
+  };
+}
+
+/**
+ * Declarative pattern matching (see query.js). QueryError carries status 400.
+ */
+export async function queryGraph(env, input) {
+  const query = parseQuery(input);
+  return runQuery(env, query, { getTrustScores: () => getOrComputeTrustScores(env) });
+}
+
+/**
+ * Every recorded write touching an entity, oldest first. input: limit, cursor.
+ */
+export async function entityHistory(env, name, input, { defaultLimit = DEFAULT_PAGE_LIMIT } = {}) {
+  if (typeof name !== 'string' || !name) throw new OperationError(400, 'name is required');
+  const { page, error } = parsePage(input, defaultLimit);
+  if (error) throw new OperationError(400, error);
+  const ids = await listEntityHistory(env, name);
+  if (ids.length === 0 && !(await entityExists(env, name))) throw notFound(name);
+
+  const { items, total, next_cursor } = paginate(ids, page, id => [id]);
+  return {
+    entity: name,
+    count: items.length,
+    total,
+    limit: page.limit,
+    next_cursor,
+    events: await loadEvents(env, items)
+  };
+}
+
+/**
+ * The mutation event log, oldest first. input: since (an ISO time or the id of
+ * the last event seen), limit, cursor.
+ */
+export async function listEvents(env, input, { defaultLimit = DEFAULT_PAGE_LIMIT } = {}) {
+  const { since, error } = parseSince(input.since);
+  if (error) throw new OperationError(400, error);
+  const { page, error: pageError } = parsePage(input, defaultLimit);
+  if (pageError) throw new OperationError(400, pageError);
+  const { events, next_cursor } = await readEvents(env, since, page);
+  return {
+    since,
+    count: events.length,
+    limit: page.limit,
+    next_cursor,
+    events
+  };
+}
+
+/**
+ * PageRank reputation of an entity and the trust edges it rests on.
+ */
+export async function trustScore(env, entityId) {
+  if (typeof entityId !== 'string' || !entityId) throw new OperationError(400, 'entity_id is required');
+  if (!(await entityExists(env, entityId))) throw notFound(entityId);
+
+  const trustScores = await getOrComputeTrustScores(env);
+  const score = trustScores[entityId] !== undefined ? trustScores[entityId] : 0.5;
+
+  const rels = await loadRelations(env, entityId);
+  const outTrust = rels.filter(r => r.source === entityId && TRUST_RELATION_TYPES.has(r.relation));
+  const inTrust = rels.filter(r => r.target === entityId && TRUST_RELATION_TYPES.has(r.relation));
+
+  return {
+    entity_id: entityId,
+    reputation_score: score,
+    last_updated: new Date().toISOString(),
+    based_on: {
+      trust_edges_out: outTrust.length,
+      trust_edges_in: inTrust.length,
+      trusts: outTrust.map(r => ({ entity: r.target, relation: r.relation, weight: TRUST_WEIGHTS[r.relation] || 0.5 })),
+      trusted_by: inTrust.map(r => ({ entity: r.source, relation: r.relation, weight: TRUST_WEIGHTS[r.relation] || 0.5 }))
+    }
+  };
+}
+
+// --- Writes ---
+// options.actor ({ ip_hash, via, api_key, address }) is recorded in the event log;
+// options.expectedRev is the If-Match revision, where REST sends one.
+
+/**
+ * input: name, entityType, observations (strings or { text, observed_at,
+ * expires_at, source_agent, confidence }), source_agent, confidence.
+ * Returns { result, entity }.
+ */
+export async function createEntity(env, input, { actor } = {}) {
+  const { name, entityType, observations } = input;
+  if (!name || !entityType) throw new OperationError(400, 'name and entityType required');
+  if (observations !== undefined && !Array.isArray(observations)) throw new OperationError(400, 'observations must be an array');
+
+  const now = new Date().toISOString();
+  const sourceAgent = attributedAgent(actor, input.source_agent);
+  const obsArray = (observations || []).map(o => typeof o === 'string'
+    ? newObservation(o, { observed_at: now, source_agent: sourceAgent, confidence: input.confidence })
+    : newObservation(o.text || o, {
+      observed_at: o.observed_at || now,
+      expires_at: o.expires_at,
+      source_agent: attributedAgent(actor, o.source_agent || input.source_agent),
+      confidence: o.confidence !== undefined ? o.confidence : input.confidence
+    }));
+  const entity = { type: 'entity', name, entityType, observations: obsArray, created: now, updated: now };
+  const context = writeContext('create_entity', actor, input.source_agent || 'orac');
+  if (!(await insertEntity(env, entity, { context }))) {
+    throw new OperationError(409, `Entity "${name}" already exists`);
+  }
+  return { result: { created: name, entityType }, entity };
+}
+
+/**
+ * input: name, observation, expires_at, source_agent, confidence.
+ * Returns { result, entity }.
+ */
+export async function addObservation(env, input, { actor, expectedRev } = {}) {
+  const { name, observation, expires_at, confidence } = input;
+  if (!name || !observation) throw new OperationError(400, 'name and observation required');
+  if (typeof observation !== 'string') throw new OperationError(400, 'observation must be a string');
+  const source_agent = attributedAgent(actor, input.source_agent);
+
+  const now = new Date().toISOString();
+  const context = writeContext('add_observation', actor, source_agent || 'orac');
+  const entity = await updateEntity(env, name, e => {
+    e.observations.push(newObservation(observation, { observed_at: now, expires_at, source_agent, confidence }));
+    e.updated = now;
+  }, { expectedRev, context });
+  if (!entity) throw notFound(name);
+
+  const result = { added: observation, to: name };
+  if (expires_at) result.expires_at = expires_at;
+  if (source_agent) result.source_agent = source_agent;
+  if (confidence !== undefined) result.confidence = confidence;
+  return { result, entity };
+}
+
+/**
+ * Soft-delete: sets t_invalid, keeping the observation in history.
+ * input: name, observation (exact text). Returns { result, entity }.
+ */
+export async function invalidateObservation(env, input, { actor, expectedRev } = {}) {
+  const { name, observation } = input;
+  if (!name || !observation) throw new OperationError(400, 'name and observation required');
+
+  const now = new Date().toISOString();
+  const context = writeContext('invalidate_observation', actor, input.source_agent || null);
+  let found = false;
+  const entity = await updateEntity(env, name, e => {
+    const idx = e.observations.findIndex(o => (o.text || o) === observation && !normalizeObs(o).t_invalid);
+    found = idx >= 0;
+    if (!found) return false;
+    e.observations[idx] = { ...normalizeObs(e.observations[idx]), t_invalid: now };
+    e.updated = now;
+  }, { expectedRev, context });
+  if (!entity) throw notFound(name);
+  if (!found) throw new OperationError(404, 'Observation not found (or already invalidated)');
+
+  return {
+    result: {
+      invalidated: observation,
+      on: name,
+      t_invalid: now,
+      note: 'Observation preserved in history but filtered from active queries'
+    },
+    entity
+  };
+}
+
+/**
+ * input: source, relation, target, expires_at. expectedRev applies to the
+ * source entity.
+ */
+export async function createRelation(env, input, { actor, expectedRev } = {}) {
+  const { source, relation, target, expires_at } = input;
+  if (!source || !relation || !target) throw new OperationError(400, 'source, relation, and target required');
+
+  const manifest = await loadManifest(env);
+  if (!(source in manifest.entities)) throw new OperationError(404, `Source "${source}" not found`);
+  if (!(target in manifest.entities)) throw new OperationError(404, `Target "${target}" not found`);
+  const context = writeContext('create_relation', actor, input.source_agent || null);
+  const added = await addRelation(env, {
+    type: 'relation', source, relation, target, created: new Date().toISOString(), expires_at: expires_at || null
+  }, { context, expectedRev });
+  if (!added) throw new OperationError(409, 'Relation already exists');
+  return { created: `${source} --[${relation}]--> ${target}` };
+}
+
+/**
+ * Create or update an agent's profile from self-reported details.
+ * input: name, description, twitter, moltbook, platform, verified_via,
+ * identity. With an identity (an ENS name, ERC-8004 agent or address the
+ * signed-in wallet is authorized for), the wallet's address is linked to the
+ * agent, so its signatures carry the agent's reputation (see trust.js).
+ */
+export async function registerAgent(env, input, { actor } = {}) {
+  const { twitter, moltbook, description, platform, verified_via, identity } = input;
+  if (!input.name || typeof input.name !== 'string' || input.name.trim().length === 0) {
+    throw new OperationError(400, 'Agent name is required');
+  }
+  const name = input.name.trim();
+  if (identity !== undefined) await checkIdentity(env, name, identity, actor);
+
+  // Build observations
+  const observations = [];
+  if (description) observations.push(`${description}`);
+  if (twitter) observations.push(`Twitter: ${twitter}`);
+  if (moltbook) observations.push(`Moltbook: ${moltbook}`);
+  if (platform) observations.push(`Runs on ${platform}`);
+  if (verified_via) observations.push(`Verification: ${verified_via}`);
+
+  const selfRegistered = text => newObservation(text, { source_agent: 'self-registered' });
+  const mergeObservations = entity => {
+    for (const obs of observations) {
+      if (!entity.observations.some(o => (o.text || o) === obs)) {
+        entity.observations.push(selfRegistered(obs));
+      }
+    }
+    entity.updated = new Date().toISOString();
+  };
+
+  const context = writeContext('register_agent', actor, 'self-registered');
+  let isNew = false;
+  // Create or update entity
+  const existing = await updateEntity(env, name, mergeObservations, { context });
+  if (!existing) {
+    isNew = await insertEntity(env, {
+      name,
+      entityType: 'agent',
+      observations: observations.map(selfRegistered),
+      created: new Date().toISOString(),
+      updated: new Date().toISOString()
+    }, { context });
+    // Lost a race with a concurrent registration — merge into that one instead
+    if (!isNew) await updateEntity(env, name, mergeObservations, { context });
+  }
+
+  // Create relations
+  const existingRels = await loadRelations(env, name);
+  const link = async (relation, target) => {
+    if (existingRels.some(r => r.source === name && r.target === target && r.relation === relation)) return;
+    await addRelation(env, { source: name, relation, target, created: new Date().toISOString(), expires_at: null }, { context });
+  };
+  if (twitter) await link('active_on', 'Twitter');
+  if (moltbook) await link('active_on', 'Moltbook');
+  if (platform && await entityExists(env, platform)) await link('runs_on', platform);
+
+  // Lost the name to a concurrent registration: its identity keeps it
+  if (identity !== undefined && !await linkSigner(env, actor.address, name, identity, { claim: isNew })) {
+    throw new OperationError(409, `Agent "${name}" was registered under another identity`);
+  }
+
+  return {
+    success: true,
+    agent: name,
+    observations: observations.length,
+    message: isNew ? 'Agent registered successfully' : 'Agent profile updated',
+    ...(identity !== undefined && { linked: { address: actor.address, identity } })
+  };
+}
+
+// A signer link needs a signed-in wallet authorized for the identity, and an
+// agent that is new or already linked through that identity
+async function checkIdentity(env, name, identity, actor) {
+  if (typeof identity !== 'string' || !identity) throw new OperationError(400, 'identity must be an ENS name, an ERC-8004 agent or an address');
+  if (!actor?.address) throw new OperationError(403, 'Linking an identity needs a wallet session (Sign-In with Ethereum)');
+  const authorization = await authorizeSource(env, actor.address, identity);
+  if (!authorization.authorized) {
+    if (authorization.error === 'lookup_failed') {
+      throw new OperationError(502, 'Could not check the identity', { details: authorization.reason });
+    }
+    throw new OperationError(403, `${actor.address} is not authorized for identity ${identity}: ${authorization.reason}`);
+  }
+  if (await entityExists(env, name) && !mayLinkSigner(await loadSignerLinks(env), name, identity, false)) {
+    throw new OperationError(403, `Agent "${name}" exists and is not linked to identity ${identity}`);
+  }
+}
+
+// --- Attestations ---
+
+const SERVER_SIGNING_DEPRECATION = 'Signing with a key sent to the server is deprecated and will be removed. Sign locally with signObservation and POST /observation/signed.';
+
+function checkAttestation(observation) {
+  if (!observation || typeof observation !== 'object') throw new OperationError(400, 'observation must be an object');
+  for (const field of ATTESTATION_FIELDS) {
+    if (!(field in observation)) throw new OperationError(400, `Missing required observation field: ${field}`);
+  }
+  // Stored as the text "<attribute>: <value>", so objects and arrays have no faithful form
+  if (typeof observation.attribute !== 'string') throw new OperationError(400, 'observation.attribute must be a string');
+  if (!SCALAR_TYPES.includes(typeof observation.value)) {
+    throw new OperationError(400, 'observation.value must be a string, number or boolean');
+  }
+}
+
+function checkScheme(scheme) {
+  if (scheme !== undefined && !SIGNATURE_SCHEMES.includes(scheme)) {
+    throw new OperationError(400, `Unknown signature scheme "${scheme}" — use: ${SIGNATURE_SCHEMES.join(', ')}`);
+  }
+}
+
+/**
+ * The signature with its scheme settled: input.scheme, else the scheme the
+ * signature names, else legacy (signatures from before EIP-712 name none).
+ */
+function negotiateScheme(input) {
+  const { signature, scheme } = input;
+  if (typeof signature !== 'object') throw new OperationError(400, 'signature must be the object returned by signObservation');
+  checkScheme(scheme);
+  if (scheme && signature.scheme && scheme !== signature.scheme) {
+    throw new OperationError(400, `scheme "${scheme}" does not match the signature's scheme "${signature.scheme}"`);
+  }
+  return { ...signature, scheme: scheme || signature.scheme || 'legacy' };
+}
+
+/**
+ * Sign an observation with ECDSA. input: observation, privateKey, scheme
+ * (eip712, the default, or legacy).
+ *
+ * Deprecated: it asks clients to send their private key. Disabled unless
+ * env.ALLOW_SERVER_SIGNING is "true"; clients should sign locally and use
+ * submitSignedObservation.
+ */
+export async function attestObservation(env, input) {
+  if (env.ALLOW_SERVER_SIGNING !== 'true') {
+    throw new OperationError(410, 'Server-side signing is disabled — sign the observation locally and submit it to POST /observation/signed');
+  }
+  const { observation, privateKey, scheme = 'eip712' } = input;
+  if (!observation || !privateKey) throw new OperationError(400, 'Missing required fields: observation, privateKey');
+  checkAttestation(observation);
+  checkScheme(scheme);
+
+  let signature;
+  try {
+    signature = await signObservation(observation, privateKey, { scheme });
+  } catch (error) {
+    throw new OperationError(500, 'Signature creation failed', { details: error.message });
+  }
+  return {
+    observation,
+    signature,
+    info: 'Signature created. Use /verify to verify this signature, or submit to the graph with the signature attached.',
+    deprecated: SERVER_SIGNING_DEPRECATION
+  };
+}
+
+/**
+ * Check an observation's signature and whether the signer may attest for
+ * its source; authorization is the trail from authorizeSource (address
+ * match or ERC-8004 lookup). input: observation, signature, scheme (see
+ * negotiateScheme).
+ */
+export async function verifyObservation(env, input) {
+  const { observation } = input;
+  if (!observation || !input.signature) throw new OperationError(400, 'Missing required fields: observation, signature');
+  checkAttestation(observation);
+  const signature = negotiateScheme(input);
+
+  let result;
+  try {
+    result = await verifySignature(observation, signature);
+  } catch (error) {
+    throw new OperationError(500, 'Verification failed', { details: error.message });
+  }
+  if (!result.valid) {
+    return {
+      valid: false,
+      scheme: signature.scheme,
+      error: result.error,
+      info: 'Signature verification failed. The observation may have been tampered with, or the signature is malformed.'
+    };
+  }
+
+  // Check source authorization
+  const authorization = await authorizeSource(env, result.signer, observation.source);
+  return {
+    valid: true,
+    scheme: signature.scheme,
+    signer: result.signer,
+    authorized: authorization.authorized,
+    authorization,
+    info: authorization.authorized
+      ? 'Signature valid and signer is authorized for this source'
+      : `Signature valid but signer is not authorized for this source: ${authorization.reason}`
+  };
+}
+
+/**
+ * Add a client-signed observation to its entity (observation.entity_id). The
+ * signature must verify and the signer must be authorized for
+ * observation.source; the observation is stored as "<attribute>: <value>"
+ * with the signature attached, attributed to its source. Submitting an
+ * observation that is already stored co-signs it instead: any signer may add
+ * a signature (see attestations.js), once, and only a listed quorum signer
+ * when there is a quorum; unauthorized signers without one are kept but not
+ * counted. A quorum must list the signer who sets it.
+ * input: observation, signature, scheme (see negotiateScheme), expires_at,
+ * quorum ({ threshold, signers }, set by the first signature).
+ * Returns { result, entity }; result has added or cosigned.
+ */
+export async function submitSignedObservation(env, input, { actor, expectedRev } = {}) {
+  const { observation, expires_at } = input;
+  if (!observation || !input.signature) throw new OperationError(400, 'Missing required fields: observation, signature');
+  checkAttestation(observation);
+  const signature = negotiateScheme(input);
+  if (!Number.isFinite(Date.parse(observation.observed_at))) throw new OperationError(400, 'observation.observed_at must be an ISO 8601 timestamp');
+  if (typeof observation.confidence !== 'number' || observation.confidence < 0 || observation.confidence > 1) {
+    throw new OperationError(400, 'observation.confidence must be a number between 0 and 1');
+  }
+
+  const { quorum, error: quorumError } = parseQuorum(input.quorum);
+  if (quorumError) throw new OperationError(400, quorumError);
+
+  const verification = await verifySignature(observation, signature);
+  if (!verification.valid) throw new OperationError(400, `Invalid signature: ${verification.error}`);
+  const { signer } = verification;
+  const authorization = await authorizeSource(env, signer, observation.source);
+
+  const { entity_id: name, attribute, value, observed_at, source, confidence } = observation;
+  const text = `${attribute}: ${value}`;
+  const signed = { signer, signature, authorized: authorization.authorized, verified_at: new Date().toISOString() };
+  const context = writeContext('add_signed_observation', actor, source);
+  const hasSignature = o => o.attestation && attestationSignatures(o.attestation).some(s => s.signature?.signature_hex === signature.signature_hex);
+  let outcome;
+  const entity = await updateEntity(env, name, e => {
+    context.operation = 'add_signed_observation';
+    if (e.observations.some(hasSignature)) {
+      outcome = 'duplicate';
+      return false;
+    }
+
+    // The same observation signed before: co-sign it
+    const target = e.observations.find(o => o.attestation && !o.t_invalid && signatureMatches(e.name, o, signature));
+    if (target) {
+      const signatures = attestationSignatures(target.attestation);
+      const stored = target.attestation.quorum || null;
+      if (signatures.some(s => s.signer === signer)) outcome = 'attested';
+      else if (quorum && !sameQuorum(quorum, stored)) outcome = 'quorum_conflict';
+      else if (stored?.signers && !stored.signers.includes(signer)) outcome = 'not_listed';
+      else outcome = 'cosigned';
+      if (outcome !== 'cosigned') return false;
+      target.attestation = { attribute, value, source, signatures: [...signatures, signed], ...(stored && { quorum: stored }) };
+      context.operation = 'cosign_observation';
+    } else {
+      // A new observation needs a signer authorized for its source, listed in its quorum
+      if (!authorization.authorized) {
+        outcome = 'unauthorized';
+        return false;
+      }
+      if (quorum && !quorum.signers.includes(signer)) {
+        outcome = 'creator_not_listed';
+        return false;
+      }
+      const attestation = { attribute, value, source, signatures: [signed], ...(quorum && { quorum }) };
+      e.observations.push({ ...newObservation(text, { observed_at, expires_at, source_agent: source, confidence }), attestation });
+      outcome = 'added';
+    }
+    e.updated = new Date().toISOString();
+  }, { expectedRev, context });
+  if (!entity) throw notFound(name);
+
+  if (outcome === 'duplicate') throw new OperationError(409, 'This signed observation has already been submitted');
+  if (outcome === 'attested') throw new OperationError(409, `${signer} has already attested this observation`);
+  if (outcome === 'quorum_conflict') throw new OperationError(409, 'This observation already has a different quorum; the first signature sets it');
+  if (outcome === 'not_listed') throw new OperationError(403, `Signer ${signer} is not one of this observation's quorum signers`);
+  if (outcome === 'creator_not_listed') throw new OperationError(400, `quorum.signers must include ${signer}, the signer setting the quorum`);
+  if (outcome === 'unauthorized') {
+    if (authorization.error === 'lookup_failed') {
+      throw new OperationError(502, 'Could not check source authorization', { details: authorization.reason });
+    }
+    throw new OperationError(403, `Signer ${signer} is not authorized for source ${source}: ${authorization.reason}`);
+  }
+
+  const reputations = await getSignerReputations(env, await getOrComputeTrustScores(env));
+  const summary = attestationSummary(entity.name, normalizeObs(entity.observations.find(hasSignature)), reputations);
+  return {
+    result: {
+      [outcome]: text,
+      to: name,
+      source,
+      signer,
+      scheme: signature.scheme,
+      verified: true,
+      attester_count: summary.attester_count,
+      signer_trust: summary.signer_trust,
+      ...(summary.quorum && { quorum: summary.quorum })
+    },
+    entity
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Cursor pagination for listing routes (/graph, /search, /agents) and the
+ * matching MCP tools
+ *
+ * Listings are sorted by a key (an array compared element by element:
+ * numbers numerically, strings with localeCompare). The cursor is an opaque
+ * base64url token holding the key of the last item returned, and the next page
+ * starts strictly after it — so pages stay stable when entities are added or
+ * removed between requests (keyset pagination, not offsets).
+ */
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 500;
+
+/**
+ * Compare two sort keys. Numbers sort ascending (negate for descending),
+ * strings with localeCompare.
+ */
+export function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const x = a[i];
+    const y = b[i];
+    if (x === y) continue;
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    const diff = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+export function encodeCursor(key) {
+  const bytes = new TextEncoder().encode(JSON.stringify(key));
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const key = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    return Array.isArray(key) ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate limit/cursor from query parameters or tool arguments.
+ * Returns { page: { limit, after } } or { error } with a message for a 400.
+ */
+export function parsePage(input, defaultLimit = DEFAULT_PAGE_LIMIT) {
+  const rawLimit = input.limit;
+  let limit = defaultLimit;
+  if (rawLimit !== undefined && rawLimit !== null && rawLimit !== '') {
+    limit = Number(rawLimit);
+    if (!Number.isInteger(limit) || limit < 1) return { error: 'limit must be a positive integer' };
+    limit = Math.min(limit, MAX_PAGE_LIMIT);
+  }
+
+  let after = null;
+  if (input.cursor) {
+    after = decodeCursor(String(input.cursor));
+    if (!after) return { error: 'Invalid cursor — pass next_cursor from the previous page unchanged' };
+  }
+  return { page: { limit, after } };
+}
+
+/**
+ * Take one page from items already sorted by keyOf.
+ * Returns { items, total, next_cursor } (next_cursor null on the last page).
+ */
+export function paginate(items, page, keyOf) {
+  let start = 0;
+  if (page.after) {
+    start = items.findIndex(item => compareKeys(keyOf(item), page.after) > 0);
+    if (start < 0) start = items.length;
+  }
+  const slice = items.slice(start, start + page.limit);
+  const more = start + slice.length < items.length;
+  return {
+    items: slice,
+    total: items.length,
+    next_cursor: more && slice.length > 0 ? encodeCursor(keyOf(slice[slice.length - 1])) : null
+  };
+}
@@ -0,0 +1,374 @@
+/**
+ * Declarative pattern queries over the AEI graph (POST /query)
+ *
+ * A query binds variables to entities matching node patterns, joined by edge
+ * patterns, and projects the bindings:
+ *
+ *   {
+ *     "nodes": {
+ *       "a": { "type": "agent", "trust": { "gt": 0.6 } },
+ *       "p": { "name": "NanoClaw" },
+ *       "x": { "name": "x402" }
+ *     },
+ *     "edges": [
+ *       { "from": "a", "relation": "runs_on", "to": "p" },
+ *       { "from": "a", "relation": ["uses", "implements"], "to": "x", "as": "r" }
+ *     ],
+ *     "return": ["a.name", "a.trust", "r.relation"],
+ *     "limit": 50
+ *   }
+ *
+ * Node pattern fields (all optional, all must hold):
+ *   name, type, created, updated, trust   value predicates (below)
+ *   observation   an observation predicate, or an array of them that must
+ *                 each be met by some active observation. A string means
+ *                 "text contains". Object fields: text, source_agent,
+ *                 confidence, observed_at — value predicates that must all
+ *                 hold for the same observation.
+ *
+ * Value predicates: a literal (equality; case-insensitive for strings) or an
+ * object of operators: eq, ne, in, contains, prefix, gt, gte, lt, lte, exists.
+ * Date fields compare as dates.
+ *
+ * Edge patterns: from, to (node variables), relation (type or list of types),
+ * direction ("out" = from -> to, the default, or "both"), as (binds the
+ * relation to a variable for return).
+ *
+ * Return items: "v" (entity summary or relation), "v.name", "v.type",
+ * "v.observations", "v.trust", "v.created", "v.updated", and for relation
+ * variables "r.relation", "r.source", "r.target". Defaults to every node
+ * variable's name.
+ *
+ * Observations and relations follow the getActiveObs/getActiveRels rules;
+ * include_expired: true also matches expired ones.
+ */
+
+import { loadManifest, loadSubgraph } from './graph-store.js';
+import { normalizeObs, getActiveObs, obsText } from './observations.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_STEPS = 200000;       // Backtracking budget; results are marked truncated beyond it
+const VARIABLE_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const OPERATORS = ['eq', 'ne', 'in', 'contains', 'prefix', 'gt', 'gte', 'lt', 'lte', 'exists'];
+const NODE_FIELDS = ['name', 'type', 'created', 'updated', 'trust', 'observation'];
+const OBSERVATION_FIELDS = ['text', 'source_agent', 'confidence', 'observed_at'];
+const DATE_FIELDS = new Set(['created', 'updated', 'observed_at']);
+const NODE_PROJECTIONS = ['name', 'type', 'observations', 'trust', 'created', 'updated'];
+const EDGE_PROJECTIONS = ['relation', 'source', 'target', 'expires_at'];
+
+export class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+    this.status = 400;
+  }
+}
+
+// --- Validation ---
+
+function checkValuePredicate(pred, where) {
+  if (pred === null || typeof pred !== 'object' || Array.isArray(pred)) return;
+  const ops = Object.keys(pred);
+  if (ops.length === 0) throw new QueryError(`${where}: empty predicate`);
+  for (const op of ops) {
+    if (!OPERATORS.includes(op)) throw new QueryError(`${where}: unknown operator "${op}" (use ${OPERATORS.join(', ')})`);
+  }
+  if ('in' in pred && !Array.isArray(pred.in)) throw new QueryError(`${where}: "in" takes an array`);
+}
+
+function checkObservationPredicate(pred, where) {
+  if (typeof pred === 'string') return;
+  if (pred === null || typeof pred !== 'object' || Array.isArray(pred)) {
+    throw new QueryError(`${where}: observation pattern must be a string or object`);
+  }
+  for (const [field, value] of Object.entries(pred)) {
+    if (!OBSERVATION_FIELDS.includes(field)) throw new QueryError(`${where}: unknown observation field "${field}" (use ${OBSERVATION_FIELDS.join(', ')})`);
+    checkValuePredicate(value, `${where}.${field}`);
+  }
+}
+
+/**
+ * Validate and normalize a query body. Throws QueryError.
+ */
+export function parseQuery(body) {
+  if (!body || typeof body !== 'object') throw new QueryError('Query must be a JSON object');
+  const nodes = body.nodes;
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || Object.keys(nodes).length === 0) {
+    throw new QueryError('nodes must be an object of { variable: pattern } with at least one variable');
+  }
+
+  const nodeVars = Object.keys(nodes);
+  for (const v of nodeVars) {
+    if (!VARIABLE_RE.test(v)) throw new QueryError(`Invalid variable name "${v}"`);
+    const pattern = nodes[v] || {};
+    if (typeof pattern !== 'object' || Array.isArray(pattern)) throw new QueryError(`nodes.${v} must be an object`);
+    for (const [field, pred] of Object.entries(pattern)) {
+      if (!NODE_FIELDS.includes(field)) throw new QueryError(`nodes.${v}: unknown field "${field}" (use ${NODE_FIELDS.join(', ')})`);
+      if (field === 'observation') {
+        for (const p of Array.isArray(pred) ? pred : [pred]) checkObservationPredicate(p, `nodes.${v}.observation`);
+      } else {
+        checkValuePredicate(pred, `nodes.${v}.${field}`);
+      }
+    }
+  }
+
+  if (body.edges !== undefined && !Array.isArray(body.edges)) throw new QueryError('edges must be an array');
+  const edgeVars = new Set();
+  const edges = (body.edges || []).map((edge, i) => {
+    const where = `edges[${i}]`;
+    if (!edge || typeof edge !== 'object') throw new QueryError(`${where} must be an object`);
+    for (const end of ['from', 'to']) {
+      if (!nodeVars.includes(edge[end])) throw new QueryError(`${where}.${end} must name a node variable`);
+    }
+    const direction = edge.direction || 'out';
+    if (!['out', 'both'].includes(direction)) throw new QueryError(`${where}.direction must be "out" or "both"`);
+    if (edge.as !== undefined) {
+      if (!VARIABLE_RE.test(edge.as) || nodeVars.includes(edge.as) || edgeVars.has(edge.as)) {
+        throw new QueryError(`${where}.as must be a new variable name`);
+      }
+      edgeVars.add(edge.as);
+    }
+    const relations = edge.relation === undefined ? null : (Array.isArray(edge.relation) ? edge.relation : [edge.relation]);
+    return { from: edge.from, to: edge.to, relations: relations ? new Set(relations) : null, direction, as: edge.as };
+  });
+
+  const returns = body.return === undefined ? nodeVars.map(v => `${v}.name`) : body.return;
+  if (!Array.isArray(returns) || returns.length === 0) throw new QueryError('return must be a non-empty array');
+  for (const item of returns) {
+    const [v, field, ...rest] = String(item).split('.');
+    const allowed = nodeVars.includes(v) ? NODE_PROJECTIONS : edgeVars.has(v) ? EDGE_PROJECTIONS : null;
+    if (!allowed) throw new QueryError(`return: unknown variable in "${item}"`);
+    if (rest.length > 0 || (field !== undefined && !allowed.includes(field))) {
+      throw new QueryError(`return: "${item}" — fields for ${v} are ${allowed.join(', ')}`);
+    }
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (body.limit !== undefined) {
+    limit = Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw new QueryError('limit must be a positive integer');
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return {
+    nodes, nodeVars, edges, returns, limit,
+    distinct: body.distinct === true,
+    includeExpired: body.include_expired === true,
+    usesTrust: nodeVars.some(v => nodes[v]?.trust !== undefined) || returns.some(r => String(r).endsWith('.trust'))
+  };
+}
+
+// --- Predicates ---
+
+function comparable(value, field) {
+  if (DATE_FIELDS.has(field)) return value ? Date.parse(value) : NaN;
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function matchValue(actual, pred, field) {
+  if (pred === null || typeof pred !== 'object') {
+    return comparable(actual, field) === comparable(pred, field);
+  }
+  const a = comparable(actual, field);
+  for (const [op, raw] of Object.entries(pred)) {
+    const b = Array.isArray(raw) ? raw.map(x => comparable(x, field)) : comparable(raw, field);
+    const ok = {
+      eq: () => a === b,
+      ne: () => a !== b,
+      in: () => b.includes(a),
+      contains: () => typeof a === 'string' && a.includes(String(b)),
+      prefix: () => typeof a === 'string' && a.startsWith(String(b)),
+      gt: () => a > b,
+      gte: () => a >= b,
+      lt: () => a < b,
+      lte: () => a <= b,
+      exists: () => (actual !== undefined && actual !== null) === Boolean(raw)
+    }[op]();
+    if (!ok) return false;
+  }
+  return true;
+}
+
+function matchObservation(obs, pred) {
+  const o = normalizeObs(obs);
+  if (typeof pred === 'string') return o.text.toLowerCase().includes(pred.toLowerCase());
+  return Object.entries(pred).every(([field, p]) => {
+    if (field === 'text' && typeof p === 'string') return o.text.toLowerCase().includes(p.toLowerCase());
+    return matchValue(o[field], p, field);
+  });
+}
+
+function manifestMatches(name, entityType, pattern) {
+  if (pattern.name !== undefined && !matchValue(name, pattern.name, 'name')) return false;
+  if (pattern.type !== undefined && !matchValue(entityType, pattern.type, 'type')) return false;
+  return true;
+}
+
+function entityMatches(entity, pattern, ctx) {
+  if (!manifestMatches(entity.name, entity.entityType, pattern)) return false;
+  if (pattern.created !== undefined && !matchValue(entity.created, pattern.created, 'created')) return false;
+  if (pattern.updated !== undefined && !matchValue(entity.updated, pattern.updated, 'updated')) return false;
+  if (pattern.trust !== undefined && !matchValue(ctx.trustOf(entity.name), pattern.trust, 'trust')) return false;
+  if (pattern.observation !== undefined) {
+    const obs = getActiveObs(entity, ctx.now, ctx.includeExpired);
+    const preds = Array.isArray(pattern.observation) ? pattern.observation : [pattern.observation];
+    if (!preds.every(p => obs.some(o => matchObservation(o, p)))) return false;
+  }
+  return true;
+}
+
+// --- Matching ---
+
+/**
+ * Order variables so each one after the first is, where possible, joined to
+ * an already-bound variable — smallest candidate sets first.
+ */
+function planOrder(query, candidates) {
+  const order = [];
+  const bound = new Set();
+  while (order.length < query.nodeVars.length) {
+    const remaining = query.nodeVars.filter(v => !bound.has(v));
+    const joined = remaining.filter(v => query.edges.some(e =>
+      (e.from === v && bound.has(e.to)) || (e.to === v && bound.has(e.from))
+    ));
+    const pool = joined.length > 0 ? joined : remaining;
+    pool.sort((a, b) => candidates.get(a).size - candidates.get(b).size);
+    order.push(pool[0]);
+    bound.add(pool[0]);
+  }
+  return order;
+}
+
+/**
+ * Run a parsed query. getTrustScores is called (once) only if the query
+ * filters or projects on trust.
+ * Returns { columns, rows, count, truncated }.
+ */
+export async function runQuery(env, query, { now = new Date(), getTrustScores = null } = {}) {
+  const manifest = await loadManifest(env);
+  const trustScores = query.usesTrust && getTrustScores ? await getTrustScores() : {};
+  const ctx = { now, includeExpired: query.includeExpired, trustOf: name => trustScores[name] ?? 0.5 };
+
+  // Narrow each variable by name/type from the manifest, then load only those entities
+  const manifestCandidates = new Map(query.nodeVars.map(v => [v,
+    Object.entries(manifest.entities)
+      .filter(([name, type]) => manifestMatches(name, type, query.nodes[v] || {}))
+      .map(([name]) => name)
+  ]));
+  const names = [...new Set([...manifestCandidates.values()].flat())];
+  const graph = await loadSubgraph(env, names);
+  const entities = new Map(graph.entities.map(e => [e.name, e]));
+
+  const candidates = new Map(query.nodeVars.map(v => [v, new Set(
+    manifestCandidates.get(v).filter(name => entities.has(name) && entityMatches(entities.get(name), query.nodes[v] || {}, ctx))
+  )]));
+
+  // Active relations indexed by endpoint
+  const bySource = new Map();
+  const byTarget = new Map();
+  for (const r of graph.relations) {
+    if (!ctx.includeExpired && r.expires_at && new Date(r.expires_at) <= now) continue;
+    if (!bySource.has(r.source)) bySource.set(r.source, []);
+    if (!byTarget.has(r.target)) byTarget.set(r.target, []);
+    bySource.get(r.source).push(r);
+    byTarget.get(r.target).push(r);
+  }
+  const edgeMatches = (edge, from, to) => {
+    const ok = r => !edge.relations || edge.relations.has(r.relation);
+    const out = (bySource.get(from) || []).filter(r => r.target === to && ok(r));
+    if (edge.direction === 'out') return out;
+    return [...out, ...(bySource.get(to) || []).filter(r => r.target === from && ok(r))];
+  };
+  const neighbours = (edge, boundVar, name) => {
+    const ok = r => !edge.relations || edge.relations.has(r.relation);
+    const result = new Set();
+    const forward = boundVar === edge.from;
+    for (const r of (forward ? bySource : byTarget).get(name) || []) if (ok(r)) result.add(forward ? r.target : r.source);
+    if (edge.direction === 'both') {
+      for (const r of (forward ? byTarget : bySource).get(name) || []) if (ok(r)) result.add(forward ? r.source : r.target);
+    }
+    return result;
+  };
+
+  const order = planOrder(query, candidates);
+  const bindings = [];
+  let steps = 0;
+  let truncated = false;
+
+  const extend = (i, binding) => {
+    if (bindings.length > query.limit || truncated) return;
+    if (++steps > MAX_STEPS) { truncated = true; return; }
+    if (i === order.length) {
+      // Bind relation variables; each combination of parallel relations is a separate row
+      const expand = (j, edgeBinding) => {
+        if (j === query.edges.length) { bindings.push({ ...binding, ...edgeBinding }); return; }
+        const edge = query.edges[j];
+        const rels = edgeMatches(edge, binding[edge.from], binding[edge.to]);
+        if (!edge.as) {
+          if (rels.length > 0) expand(j + 1, edgeBinding);
+          return;
+        }
+        for (const r of rels) expand(j + 1, { ...edgeBinding, [edge.as]: r });
+      };
+      expand(0, {});
+      return;
+    }
+
+    const v = order[i];
+    let pool = candidates.get(v);
+    for (const edge of query.edges) {
+      const other = edge.from === v ? edge.to : edge.to === v ? edge.from : null;
+      if (other && other !== v && other in binding) {
+        const reachable = neighbours(edge, other, binding[other]);
+        pool = new Set([...pool].filter(n => reachable.has(n)));
+      }
+    }
+    for (const name of [...pool].sort((a, b) => a.localeCompare(b))) {
+      // Self-edges (from === to) are checked once the variable is bound
+      const selfOk = query.edges.every(e => e.from !== v || e.to !== v || edgeMatches(e, name, name).length > 0);
+      if (selfOk) extend(i + 1, { ...binding, [v]: name });
+    }
+  };
+  extend(0, {});
+
+  if (bindings.length > query.limit) {
+    truncated = true;
+    bindings.length = query.limit;
+  }
+
+  const project = (binding, item) => {
+    const [v, field] = String(item).split('.');
+    const value = binding[v];
+    if (!query.nodeVars.includes(v)) {
+      const rel = { source: value.source, relation: value.relation, target: value.target };
+      if (value.expires_at) rel.expires_at = value.expires_at;
+      return field ? rel[field] ?? null : rel;
+    }
+    const entity = entities.get(value);
+    const observations = () => getActiveObs(entity, now, ctx.includeExpired).map(obsText);
+    if (!field) return { name: entity.name, entityType: entity.entityType, observations: observations() };
+    return {
+      name: () => entity.name,
+      type: () => entity.entityType,
+      observations,
+      trust: () => ctx.trustOf(entity.name),
+      created: () => entity.created || null,
+      updated: () => entity.updated || null
+    }[field]();
+  };
+
+  let rows = bindings.map(b => Object.fromEntries(query.returns.map(item => [item, project(b, item)])));
+  if (query.distinct) {
+    const seen = new Set();
+    rows = rows.filter(row => {
+      const key = JSON.stringify(row);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  return { columns: query.returns, rows, count: rows.length, truncated };
+}
@@ -0,0 +1,143 @@
+/**
+ * Structured filters and sort orders for search
+ *
+ * Shared by GET /search (query parameters) and the MCP search_nodes tool
+ * (arguments), so both accept the same options:
+ *   type             entity type, or several comma-separated
+ *   has_relation     "relation:Entity" — an active relation of that type to or
+ *                    from Entity; either side may be "*" or empty
+ *   source_agent     some observation was recorded by this agent
+ *   observed_after   some observation was observed at or after this time
+ *   observed_before  ...at or before this time
+ *   updated_since    the entity was updated at or after this time
+ *   include_expired  also match and return expired observations and relations
+ *   sort             score (default), trust, updated or created
+ *
+ * Observation predicates (source_agent, observed_*) must hold for the same
+ * observation: source_agent=x&observed_after=t means "x observed something
+ * after t".
+ */
+
+import { normalizeObs, getActiveObs, getActiveRels } from './observations.js';
+import { compareKeys } from './pagination.js';
+
+export const SORT_ORDERS = ['score', 'trust', 'updated', 'created'];
+
+const DATE_PARAMS = ['observed_after', 'observed_before', 'updated_since'];
+export const FILTER_PARAMS = ['type', 'has_relation', 'source_agent', ...DATE_PARAMS, 'include_expired', 'sort'];
+
+function parseFlag(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Validate filter options from query parameters or tool arguments.
+ * Returns { filters, applied } (applied echoes the options that were set) or
+ * { error } with a message for a 400.
+ */
+export function parseSearchFilters(input) {
+  const get = key => {
+    const value = input[key];
+    return value === undefined || value === null || value === '' ? null : value;
+  };
+
+  const filters = { includeExpired: parseFlag(get('include_expired')), sort: get('sort') || 'score' };
+  if (!SORT_ORDERS.includes(filters.sort)) {
+    return { error: `Invalid sort "${filters.sort}" — use one of: ${SORT_ORDERS.join(', ')}` };
+  }
+
+  const type = get('type');
+  if (type) filters.types = String(type).split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+
+  const hasRelation = get('has_relation');
+  if (hasRelation) {
+    const [relation, ...rest] = String(hasRelation).split(':');
+    const entity = rest.join(':');
+    filters.hasRelation = {
+      relation: relation && relation !== '*' ? relation : null,
+      entity: entity && entity !== '*' ? entity : null
+    };
+  }
+
+  const sourceAgent = get('source_agent');
+  if (sourceAgent) filters.sourceAgent = String(sourceAgent);
+
+  for (const param of DATE_PARAMS) {
+    const value = get(param);
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date)) return { error: `Invalid ${param} — use an ISO 8601 date (e.g. "2026-02-01T00:00:00Z")` };
+    filters[param] = date;
+  }
+
+  const applied = {};
+  for (const param of FILTER_PARAMS) {
+    if (get(param) !== null) applied[param] = get(param);
+  }
+  return { filters, applied };
+}
+
+function matchesObservation(obs, filters) {
+  const o = normalizeObs(obs);
+  if (filters.sourceAgent && o.source_agent !== filters.sourceAgent) return false;
+  if (filters.observed_after || filters.observed_before) {
+    if (!o.observed_at) return false;
+    const observed = new Date(o.observed_at);
+    if (filters.observed_after && observed < filters.observed_after) return false;
+    if (filters.observed_before && observed > filters.observed_before) return false;
+  }
+  return true;
+}
+
+/**
+ * Does the entity pass every filter? graph must hold the entity's relations.
+ */
+export function matchesFilters(entity, graph, filters, now) {
+  if (filters.types && !filters.types.includes(String(entity.entityType).toLowerCase())) return false;
+
+  if (filters.updated_since && !(entity.updated && new Date(entity.updated) >= filters.updated_since)) return false;
+
+  if (filters.sourceAgent || filters.observed_after || filters.observed_before) {
+    const obs = getActiveObs(entity, now, filters.includeExpired);
+    if (!obs.some(o => matchesObservation(o, filters))) return false;
+  }
+
+  if (filters.hasRelation) {
+    const { relation, entity: other } = filters.hasRelation;
+    const rels = getActiveRels(graph, entity.name, now, filters.includeExpired);
+    const found = rels.some(r => {
+      if (relation && r.relation !== relation) return false;
+      const counterpart = r.source === entity.name ? r.target : r.source;
+      return !other || counterpart === other;
+    });
+    if (!found) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Sort key for a ranked result ({ entity, score }) under a sort order, for
+ * compareKeys: best first, ties broken by score, then name. trustScores is
+ * required for sort=trust.
+ */
+export function searchSortKey(result, sort, trustScores = null) {
+  const value = {
+    score: r => r.score,
+    trust: r => trustScores?.[r.entity.name] ?? 0.5,
+    updated: r => Date.parse(r.entity.updated) || 0,
+    created: r => Date.parse(r.entity.created) || 0
+  }[sort](result);
+  return sort === 'score'
+    ? [-result.score, result.entity.name]
+    : [-value, -result.score, result.entity.name];
+}
+
+/**
+ * Sort ranked results in place, best first.
+ */
+export function sortResults(results, sort, trustScores = null) {
+  return results.sort((a, b) =>
+    compareKeys(searchSortKey(a, sort, trustScores), searchSortKey(b, sort, trustScores))
+  );
+}
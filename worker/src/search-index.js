@@ -0,0 +1,441 @@
+/**
+ * Full-text search for the AEI: inverted index + BM25 ranking
+ *
+ * The index is stored per term, so a search reads only its own terms:
+ *   <GRAPH_KEY>:search-term:<term>     { rev, postings: { name: tf } }
+ *   <GRAPH_KEY>:search-vocab:<char>    { rev, terms: [...] } — indexed terms by first character
+ *   <GRAPH_KEY>:search-stats:<shard>   { rev, lengths: { name: length } } — for BM25, spread over STATS_SHARDS
+ *   <GRAPH_KEY>:search-doc:<name>      { version, rev, length, terms: { term: tf } } — what is indexed for <name>
+ *   <GRAPH_KEY>:search-index           { rev, version, built } — set once the index is built
+ *   <GRAPH_KEY>:search-pending:<name>  index update that failed, retried by the scheduled handler
+ * An entity-write listener (see graph-store.js) diffs the entity's terms
+ * against its doc and updates only the postings that changed, then the doc.
+ * The vocabulary is read only when a query term is not indexed, to expand it.
+ * A missing or older index is rebuilt from the graph by the next search.
+ *
+ * Queries are tokenized and stemmed the same way as documents; terms are
+ * OR-ed and ranked with BM25, so multi-word queries like "x402 memory" favour
+ * entities matching both words. The BM25 relevance is combined with the
+ * entity's FadeMem decay score, and each result carries highlighted snippets
+ * of the observations that matched.
+ *
+ * Query terms the index doesn't contain are expanded: adjacent words joined
+ * ("context vault" -> contextvault), indexed terms they prefix, and indexed
+ * terms within a small edit distance ("memroy" -> memory).
+ */
+
+import { loadGraph, loadEntity, loadDocument, updateDocument, readMany } from './graph-store.js';
+import { listAllKeys } from './storage.js';
+import { decayScore, getActiveObs, obsText } from './observations.js';
+import { editDistance, maxEditsFor, nameWords } from './fuzzy.js';
+
+const INDEX_VERSION = 4;
+const STATS_SHARDS = 16;
+const VOCAB_SHARDS = 'abcdefghijklmnopqrstuvwxyz0123456789'.split('');
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const NAME_WEIGHT = 3;         // Name tokens count as this many occurrences
+const PREFIX_MIN_LENGTH = 3;   // Unknown query terms expand to indexed terms with this prefix
+const PREFIX_WEIGHT = 0.5;     // ...scored at this fraction
+const FUZZY_WEIGHT = 0.6;      // Misspelled terms match indexed terms at this fraction per edit
+const MAX_HIGHLIGHTS = 3;
+const SNIPPET_RADIUS = 60;     // Characters of context either side of the first match
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with'
+]);
+
+/**
+ * Light suffix-stripping stemmer: enough to fold plurals and common verb
+ * forms (agents/agent, memories/memory, paying/pay) without a full Porter.
+ */
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+  if (w.endsWith('ies') && w.length > 4) return w.slice(0, -3) + 'y';
+  if (w.endsWith('sses')) return w.slice(0, -2);
+  if (w.endsWith('ing') && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith('ed') && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) return w.slice(0, -1);
+  else return w;
+  // running -> runn -> run
+  if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Split text into stemmed index terms (stopwords dropped).
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(t => !STOPWORDS.has(t))
+    .map(stem);
+}
+
+/**
+ * Term frequencies for an entity: name (weighted), type and active observations.
+ */
+function documentTerms(entity, now) {
+  const tf = {};
+  const add = (term, weight) => { tf[term] = (tf[term] || 0) + weight; };
+  for (const t of tokenize(entity.name)) add(t, NAME_WEIGHT);
+  // camelCase parts, so "vault" finds ContextVault
+  const parts = nameWords(entity.name);
+  if (parts.length > 1) for (const t of tokenize(parts.join(' '))) add(t, 1);
+  for (const t of tokenize(entity.entityType)) add(t, 1);
+  for (const o of getActiveObs(entity, now)) {
+    for (const t of tokenize(obsText(o))) add(t, 1);
+  }
+  return tf;
+}
+
+function docKey(env, name) {
+  return `${env.GRAPH_KEY}:search-doc:${name}`;
+}
+
+function pendingPrefix(env) {
+  return `${env.GRAPH_KEY}:search-pending:`;
+}
+
+function termKind(term) {
+  return `search-term:${term}`;
+}
+
+function vocabKind(term) {
+  return `search-vocab:${term[0]}`;
+}
+
+// Stable shard of an entity's length in the collection statistics
+function statsKind(name) {
+  let hash = 0;
+  for (const ch of name) hash = (hash * 31 + ch.codePointAt(0)) >>> 0;
+  return `search-stats:${hash % STATS_SHARDS}`;
+}
+
+function docLength(tf) {
+  return Object.values(tf).reduce((a, b) => a + b, 0);
+}
+
+// Adjacent query words joined ("context vault" -> contextvault)
+function joinedPairs(tokens) {
+  return tokens.slice(0, -1).map((t, i) => t + tokens[i + 1]);
+}
+
+/**
+ * An index: the postings it holds, the vocabulary query terms expand
+ * against, and the collection statistics BM25 needs.
+ */
+function makeIndex(postings, vocabulary, lengths) {
+  const docCount = Math.max(1, lengths.length);
+  return { postings, vocabulary, docCount, avgLength: lengths.reduce((a, b) => a + b, 0) / docCount || 1 };
+}
+
+/**
+ * Build an index in memory over the given entities as they stood at `now`.
+ * Used to rebuild the stored index and, with a past `now`, for as-of searches.
+ */
+export function buildSearchIndex(entities, now = new Date()) {
+  const postings = {};
+  const lengths = [];
+  for (const entity of entities) {
+    const tf = documentTerms(entity, now);
+    for (const [term, count] of Object.entries(tf)) (postings[term] ||= {})[entity.name] = count;
+    lengths.push(docLength(tf));
+  }
+  return makeIndex(postings, new Set(Object.keys(postings)), lengths);
+}
+
+/**
+ * Set one entity's frequency in a term's postings (0 removes it), and keep
+ * the vocabulary in step when the term gains its first or loses its last entity.
+ */
+async function updatePostings(env, term, name, tf) {
+  let change = null;
+  await updateDocument(env, termKind(term), doc => {
+    const postings = { ...doc?.postings };
+    const had = Object.keys(postings).length > 0;
+    if (tf) postings[name] = tf;
+    else delete postings[name];
+    const has = Object.keys(postings).length > 0;
+    change = had === has ? null : has ? 'add' : 'remove';
+    return { postings };
+  });
+  if (!change) return;
+  await updateDocument(env, vocabKind(term), doc => {
+    const terms = new Set(doc?.terms);
+    if (change === 'add') terms.add(term);
+    else terms.delete(term);
+    return { terms: [...terms].sort() };
+  });
+}
+
+/**
+ * Bring an entity's postings in line with its current terms, then write its
+ * doc — unless the stored doc is for a later revision (a slower listener for
+ * an earlier write) or already has the same terms. Only the terms whose
+ * frequency changed are written. Returns the doc now stored.
+ */
+async function writeDoc(env, entity) {
+  const terms = documentTerms(entity, new Date());
+  const doc = { version: INDEX_VERSION, rev: entity.rev || 0, length: docLength(terms), terms };
+  const current = await env.KG_STORE.get(docKey(env, entity.name), 'json');
+  // Docs from earlier versions have no postings behind them
+  const indexed = current?.version === INDEX_VERSION ? current : null;
+  if (indexed && (indexed.rev > doc.rev || JSON.stringify(indexed.terms) === JSON.stringify(terms))) return indexed;
+
+  const before = indexed?.terms || {};
+  for (const term of new Set([...Object.keys(before), ...Object.keys(terms)])) {
+    if (before[term] !== terms[term]) await updatePostings(env, term, entity.name, terms[term] || 0);
+  }
+  if (indexed?.length !== doc.length) {
+    await updateDocument(env, statsKind(entity.name), stats => ({ lengths: { ...stats?.lengths, [entity.name]: doc.length } }));
+  }
+  await env.KG_STORE.put(docKey(env, entity.name), JSON.stringify(doc));
+  return doc;
+}
+
+/**
+ * Entity-write listener: replace one entity's doc. A failed update is queued
+ * for repairSearchIndex; until then searches see the entity's previous doc.
+ */
+export async function indexEntity(env, entity) {
+  try {
+    await writeDoc(env, entity);
+  } catch (err) {
+    await env.KG_STORE.put(pendingPrefix(env) + entity.name, JSON.stringify({ queued: new Date().toISOString(), error: err.message }));
+    throw err;
+  }
+}
+
+/**
+ * Reindex every entity whose index update failed. Run from the scheduled
+ * handler; entries that fail again stay queued for the next run.
+ * Returns { repaired, failed }.
+ */
+export async function repairSearchIndex(env) {
+  const prefix = pendingPrefix(env);
+  let repaired = 0;
+  let failed = 0;
+  for (const key of await listAllKeys(env.KG_STORE, prefix)) {
+    try {
+      const entity = await loadEntity(env, key.slice(prefix.length));
+      if (entity) await writeDoc(env, entity);
+      await env.KG_STORE.delete(key);
+      repaired++;
+    } catch (err) {
+      console.error('Search index repair failed:', err.message);
+      failed++;
+    }
+  }
+  return { repaired, failed };
+}
+
+/**
+ * Index the whole graph from scratch: every term's postings written once,
+ * merged into what concurrent entity writes may have indexed meanwhile.
+ */
+async function rebuildSearchIndex(env) {
+  const { entities } = await loadGraph(env);
+  const now = new Date();
+  const docs = entities.map(entity => {
+    const terms = documentTerms(entity, now);
+    return { name: entity.name, doc: { version: INDEX_VERSION, rev: entity.rev || 0, length: docLength(terms), terms } };
+  });
+  const { postings } = buildSearchIndex(entities, now);
+
+  for (const [term, entries] of Object.entries(postings)) {
+    await updateDocument(env, termKind(term), doc => ({ postings: { ...doc?.postings, ...entries } }));
+  }
+  for (const shard of VOCAB_SHARDS) {
+    const terms = Object.keys(postings).filter(t => t[0] === shard);
+    if (terms.length > 0) await updateDocument(env, `search-vocab:${shard}`, doc => ({ terms: [...new Set([...(doc?.terms || []), ...terms])].sort() }));
+  }
+  const shards = {};
+  for (const { name, doc } of docs) (shards[statsKind(name)] ||= {})[name] = doc.length;
+  for (const [kind, lengths] of Object.entries(shards)) {
+    await updateDocument(env, kind, stats => ({ lengths: { ...stats?.lengths, ...lengths } }));
+  }
+  for (const { name, doc } of docs) await env.KG_STORE.put(docKey(env, name), JSON.stringify(doc));
+  await updateDocument(env, 'search-index', () => ({ version: INDEX_VERSION, built: now.toISOString() }));
+}
+
+/**
+ * Load the part of the stored index a query needs: the postings of its terms
+ * (and of the indexed terms they expand to) and the collection statistics.
+ * Builds the index first when it is missing or from an older version.
+ */
+export async function loadSearchIndex(env, query) {
+  if ((await loadDocument(env, 'search-index'))?.version !== INDEX_VERSION) await rebuildSearchIndex(env);
+
+  const tokens = tokenize(query);
+  const exact = [...new Set([...tokens, ...joinedPairs(tokens)])];
+  const key = kind => `${env.GRAPH_KEY}:${kind}`;
+  const statsKinds = Array.from({ length: STATS_SHARDS }, (_, i) => `search-stats:${i}`);
+  const values = await readMany(env, [...statsKinds, ...exact.map(termKind)].map(key));
+
+  const postings = {};
+  for (const term of exact) {
+    const entries = values.get(key(termKind(term)))?.postings;
+    if (entries && Object.keys(entries).length > 0) postings[term] = entries;
+  }
+  const lengths = statsKinds.flatMap(kind => Object.values(values.get(key(kind))?.lengths || {}));
+  const index = makeIndex(postings, new Set(Object.keys(postings)), lengths);
+
+  // Unindexed query terms expand against the vocabulary (prefixes, typos)
+  if (tokens.some(t => !index.vocabulary.has(t))) {
+    const vocab = await readMany(env, VOCAB_SHARDS.map(c => key(`search-vocab:${c}`)));
+    for (const doc of vocab.values()) for (const term of doc?.terms || []) index.vocabulary.add(term);
+    const missing = expandQuery(index, query).map(e => e.term).filter(t => !postings[t]);
+    const expanded = await readMany(env, missing.map(t => key(termKind(t))));
+    for (const term of missing) postings[term] = expanded.get(key(termKind(term)))?.postings || {};
+  }
+  return index;
+}
+
+/**
+ * Resolve query terms against the index: exact stems, joined adjacent words,
+ * prefix expansion and edit-distance matches for terms the index doesn't
+ * contain. Returns [{ term, weight, from?, kind? }].
+ */
+function expandQuery(index, query) {
+  const tokens = tokenize(query);
+  const expanded = [];
+  const seen = new Set();
+  const push = (entry) => {
+    if (seen.has(entry.term)) return;
+    seen.add(entry.term);
+    expanded.push(entry);
+  };
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const joined = tokens[i] + tokens[i + 1];
+    if (index.vocabulary.has(joined)) push({ term: joined, weight: 1, from: `${tokens[i]} ${tokens[i + 1]}`, kind: 'joined' });
+  }
+
+  for (const term of new Set(tokens)) {
+    if (index.vocabulary.has(term)) {
+      push({ term, weight: 1 });
+      continue;
+    }
+    let found = false;
+    if (term.length >= PREFIX_MIN_LENGTH) {
+      for (const candidate of index.vocabulary) {
+        if (candidate.startsWith(term)) {
+          push({ term: candidate, weight: PREFIX_WEIGHT, from: term, kind: 'prefix' });
+          found = true;
+        }
+      }
+    }
+    const budget = maxEditsFor(term);
+    if (found || budget === 0) continue;
+    for (const candidate of index.vocabulary) {
+      const distance = editDistance(term, candidate, budget);
+      if (distance <= budget) push({ term: candidate, weight: Math.pow(FUZZY_WEIGHT, distance), from: term, kind: 'fuzzy' });
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Typo corrections applied to a query: { misspelled: [indexed terms] }.
+ */
+export function queryCorrections(index, query) {
+  const corrections = {};
+  for (const { term, from, kind } of expandQuery(index, query)) {
+    if (kind === 'fuzzy') (corrections[from] ||= []).push(term);
+  }
+  return corrections;
+}
+
+/**
+ * Names of all entities containing at least one query term.
+ */
+export function searchCandidates(index, query) {
+  const names = new Set();
+  for (const { term } of expandQuery(index, query)) {
+    for (const name of Object.keys(index.postings[term] || {})) names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * Wrap matching words in **…** within a window around the first match.
+ * Returns null if no word in the text matches.
+ */
+export function highlight(text, terms) {
+  const matches = [];
+  for (const m of text.matchAll(/[A-Za-z0-9]+/g)) {
+    const word = m[0].toLowerCase();
+    if (!STOPWORDS.has(word) && terms.has(stem(word))) matches.push({ start: m.index, end: m.index + m[0].length });
+  }
+  if (matches.length === 0) return null;
+
+  const start = Math.max(0, matches[0].start - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0].end + SNIPPET_RADIUS);
+  let snippet = '';
+  let pos = start;
+  for (const m of matches) {
+    if (m.end > end) break;
+    snippet += `${text.slice(pos, m.start)}**${text.slice(m.start, m.end)}**`;
+    pos = m.end;
+  }
+  snippet += text.slice(pos, end);
+  return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Rank entities for a query with BM25 (collection statistics from the index,
+ * term frequencies from the live entity so expired observations don't count)
+ * and combine with the FadeMem decay score.
+ *
+ * Returns [{ entity, score, relevance, freshness, highlights }], best first.
+ */
+export function rankEntities(index, entities, query, now) {
+  const terms = expandQuery(index, query);
+  if (terms.length === 0) return [];
+
+  const { docCount, avgLength } = index;
+  const matchTerms = new Set(terms.map(t => t.term));
+
+  const results = [];
+  for (const entity of entities) {
+    const tf = documentTerms(entity, now);
+    const length = docLength(tf);
+
+    let relevance = 0;
+    for (const { term, weight } of terms) {
+      const f = tf[term];
+      if (!f) continue;
+      const df = Object.keys(index.postings[term] || {}).length || 1;
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+      relevance += weight * idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+    }
+    if (relevance <= 0) continue;
+
+    const activeObs = getActiveObs(entity, now);
+    const scores = activeObs.map(o => decayScore(o, now));
+    const freshness = scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+
+    const highlights = [];
+    for (const o of activeObs) {
+      if (highlights.length >= MAX_HIGHLIGHTS) break;
+      const snippet = highlight(obsText(o), matchTerms);
+      if (snippet) highlights.push({ observation: obsText(o), snippet });
+    }
+
+    results.push({
+      entity,
+      relevance,
+      freshness,
+      // Stale knowledge keeps half its weight; fresh or frequently used knowledge gets a boost
+      score: relevance * (0.5 + 0.5 * freshness),
+      highlights
+    });
+  }
+  results.sort((a, b) => b.score - a.score || a.entity.name.localeCompare(b.entity.name));
+  return results;
+}
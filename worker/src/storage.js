@@ -0,0 +1,159 @@
+/**
+ * Storage backends for the AEI worker
+ *
+ * Everything in the worker talks to env.KG_STORE through the subset of the
+ * Cloudflare KV namespace API it actually uses:
+ *
+ *   get(key, type?)            type 'text' (default) or 'json', or { type }; null when missing/expired
+ *   get([keys], type?)         bulk read, resolves to Map<key, value|null>
+ *   put(key, value, options?)  options.expirationTtl (seconds) or options.expiration (epoch seconds)
+ *   delete(key)
+ *   list({ prefix, limit, cursor }) -> { keys: [{ name, expiration? }], list_complete, cursor? }
+ *   compareAndSwap(key, expected, value, options?) -> true if swapped
+ *                              atomically replace the raw value if it is still expected
+ *                              (null: missing); a null value deletes the key
+ *
+ * Any object with these methods can back the worker: the KV binding on
+ * Cloudflare (with the StoreCoordinator Durable Object for compareAndSwap),
+ * MemoryStore for tests, or FileStore (file-store.js) when the same fetch
+ * handler runs in a plain Node process (node-server.js).
+ */
+
+const DEFAULT_LIST_LIMIT = 1000;
+
+function parseValue(value, type) {
+  if (value === null || value === undefined) return null;
+  const t = typeof type === 'object' && type !== null ? type.type : type;
+  return t === 'json' ? JSON.parse(value) : value;
+}
+
+/**
+ * In-memory store with KV semantics (string values, TTL expiry, prefix list).
+ * Pass { now: () => epochMs } to control the clock in tests.
+ */
+export class MemoryStore {
+  constructor({ now = () => Date.now() } = {}) {
+    this.entries = new Map(); // key -> { value, expiresAt (epoch ms) | null }
+    this.now = now;
+  }
+
+  _live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+      this._remove(key);
+      return null;
+    }
+    return entry;
+  }
+
+  _write(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  _remove(key) {
+    this.entries.delete(key);
+  }
+
+  async get(key, type) {
+    if (Array.isArray(key)) {
+      return new Map(key.map(k => [k, parseValue(this._live(k)?.value, type)]));
+    }
+    return parseValue(this._live(key)?.value, type);
+  }
+
+  async put(key, value, options = {}) {
+    let expiresAt = null;
+    if (options.expirationTtl) expiresAt = this.now() + options.expirationTtl * 1000;
+    else if (options.expiration) expiresAt = options.expiration * 1000;
+    this._write(key, { value: typeof value === 'string' ? value : String(value), expiresAt });
+  }
+
+  async delete(key) {
+    this._remove(key);
+  }
+
+  async compareAndSwap(key, expected, value, options = {}) {
+    // Synchronous from read to write, so no other call can interleave
+    if ((this._live(key)?.value ?? null) !== expected) return false;
+    if (value === null) this._remove(key);
+    else await this.put(key, value, options);
+    return true;
+  }
+
+  async list({ prefix = '', limit = DEFAULT_LIST_LIMIT, cursor } = {}) {
+    const names = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && this._live(name))
+      .sort();
+    const start = cursor ? names.findIndex(name => name > cursor) : 0;
+    const page = start < 0 ? [] : names.slice(start, start + limit);
+    const complete = start < 0 || start + limit >= names.length;
+    return {
+      keys: page.map(name => {
+        const { expiresAt } = this.entries.get(name);
+        return expiresAt === null ? { name } : { name, expiration: Math.floor(expiresAt / 1000) };
+      }),
+      list_complete: complete,
+      ...(complete ? {} : { cursor: page[page.length - 1] })
+    };
+  }
+}
+
+/**
+ * Every key name under a prefix, following list cursors to the end.
+ */
+export async function listAllKeys(store, prefix) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await store.list({ prefix, cursor });
+    names.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return names;
+}
+
+/**
+ * Wrap a Cloudflare KV binding. The binding already implements most of the
+ * interface; this adds a fallback for runtimes without bulk get, and
+ * compareAndSwap through the StoreCoordinator namespace (env.KG_LOCKS), one
+ * instance per key. Without a coordinator compareAndSwap throws rather than
+ * fall back to an unguarded write.
+ */
+export function createKVStore(namespace, coordinator) {
+  return {
+    get(key, type) {
+      if (!Array.isArray(key)) return namespace.get(key, type);
+      return namespace.get(key, type).catch(async () =>
+        new Map(await Promise.all(key.map(async k => [k, await namespace.get(k, type)])))
+      );
+    },
+    put: (key, value, options) => namespace.put(key, value, options),
+    delete: key => namespace.delete(key),
+    list: options => namespace.list(options),
+    async compareAndSwap(key, expected, value, options) {
+      if (!coordinator) throw new Error('compareAndSwap needs the KG_LOCKS Durable Object binding');
+      const stub = coordinator.get(coordinator.idFromName(key));
+      const response = await stub.fetch('https://store-coordinator/swap', {
+        method: 'POST',
+        body: JSON.stringify({ key, expected, value, options })
+      });
+      if (!response.ok) throw new Error(`Store coordinator failed: HTTP ${response.status}`);
+      return (await response.json()).swapped;
+    }
+  };
+}
+
+const wrappedBindings = new WeakMap();
+
+/**
+ * Resolve env.KG_STORE to a store implementing the full interface.
+ * Our own stores pass through; anything else is treated as a KV binding and
+ * wrapped once per binding (so per-store caches keyed on it stay stable),
+ * with coordinator (env.KG_LOCKS) serializing its compare-and-swaps.
+ */
+export function resolveStore(binding, coordinator) {
+  if (binding instanceof MemoryStore) return binding;
+  if (!wrappedBindings.has(binding)) wrappedBindings.set(binding, createKVStore(binding, coordinator));
+  return wrappedBindings.get(binding);
+}
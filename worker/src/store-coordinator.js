@@ -0,0 +1,62 @@
+/**
+ * Durable Object serializing compare-and-swap writes to the KV store
+ *
+ * KV has no conditional write and is eventually consistent, so two workers
+ * can read the same revision and both write on top of it. createKVStore
+ * (storage.js) routes every compareAndSwap through the StoreCoordinator
+ * instance named after the key (binding KG_LOCKS, see wrangler.toml): one
+ * instance per key, handling one swap at a time. The instance keeps a digest
+ * of the value it last wrote in its own, strongly consistent storage and
+ * only writes to KV when the caller's expected value matches it; a stale read
+ * from KV therefore fails the swap instead of overwriting a newer value.
+ *
+ * The digest is seeded from KV the first time a key is swapped. Keys written
+ * through compareAndSwap must not also be written with plain put/delete, or
+ * the digest no longer matches and every later swap fails.
+ */
+
+const MISSING = 'missing';
+
+async function digest(value) {
+  if (value === null || value === undefined) return MISSING;
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(hash)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// When a value written with these put options expires (epoch ms), or null
+function expiresAt(options = {}) {
+  if (options.expirationTtl) return Date.now() + options.expirationTtl * 1000;
+  if (options.expiration) return options.expiration * 1000;
+  return null;
+}
+
+export class StoreCoordinator {
+  constructor(state, env) {
+    this.storage = state.storage;
+    this.kv = env.KG_STORE;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * POST { key, expected, value, options } -> { swapped }
+   */
+  async fetch(request) {
+    const { key, expected, value, options } = await request.json();
+    // The runtime interleaves requests while this one waits on KV; queue them
+    const swap = this.queue.then(() => this.swap(key, expected, value, options));
+    this.queue = swap.catch(() => {});
+    return Response.json({ swapped: await swap });
+  }
+
+  async swap(key, expected, value, options) {
+    let current = await this.storage.get('current');
+    if (current?.expiresAt && current.expiresAt <= Date.now()) current = { digest: MISSING, expiresAt: null };
+    if (!current) current = { digest: await digest(await this.kv.get(key)), expiresAt: null };
+    if (current.digest !== await digest(expected)) return false;
+
+    if (value === null) await this.kv.delete(key);
+    else await this.kv.put(key, value, options);
+    await this.storage.put('current', { digest: await digest(value), expiresAt: value === null ? null : expiresAt(options) });
+    return true;
+  }
+}
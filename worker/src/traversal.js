@@ -0,0 +1,236 @@
+/**
+ * Graph traversal for the AEI: shortest paths between entities and k-hop
+ * neighborhoods
+ *
+ * Traversals expand one frontier at a time, reading the frontier's adjacency
+ * shards with bulk gets, so they never load the whole graph. Relations are
+ * followed under the same expiry rules as getActiveRels.
+ *
+ * Options (shared by REST query parameters and MCP tool arguments):
+ *   relations        only follow these relation types (comma-separated or array)
+ *   direction        out (source -> target), in (target -> source) or both (default)
+ *   max_depth        hop limit
+ *   include_expired  also follow expired relations
+ * Neighborhoods also take depth (alias of max_depth), types (only reach
+ * entities of these types), max_nodes and max_edges.
+ */
+
+import { loadRelationsMany, loadManifest, loadSubgraph } from './graph-store.js';
+import { getActiveRels } from './observations.js';
+
+export const DIRECTIONS = ['out', 'in', 'both'];
+
+const DEFAULT_MAX_DEPTH = 4;
+const MAX_DEPTH_LIMIT = 6;
+const DEFAULT_MAX_PATHS = 5;
+const MAX_PATHS_LIMIT = 20;
+const MAX_VISITED = 5000;       // Stop expanding once this many entities have been reached
+
+const DEFAULT_NEIGHBORHOOD_DEPTH = 2;
+const DEFAULT_MAX_NODES = 100;
+const MAX_NODES_LIMIT = 500;
+const DEFAULT_MAX_EDGES = 500;
+const MAX_EDGES_LIMIT = 2000;
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+function parseBoundedInt(value, fallback, max, name) {
+  if (value === undefined || value === null || value === '') return { value: fallback };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) return { error: `${name} must be a positive integer` };
+  return { value: Math.min(n, max) };
+}
+
+/**
+ * Validate traversal options. Returns { options } or { error } for a 400.
+ */
+export function parseTraversalOptions(input, defaults = {}) {
+  const direction = input.direction || 'both';
+  if (!DIRECTIONS.includes(direction)) {
+    return { error: `Invalid direction "${direction}" — use one of: ${DIRECTIONS.join(', ')}` };
+  }
+  const depth = parseBoundedInt(input.max_depth, defaults.maxDepth || DEFAULT_MAX_DEPTH, MAX_DEPTH_LIMIT, 'max_depth');
+  if (depth.error) return { error: depth.error };
+  const paths = parseBoundedInt(input.limit, DEFAULT_MAX_PATHS, MAX_PATHS_LIMIT, 'limit');
+  if (paths.error) return { error: paths.error };
+
+  const relations = parseList(input.relations);
+  return {
+    options: {
+      relations: relations ? new Set(relations) : null,
+      direction,
+      maxDepth: depth.value,
+      maxPaths: paths.value,
+      includeExpired: input.include_expired === true || input.include_expired === 'true' || input.include_expired === '1'
+    }
+  };
+}
+
+/**
+ * Relations of one entity that a traversal may follow, as
+ * [{ neighbor, edge: { source, relation, target } }].
+ */
+export function traversableEdges(name, relations, options, now) {
+  const edges = [];
+  for (const r of getActiveRels({ relations }, name, now, options.includeExpired)) {
+    if (options.relations && !options.relations.has(r.relation)) continue;
+    if (r.source === r.target) continue;
+    const outgoing = r.source === name;
+    if (options.direction === 'out' && !outgoing) continue;
+    if (options.direction === 'in' && outgoing) continue;
+    edges.push({ neighbor: outgoing ? r.target : r.source, edge: { source: r.source, relation: r.relation, target: r.target } });
+  }
+  return edges;
+}
+
+/**
+ * Breadth-first search from `from` towards `to`, keeping every parent at the
+ * shortest depth so all shortest paths can be recovered.
+ */
+async function shortestPathTree(env, from, to, options, now) {
+  const depth = new Map([[from, 0]]);
+  const parents = new Map();
+  let frontier = [from];
+
+  for (let d = 0; d < options.maxDepth && frontier.length > 0 && !depth.has(to); d++) {
+    const adjacency = await loadRelationsMany(env, frontier);
+    const next = [];
+    for (const name of frontier) {
+      for (const { neighbor, edge } of traversableEdges(name, adjacency.get(name), options, now)) {
+        if (!depth.has(neighbor)) {
+          depth.set(neighbor, d + 1);
+          parents.set(neighbor, [{ prev: name, edge }]);
+          next.push(neighbor);
+        } else if (depth.get(neighbor) === d + 1) {
+          const list = parents.get(neighbor);
+          if (!list.some(p => p.prev === name && p.edge.relation === edge.relation && p.edge.source === edge.source)) {
+            list.push({ prev: name, edge });
+          }
+        }
+      }
+    }
+    frontier = depth.size > MAX_VISITED ? [] : next;
+  }
+  return { depth, parents, explored: depth.size };
+}
+
+/**
+ * Find the shortest path(s) between two existing entities.
+ * Returns { found, length, paths: [{ nodes, edges }], explored }.
+ */
+export async function findPaths(env, from, to, options, now = new Date()) {
+  if (from === to) return { found: true, length: 0, paths: [{ nodes: [from], edges: [] }], explored: 1 };
+
+  const { depth, parents, explored } = await shortestPathTree(env, from, to, options, now);
+  if (!depth.has(to)) return { found: false, length: null, paths: [], explored };
+
+  // Walk parents back from `to`, stopping once enough paths are collected
+  const paths = [];
+  const walk = (name, nodes, edges) => {
+    if (paths.length >= options.maxPaths) return;
+    if (name === from) {
+      paths.push({ nodes: [from, ...nodes], edges: [...edges] });
+      return;
+    }
+    const sorted = [...parents.get(name)].sort((a, b) => a.prev.localeCompare(b.prev) || a.edge.relation.localeCompare(b.edge.relation));
+    for (const { prev, edge } of sorted) walk(prev, [name, ...nodes], [edge, ...edges]);
+  };
+  walk(to, [], []);
+
+  return { found: true, length: depth.get(to), paths, explored };
+}
+
+/**
+ * One-line rendering of a path: A → uses → B ← built ← C
+ */
+export function formatPath(path) {
+  let text = path.nodes[0];
+  path.edges.forEach((edge, i) => {
+    const next = path.nodes[i + 1];
+    text += edge.target === next ? ` → ${edge.relation} → ${next}` : ` ← ${edge.relation} ← ${next}`;
+  });
+  return text;
+}
+
+/**
+ * Validate neighborhood options: the traversal options plus depth, types,
+ * max_nodes and max_edges. Returns { options } or { error } for a 400.
+ */
+export function parseNeighborhoodOptions(input) {
+  const { options, error } = parseTraversalOptions(
+    { ...input, max_depth: input.depth ?? input.max_depth },
+    { maxDepth: DEFAULT_NEIGHBORHOOD_DEPTH }
+  );
+  if (error) return { error: error.replace('max_depth', 'depth') };
+
+  const nodes = parseBoundedInt(input.max_nodes, DEFAULT_MAX_NODES, MAX_NODES_LIMIT, 'max_nodes');
+  if (nodes.error) return { error: nodes.error };
+  const edges = parseBoundedInt(input.max_edges, DEFAULT_MAX_EDGES, MAX_EDGES_LIMIT, 'max_edges');
+  if (edges.error) return { error: edges.error };
+
+  const types = parseList(input.types);
+  return {
+    options: {
+      ...options,
+      types: types ? new Set(types.map(t => t.toLowerCase())) : null,
+      maxNodes: nodes.value,
+      maxEdges: edges.value
+    }
+  };
+}
+
+/**
+ * Entities within options.maxDepth hops of center (reaching only entities of
+ * options.types, if set) and the relations among them — the induced subgraph.
+ * Nodes are added nearest first until maxNodes; relations are capped at
+ * maxEdges. Returns { entities, relations, distances: Map, truncated }.
+ */
+export async function extractNeighborhood(env, center, options, now = new Date()) {
+  const manifest = await loadManifest(env);
+  const typeOf = name => String(manifest.entities[name] || '').toLowerCase();
+  const distances = new Map([[center, 0]]);
+  const truncated = { nodes: false, edges: false };
+  let frontier = [center];
+
+  for (let d = 0; d < options.maxDepth && frontier.length > 0; d++) {
+    const adjacency = await loadRelationsMany(env, frontier);
+    const next = [];
+    for (const name of frontier) {
+      for (const { neighbor } of traversableEdges(name, adjacency.get(name), options, now)) {
+        if (distances.has(neighbor) || !(neighbor in manifest.entities)) continue;
+        if (options.types && !options.types.has(typeOf(neighbor))) continue;
+        if (distances.size >= options.maxNodes) {
+          truncated.nodes = true;
+          continue;
+        }
+        distances.set(neighbor, d + 1);
+        next.push(neighbor);
+      }
+    }
+    frontier = next;
+  }
+
+  const graph = await loadSubgraph(env, [...distances.keys()]);
+  const relations = [];
+  for (const r of graph.relations) {
+    if (!distances.has(r.source) || !distances.has(r.target)) continue;
+    if (options.relations && !options.relations.has(r.relation)) continue;
+    if (!options.includeExpired && r.expires_at && new Date(r.expires_at) <= now) continue;
+    if (relations.length >= options.maxEdges) {
+      truncated.edges = true;
+      break;
+    }
+    relations.push(r);
+  }
+
+  const entities = graph.entities.sort((a, b) =>
+    distances.get(a.name) - distances.get(b.name) || a.name.localeCompare(b.name)
+  );
+  return { entities, relations, distances, truncated };
+}
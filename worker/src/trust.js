@@ -0,0 +1,205 @@
+/**
+ * Trust propagation for the AEI (OKG v4.0, Phase 2+3)
+ *
+ * Reputation is PageRank over trust-implying relations (TRUST_RELATION_TYPES,
+ * weighted by TRUST_WEIGHTS), normalized to 0-1 and cached in KV for 8 hours.
+ * An observation's effective confidence combines its stated confidence, the
+ * reputation of the entity it describes and its age:
+ *   C_eff = C_base * R(source) * time_decay
+ * Attested observations with a quorum (see attestations.js) adjust it: once
+ * the quorum is reached R is at least the counted signers' reputation-weighted
+ * trust; until then C_eff is scaled by the fraction of the threshold reached.
+ *
+ * A signer's reputation is that of the agent entity its address is linked to:
+ *   <GRAPH_KEY>:signer-links  { rev, links: { <address>: { entity, identity, linked } } }
+ * A link is made by POST /register-agent with an identity (an ENS name, an
+ * ERC-8004 agent or the address itself) that the signed-in wallet is
+ * authorized for (authorizeSource). It claims the agent entity the
+ * registration creates; later links to that entity must prove the same
+ * identity. Unlinked addresses have no reputation, whatever entity names
+ * match them.
+ */
+
+import { loadGraph, loadDocument, updateDocument } from './graph-store.js';
+import { DECAY_HALF_LIFE_DAYS, normalizeObs } from './observations.js';
+import { attestationSummary } from './attestations.js';
+
+// Relation types that imply trust
+export const TRUST_RELATION_TYPES = new Set([
+  'trusts', 'endorsed_by', 'verified_by', 'collaborates_with',
+  'depends_on', 'implements', 'built', 'uses'
+]);
+
+// Weight by relation type (stronger = higher trust contribution)
+export const TRUST_WEIGHTS = {
+  trusts: 1.0,
+  endorsed_by: 0.9,
+  verified_by: 0.9,
+  collaborates_with: 0.7,
+  depends_on: 0.6,
+  implements: 0.6,
+  built: 0.8,
+  uses: 0.5
+};
+
+/**
+ * Compute PageRank reputation scores for all entities.
+ * Returns { entityName: normalizedScore } in 0-1 range.
+ */
+export function computePageRank(graph, iterations = 50, damping = 0.85, tolerance = 0.001) {
+  const names = graph.entities.map(e => e.name);
+  if (names.length === 0) return {};
+
+  // Initialize all scores to 1.0
+  const scores = {};
+  for (const name of names) scores[name] = 1.0;
+
+  // Extract trust edges from relations
+  const outDegree = {};
+  const inEdges = {};  // inEdges[entity] = [{from, weight}]
+  for (const name of names) { outDegree[name] = 0; inEdges[name] = []; }
+
+  for (const rel of graph.relations) {
+    if (!TRUST_RELATION_TYPES.has(rel.relation)) continue;
+    if (!scores.hasOwnProperty(rel.source) || !scores.hasOwnProperty(rel.target)) continue;
+    const weight = TRUST_WEIGHTS[rel.relation] || 0.5;
+    outDegree[rel.source]++;
+    inEdges[rel.target].push({ from: rel.source, weight });
+  }
+
+  // Iterative PageRank
+  for (let iter = 0; iter < iterations; iter++) {
+    const newScores = {};
+    let maxChange = 0;
+    for (const name of names) {
+      let sum = 0;
+      for (const edge of inEdges[name]) {
+        const deg = outDegree[edge.from] || 1;
+        sum += (scores[edge.from] / deg) * edge.weight;
+      }
+      newScores[name] = (1 - damping) + damping * sum;
+      maxChange = Math.max(maxChange, Math.abs(newScores[name] - (scores[name] || 1.0)));
+    }
+    Object.assign(scores, newScores);
+    if (maxChange < tolerance) break;
+  }
+
+  // Normalize to 0-1 range
+  const values = Object.values(scores);
+  const minScore = Math.min(...values);
+  const maxScore = Math.max(...values);
+  const range = maxScore - minScore;
+
+  if (range < 0.0001) {
+    // All entities have same score — return 0.5 for all
+    for (const name of names) scores[name] = 0.5;
+  } else {
+    for (const name of names) {
+      scores[name] = parseFloat(((scores[name] - minScore) / range).toFixed(4));
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Get trust scores from KV cache or compute fresh.
+ * Cache TTL: 8 hours.
+ */
+export async function getOrComputeTrustScores(env, graph = null) {
+  const CACHE_KEY = 'trust_scores_v1';
+  const CACHE_TTL = 8 * 60 * 60; // 8 hours
+
+  try {
+    const cached = await env.KG_STORE.get(CACHE_KEY, 'json');
+    if (cached) return cached;
+  } catch {}
+
+  const scores = computePageRank(graph || await loadGraph(env));
+
+  try {
+    await env.KG_STORE.put(CACHE_KEY, JSON.stringify(scores), { expirationTtl: CACHE_TTL });
+  } catch {}
+
+  return scores;
+}
+
+/**
+ * Invalidate trust score cache (call when graph structure changes significantly).
+ */
+export async function invalidateTrustCache(env) {
+  try { await env.KG_STORE.delete('trust_scores_v1'); } catch {}
+}
+
+/**
+ * The address -> link map of every linked signer.
+ */
+export async function loadSignerLinks(env) {
+  return (await loadDocument(env, 'signer-links'))?.links || {};
+}
+
+/**
+ * Whether address may be linked to entity through identity: always when the
+ * registration is claiming a new entity, otherwise only when the entity is
+ * already linked through the same identity.
+ */
+export function mayLinkSigner(links, entity, identity, claim) {
+  return claim || Object.values(links).some(l => l.entity === entity && l.identity === identity);
+}
+
+/**
+ * Link a signer address to the agent entity it speaks for (see the header).
+ * claim: the caller's registration just created the entity. Returns false
+ * when the entity belongs to another identity.
+ */
+export async function linkSigner(env, address, entity, identity, { claim = false } = {}) {
+  let allowed = true;
+  await updateDocument(env, 'signer-links', doc => {
+    const links = doc?.links || {};
+    allowed = mayLinkSigner(links, entity, identity, claim);
+    if (!allowed) return false;
+    return { links: { ...links, [address.toLowerCase()]: { entity, identity, linked: new Date().toISOString() } } };
+  });
+  return allowed;
+}
+
+/**
+ * Signer reputations for attestationSummary: each linked address with the
+ * trust score of its entity ({ address: score }).
+ */
+export async function getSignerReputations(env, trustScores) {
+  const links = await loadSignerLinks(env);
+  return Object.fromEntries(Object.entries(links).map(([address, link]) => [address, trustScores[link.entity] ?? 0]));
+}
+
+/**
+ * Time-only decay factor (excludes access boost and relevance).
+ */
+function pureTimeDecay(obs, now) {
+  const o = normalizeObs(obs);
+  const observedAt = o.observed_at ? new Date(o.observed_at) : now;
+  const ageDays = (now - observedAt) / (1000 * 60 * 60 * 24);
+  return Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
+}
+
+/**
+ * Compute effective confidence for an observation.
+ * C_eff = C_base * R(source) * time_decay, adjusted by an attestation quorum
+ * whose signers are weighted by signerReputations (getSignerReputations).
+ */
+export function computeEffectiveConfidence(obs, entityName, trustScores, signerReputations = {}) {
+  const now = new Date();
+  const o = normalizeObs(obs);
+  // Use explicit confidence if set, otherwise fall back to relevance (legacy)
+  const cBase = o.confidence !== undefined ? o.confidence : (o.relevance !== undefined ? o.relevance : 1.0);
+  let reputation = trustScores[entityName] !== undefined ? trustScores[entityName] : 0.5;
+  const timeFactor = pureTimeDecay(obs, now);
+
+  let quorumFactor = 1.0;
+  if (o.attestation?.quorum) {
+    const { quorum, signer_trust } = attestationSummary(entityName, o, signerReputations);
+    if (quorum.reached) reputation = Math.max(reputation, signer_trust);
+    else quorumFactor = quorum.count / quorum.threshold;
+  }
+  return parseFloat((cBase * reputation * timeFactor * quorumFactor).toFixed(4));
+}
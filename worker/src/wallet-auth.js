@@ -0,0 +1,254 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) for the AEI
+ *
+ * Agents can authenticate with the secp256k1 key they already attest with,
+ * instead of an issued API key:
+ *
+ *   1. POST /auth/nonce { address }           a one-time nonce and the message to sign
+ *   2. the agent signs the message with personal_sign (EIP-191)
+ *   3. POST /auth/verify { message, signature } a short-lived session token
+ *   4. Authorization: Bearer <token>           on later REST and MCP requests
+ *
+ * The signer is recovered from the signature, never taken from the request,
+ * and writes made with the session are attributed to that address (see
+ * operations.js). Nonces are single-use and expire after 10 minutes; sessions
+ * last an hour, or until the message's Expiration Time if that is sooner.
+ * Only the SHA-256 of a session token is stored:
+ *   <GRAPH_KEY>:siwe-nonce:<nonce>   { issued_at, claim? }    (expiring)
+ *   <GRAPH_KEY>:session:<hash>       { address, chain_id, expires_at } (expiring)
+ *
+ * Anyone can create an address, so a session alone only reads. write and
+ * register come from an admin grant to the address, checked on every request
+ * so revoking it takes effect at once:
+ *   <GRAPH_KEY>:wallet-grants        { rev, grants: [{ address, scopes, granted }] }
+ */
+
+import { hashPersonalMessage, recoverAddress } from './crypto-utils.js';
+import { loadDocument, updateDocument } from './graph-store.js';
+
+export const SESSION_PREFIX = 'siwe_';
+const NONCE_TTL = 600;     // seconds
+const SESSION_TTL = 3600;  // seconds
+const MIN_TTL = 60;        // KV rejects expirations sooner than a minute
+const DEFAULT_CHAIN_ID = 8453; // Base
+const STATEMENT = 'Sign in to the Agentic Economy Index to write as this address.';
+
+// Scopes of a wallet session without a grant, and those a grant can add
+const WALLET_SCOPES = ['read'];
+const GRANT_SCOPES = ['write', 'register'];
+const MAX_GRANTS = 1000;
+
+const nonceKey = (env, nonce) => `${env.GRAPH_KEY}:siwe-nonce:${nonce}`;
+const sessionKey = (env, hash) => `${env.GRAPH_KEY}:session:${hash}`;
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function isAddress(value) {
+  return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+/**
+ * The EIP-4361 message text for the given fields.
+ */
+export function formatSiweMessage({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+  if (expirationTime) lines.push(`Expiration Time: ${expirationTime}`);
+  return lines.join('\n');
+}
+
+/**
+ * Parse an EIP-4361 message. Returns the fields, or { error }.
+ */
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string') return { error: 'message must be a string' };
+  const lines = message.split('\n');
+  const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0] || '');
+  if (!header) return { error: 'Not a Sign-In with Ethereum message' };
+  if (!isAddress(lines[1])) return { error: 'Message has no valid address' };
+
+  const fields = {};
+  for (const line of lines.slice(2)) {
+    const match = /^([A-Za-z ]+): (.+)$/.exec(line);
+    if (match) fields[match[1]] = match[2];
+  }
+  if (fields.Version !== '1') return { error: 'Unsupported message version' };
+  const chainId = Number(fields['Chain ID']);
+  if (!Number.isInteger(chainId) || chainId <= 0) return { error: 'Message has no valid Chain ID' };
+  if (!fields.URI || !fields.Nonce || !fields['Issued At']) return { error: 'Message must include URI, Nonce and Issued At' };
+
+  return {
+    domain: header[1],
+    address: lines[1],
+    uri: fields.URI,
+    chainId,
+    nonce: fields.Nonce,
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'] || null,
+    notBefore: fields['Not Before'] || null
+  };
+}
+
+function originOf(uri) {
+  try {
+    return new URL(uri).origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Consume a nonce. The delete is a compare-and-swap against the record just
+ * read, so of concurrent verifications of the same message only one goes on.
+ */
+async function claimNonce(env, nonce) {
+  const key = nonceKey(env, nonce);
+  const record = await env.KG_STORE.get(key);
+  if (record === null) return false;
+  return env.KG_STORE.compareAndSwap(key, record, null);
+}
+
+/**
+ * Issue a nonce. With an address, also returns the ready-to-sign message for
+ * the requesting host; clients may build their own EIP-4361 message instead.
+ */
+export async function issueNonce(env, url, { address, chain_id } = {}) {
+  if (address !== undefined && !isAddress(address)) return { error: 'address must be a 0x-prefixed 20-byte hex address' };
+  const chainId = chain_id === undefined ? DEFAULT_CHAIN_ID : chain_id;
+  if (!Number.isInteger(chainId) || chainId <= 0) return { error: 'chain_id must be a positive integer' };
+
+  const nonce = randomHex(16);
+  const now = new Date();
+  const issuedAt = now.toISOString();
+  await env.KG_STORE.compareAndSwap(nonceKey(env, nonce), null, JSON.stringify({ issued_at: issuedAt }), { expirationTtl: NONCE_TTL });
+
+  const result = { nonce, issued_at: issuedAt, expires_at: new Date(now.getTime() + NONCE_TTL * 1000).toISOString() };
+  if (address) {
+    result.message = formatSiweMessage({
+      domain: url.host, address, statement: STATEMENT, uri: url.origin, chainId, nonce, issuedAt
+    });
+  }
+  return { result };
+}
+
+/**
+ * Check a signed sign-in message and open a session for its signer.
+ * Returns { result: { token, address, chain_id, expires_at } } or { error, status }.
+ */
+export async function verifySignIn(env, url, { message, signature } = {}) {
+  if (!message || !signature) return { error: 'message and signature required', status: 400 };
+  const siwe = parseSiweMessage(message);
+  if (siwe.error) return { error: siwe.error, status: 400 };
+
+  if (siwe.domain !== url.host) return { error: `Message is for ${siwe.domain}, not ${url.host}`, status: 401 };
+  if (originOf(siwe.uri) !== url.origin) return { error: `Message URI ${siwe.uri} is not on ${url.origin}`, status: 401 };
+  const now = Date.now();
+  if (siwe.expirationTime && !(Date.parse(siwe.expirationTime) > now)) return { error: 'Message has expired', status: 401 };
+  if (siwe.notBefore && !(Date.parse(siwe.notBefore) <= now)) return { error: 'Message is not valid yet', status: 401 };
+
+  let signer;
+  try {
+    signer = recoverAddress(hashPersonalMessage(message), signature);
+  } catch (error) {
+    return { error: `Invalid signature: ${error.message}`, status: 401 };
+  }
+  if (signer !== siwe.address.toLowerCase()) return { error: 'Signature does not match the message address', status: 401 };
+
+  // Consume the nonce only once the signature checks out
+  if (!(await claimNonce(env, siwe.nonce))) return { error: 'Unknown, expired or already used nonce', status: 401 };
+
+  let expires = now + SESSION_TTL * 1000;
+  if (siwe.expirationTime) expires = Math.min(expires, Date.parse(siwe.expirationTime));
+  const expiresAt = new Date(expires).toISOString();
+  // The store keeps it at least MIN_TTL; sessionPrincipal checks expires_at
+  const ttl = Math.max(Math.ceil((expires - now) / 1000), MIN_TTL);
+
+  const token = SESSION_PREFIX + randomHex(32);
+  const session = { address: signer, chain_id: siwe.chainId, expires_at: expiresAt };
+  await env.KG_STORE.put(sessionKey(env, await hashToken(token)), JSON.stringify(session), { expirationTtl: ttl });
+  return { result: { token, ...session } };
+}
+
+/**
+ * The principal behind a session token, or null when it is unknown or expired.
+ */
+export async function sessionPrincipal(env, token) {
+  const session = await env.KG_STORE.get(sessionKey(env, await hashToken(token)), 'json');
+  if (!session || Date.parse(session.expires_at) <= Date.now()) return null;
+  const grant = ((await loadDocument(env, 'wallet-grants'))?.grants || []).find(g => g.address === session.address);
+  const scopes = grant ? [...WALLET_SCOPES, ...grant.scopes] : WALLET_SCOPES;
+  return { id: `wallet:${session.address}`, name: session.address, address: session.address, scopes, quotas: {} };
+}
+
+/**
+ * End a session early. Returns false when the token is unknown.
+ */
+export async function endSession(env, token) {
+  const key = sessionKey(env, await hashToken(token));
+  if (!(await env.KG_STORE.get(key))) return false;
+  await env.KG_STORE.delete(key);
+  return true;
+}
+
+/**
+ * Validate a grant request body. Returns { address, scopes } or { error }.
+ */
+export function parseWalletGrant(body) {
+  if (!isAddress(body.address)) return { error: 'address must be a 0x-prefixed 20-byte hex address' };
+  const { scopes } = body;
+  if (!Array.isArray(scopes) || scopes.length === 0) return { error: `scopes must be a non-empty array of: ${GRANT_SCOPES.join(', ')}` };
+  const unknown = scopes.find(s => !GRANT_SCOPES.includes(s));
+  if (unknown !== undefined) return { error: `Scope "${unknown}" cannot be granted to a wallet — use: ${GRANT_SCOPES.join(', ')}` };
+  return { address: body.address.toLowerCase(), scopes: [...new Set(scopes)] };
+}
+
+/**
+ * Grant scopes to an address, replacing any earlier grant. Returns the grant,
+ * or null when the grant limit is reached.
+ */
+export async function grantWallet(env, { address, scopes }) {
+  const grant = { address, scopes, granted: new Date().toISOString() };
+  let full = false;
+  await updateDocument(env, 'wallet-grants', doc => {
+    const grants = (doc?.grants || []).filter(g => g.address !== address);
+    full = grants.length >= MAX_GRANTS;
+    if (full) return false;
+    return { grants: [...grants, grant] };
+  });
+  return full ? null : grant;
+}
+
+export async function listWalletGrants(env) {
+  return (await loadDocument(env, 'wallet-grants'))?.grants || [];
+}
+
+/**
+ * Revoke an address's grant. Returns false when it has none.
+ */
+export async function revokeWalletGrant(env, address) {
+  let found = false;
+  await updateDocument(env, 'wallet-grants', doc => {
+    const grants = doc?.grants || [];
+    found = grants.some(g => g.address === address);
+    if (!found) return false;
+    return { grants: grants.filter(g => g.address !== address) };
+  });
+  return found;
+}
@@ -0,0 +1,377 @@
+/**
+ * Webhook subscriptions for the AEI
+ *
+ * Subscribers register a callback URL with optional filters and receive every
+ * matching event from the event log (events.js) as a signed POST:
+ *   <GRAPH_KEY>:subscriptions                                 { rev, subscriptions: [...] }
+ *   <GRAPH_KEY>:webhook-retry:<due>:<delivery>                 pending retry, listed in due order
+ *   <GRAPH_KEY>:webhook-dead:<subscription>:<failed>:<delivery> dead letter after the last retry
+ *
+ * Event types: create (entity created), observe (observations added or
+ * changed), invalidate (observation invalidated), relate (relation created).
+ * Filters are optional; every one given must match:
+ *   entities      the event touches one of these entities
+ *   types         the event touches an entity of one of these types
+ *   relations     relation events of these relation types only
+ *   source_agent  the write came from one of these source agents
+ *   events        only these event types
+ *
+ * Each POST carries X-AEI-Signature: sha256=<hex HMAC-SHA256 of
+ * "<X-AEI-Timestamp>.<body>"> keyed with the subscription secret, which is
+ * returned once when the subscription is created. The first attempt follows
+ * the write; failures are retried by the scheduled handler after RETRY_DELAYS
+ * and dead-lettered once those run out.
+ *
+ * Callback URLs must be https and must not point at loopback, private,
+ * link-local or cloud metadata addresses, so subscribers can't make the
+ * worker post into the network it runs in. The host is checked when
+ * subscribing and again before every delivery attempt, against the addresses
+ * env.WEBHOOK_RESOLVER (hostname -> [address]) resolves it to when one is
+ * given (node-server.js uses DNS) — a name that later rebinds to a private
+ * address is refused then. ALLOW_PRIVATE_WEBHOOKS = "true" lifts both rules,
+ * for local development.
+ */
+
+import { loadDocument, updateDocument, loadManifest } from './graph-store.js';
+import { listAllKeys } from './storage.js';
+
+export const EVENT_TYPES = ['create', 'observe', 'invalidate', 'relate'];
+const FILTER_FIELDS = ['entities', 'types', 'relations', 'source_agent', 'events'];
+
+const MAX_SUBSCRIPTIONS = 100;
+const MAX_FILTER_VALUES = 100;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Seconds to wait before each retry: 30s, 2m, 10m, 1h, 6h
+export const RETRY_DELAYS = [30, 120, 600, 3600, 21600];
+
+function retryPrefix(env) {
+  return `${env.GRAPH_KEY}:webhook-retry:`;
+}
+
+function deadLetterPrefix(env, subscriptionId) {
+  return `${env.GRAPH_KEY}:webhook-dead:${subscriptionId}:`;
+}
+
+// Parse a dotted IPv4 address into its four octets, or null
+function ipv4Octets(text) {
+  const parts = text.split('.');
+  if (parts.length !== 4 || !parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255)) return null;
+  return parts.map(Number);
+}
+
+// Expand an IPv6 address (no brackets) into eight 16-bit groups, or null
+function ipv6Groups(text) {
+  let address = text.split('%')[0];
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const octets = ipv4Octets(dotted[2]);
+    if (!octets) return null;
+    address = `${dotted[1]}${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+  }
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+  const parse = half => (half ? half.split(':') : []).map(g => (/^[0-9a-f]{1,4}$/i.test(g) ? parseInt(g, 16) : NaN));
+  const head = parse(halves[0]);
+  const tail = halves.length === 2 ? parse(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill(0), ...tail];
+  return groups.some(Number.isNaN) ? null : groups;
+}
+
+function isPrivateIPv4([a, b]) {
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||   // this network, private, loopback, multicast/reserved
+    (a === 100 && b >= 64 && b <= 127) ||                  // carrier-grade NAT
+    (a === 169 && b === 254) ||                            // link-local, cloud metadata
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19));                 // benchmarking
+}
+
+function isPrivateIPv6(groups) {
+  const embedded = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff];
+  if (groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff) return isPrivateIPv4(embedded); // IPv4-mapped
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(g => g === 0)) return isPrivateIPv4(embedded); // NAT64
+  if (groups.slice(0, 7).every(g => g === 0)) return groups[7] <= 1;  // unspecified, loopback
+  return (groups[0] & 0xfe00) === 0xfc00 ||  // unique local (incl. AWS metadata fd00:ec2::254)
+    (groups[0] & 0xffc0) === 0xfe80 ||       // link-local
+    (groups[0] & 0xff00) === 0xff00;         // multicast
+}
+
+/**
+ * Whether a hostname or address (IPv6 with or without brackets) is loopback,
+ * private, link-local or otherwise not on the public internet.
+ */
+export function isPrivateHost(host) {
+  const name = host.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (name === 'localhost' || name.endsWith('.localhost') || name.endsWith('.internal') || name.endsWith('.local')) return true;
+  const v4 = ipv4Octets(name);
+  if (v4) return isPrivateIPv4(v4);
+  if (name.includes(':')) {
+    const v6 = ipv6Groups(name);
+    return !v6 || isPrivateIPv6(v6);
+  }
+  return false;
+}
+
+/**
+ * Check a callback URL against the rules above. Returns an error message, or
+ * null when the URL may be used.
+ */
+export async function checkWebhookUrl(env, url) {
+  if (env.ALLOW_PRIVATE_WEBHOOKS === 'true') return null;
+  if (url.protocol !== 'https:') return 'url must use https';
+  if (isPrivateHost(url.hostname)) return 'url must not point at a loopback, private or link-local address';
+  if (env.WEBHOOK_RESOLVER) {
+    const addresses = await env.WEBHOOK_RESOLVER(url.hostname.replace(/^\[|\]$/g, ''));
+    if (addresses.some(isPrivateHost)) return `url host ${url.hostname} resolves to a private address`;
+  }
+  return null;
+}
+
+function toHex(bytes) {
+  return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * The webhook event type of a logged event, or null for writes that are not
+ * delivered (usage-tracking bookkeeping).
+ */
+export function eventType(event) {
+  if (event.kind === 'relation') return 'relate';
+  if (event.operation === 'record_usage') return null;
+  if (event.before === null) return 'create';
+  if (event.operation === 'invalidate_observation') return 'invalidate';
+  return 'observe';
+}
+
+/**
+ * Validate a subscription request body. Returns { url, filters } or { error }.
+ */
+export async function parseSubscription(env, body) {
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch {
+    return { error: 'url is required and must be an absolute https URL' };
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return { error: 'url must use https' };
+  }
+  try {
+    const refused = await checkWebhookUrl(env, url);
+    if (refused) return { error: refused };
+  } catch (err) {
+    return { error: `url host could not be resolved: ${err.message}` };
+  }
+
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+    const list = (Array.isArray(value) ? value : String(value).split(','))
+      .map(v => String(v).trim())
+      .filter(Boolean);
+    if (list.length === 0) continue;
+    if (list.length > MAX_FILTER_VALUES) return { error: `${field} takes at most ${MAX_FILTER_VALUES} values` };
+    filters[field] = field === 'types' ? list.map(t => t.toLowerCase()) : list;
+  }
+  const unknown = (filters.events || []).find(e => !EVENT_TYPES.includes(e));
+  if (unknown) return { error: `Unknown event type "${unknown}" — use: ${EVENT_TYPES.join(', ')}` };
+
+  return { url: url.toString(), filters };
+}
+
+/**
+ * A subscription without its secret, as returned by the API.
+ */
+export function publicSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+/**
+ * Store a new subscription. Returns the subscription (with its secret), or
+ * null when the subscription limit is reached.
+ */
+export async function createSubscription(env, { url, filters }) {
+  const subscription = {
+    id: crypto.randomUUID(),
+    url,
+    filters,
+    secret: toHex(crypto.getRandomValues(new Uint8Array(32))),
+    created: new Date().toISOString()
+  };
+  let full = false;
+  await updateDocument(env, 'subscriptions', doc => {
+    const subscriptions = doc?.subscriptions || [];
+    full = subscriptions.length >= MAX_SUBSCRIPTIONS;
+    if (full) return false;
+    return { subscriptions: [...subscriptions, subscription] };
+  });
+  return full ? null : subscription;
+}
+
+/**
+ * Whether secret proves ownership of the subscription.
+ */
+export function holdsSecret(subscription, secret) {
+  return Boolean(secret) && secret === subscription.secret;
+}
+
+export async function loadSubscription(env, id) {
+  const subscriptions = (await loadDocument(env, 'subscriptions'))?.subscriptions || [];
+  return subscriptions.find(s => s.id === id) || null;
+}
+
+/**
+ * Remove a subscription, proving ownership with its secret.
+ * Returns 'deleted', 'not_found' or 'forbidden'.
+ */
+export async function deleteSubscription(env, id, secret) {
+  let outcome = 'not_found';
+  await updateDocument(env, 'subscriptions', doc => {
+    const subscriptions = doc?.subscriptions || [];
+    const subscription = subscriptions.find(s => s.id === id);
+    if (!subscription) {
+      outcome = 'not_found';
+      return false;
+    }
+    if (!holdsSecret(subscription, secret)) {
+      outcome = 'forbidden';
+      return false;
+    }
+    outcome = 'deleted';
+    return { subscriptions: subscriptions.filter(s => s.id !== id) };
+  });
+  return outcome;
+}
+
+function matchesSubscription(filters, event, type, typeOf) {
+  if (filters.events && !filters.events.includes(type)) return false;
+  if (filters.entities && !event.entities.some(name => filters.entities.includes(name))) return false;
+  if (filters.types && !event.entities.some(name => filters.types.includes(typeOf(name)))) return false;
+  if (filters.relations && !(event.kind === 'relation' && filters.relations.includes(event.after.relation))) return false;
+  if (filters.source_agent && !filters.source_agent.includes(event.actor.source_agent)) return false;
+  return true;
+}
+
+/**
+ * HMAC-SHA256 signature header value for a delivery body.
+ */
+export async function signPayload(secret, timestamp, body) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${timestamp}.${body}`));
+  return `sha256=${toHex(signature)}`;
+}
+
+async function postDelivery(subscription, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return fetch(subscription.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'AEI-Webhooks/1.0',
+      'X-AEI-Event': delivery.type,
+      'X-AEI-Delivery': delivery.id,
+      'X-AEI-Timestamp': timestamp,
+      'X-AEI-Signature': await signPayload(subscription.secret, timestamp, delivery.body)
+    },
+    body: delivery.body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+  });
+}
+
+/**
+ * Attempt one delivery. On failure, queue the next retry or, after the last,
+ * move it to the subscription's dead letters. Returns true when delivered.
+ */
+async function attemptDelivery(env, subscription, delivery, now) {
+  delivery.attempts++;
+  try {
+    const refused = await checkWebhookUrl(env, new URL(subscription.url));
+    if (refused) throw new Error(`Delivery refused: ${refused}`);
+    const res = await postDelivery(subscription, delivery);
+    if (res.ok) return true;
+    delivery.last_error = `HTTP ${res.status}`;
+  } catch (err) {
+    delivery.last_error = err.message;
+  }
+  delivery.last_attempt_at = now.toISOString();
+
+  if (delivery.attempts > RETRY_DELAYS.length) {
+    delete delivery.next_attempt_at;
+    const key = `${deadLetterPrefix(env, subscription.id)}${delivery.last_attempt_at}:${delivery.id}`;
+    await env.KG_STORE.put(key, JSON.stringify(delivery));
+  } else {
+    delivery.next_attempt_at = new Date(now.getTime() + RETRY_DELAYS[delivery.attempts - 1] * 1000).toISOString();
+    await env.KG_STORE.put(`${retryPrefix(env)}${delivery.next_attempt_at}:${delivery.id}`, JSON.stringify(delivery));
+  }
+  return false;
+}
+
+/**
+ * Deliver a logged event to every matching subscription.
+ * Returns the number of subscriptions it was delivered to.
+ */
+export async function deliverEvent(env, event, now = new Date()) {
+  const type = eventType(event);
+  if (!type) return 0;
+  const subscriptions = (await loadDocument(env, 'subscriptions'))?.subscriptions || [];
+  if (subscriptions.length === 0) return 0;
+
+  // Relation events need the endpoints' types from the manifest
+  const manifest = event.kind === 'relation' && subscriptions.some(s => s.filters.types) ? await loadManifest(env) : null;
+  const typeOf = name => String(event.kind === 'entity' ? event.after.entityType : manifest?.entities[name] || '').toLowerCase();
+
+  let delivered = 0;
+  for (const subscription of subscriptions) {
+    if (!matchesSubscription(subscription.filters, event, type, typeOf)) continue;
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      subscription_id: subscription.id,
+      event_id: event.id,
+      type,
+      attempts: 0,
+      body: JSON.stringify({ delivery: id, type, subscription: subscription.id, event })
+    };
+    if (await attemptDelivery(env, subscription, delivery, now)) delivered++;
+  }
+  return delivered;
+}
+
+/**
+ * Retry every queued delivery that is due. Run from the scheduled handler.
+ * Returns { attempted, delivered }.
+ */
+export async function processWebhookRetries(env, now = new Date()) {
+  const prefix = retryPrefix(env);
+  const due = (await listAllKeys(env.KG_STORE, prefix)).filter(key => key.slice(prefix.length, prefix.length + 24) <= now.toISOString());
+  if (due.length === 0) return { attempted: 0, delivered: 0 };
+
+  const subscriptions = new Map(((await loadDocument(env, 'subscriptions'))?.subscriptions || []).map(s => [s.id, s]));
+  let attempted = 0;
+  let delivered = 0;
+  for (const key of due) {
+    const delivery = await env.KG_STORE.get(key, 'json');
+    await env.KG_STORE.delete(key);
+    const subscription = delivery && subscriptions.get(delivery.subscription_id);
+    if (!subscription) continue; // Unsubscribed since — drop it
+    attempted++;
+    if (await attemptDelivery(env, subscription, delivery, now)) delivered++;
+  }
+  return { attempted, delivered };
+}
+
+/**
+ * Dead-lettered deliveries of a subscription, oldest failure first.
+ */
+export async function listDeadLetters(env, subscriptionId) {
+  const keys = await listAllKeys(env.KG_STORE, deadLetterPrefix(env, subscriptionId));
+  const values = await Promise.all(keys.map(key => env.KG_STORE.get(key, 'json')));
+  return values.filter(Boolean);
+}
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for API keys: authentication, scopes, quotas and revocation
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const ADMIN_KEY = 'test-admin-key';
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: ADMIN_KEY };
+
+function call(method, path, body, key) {
+  const headers = { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1' };
+  if (key) headers.Authorization = key.includes(' ') ? key : `Bearer ${key}`;
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+function mcpTool(name, args, key) {
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+  if (key) headers.Authorization = `Bearer ${key}`;
+  return worker.fetch(new Request('http://localhost/mcp', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+  }), env);
+}
+
+//===================
+// Test 1: Anonymous access
+//===================
+console.log('\n=== Test 1: Anonymous Access ===');
+
+let res = await call('POST', '/entity', { name: 'Orac', entityType: 'agent' }, ADMIN_KEY);
+assertEqual(res.status, 201, 'Admin key can write');
+
+res = await call('GET', '/entity/Orac');
+assertEqual(res.status, 200, 'Anonymous reads are allowed');
+res = await call('POST', '/query', { nodes: { a: { type: 'agent' } }, return: ['a.name'] });
+assertEqual(res.status, 200, 'Anonymous POST /query is a read');
+
+res = await call('POST', '/observation', { name: 'Orac', observation: 'Anonymous fact' });
+assertEqual(res.status, 401, 'Anonymous write is unauthorized');
+assertEqual(res.headers.get('WWW-Authenticate'), 'Bearer realm="aei"', '401 carries a Bearer challenge');
+let data = await res.json();
+assert(data.error.includes('write scope'), 'Error names the missing scope');
+
+res = await call('GET', '/entity/Orac', null, 'aei_not-a-real-key');
+assertEqual(res.status, 401, 'Unknown key is rejected, even for reads');
+assertEqual((await res.json()).error, 'Invalid API key', 'Unknown key error');
+
+res = await call('GET', '/entity/Orac', null, 'Basic dXNlcjpwYXNz');
+assertEqual(res.status, 401, 'Malformed Authorization header is rejected');
+
+//===================
+// Test 2: Issuing and listing keys
+//===================
+console.log('\n=== Test 2: Issuing Keys ===');
+
+res = await call('POST', '/admin/api-keys', { name: 'writer' }, ADMIN_KEY);
+assertEqual(res.status, 201, 'Key issued');
+const writer = await res.json();
+assert(/^aei_[0-9a-f]{64}$/.test(writer.key), 'Key is returned once, with its prefix');
+assertEqual(writer.scopes.join(','), 'read,write', 'Default scopes are read and write');
+assert(writer.key.startsWith(writer.prefix), 'Record keeps a short prefix for identification');
+assert(!('hash' in writer), 'Hash is never returned');
+
+const reader = await (await call('POST', '/admin/api-keys', { name: 'reader', scopes: ['read'] }, ADMIN_KEY)).json();
+const registrar = await (await call('POST', '/admin/api-keys', { name: 'registrar', scopes: ['register'] }, ADMIN_KEY)).json();
+
+res = await call('POST', '/admin/api-keys', { name: 'bad', scopes: ['superuser'] }, ADMIN_KEY);
+assertEqual(res.status, 400, 'Unknown scope is rejected');
+res = await call('POST', '/admin/api-keys', { name: 'bad', quotas: { entities: 0 } }, ADMIN_KEY);
+assertEqual(res.status, 400, 'Non-positive quota is rejected');
+res = await call('POST', '/admin/api-keys', { name: 'bad', quotas: { downloads: 5 } }, ADMIN_KEY);
+assertEqual(res.status, 400, 'Unknown quota bucket is rejected');
+res = await call('POST', '/admin/api-keys', { scopes: ['read'] }, ADMIN_KEY);
+assertEqual(res.status, 400, 'Name is required');
+
+data = await (await call('GET', '/admin/api-keys', null, ADMIN_KEY)).json();
+assertEqual(data.count, 3, 'Listing shows every issued key');
+assert(data.keys.every(k => !('hash' in k) && !('key' in k)), 'Listing omits hashes and keys');
+
+//===================
+// Test 3: Scopes
+//===================
+console.log('\n=== Test 3: Scopes ===');
+
+res = await call('POST', '/observation', { name: 'Orac', observation: 'Runs on NanoClaw' }, writer.key);
+assertEqual(res.status, 200, 'Write key can write');
+
+res = await call('POST', '/observation', { name: 'Orac', observation: 'Read-only fact' }, reader.key);
+assertEqual(res.status, 403, 'Read-only key cannot write');
+assertEqual((await res.json()).error, 'API key "reader" lacks the write scope', 'Forbidden error names the key and scope');
+res = await call('GET', '/entity/Orac', null, reader.key);
+assertEqual(res.status, 200, 'Read-only key can read');
+
+res = await call('POST', '/register-agent', { name: 'Aineko' }, writer.key);
+assertEqual(res.status, 403, 'Write key cannot register agents');
+res = await call('POST', '/register-agent', { name: 'Aineko' }, registrar.key);
+assert(res.status < 300, 'Register key can register agents');
+res = await call('GET', '/entity/Aineko', null, registrar.key);
+assertEqual(res.status, 403, 'Register-only key has no read scope');
+
+res = await call('GET', '/admin/api-keys', null, writer.key);
+assertEqual(res.status, 403, 'Listing keys needs the admin scope');
+res = await call('POST', '/admin/api-keys', { name: 'escalate', scopes: ['admin'] }, writer.key);
+assertEqual(res.status, 403, 'Issuing keys needs the admin scope');
+res = await call('GET', '/admin/api-keys');
+assertEqual(res.status, 401, 'Anonymous clients cannot list keys');
+
+//===================
+// Test 4: MCP tools
+//===================
+console.log('\n=== Test 4: MCP Tools ===');
+
+data = await (await mcpTool('add_observation', { name: 'Orac', observation: 'Via MCP' })).json();
+assertEqual(data.result.isError, true, 'Anonymous MCP write is a tool error');
+assert(data.result.content[0].text.includes('write scope'), 'Tool error names the missing scope');
+
+data = await (await mcpTool('add_observation', { name: 'Orac', observation: 'Via MCP' }, reader.key)).json();
+assertEqual(data.result.content[0].text, 'API key "reader" lacks the write scope', 'Read-only key cannot call write tools');
+
+data = await (await mcpTool('read_entity', { name: 'Orac' }, reader.key)).json();
+assert(!data.result.isError, 'Read-only key can call read tools');
+
+data = await (await mcpTool('add_observation', { name: 'Orac', observation: 'Via MCP' }, writer.key)).json();
+assert(!data.result.isError, 'Write key can call write tools');
+
+//===================
+// Test 5: Attribution
+//===================
+console.log('\n=== Test 5: Attribution ===');
+
+data = await (await call('GET', '/events?limit=100')).json();
+const written = data.events.filter(e => e.operation === 'add_observation');
+assertEqual(written.length, 2, 'Both keyed writes are logged');
+assert(written.every(e => e.actor.api_key === writer.id), 'Events record the writing key id');
+const created = data.events.find(e => e.operation === 'create_entity' && e.entities.includes('Orac'));
+assertEqual(created.actor.api_key, 'admin', 'Admin writes are attributed to the admin key');
+
+//===================
+// Test 6: Revocation
+//===================
+console.log('\n=== Test 6: Revocation ===');
+
+res = await call('DELETE', `/admin/api-keys/${writer.id}`, null, reader.key);
+assertEqual(res.status, 403, 'Revoking needs the admin scope');
+
+res = await call('DELETE', `/admin/api-keys/${writer.id}`, null, ADMIN_KEY);
+assertEqual(res.status, 200, 'Key revoked');
+assertEqual((await res.json()).revoked, writer.id, 'Revocation echoes the key id');
+
+res = await call('POST', '/observation', { name: 'Orac', observation: 'After revocation' }, writer.key);
+assertEqual(res.status, 401, 'Revoked key is rejected');
+
+res = await call('DELETE', `/admin/api-keys/${writer.id}`, null, ADMIN_KEY);
+assertEqual(res.status, 404, 'Revoking an unknown key is not found');
+
+data = await (await call('GET', '/admin/api-keys', null, ADMIN_KEY)).json();
+assertEqual(data.count, 2, 'Revoked key drops out of the listing');
+
+console.log('\n=== All Tests Passed! ===\n');
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for multi-party attestations: co-signed observations, attester
+ * counts, reputation-weighted signer trust, signer links and k-of-n quorums
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { loadEntity, updateEntity } from './src/graph-store.js';
+import { computeEffectiveConfidence, getOrComputeTrustScores, getSignerReputations } from './src/trust.js';
+import { attestationSummary } from './src/attestations.js';
+import { signObservation, signPersonalMessage } from './src/crypto-utils.js';
+import { assert, assertEqual, newWallet, createStaticResolver } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+
+function call(method, path, body, headers = {}) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+// The claimant signs for itself; the witnesses co-sign
+const claimant = newWallet();
+const witnesses = [newWallet(), newWallet(), newWallet()];
+const outsider = newWallet();
+const observedAt = new Date().toISOString();
+
+function observationFor(fields = {}) {
+  return {
+    entity_id: 'Aineko',
+    attribute: 'payment',
+    value: 'paid via x402',
+    observed_at: observedAt,
+    source: claimant.address,
+    confidence: 0.8,
+    ...fields
+  };
+}
+
+async function submit(observation, wallet, extra = {}, options = {}) {
+  return call('POST', '/observation/signed', { observation, signature: await signObservation(observation, wallet.privateKey, options), ...extra });
+}
+
+// A signed-in wallet with register scope links its address to an agent
+async function registerAs(wallet, name, identity = wallet.address) {
+  await call('POST', '/admin/wallet-grants', { address: wallet.address, scopes: ['register'] });
+  const { message } = await (await call('POST', '/auth/nonce', { address: wallet.address })).json();
+  const { token } = await (await call('POST', '/auth/verify', { message, signature: await signPersonalMessage(message, wallet.privateKey) })).json();
+  return call('POST', '/register-agent', { name, identity }, { Authorization: `Bearer ${token}` });
+}
+
+async function storedObservation(text) {
+  const data = await (await call('GET', '/entity/Aineko')).json();
+  return data.observations.find(o => o.text === text);
+}
+
+await call('POST', '/entity', { name: 'Aineko', entityType: 'agent' });
+
+// The claimant and the first and last witnesses speak for agents the graph
+// trusts (PageRank over these relations); the other keys are unlinked
+await call('POST', '/entity', { name: 'Hub', entityType: 'platform' });
+for (const [wallet, name] of [[claimant, 'Claimant'], [witnesses[0], 'Witness A'], [witnesses[2], 'Witness C']]) {
+  assertEqual((await registerAs(wallet, name)).status, 200, `${name} registers with its address as identity`);
+}
+for (const [source, target] of [['Hub', 'Claimant'], ['Witness A', 'Claimant'], ['Witness C', 'Claimant'], ['Hub', 'Witness A'], ['Hub', 'Witness C']]) {
+  await call('POST', '/relation', { source, relation: 'trusts', target });
+}
+await env.KG_STORE.delete('trust_scores_v1');
+const trustScores = await getOrComputeTrustScores(env);
+const reputations = await getSignerReputations(env, trustScores);
+assertEqual(reputations[claimant.address], trustScores.Claimant, 'A linked signer has its agent\'s trust score');
+assert(reputations[witnesses[0].address] > 0 && reputations[witnesses[0].address] < 1, 'Witnesses have real, lower scores');
+assert(!(witnesses[1].address in reputations), 'Unlinked keys have none');
+
+// Fixed signer reputations for checking the arithmetic directly
+const sample = { [claimant.address]: 0.6, [witnesses[0].address]: 0.6, [witnesses[2].address]: 0.6 };
+
+//===================
+// Test 1: Co-signing
+//===================
+console.log('\n=== Test 1: Co-Signing ===');
+
+const claim = observationFor();
+let res = await submit(claim, witnesses[0]);
+assertEqual(res.status, 403, 'A witness cannot start an observation for someone else\'s source');
+
+res = await submit(claim, claimant);
+assertEqual(res.status, 200, 'Claimant adds the observation');
+let data = await res.json();
+assertEqual(data.added, 'payment: paid via x402', 'Result names the added observation');
+assertEqual(data.attester_count, 1, 'One attester so far');
+assertEqual(data.signer_trust, reputations[claimant.address], 'Signer trust is the signer\'s own reputation');
+
+res = await submit(claim, witnesses[0]);
+assertEqual(res.status, 200, 'Witness co-signs the same observation');
+data = await res.json();
+assertEqual(data.cosigned, 'payment: paid via x402', 'Result says it was co-signed');
+assert(!('added' in data), 'Nothing new was added');
+assertEqual(data.attester_count, 1, 'A witness neither authorized for the source nor listed in a quorum is not counted');
+assertEqual(data.signer_trust, reputations[claimant.address], 'and adds no trust, whatever its reputation');
+
+res = await submit(claim, witnesses[1], {}, { scheme: 'legacy' });
+assertEqual(res.status, 200, 'Co-signing with the other scheme works: the signed fields are the same');
+assertEqual((await res.json()).attester_count, 1, 'Still one attester');
+
+res = await submit(claim, witnesses[0]);
+assertEqual(res.status, 409, 'Resubmitting a signature is a conflict');
+res = await submit(claim, witnesses[0], {}, { scheme: 'legacy' });
+assertEqual(res.status, 409, 'A signer attests only once, whatever the signature');
+assert((await res.json()).error.includes('already attested'), 'Error says so');
+
+let stored = await storedObservation('payment: paid via x402');
+assertEqual(stored.attestation.signatures.length, 3, 'Observation keeps every signature');
+assertEqual(stored.attestation.signatures[0].signer, claimant.address, 'First signature is the claimant\'s');
+assertEqual(stored.attestation.signatures[0].authorized, true, 'Claimant is authorized for the source');
+assertEqual(stored.attestation.signatures[1].authorized, false, 'Witness is not, and need not be');
+assertEqual(stored.attester_count, 1, 'Entity read reports the attester count');
+assertEqual(stored.signer_trust, reputations[claimant.address], 'Entity read reports reputation-weighted signer trust');
+assertEqual(stored.verified, true, 'Every signature matches');
+assertEqual((await (await call('GET', '/entity/Aineko')).json()).observations.length, 1, 'Co-signing adds no observation');
+
+res = await submit(observationFor({ confidence: 0.9 }), witnesses[2]);
+assertEqual(res.status, 403, 'A different confidence is a different observation, not a co-signature');
+
+data = await (await call('GET', '/entity/Aineko/history')).json();
+assertEqual(data.events.filter(e => e.operation === 'cosign_observation').length, 2, 'Co-signatures are logged');
+
+//===================
+// Test 2: Quorum
+//===================
+console.log('\n=== Test 2: Quorum ===');
+
+const quorum = { threshold: 3, signers: [claimant.address, ...witnesses.map(w => w.address)] };
+const contested = observationFor({ attribute: 'settlement', value: 'confirmed' });
+res = await submit(contested, claimant, { quorum: { threshold: 0, signers: quorum.signers } });
+assertEqual(res.status, 400, 'Threshold below 1 is rejected');
+res = await submit(contested, claimant, { quorum: { threshold: 1 } });
+assertEqual(res.status, 400, 'Quorum without a signer list is rejected');
+assert((await res.json()).error.includes('quorum.signers'), 'Error asks for the signers');
+res = await submit(contested, claimant, { quorum: { threshold: 5, signers: quorum.signers } });
+assertEqual(res.status, 400, 'Threshold above the listed signers is rejected');
+res = await submit(contested, claimant, { quorum: { threshold: 2, signers: ['nobody'] } });
+assertEqual(res.status, 400, 'Listed signers must be addresses');
+res = await submit(contested, claimant, { quorum: { threshold: 2, signers: witnesses.map(w => w.address) } });
+assertEqual(res.status, 400, 'A quorum that leaves out the signer setting it is rejected');
+assert((await res.json()).error.includes(claimant.address), 'Error names the missing signer');
+
+res = await submit(contested, claimant, { quorum });
+assertEqual(res.status, 200, 'Observation with a 3-of-4 quorum added');
+data = await res.json();
+assertEqual(data.quorum.count, 1, 'The claimant is listed, so its own signature counts');
+assertEqual(data.quorum.reached, false, 'Quorum not reached');
+
+res = await submit(contested, outsider);
+assertEqual(res.status, 403, 'Unlisted signer cannot co-sign');
+res = await submit(contested, witnesses[0], { quorum: { threshold: 1, signers: quorum.signers } });
+assertEqual(res.status, 409, 'Quorum cannot be changed by a co-signer');
+
+res = await submit(contested, witnesses[0], { quorum });
+data = await res.json();
+assertEqual(data.quorum.count, 2, 'Repeating the same quorum is fine');
+assertEqual(data.quorum.reached, false, '2 of 3');
+
+let raw = (await loadEntity(env, 'Aineko')).observations.find(o => o.text === 'settlement: confirmed');
+const pending = computeEffectiveConfidence(raw, 'Aineko', {});
+const unattested = computeEffectiveConfidence({ ...raw, attestation: undefined }, 'Aineko', {});
+assert(Math.abs(pending - unattested * 2 / 3) < 0.001, 'Pending quorum scales effective confidence by 2/3');
+
+res = await submit(contested, witnesses[2]);
+data = await res.json();
+assertEqual(data.quorum.reached, true, '3 of 3: quorum reached');
+// 1 - Π(1 - reputation) over the claimant and both linked witnesses
+const expectedTrust = parseFloat((1 - [claimant, witnesses[0], witnesses[2]].reduce((p, w) => p * (1 - reputations[w.address]), 1)).toFixed(4));
+assertEqual(data.signer_trust, expectedTrust, 'Signer trust combines the real scores of the counted signers');
+
+stored = await storedObservation('settlement: confirmed');
+assertEqual(stored.quorum.reached, true, 'Entity read flags the quorum as reached');
+assertEqual(stored.quorum.threshold, 3, 'Entity read reports the threshold');
+assertEqual(stored.attestation.quorum.signers.length, 4, 'Quorum keeps its n signers');
+
+raw = (await loadEntity(env, 'Aineko')).observations.find(o => o.text === 'settlement: confirmed');
+assert(Math.abs(computeEffectiveConfidence(raw, 'Aineko', {}) - unattested) < 0.001, 'Reached by unlinked signers, the quorum lifts nothing');
+const lifted = computeEffectiveConfidence(raw, 'Aineko', {}, sample);
+// Claimant, witnesses[0] and witnesses[2] at 0.6 each: 1 - 0.4^3
+assert(Math.abs(lifted - unattested * 0.936 / 0.5) < 0.001, 'Reached quorum lifts reputation to the reputation-weighted signer trust');
+assert(Math.abs(computeEffectiveConfidence(raw, 'Aineko', { Aineko: 0.95 }, sample) - unattested * 0.95 / 0.5) < 0.001, 'A higher entity reputation still wins');
+
+const reached = computeEffectiveConfidence(raw, 'Aineko', trustScores, reputations);
+data = await (await call('GET', '/search?q=Aineko&min_confidence=0.6')).json();
+const found = data.results.find(r => r.name === 'Aineko');
+assert(found && found.observations.find(o => o.text === 'settlement: confirmed').effective_confidence === reached, 'Search reports the quorum-adjusted effective confidence');
+assert(!found.observations.some(o => o.text === 'payment: paid via x402' && o.effective_confidence >= 0.6), 'Without a quorum, attesters do not raise it');
+
+await updateEntity(env, 'Aineko', e => {
+  e.observations.find(o => o.text === 'settlement: confirmed').confidence = 1.0;
+}, { record: false });
+stored = await storedObservation('settlement: confirmed');
+assertEqual(stored.attester_count, 0, 'Edited after signing: no signature matches');
+assertEqual(stored.quorum.reached, false, 'and the quorum is lost');
+
+//===================
+// Test 3: Unauthorized co-signers
+//===================
+console.log('\n=== Test 3: Unauthorized Co-Signers ===');
+
+const throwaway = [newWallet(), newWallet(), newWallet()];
+// Even keys linked to highly rated agents count only when authorized or listed
+const inflated = { ...sample, ...Object.fromEntries(throwaway.map(w => [w.address, 0.99])) };
+
+const open = observationFor({ attribute: 'uptime', value: '99.9%' });
+await submit(open, claimant);
+let before = (await loadEntity(env, 'Aineko')).observations.find(o => o.text === 'uptime: 99.9%');
+const openConfidence = computeEffectiveConfidence(before, 'Aineko', {}, inflated);
+for (const wallet of throwaway) {
+  res = await submit(open, wallet);
+  assertEqual(res.status, 200, 'Throwaway key co-signs an observation without a quorum');
+}
+let after = (await loadEntity(env, 'Aineko')).observations.find(o => o.text === 'uptime: 99.9%');
+assertEqual(after.attestation.signatures.length, 4, 'Their signatures are kept');
+assertEqual(attestationSummary('Aineko', after, inflated).attester_count, 1, 'but not counted');
+assertEqual(attestationSummary('Aineko', after, inflated).signer_trust, 0.6, 'and add no signer trust');
+assertEqual(computeEffectiveConfidence(after, 'Aineko', {}, inflated), openConfidence, 'Effective confidence is unchanged');
+
+// A quorum stored before signer lists were required counts no one
+const legacy = observationFor({ attribute: 'region', value: 'eu-west' });
+await submit(legacy, claimant);
+await updateEntity(env, 'Aineko', e => {
+  e.observations.find(o => o.text === 'region: eu-west').attestation.quorum = { threshold: 1, signers: null };
+}, { record: false });
+before = (await loadEntity(env, 'Aineko')).observations.find(o => o.text === 'region: eu-west');
+const legacyConfidence = computeEffectiveConfidence(before, 'Aineko', {}, inflated);
+for (const wallet of throwaway) await submit(legacy, wallet);
+after = (await loadEntity(env, 'Aineko')).observations.find(o => o.text === 'region: eu-west');
+assertEqual(after.attestation.signatures.length, 4, 'Throwaway keys co-sign the signer-less quorum');
+assertEqual(attestationSummary('Aineko', after).quorum.reached, false, 'but cannot reach it');
+assertEqual(computeEffectiveConfidence(after, 'Aineko', {}, inflated), legacyConfidence, 'Effective confidence is unchanged');
+
+//===================
+// Test 4: Single-signature attestations stored before co-signing
+//===================
+console.log('\n=== Test 4: Earlier Attestations ===');
+
+const early = observationFor({ attribute: 'status', value: 'operational' });
+const earlySignature = await signObservation(early, claimant.privateKey);
+await updateEntity(env, 'Aineko', e => {
+  e.observations.push({
+    text: 'status: operational', observed_at: early.observed_at, source_agent: early.source, confidence: early.confidence,
+    attestation: { attribute: 'status', value: 'operational', source: early.source, signer: claimant.address, signature: earlySignature, verified_at: '2026-10-01T12:00:01.000Z' }
+  });
+}, { record: false });
+
+stored = await storedObservation('status: operational');
+assertEqual(stored.verified, true, 'Earlier attestation still verifies');
+assertEqual(stored.attester_count, 1, 'and counts its signer');
+
+res = await submit(early, witnesses[0]);
+assertEqual(res.status, 200, 'It can be co-signed');
+stored = await storedObservation('status: operational');
+assertEqual(stored.attestation.signatures.length, 2, 'Co-signing moves it to the signature list');
+assertEqual(stored.attestation.signatures[0].signer, claimant.address, 'keeping the original signature first');
+res = await call('POST', '/observation/signed', { observation: early, signature: earlySignature });
+assertEqual(res.status, 409, 'The original signature cannot be resubmitted');
+
+//===================
+// Test 5: MCP
+//===================
+console.log('\n=== Test 5: MCP ===');
+
+data = await (await call('POST', '/mcp', {
+  jsonrpc: '2.0', id: 1, method: 'tools/call',
+  params: { name: 'add_signed_observation', arguments: { observation: early, signature: await signObservation(early, witnesses[1].privateKey) } }
+}, { Accept: 'application/json, text/event-stream' })).json();
+assert(!data.result.isError, 'add_signed_observation co-signs');
+assertEqual(data.result.structuredContent.attester_count, 1, 'Tool returns the attester count, without the unauthorized co-signers');
+assert(data.result.content[0].text.startsWith('Co-signed on "Aineko"'), 'Tool text says it co-signed');
+
+//===================
+// Test 6: Signer links
+//===================
+console.log('\n=== Test 6: Signer Links ===');
+
+res = await call('POST', '/register-agent', { name: 'Keyless', identity: outsider.address });
+assertEqual(res.status, 403, 'Linking an identity needs a wallet session');
+res = await registerAs(outsider, 'Impostor', claimant.address);
+assertEqual(res.status, 403, 'A wallet cannot link an identity it does not control');
+res = await registerAs(outsider, 'Claimant');
+assertEqual(res.status, 403, 'nor take over an agent linked to another identity');
+res = await registerAs(outsider, 'Hub');
+assertEqual(res.status, 403, 'nor an existing agent that was never linked');
+
+const witnessB = witnesses[1];
+env.ENS_RESOLVER = createStaticResolver({ names: { 'witness-b.eth': witnessB.address } });
+res = await registerAs(witnessB, 'Witness B', 'witness-b.eth');
+assertEqual(res.status, 200, 'An ENS name the wallet resolves from links it');
+assertEqual((await res.json()).linked.identity, 'witness-b.eth', 'Registration reports the link');
+
+// An entity named after a throwaway address gains trust but no link
+await call('POST', '/entity', { name: outsider.address, entityType: 'agent' });
+for (const source of ['Hub', 'Witness A', 'Witness C']) {
+  await call('POST', '/relation', { source, relation: 'trusts', target: outsider.address });
+  await call('POST', '/relation', { source, relation: 'trusts', target: 'Witness B' });
+}
+await env.KG_STORE.delete('trust_scores_v1');
+const rescored = await getOrComputeTrustScores(env);
+assert(rescored[outsider.address] > 0, 'The graph scores the address-named entity');
+
+const bySignerB = observationFor({ attribute: 'review', value: 'positive', source: 'witness-b.eth' });
+res = await submit(bySignerB, witnessB);
+assertEqual(res.status, 200, 'Linked signer adds an observation for its ENS name');
+assertEqual((await res.json()).signer_trust, rescored['Witness B'], 'Its signer trust is its agent\'s real score');
+const byOutsider = observationFor({ attribute: 'review', value: 'negative', source: outsider.address });
+res = await submit(byOutsider, outsider);
+assertEqual(res.status, 200, 'The throwaway address adds an observation for itself');
+assertEqual((await res.json()).signer_trust, 0, 'but an entity named like it lends it no trust');
+
+console.log('\n=== All Tests Passed! ===\n');
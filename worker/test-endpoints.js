@@ -1,24 +1,20 @@
 #!/usr/bin/env node
 
 /**
- * Test /attest and /verify endpoints locally with Wrangler
- * Run: npm install -g wrangler && wrangler dev --local
- * Then: node test-endpoints.js
+ * Test /attest and /verify endpoints against a running worker
+ * Run: node src/node-server.js (or: npm install -g wrangler && wrangler dev --local)
+ * Then: node test-endpoints.js   (API_BASE overrides http://localhost:8787)
+ * /attest needs a write key: start the server with ADMIN_API_KEY set and pass
+ * the same value (or an issued key) as API_KEY. /attest is deprecated and
+ * needs ALLOW_SERVER_SIGNING=true on the server.
  */
 
 import * as secp from '@noble/secp256k1';
 import { bytesToHex } from './src/crypto-utils.js';
+import { assert } from './test-helpers.js';
 
-const API_BASE = 'http://localhost:8787';
-
-// Test utilities
-function assert(condition, message) {
-  if (!condition) {
-    console.error(`❌ FAILED: ${message}`);
-    process.exit(1);
-  }
-  console.log(`✓ ${message}`);
-}
+const API_BASE = process.env.API_BASE || 'http://localhost:8787';
+const AUTH = process.env.API_KEY ? { Authorization: `Bearer ${process.env.API_KEY}` } : {};
 
 async function testAttest() {
   console.log('\n=== Test 1: /attest endpoint ===');
@@ -38,7 +34,7 @@ async function testAttest() {
 
   const response = await fetch(`${API_BASE}/attest`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...AUTH },
     body: JSON.stringify({ observation, privateKey: privateKeyHex })
   });
 
@@ -104,7 +100,7 @@ async function testMissingFields() {
 
   const response = await fetch(`${API_BASE}/attest`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...AUTH },
     body: JSON.stringify({ observation: { entity_id: 'Test' }, privateKey: '0x1234' })
   });
 
@@ -117,13 +113,13 @@ async function testMissingFields() {
 }
 
 async function testRootEndpoint() {
-  console.log('\n=== Test 5: Root endpoint API docs ===');
+  console.log('\n=== Test 5: API docs endpoint ===');
 
-  const response = await fetch(`${API_BASE}/`);
-  assert(response.ok, 'Root endpoint returns 200');
+  const response = await fetch(`${API_BASE}/api`);
+  assert(response.ok, 'API docs endpoint returns 200');
 
   const data = await response.json();
-  assert(data.version === '4.0.0-phase1', 'Version is 4.0.0-phase1');
+  assert(data.version, 'Version is reported');
   assert(data.api.rest['POST /attest'], '/attest is documented');
   assert(data.api.rest['POST /verify'], '/verify is documented');
 
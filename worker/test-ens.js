@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for ENS attestation sources: forward and reverse resolution,
+ * caching, and the resolution trail reported by /verify
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { signObservation } from './src/crypto-utils.js';
+import { ChainError, selector, encodeAddress, encodeUint } from './src/chain-reader.js';
+import { ENS_REGISTRY, namehash, isEnsName, chainResolver, ensResolver } from './src/ens.js';
+import { authorizeSource } from './src/authorization.js';
+import { assert, assertEqual, newWallet, createStaticResolver } from './test-helpers.js';
+
+const orac = newWallet();
+const aineko = newWallet();
+
+// orac.eth and ops.orac.eth point at orac, whose primary name is orac.eth
+const resolver = createStaticResolver({
+  names: { 'orac.eth': orac.address, 'ops.orac.eth': orac.address, 'aineko.eth': aineko.address }
+});
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key', ENS_RESOLVER: resolver };
+
+function call(method, path, body, headers = {}) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+function observationFor(fields = {}) {
+  return {
+    entity_id: 'Orac',
+    attribute: 'status',
+    value: 'operational',
+    observed_at: '2026-10-01T12:00:00.000Z',
+    source: 'orac.eth',
+    confidence: 0.9,
+    ...fields
+  };
+}
+
+//===================
+// Test 1: Names
+//===================
+console.log('\n=== Test 1: Names ===');
+
+assertEqual(namehash(''), '0x' + '0'.repeat(64), 'namehash of the root');
+assertEqual(namehash('eth'), '0x93cdeb708b7545dc668eb9280176169d1c33cfd8ed6f04690a0bcc88a93fc4ae', 'namehash("eth") matches EIP-137');
+assertEqual(namehash('foo.eth'), '0xde9b09fd7c5f901e23a3f19fecc54828e9c848539801e86591bd9801b019f84f', 'namehash("foo.eth") matches EIP-137');
+assertEqual(namehash('Foo.ETH'), namehash('foo.eth'), 'Names are case-insensitive');
+assert(isEnsName('orac.eth') && isEnsName('ops.orac.eth'), 'Names and subnames are ENS sources');
+assert(!isEnsName('orac.com') && !isEnsName('eth') && !isEnsName('erc8004:42'), 'Other sources are not');
+
+//===================
+// Test 2: Authorization
+//===================
+console.log('\n=== Test 2: Authorization ===');
+
+let result = await authorizeSource(env, orac.address, 'orac.eth');
+assert(result.authorized, 'Name resolving to the signer is authorized');
+assertEqual(result.method, 'ens', 'Method is ens');
+assertEqual(result.trail.length, 2, 'Trail has a forward and a reverse lookup');
+assertEqual(result.trail[0].lookup, 'forward', 'Forward lookup first');
+assertEqual(result.trail[0].address, orac.address, 'Forward lookup found the signer');
+assertEqual(result.trail[1].name, 'orac.eth', 'Reverse lookup found the primary name');
+assert(result.reason.includes('primary name'), 'Reason notes the primary name');
+
+result = await authorizeSource(env, orac.address, 'Ops.Orac.eth');
+assert(result.authorized, 'Subname resolving to the signer is authorized');
+assert(!result.reason.includes('primary name'), 'Primary name is not required');
+
+result = await authorizeSource(env, aineko.address, 'orac.eth');
+assert(!result.authorized, 'Name resolving elsewhere is not authorized');
+assertEqual(result.trail.length, 1, 'Trail stops after the forward lookup');
+assert(result.reason.includes(orac.address), 'Reason names the resolved address');
+
+result = await authorizeSource(env, orac.address, 'nobody.eth');
+assert(!result.authorized, 'Unresolved name is not authorized');
+assertEqual(result.trail[0].address, null, 'Trail records the miss');
+
+result = await authorizeSource({ GRAPH_KEY: 'x', KG_STORE: new MemoryStore() }, orac.address, 'orac.eth');
+assert(!result.authorized && result.error === 'no_rpc', 'Without ETHEREUM_RPC_URL names cannot be checked');
+
+//===================
+// Test 3: Caching
+//===================
+console.log('\n=== Test 3: Caching ===');
+
+const cachedEnv = { GRAPH_KEY: 'cached', KG_STORE: new MemoryStore(), ENS_RESOLVER: createStaticResolver({ names: { 'orac.eth': orac.address } }) };
+const cache = ensResolver(cachedEnv);
+assertEqual(await cache.resolveName('orac.eth'), orac.address, 'Forward resolution');
+assertEqual(await cache.lookupAddress(orac.address), 'orac.eth', 'Reverse resolution');
+assertEqual(await cache.resolveName('nobody.eth'), null, 'Miss');
+const lookups = cachedEnv.ENS_RESOLVER.lookups;
+await cache.resolveName('ORAC.eth');
+await cache.lookupAddress(orac.address.toUpperCase().replace('0X', '0x'));
+await cache.resolveName('nobody.eth');
+assertEqual(cachedEnv.ENS_RESOLVER.lookups, lookups, 'Repeated lookups, misses included, come from the cache');
+assert(await cachedEnv.KG_STORE.get('cached:ens:name:orac.eth'), 'Answer is cached in the store');
+
+//===================
+// Test 4: On-chain resolution
+//===================
+console.log('\n=== Test 4: On-Chain Resolution ===');
+
+// Stand-in mainnet node holding the ENS registry and one public resolver
+const PUBLIC_RESOLVER = '0x231b0ee14048e9dccd1d247744d114a4eb5e8e63';
+const records = {
+  [namehash('orac.eth')]: { addr: orac.address },
+  [namehash(`${orac.address.slice(2)}.addr.reverse`)]: { name: 'orac.eth' },
+  [namehash('bare.eth')]: {}
+};
+function abiString(text) {
+  const hex = Buffer.from(text).toString('hex');
+  return encodeUint(32) + encodeUint(hex.length / 2) + hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+}
+const mainnet = {
+  async request({ params: [{ to, data }] }) {
+    const node = '0x' + data.slice(10);
+    const record = records[node];
+    if (to === ENS_REGISTRY) return '0x' + encodeAddress(record ? PUBLIC_RESOLVER : '0x' + '0'.repeat(40));
+    if (data.startsWith(selector('addr(bytes32)')) && record.addr) return '0x' + encodeAddress(record.addr);
+    if (data.startsWith(selector('name(bytes32)')) && record.name) return '0x' + abiString(record.name);
+    throw new ChainError('execution reverted', { code: 3, reverted: true });
+  }
+};
+const onChain = { GRAPH_KEY: 'mainnet', KG_STORE: new MemoryStore(), ETHEREUM_RPC: mainnet };
+const chain = ensResolver(onChain);
+assertEqual(await chain.resolveName('orac.eth'), orac.address, 'addr record read through the registry\'s resolver');
+assertEqual(await chain.lookupAddress(orac.address), 'orac.eth', 'name record read from the reverse node');
+assertEqual(await chain.resolveName('missing.eth'), null, 'Name without a resolver resolves to nothing');
+assertEqual(await chain.resolveName('bare.eth'), null, 'Resolver without an addr record resolves to nothing');
+assertEqual(await chainResolver({ call: async () => { throw new ChainError('connection refused'); } }).resolveName('orac.eth').catch(e => e.message), 'connection refused', 'Node failures are thrown');
+
+result = await authorizeSource(onChain, orac.address, 'orac.eth');
+assert(result.authorized, 'ENS source authorized on chain data');
+
+//===================
+// Test 5: /verify
+//===================
+console.log('\n=== Test 5: /verify ===');
+
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent' });
+
+const observation = observationFor();
+let data = await (await call('POST', '/verify', { observation, signature: await signObservation(observation, orac.privateKey) })).json();
+assertEqual(data.authorized, true, 'Signer the name resolves to is authorized');
+assertEqual(data.authorization.method, 'ens', '/verify reports how');
+assertEqual(data.authorization.trail[0].name, 'orac.eth', 'Trail has the forward lookup');
+assertEqual(data.authorization.trail[1].address, orac.address, 'Trail has the reverse lookup');
+
+data = await (await call('POST', '/verify', { observation, signature: await signObservation(observation, aineko.privateKey) })).json();
+assert(data.valid && !data.authorized, 'Another signer claiming orac.eth is not authorized');
+assertEqual(data.authorization.trail[0].address, orac.address, 'Trail shows where the name points');
+
+//===================
+// Test 6: Signed submissions
+//===================
+console.log('\n=== Test 6: Signed Submissions ===');
+
+let res = await call('POST', '/observation/signed', { observation, signature: await signObservation(observation, orac.privateKey) });
+assertEqual(res.status, 200, 'Name owner can submit');
+assertEqual((await res.json()).source, 'orac.eth', 'Attributed to the name');
+
+const impostor = observationFor({ value: 'degraded' });
+res = await call('POST', '/observation/signed', { observation: impostor, signature: await signObservation(impostor, aineko.privateKey) });
+assertEqual(res.status, 403, 'Another signer cannot submit for the name');
+
+const offline = { ...env, ENS_RESOLVER: { resolveName: async () => { throw new Error('connection refused'); } } };
+const unresolved = observationFor({ source: 'aineko.eth' });
+res = await worker.fetch(new Request('http://localhost/observation/signed', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-key' },
+  body: JSON.stringify({ observation: unresolved, signature: await signObservation(unresolved, aineko.privateKey) })
+}), offline);
+assertEqual(res.status, 502, 'Failed resolution is a 502, not a 403');
+
+console.log('\n=== All Tests Passed! ===\n');
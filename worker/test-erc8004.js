@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for ERC-8004 source authorization: agent ownership and delegation
+ * read from the Base identity registry through a JSON-RPC chain reader
+ */
+
+import http from 'node:http';
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { signObservation } from './src/crypto-utils.js';
+import { chainReader, selector, encodeUint, decodeAddress } from './src/chain-reader.js';
+import { ERC8004_REGISTRY, parseAgentSource, authorizeSource } from './src/authorization.js';
+import { assert, assertEqual, newWallet, createFixtureNode } from './test-helpers.js';
+
+const owner = newWallet();
+const approved = newWallet();
+const operator = newWallet();
+const stranger = newWallet();
+
+// Agent 42 is owned by owner, who approved one address for it and another for all their agents
+const node = createFixtureNode({
+  contracts: {
+    [ERC8004_REGISTRY]: {
+      owners: { 42: owner.address, 7: stranger.address },
+      approved: { 42: approved.address },
+      operators: { [owner.address]: [operator.address] }
+    }
+  }
+});
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key', BASE_RPC: node };
+
+function call(method, path, body, headers = {}) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+function observationFor(fields = {}) {
+  return {
+    entity_id: 'Orac',
+    attribute: 'status',
+    value: 'operational',
+    observed_at: '2026-10-01T12:00:00.000Z',
+    source: 'erc8004:42',
+    confidence: 0.9,
+    ...fields
+  };
+}
+
+//===================
+// Test 1: Agent sources
+//===================
+console.log('\n=== Test 1: Agent Sources ===');
+
+let agent = parseAgentSource('erc8004:42');
+assertEqual(agent.chain_id, 8453, 'Shorthand names Base');
+assertEqual(agent.registry, ERC8004_REGISTRY, 'Shorthand names the identity registry');
+assertEqual(agent.agent_id, '42', 'Agent id parsed');
+agent = parseAgentSource(`eip155:8453:${ERC8004_REGISTRY.toLowerCase()}:0042`);
+assertEqual(agent.agent_id, '42', 'Registry reference parsed, any address case');
+assert(!parseAgentSource('eip155:1:0x8004A169FB4a3325136EB29fA0ceB6D2e539a432:42'), 'Other chains are not recognized');
+assert(!parseAgentSource('eip155:8453:0x000000000000000000000000000000000000dEaD:42'), 'Other registries are not recognized');
+assert(!parseAgentSource('erc8004:' + (1n << 256n).toString()), 'Agent id beyond uint256 is rejected');
+assert(!parseAgentSource('orac.eth'), 'Names are not agents');
+
+//===================
+// Test 2: Ownership and delegation
+//===================
+console.log('\n=== Test 2: Ownership and Delegation ===');
+
+let result = await authorizeSource(env, owner.address, 'erc8004:42');
+assert(result.authorized, 'Owner is authorized');
+assertEqual(result.method, 'erc8004', 'Method is erc8004');
+assertEqual(result.agent.owner, owner.address, 'Owner is reported');
+assertEqual(result.agent.relation, 'owner', 'Relation is owner');
+
+result = await authorizeSource(env, approved.address, 'erc8004:42');
+assert(result.authorized && result.agent.relation === 'approved', 'Approved address is a delegate');
+result = await authorizeSource(env, operator.address, 'erc8004:42');
+assert(result.authorized && result.agent.relation === 'operator', 'Owner\'s operator is a delegate');
+
+result = await authorizeSource(env, stranger.address, 'erc8004:42');
+assert(!result.authorized, 'Stranger is not authorized');
+assertEqual(result.agent.relation, null, 'Stranger has no relation');
+assert(result.reason.includes(owner.address), 'Reason names the owner');
+result = await authorizeSource(env, operator.address, 'erc8004:7');
+assert(!result.authorized, 'Operator of one owner is no delegate of another\'s agent');
+
+result = await authorizeSource(env, owner.address, 'erc8004:99');
+assert(!result.authorized, 'Unregistered agent authorizes no one');
+assertEqual(result.reason, 'ERC-8004 agent 99 does not exist', 'Revert is reported as a missing agent');
+assert(!result.error, 'A revert is not a lookup failure');
+
+//===================
+// Test 3: Caching
+//===================
+console.log('\n=== Test 3: Caching ===');
+
+const before = node.calls;
+await authorizeSource(env, owner.address, 'erc8004:42');
+assertEqual(node.calls, before, 'Repeated check is served from the cache');
+
+const fresh = { ...env, GRAPH_KEY: 'fresh', KG_STORE: new MemoryStore() };
+const reader = chainReader(fresh, 8453);
+const ownerOf42 = selector('ownerOf(uint256)') + encodeUint(42);
+assertEqual(decodeAddress(await reader.call(ERC8004_REGISTRY, ownerOf42)), owner.address, 'Reader returns the call result');
+assert(await fresh.KG_STORE.get(`fresh:chain:8453:${ERC8004_REGISTRY.toLowerCase()}:${ownerOf42}`), 'Result is cached in the store');
+assert(!chainReader(fresh, 1), 'No reader for other chains');
+assert(!chainReader({ GRAPH_KEY: 'x', KG_STORE: new MemoryStore() }, 8453), 'No reader without a node');
+
+//===================
+// Test 4: JSON-RPC over HTTP
+//===================
+console.log('\n=== Test 4: JSON-RPC over HTTP ===');
+
+// Local mock node: the fixture behind a JSON-RPC endpoint
+let rpcUp = true;
+const rpc = http.createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const { id, method, params } = JSON.parse(Buffer.concat(chunks).toString());
+  if (!rpcUp) {
+    res.writeHead(503);
+    return res.end();
+  }
+  let body;
+  try {
+    body = { jsonrpc: '2.0', id, result: await node.request({ method, params }) };
+  } catch (error) {
+    body = { jsonrpc: '2.0', id, error: { code: error.code, message: error.message } };
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+await new Promise(resolve => rpc.listen(0, '127.0.0.1', resolve));
+const overHttp = { GRAPH_KEY: 'http', KG_STORE: new MemoryStore(), BASE_RPC_URL: `http://127.0.0.1:${rpc.address().port}` };
+
+result = await authorizeSource(overHttp, approved.address, 'erc8004:42');
+assert(result.authorized && result.agent.relation === 'approved', 'Delegation read over JSON-RPC');
+result = await authorizeSource(overHttp, owner.address, 'erc8004:99');
+assertEqual(result.reason, 'ERC-8004 agent 99 does not exist', 'JSON-RPC revert error is a missing agent');
+
+rpcUp = false;
+result = await authorizeSource(overHttp, owner.address, 'erc8004:7');
+assertEqual(result.error, 'lookup_failed', 'Unreachable node is a lookup failure');
+assert(!result.authorized, 'Lookup failure authorizes no one');
+result = await authorizeSource(overHttp, approved.address, 'erc8004:42');
+assert(result.authorized, 'Cached results survive the node going down');
+rpc.close();
+
+result = await authorizeSource({ GRAPH_KEY: 'x', KG_STORE: new MemoryStore() }, owner.address, 'erc8004:42');
+assert(!result.authorized && result.error === 'no_rpc', 'Without BASE_RPC_URL agents cannot be checked');
+
+//===================
+// Test 5: /verify
+//===================
+console.log('\n=== Test 5: /verify ===');
+
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent' });
+
+const observation = observationFor();
+let data = await (await call('POST', '/verify', { observation, signature: await signObservation(observation, approved.privateKey) })).json();
+assert(data.valid, 'Signature is valid');
+assertEqual(data.authorized, true, 'Delegate signer is authorized');
+assertEqual(data.authorization.method, 'erc8004', '/verify reports how');
+assertEqual(data.authorization.agent.relation, 'approved', '/verify reports the relation');
+
+data = await (await call('POST', '/verify', { observation, signature: await signObservation(observation, stranger.privateKey) })).json();
+assert(data.valid && data.authorized === false, 'Stranger\'s valid signature is not authorized');
+assert(data.info.includes('neither owns nor is a delegate'), 'Info explains why');
+
+const named = observationFor({ source: 'Orac' });
+data = await (await call('POST', '/verify', { observation: named, signature: await signObservation(named, owner.privateKey) })).json();
+assertEqual(data.authorized, false, 'Unverifiable source is no longer authorized for any address');
+
+//===================
+// Test 6: Signed submissions
+//===================
+console.log('\n=== Test 6: Signed Submissions ===');
+
+let res = await call('POST', '/observation/signed', { observation, signature: await signObservation(observation, operator.privateKey) });
+assertEqual(res.status, 200, 'Operator can submit for the agent');
+data = await res.json();
+assertEqual(data.source, 'erc8004:42', 'Attributed to the agent');
+assertEqual(data.signer, operator.address, 'Signed by the operator');
+
+const other = observationFor({ value: 'degraded' });
+res = await call('POST', '/observation/signed', { observation: other, signature: await signObservation(other, stranger.privateKey) });
+assertEqual(res.status, 403, 'Stranger cannot submit for the agent');
+assert((await res.json()).error.includes('neither owns nor is a delegate'), 'Error explains why');
+
+// A node that cannot be reached, for an agent not in the cache
+const offline = { ...env, BASE_RPC: { request: async () => { throw new Error('connection refused'); } } };
+const unchecked = observationFor({ source: 'erc8004:8' });
+res = await worker.fetch(new Request('http://localhost/observation/signed', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-key' },
+  body: JSON.stringify({ observation: unchecked, signature: await signObservation(unchecked, owner.privateKey) })
+}), offline);
+assertEqual(res.status, 502, 'Unreadable registry is a 502, not a 403');
+
+console.log('\n=== All Tests Passed! ===\n');
@@ -0,0 +1,116 @@
+/**
+ * Shared helpers for the test suites (test-*.js)
+ *
+ * Each suite is a plain Node script: it runs top to bottom, prints a line per
+ * check and exits non-zero on the first failure. `npm test` runs them all
+ * (run-tests.js); any one can also be run on its own with node.
+ */
+
+import * as secp from '@noble/secp256k1';
+import { bytesToHex, publicKeyToAddress } from './src/crypto-utils.js';
+import { BASE_CHAIN_ID, ChainError, selector, encodeAddress, encodeUint, decodeAddress } from './src/chain-reader.js';
+
+export function assert(condition, message) {
+  if (!condition) {
+    console.error(`❌ FAILED: ${message}`);
+    process.exit(1);
+  }
+  console.log(`✓ ${message}`);
+}
+
+export function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    console.error(`❌ FAILED: ${message}`);
+    console.error(`  Expected: ${expected}`);
+    console.error(`  Got: ${actual}`);
+    process.exit(1);
+  }
+  console.log(`✓ ${message}`);
+}
+
+/**
+ * A fresh secp256k1 key pair: { privateKey: 0x hex, address }.
+ */
+export function newWallet() {
+  const privateKey = secp.utils.randomSecretKey();
+  return { privateKey: bytesToHex(privateKey), address: publicKeyToAddress(secp.getPublicKey(privateKey, false)) };
+}
+
+// --- Chain and ENS stand-ins ---
+
+const OWNER_OF = selector('ownerOf(uint256)');
+const GET_APPROVED = selector('getApproved(uint256)');
+const IS_APPROVED_FOR_ALL = selector('isApprovedForAll(address,address)');
+const ZERO_ADDRESS = '0x' + '0'.repeat(40);
+
+/**
+ * A stand-in node answering ERC-721 reads from a fixture:
+ *   { chain_id?, contracts: { <address>: {
+ *       owners: { <tokenId>: owner },
+ *       approved?: { <tokenId>: address },
+ *       operators?: { <owner>: [address] } } } }
+ * ownerOf a token that is not in the fixture reverts, as on chain.
+ * calls counts the eth_calls answered.
+ */
+export function createFixtureNode({ chain_id = BASE_CHAIN_ID, contracts = {} } = {}) {
+  const byAddress = Object.fromEntries(Object.entries(contracts).map(([address, c]) => [address.toLowerCase(), c]));
+  const revert = () => { throw new ChainError('execution reverted', { code: 3, reverted: true }); };
+  const word = value => '0x' + value;
+  const lower = map => Object.fromEntries(Object.entries(map || {}).map(([k, v]) => [k.toLowerCase(), v]));
+
+  const node = {
+    calls: 0,
+    async request({ method, params = [] }) {
+      if (method === 'eth_chainId') return '0x' + chain_id.toString(16);
+      if (method !== 'eth_call') throw new ChainError(`Method not supported: ${method}`, { code: -32601 });
+      node.calls++;
+
+      const { to, data } = params[0];
+      const contract = byAddress[to.toLowerCase()];
+      if (!contract) return '0x';
+      const fn = data.slice(0, 10);
+      const args = data.slice(10).match(/.{64}/g) || [];
+
+      if (fn === OWNER_OF || fn === GET_APPROVED) {
+        const tokenId = BigInt('0x' + args[0]).toString();
+        const owner = contract.owners?.[tokenId];
+        if (!owner) revert();
+        const result = fn === OWNER_OF ? owner : (contract.approved?.[tokenId] || ZERO_ADDRESS);
+        return word(encodeAddress(result));
+      }
+      if (fn === IS_APPROVED_FOR_ALL) {
+        const [owner, operator] = args.map(decodeAddress);
+        const operators = (lower(contract.operators)[owner] || []).map(a => a.toLowerCase());
+        return word(encodeUint(operators.includes(operator) ? 1 : 0));
+      }
+      revert();
+    }
+  };
+  return node;
+}
+
+/**
+ * A stand-in ENS resolver answering from fixed records:
+ *   { names: { <name>: address }, reverse?: { <address>: name } }
+ * Without reverse, each address claims the first name that points to it.
+ * lookups counts the queries answered.
+ */
+export function createStaticResolver({ names = {}, reverse } = {}) {
+  const forward = Object.fromEntries(Object.entries(names).map(([name, address]) => [name.toLowerCase(), address.toLowerCase()]));
+  const primary = reverse
+    ? Object.fromEntries(Object.entries(reverse).map(([address, name]) => [address.toLowerCase(), name.toLowerCase()]))
+    : Object.fromEntries(Object.entries(forward).reverse().map(([name, address]) => [address, name]));
+
+  const resolver = {
+    lookups: 0,
+    async resolveName(name) {
+      resolver.lookups++;
+      return forward[name.toLowerCase()] || null;
+    },
+    async lookupAddress(address) {
+      resolver.lookups++;
+      return primary[address.toLowerCase()] || null;
+    }
+  };
+  return resolver;
+}
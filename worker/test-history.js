@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for point-in-time (as_of) reads and the mutation event log
+ */
+
+import * as secp from '@noble/secp256k1';
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { hashClientIP, recordEvent } from './src/events.js';
+import { updateEntity } from './src/graph-store.js';
+import { bytesToHex, publicKeyToAddress, signObservation } from './src/crypto-utils.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key', IP_HASH_SALT: 'test-salt' };
+
+function call(method, path, body) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key' },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+async function get(path) {
+  return (await call('GET', path)).json();
+}
+
+// Capture a moment strictly between two writes
+async function moment() {
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const t = new Date().toISOString();
+  await new Promise(resolve => setTimeout(resolve, 5));
+  return encodeURIComponent(t);
+}
+
+const beforeAll = await moment();
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Runs on NanoClaw'] });
+const afterCreate = await moment();
+await call('POST', '/observation', { name: 'Orac', observation: 'Suspended from Moltbook', expires_at: new Date(Date.now() + 30).toISOString() });
+await call('POST', '/observation', { name: 'Orac', observation: 'Holds 10 USDC' });
+const afterObs = await moment();
+await call('POST', '/observation/invalidate', { name: 'Orac', observation: 'Holds 10 USDC' });
+await call('POST', '/entity', { name: 'Moltbook', entityType: 'platform' });
+await call('POST', '/relation', { source: 'Orac', relation: 'active_on', target: 'Moltbook' });
+await new Promise(resolve => setTimeout(resolve, 40)); // Let the suspension expire
+const texts = data => data.observations.map(o => o.text).sort().join(' | ');
+
+//===================
+// Test 1: Entity as of
+//===================
+console.log('\n=== Test 1: Entity as_of ===');
+
+let data = await get('/entity/Orac');
+assertEqual(texts(data), 'Runs on NanoClaw', 'Current read hides invalidated and expired observations');
+
+data = await get(`/entity/Orac?as_of=${afterObs}`);
+assertEqual(texts(data), 'Holds 10 USDC | Runs on NanoClaw | Suspended from Moltbook', 'as_of includes observations invalidated or expired later');
+assert(data.observations.find(o => o.text === 'Holds 10 USDC').invalidated_at, 'Later invalidation is reported');
+assertEqual(data.relations.length, 0, 'Relations created later are excluded');
+assert(data.as_of, 'Response states the as_of moment');
+
+data = await get(`/entity/Orac?as_of=${afterCreate}`);
+assertEqual(texts(data), 'Runs on NanoClaw', 'Observations recorded after as_of are excluded');
+
+let res = await call('GET', `/entity/Orac?as_of=${beforeAll}`);
+assertEqual(res.status, 404, 'Entity did not exist before it was created');
+res = await call('GET', '/entity/Orac?as_of=last-tuesday');
+assertEqual(res.status, 400, 'Invalid as_of is rejected');
+res = await call('GET', `/entity/Orac?as_of=${afterObs}`);
+assertEqual(res.headers.get('ETag'), null, 'Snapshots carry no ETag');
+
+//===================
+// Test 2: Search and graph as of
+//===================
+console.log('\n=== Test 2: Search and Graph as_of ===');
+
+data = await get('/search?q=usdc');
+assertEqual(data.count, 0, 'Current search no longer finds the invalidated fact');
+data = await get(`/search?q=usdc&as_of=${afterObs}`);
+assertEqual(data.results[0]?.name, 'Orac', 'as_of search finds what the index held then');
+assert(data.results[0].highlights[0].snippet.includes('**USDC**'), 'as_of search highlights historical observations');
+
+data = await get(`/graph?as_of=${afterObs}`);
+assertEqual(data.total, 1, 'as_of graph excludes entities created later');
+assertEqual(data.relations.length, 0, 'as_of graph excludes relations created later');
+
+data = await get('/graph');
+assertEqual(data.total, 2, 'Current graph has every entity');
+
+//===================
+// Test 3: Event log
+//===================
+console.log('\n=== Test 3: Event Log ===');
+
+const ops = d => d.events.map(e => e.operation).join(',');
+
+data = await get('/entity/Orac/history');
+assertEqual(ops(data), 'create_entity,add_observation,add_observation,invalidate_observation,create_relation', 'Entity history lists every write in order');
+const [created, added] = data.events;
+assertEqual(created.before, null, 'Create has no before state');
+assertEqual(created.after.observations[0].text, 'Runs on NanoClaw', 'Create records the new entity');
+assertEqual(added.before.observations.length, 1, 'Update records the state before');
+assertEqual(added.after.observations.length, 2, 'Update records the state after');
+assertEqual(added.actor.source_agent, 'orac', 'Event records the source agent');
+assertEqual(added.actor.via, 'rest', 'Event records the interface');
+assert(/^[0-9a-f]{32}$/.test(added.actor.ip_hash) && !JSON.stringify(data).includes('10.0.0.1'), 'Client IP is stored only as a hash');
+assertEqual(await hashClientIP({ GRAPH_KEY: 'knowledge-graph' }, '10.0.0.1'), null, 'No IP hash is recorded without IP_HASH_SALT');
+assert(await hashClientIP(env, '10.0.0.1') !== await hashClientIP({ ...env, IP_HASH_SALT: 'other-salt' }, '10.0.0.1'), 'The hash depends on the secret');
+assert(data.events[3].after.observations.find(o => o.text === 'Holds 10 USDC').t_invalid, 'Invalidation records the t_invalid it set');
+
+data = await get('/entity/Moltbook/history');
+assertEqual(ops(data), 'create_entity,create_relation', 'Relation events appear in both endpoints\' history');
+assertEqual(data.events[1].after.target, 'Moltbook', 'Relation event records the relation');
+
+data = await get('/entity/Orac/history?limit=2');
+assertEqual(data.count, 2, 'History is paginated');
+assertEqual(data.total, 5, 'History reports the total');
+data = await get(`/entity/Orac/history?limit=2&cursor=${data.next_cursor}`);
+assertEqual(ops(data), 'add_observation,invalidate_observation', 'next_cursor continues the history');
+
+res = await call('GET', '/entity/Nowhere/history');
+assertEqual(res.status, 404, 'History of an unknown entity is a 404');
+
+await call('POST', '/mcp', { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'add_observation', arguments: { name: 'Moltbook', observation: 'Social network for agents', source_agent: 'Aineko' } } });
+await call('POST', '/register-agent', { name: 'Pith', description: 'Writes essays', moltbook: 'u/Pith' });
+
+data = await get(`/events?since=${beforeAll}`);
+assertEqual(data.count, 9, 'Event feed covers every write since the given time');
+assertEqual(data.events[0].operation, 'create_entity', 'Feed is oldest first');
+const mcpEvent = data.events.find(e => e.actor.via === 'mcp');
+assertEqual(mcpEvent.actor.source_agent, 'Aineko', 'MCP writes are recorded with their source agent');
+const registered = data.events.filter(e => e.operation === 'register_agent');
+assertEqual(registered.map(e => e.kind).join(','), 'entity,relation', 'Registration records the entity and its relations');
+assertEqual(registered[0].actor.source_agent, 'self-registered', 'Registration is attributed to the agent');
+
+const lastSeen = data.events[6].id;
+data = await get(`/events?since=${encodeURIComponent(lastSeen)}`);
+assertEqual(data.count, 2, 'since=<event id> returns only later events');
+
+data = await get(`/events?since=${afterObs}&limit=3`);
+assertEqual(ops(data), 'invalidate_observation,create_entity,create_relation', 'since=<time> starts at that moment');
+data = await get(`/events?since=${afterObs}&limit=3&cursor=${data.next_cursor}`);
+assertEqual(ops(data), 'add_observation,register_agent,register_agent', 'next_cursor continues the feed');
+assertEqual(data.next_cursor, null, 'Last page has no cursor');
+
+res = await call('GET', '/events?since=yesterday-ish');
+assertEqual(res.status, 400, 'Invalid since is rejected');
+
+const unindexed = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore() };
+unindexed.KG_STORE.compareAndSwap = async () => { throw new Error('Store unavailable'); };
+let indexFailure = null;
+try {
+  await recordEvent(unindexed, { kind: 'entity', operation: 'update_entity', names: ['Orac'], before: null, after: null, context: {} });
+} catch (err) {
+  indexFailure = err;
+}
+assert(indexFailure && (await unindexed.KG_STORE.list({ prefix: 'knowledge-graph:event:' })).keys.length === 0, 'No event is written before its day is indexed');
+
+//===================
+// Test 4: Backdated observations
+//===================
+console.log('\n=== Test 4: Backdated Observations ===');
+
+// observed_at is the client's claim; a signed observation can name any moment
+const key = secp.utils.randomSecretKey();
+const signer = publicKeyToAddress(secp.getPublicKey(key, false));
+const backdated = {
+  entity_id: 'Orac', attribute: 'audit', value: 'passed', observed_at: decodeURIComponent(beforeAll),
+  source: signer, confidence: 0.9
+};
+const beforeBackdated = new Date().toISOString();
+res = await call('POST', '/observation/signed', { observation: backdated, signature: await signObservation(backdated, bytesToHex(key)) });
+assertEqual(res.status, 200, 'Backdated signed observation stored');
+
+data = await get('/entity/Orac');
+const stored = data.observations.find(o => o.text === 'audit: passed');
+assertEqual(stored.observed_at, backdated.observed_at, 'observed_at is kept as given');
+assert(stored.recorded_at >= beforeBackdated, 'recorded_at is when the server stored it');
+
+data = await get(`/entity/Orac?as_of=${afterObs}`);
+assert(!data.observations.some(o => o.text === 'audit: passed'), 'as_of before it was stored excludes it, whatever observed_at says');
+data = await get(`/search?q=audit&as_of=${afterObs}`);
+assertEqual(data.count, 0, 'as_of search does not find it either');
+data = await get(`/entity/Orac?as_of=${encodeURIComponent(new Date().toISOString())}`);
+assert(data.observations.some(o => o.text === 'audit: passed'), 'as_of after it was stored includes it');
+
+//===================
+// Test 5: In-place edits
+//===================
+console.log('\n=== Test 5: In-place Edits ===');
+
+// Like the usage tracker's lookup count or an entityType change: the record
+// keeps no trace of the old value, so as_of rewinds it from the event log
+const beforeEdit = await moment();
+await updateEntity(env, 'Orac', entity => {
+  entity.entityType = 'tool';
+  const runs = entity.observations.find(o => o.text === 'Runs on NanoClaw');
+  runs.text = 'Runs on NanoClaw v2';
+}, { context: { operation: 'record_usage' } });
+
+data = await get('/entity/Orac');
+assertEqual(data.entityType, 'tool', 'Current read shows the edit');
+data = await get(`/entity/Orac?as_of=${beforeEdit}`);
+assertEqual(data.entityType, 'agent', 'as_of shows the entityType before the edit');
+assert(data.observations.some(o => o.text === 'Runs on NanoClaw'), 'as_of shows the observation text before the edit');
+assert(data.observations.some(o => o.text === 'audit: passed'), 'and keeps writes made before as_of');
+
+data = await get(`/search?q=v2&as_of=${beforeEdit}`);
+assertEqual(data.count, 0, 'as_of search does not find the edited text');
+data = await get(`/search?q=v2`);
+assertEqual(data.results[0]?.name, 'Orac', 'Current search does');
+data = await get(`/graph?as_of=${beforeEdit}`);
+assertEqual(data.entities.find(e => e.name === 'Orac').entityType, 'agent', 'as_of graph shows the entityType before the edit');
+
+console.log('\n=== All Tests Passed! ===\n');
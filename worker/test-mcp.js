@@ -0,0 +1,444 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for the MCP Streamable HTTP transport: sessions, batches,
+ * notifications, SSE, protocol-version negotiation, and the tools, resources
+ * and prompts served over it
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { enqueueSessionMessage, LATEST_PROTOCOL_VERSION } from './src/mcp-transport.js';
+import { loadDocument } from './src/graph-store.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key', ALLOW_SERVER_SIGNING: 'true' };
+const ADMIN_AUTH = { Authorization: 'Bearer test-admin-key' };
+
+function mcp(method, body, headers = {}) {
+  return worker.fetch(new Request('http://localhost/mcp', {
+    method,
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...ADMIN_AUTH, ...headers },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  }), env);
+}
+
+const request = (id, method, params) => ({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) });
+
+// Parse a complete SSE body into its JSON-RPC messages
+async function sseMessages(res) {
+  const text = await res.text();
+  return text.split('\n\n').filter(block => block.includes('data: ')).map(block =>
+    JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6))
+  );
+}
+
+function call(method, path, body, headers = {}) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...ADMIN_AUTH, ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+// Minimal JSON Schema check (type, required, properties, items): returns the first mismatch path
+function schemaMismatch(value, schema, path = '$') {
+  const types = [].concat(schema.type || []);
+  const typeOf = value === null ? 'null' : Array.isArray(value) ? 'array' : Number.isInteger(value) ? 'integer' : typeof value;
+  if (types.length && !types.includes(typeOf) && !(typeOf === 'integer' && types.includes('number'))) return `${path}: ${typeOf} is not ${types.join('|')}`;
+  if (schema.enum && !schema.enum.includes(value)) return `${path}: ${value} not in enum`;
+  if (typeOf === 'object') {
+    for (const key of schema.required || []) if (!(key in value)) return `${path}.${key}: missing`;
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      const mismatch = key in value && schemaMismatch(value[key], sub, `${path}.${key}`);
+      if (mismatch) return mismatch;
+    }
+  }
+  if (typeOf === 'array' && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const mismatch = schemaMismatch(value[i], schema.items, `${path}[${i}]`);
+      if (mismatch) return mismatch;
+    }
+  }
+  return null;
+}
+
+// Read an SSE stream until it has carried a message, then close it
+async function firstStreamed(res) {
+  const reader = res.body.getReader();
+  let streamed = '';
+  while (!streamed.includes('data: ')) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    streamed += new TextDecoder().decode(value);
+  }
+  await reader.cancel();
+  return streamed;
+}
+
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Maintains the AEI'] });
+
+//===================
+// Test 1: Initialization and version negotiation
+//===================
+console.log('\n=== Test 1: Initialization ===');
+
+let res = await mcp('POST', request(1, 'initialize', { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1' } }));
+let data = await res.json();
+assertEqual(data.result.protocolVersion, '2025-03-26', 'Supported protocol version is echoed');
+assertEqual(data.result.serverInfo.name, 'orac-knowledge-graph', 'Server info is returned');
+const sessionId = res.headers.get('Mcp-Session-Id');
+assert(sessionId, 'initialize assigns an Mcp-Session-Id');
+
+res = await mcp('POST', request(1, 'initialize', { protocolVersion: '1999-01-01', capabilities: {} }));
+data = await res.json();
+assertEqual(data.result.protocolVersion, LATEST_PROTOCOL_VERSION, 'Unsupported version negotiates the latest');
+
+res = await mcp('POST', { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+assertEqual(res.status, 202, 'Notification is accepted without a body');
+assertEqual(await res.text(), '', '202 has an empty body');
+
+//===================
+// Test 2: Sessions
+//===================
+console.log('\n=== Test 2: Sessions ===');
+
+const session = { 'Mcp-Session-Id': sessionId, 'MCP-Protocol-Version': '2025-03-26' };
+res = await mcp('POST', request(2, 'ping'), session);
+data = await res.json();
+assertEqual(res.status, 200, 'Request within the session succeeds');
+assertEqual(JSON.stringify(data.result), '{}', 'ping returns an empty result');
+
+res = await mcp('POST', request(3, 'tools/list'));
+assert((await res.json()).result.tools.length > 0, 'Requests without a session are served statelessly');
+
+res = await mcp('POST', request(4, 'ping'), { 'Mcp-Session-Id': 'no-such-session' });
+assertEqual(res.status, 404, 'Unknown session is a 404');
+
+// A session belongs to the key that initialized it
+const reader = await (await call('POST', '/admin/api-keys', { name: 'reader', scopes: ['read'] })).json();
+res = await mcp('POST', request(6, 'ping'), { ...session, Authorization: `Bearer ${reader.key}` });
+assertEqual(res.status, 403, 'Another key cannot use the session');
+res = await mcp('GET', undefined, { 'Mcp-Session-Id': sessionId, Accept: 'text/event-stream', Authorization: '' });
+assertEqual(res.status, 403, 'nor can an anonymous caller read its stream');
+res = await mcp('DELETE', undefined, { 'Mcp-Session-Id': sessionId, Authorization: `Bearer ${reader.key}` });
+assertEqual(res.status, 403, 'or end it');
+res = await mcp('POST', request(7, 'ping'), session);
+assertEqual(res.status, 200, 'The session is still there for its owner');
+
+res = await mcp('POST', request(5, 'ping'), { 'MCP-Protocol-Version': '1999-01-01' });
+assertEqual(res.status, 400, 'Unsupported MCP-Protocol-Version header is rejected');
+
+//===================
+// Test 3: Batches and errors
+//===================
+console.log('\n=== Test 3: Batches and Errors ===');
+
+res = await mcp('POST', [
+  request(10, 'tools/list'),
+  { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 9 } },
+  request(11, 'tools/call', { name: 'read_entity', arguments: { name: 'Orac' } })
+], session);
+data = await res.json();
+assert(Array.isArray(data), 'Batch is answered with an array');
+assertEqual(data.map(r => r.id).join(','), '10,11', 'Notifications in a batch get no response');
+assert(data[1].result.content[0].text.includes('Maintains the AEI'), 'Batched tool call runs');
+
+res = await mcp('POST', [{ jsonrpc: '2.0', method: 'notifications/initialized' }], session);
+assertEqual(res.status, 202, 'Batch of notifications is accepted');
+
+res = await mcp('POST', [request(12, 'ping'), { id: 13, method: 'ping' }], session);
+data = await res.json();
+assertEqual(data.find(r => r.id === 13).error.code, -32600, 'Invalid message in a batch gets an Invalid Request error');
+assert(data.find(r => r.id === 12).result, 'Valid messages in the batch are still answered');
+
+res = await mcp('POST', [request(14, 'initialize', { protocolVersion: '2025-03-26' })]);
+assertEqual((await res.json())[0].error.code, -32600, 'initialize may not be batched');
+
+res = await mcp('POST', []);
+assertEqual((await res.json()).error.code, -32600, 'Empty batch is an Invalid Request');
+
+res = await mcp('POST', '{not json');
+assertEqual((await res.json()).error.code, -32700, 'Malformed JSON is a parse error');
+
+res = await mcp('POST', request(15, 'no/such/method'), session);
+data = await res.json();
+assertEqual(res.status, 200, 'JSON-RPC errors are delivered with HTTP 200');
+assertEqual(data.error.code, -32601, 'Unknown method is Method not found');
+
+res = await mcp('POST', request(16, 'tools/call', { name: 'no_such_tool', arguments: {} }), session);
+assertEqual((await res.json()).error.code, -32602, 'Unknown tool is Invalid params');
+
+//===================
+// Test 4: SSE responses
+//===================
+console.log('\n=== Test 4: SSE Responses ===');
+
+res = await mcp('POST', request(20, 'tools/call', { name: 'read_entity', arguments: { name: 'Orac' } }), { ...session, Accept: 'text/event-stream' });
+assertEqual(res.headers.get('Content-Type'), 'text/event-stream', 'Client accepting only SSE gets a stream');
+let messages = await sseMessages(res);
+assertEqual(messages.length, 1, 'Stream carries the response');
+assertEqual(messages[0].id, 20, 'Response keeps its request id');
+
+res = await mcp('POST', request(21, 'tools/call', { name: 'graph_stats', arguments: {}, _meta: { progressToken: 'p1' } }), session);
+assertEqual(res.headers.get('Content-Type'), 'text/event-stream', 'Progress token selects a stream');
+messages = await sseMessages(res);
+assertEqual(messages.map(m => m.method || 'response').join(','), 'notifications/progress,notifications/progress,response', 'Progress notifications precede the response');
+assertEqual(messages[1].params.progressToken, 'p1', 'Progress carries the token');
+
+//===================
+// Test 5: Server-to-client stream and session end
+//===================
+console.log('\n=== Test 5: GET Stream and DELETE ===');
+
+res = await mcp('GET', undefined, { 'Mcp-Session-Id': sessionId, Accept: 'application/json' });
+assertEqual(res.status, 406, 'GET without Accept: text/event-stream is refused');
+res = await mcp('GET', undefined, { Accept: 'text/event-stream' });
+assertEqual(res.status, 400, 'GET needs a session');
+
+const notice = data => ({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data } });
+await enqueueSessionMessage(env, sessionId, notice('hello'));
+let listed = 0;
+const list = env.KG_STORE.list.bind(env.KG_STORE);
+env.KG_STORE.list = options => { listed++; return list(options); };
+res = await mcp('GET', undefined, { 'Mcp-Session-Id': sessionId, Accept: 'text/event-stream' });
+assertEqual(res.headers.get('Content-Type'), 'text/event-stream', 'GET opens an event stream');
+let sent = await firstStreamed(res);
+env.KG_STORE.list = list;
+assert(sent.includes('"hello"'), 'Queued notification is streamed to the session');
+assert(/^id: 1$/m.test(sent), 'Streamed message carries its id as the event id');
+assertEqual(listed, 0, 'The outbox is read without listing keys');
+assertEqual((await loadDocument(env, `mcp-outbox:${sessionId}`)).messages.length, 0, 'Sent messages leave the outbox');
+
+await enqueueSessionMessage(env, sessionId, notice('second'));
+await enqueueSessionMessage(env, sessionId, notice('third'));
+sent = await firstStreamed(await mcp('GET', undefined, { 'Mcp-Session-Id': sessionId, Accept: 'text/event-stream', 'Last-Event-ID': '2' }));
+assert(sent.includes('"third"') && !sent.includes('"second"'), 'Messages up to Last-Event-ID are not sent again');
+
+res = await mcp('DELETE', undefined, { 'Mcp-Session-Id': sessionId });
+assertEqual(res.status, 204, 'DELETE ends the session');
+res = await mcp('POST', request(30, 'ping'), { 'Mcp-Session-Id': sessionId });
+assertEqual(res.status, 404, 'Ended session is a 404');
+
+//===================
+// Test 6: Resources
+//===================
+console.log('\n=== Test 6: Resources ===');
+
+res = await mcp('POST', request(40, 'initialize', { protocolVersion: LATEST_PROTOCOL_VERSION, capabilities: {} }));
+data = await res.json();
+assert(data.result.capabilities.resources.subscribe, 'initialize advertises resource subscriptions');
+assert(data.result.capabilities.prompts, 'initialize advertises prompts');
+const resourceSession = { 'Mcp-Session-Id': res.headers.get('Mcp-Session-Id') };
+
+await call('POST', '/entity', { name: 'x402', entityType: 'protocol', observations: ['HTTP 402 payments for agents'] });
+await call('POST', '/entity', { name: 'A2A Protocol', entityType: 'protocol', observations: ['Agent-to-agent messaging'] });
+await call('POST', '/relation', { source: 'Orac', relation: 'uses', target: 'x402' });
+await call('POST', '/relation', { source: 'Orac', relation: 'uses', target: 'A2A Protocol' });
+
+data = (await (await mcp('POST', request(41, 'resources/list'), resourceSession)).json()).result;
+assertEqual(data.resources.map(r => r.name).join(','), 'A2A Protocol,Orac,x402', 'resources/list lists every entity by name');
+assertEqual(data.resources[0].uri, 'aei://entity/A2A%20Protocol', 'Resource URIs are URI-encoded names');
+assertEqual(data.nextCursor, undefined, 'Last page has no nextCursor');
+
+data = (await (await mcp('POST', request(42, 'resources/templates/list'), resourceSession)).json()).result;
+assertEqual(data.resourceTemplates[0].uriTemplate, 'aei://entity/{name}', 'Entity URI template is listed');
+
+data = (await (await mcp('POST', request(43, 'resources/read', { uri: 'aei://entity/A2A%20Protocol' }), resourceSession)).json()).result;
+assertEqual(data.contents[0].mimeType, 'application/json', 'Resource is JSON');
+const resource = JSON.parse(data.contents[0].text);
+assertEqual(resource.name, 'A2A Protocol', 'resources/read returns the entity');
+assertEqual(resource.relations[0].entity, 'Orac', 'Resource includes relations');
+
+data = await (await mcp('POST', request(44, 'resources/read', { uri: 'aei://entity/Nobody' }), resourceSession)).json();
+assertEqual(data.error.code, -32002, 'Unknown entity is Resource not found');
+data = await (await mcp('POST', request(45, 'resources/read', { uri: 'https://example.com' }), resourceSession)).json();
+assertEqual(data.error.code, -32602, 'Foreign URI is Invalid params');
+data = await (await mcp('POST', request(46, 'resources/subscribe', { uri: 'aei://entity/Orac' }))).json();
+assertEqual(data.error.code, -32600, 'Subscribing needs a session');
+
+data = await (await mcp('POST', request(47, 'resources/subscribe', { uri: 'aei://entity/x402' }), resourceSession)).json();
+assertEqual(JSON.stringify(data.result), '{}', 'resources/subscribe succeeds within a session');
+await call('POST', '/observation', { name: 'Orac', observation: 'Posted an essay' });
+await call('POST', '/observation', { name: 'x402', observation: 'Supported by Base' });
+res = await mcp('GET', undefined, { ...resourceSession, Accept: 'text/event-stream' });
+let streamed = await firstStreamed(res);
+assert(streamed.includes('notifications/resources/updated') && streamed.includes('"aei://entity/x402"'), 'Change to a subscribed entity is notified');
+assert(!streamed.includes('aei://entity/Orac'), 'Other entities are not notified');
+
+await mcp('POST', request(48, 'resources/unsubscribe', { uri: 'aei://entity/x402' }), resourceSession);
+await call('POST', '/observation', { name: 'x402', observation: 'Used by Orac' });
+await enqueueSessionMessage(env, resourceSession['Mcp-Session-Id'], { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'marker' } });
+streamed = await firstStreamed(await mcp('GET', undefined, { ...resourceSession, Accept: 'text/event-stream' }));
+assert(streamed.includes('"marker"') && !streamed.includes('resources/updated'), 'Unsubscribed entity is no longer notified');
+
+//===================
+// Test 7: Prompts
+//===================
+console.log('\n=== Test 7: Prompts ===');
+
+data = (await (await mcp('POST', request(50, 'prompts/list'), resourceSession)).json()).result;
+assertEqual(data.prompts.map(p => p.name).join(','), 'profile_agent,compare_protocols,explain_connection', 'prompts/list names the prompts');
+assert(data.prompts[1].arguments.every(a => a.required), 'Prompt arguments are declared');
+
+data = (await (await mcp('POST', request(51, 'prompts/get', { name: 'profile_agent', arguments: { name: 'orac' } }), resourceSession)).json()).result;
+assert(data.messages[0].content.text.includes('profile of Orac'), 'Prompt names the resolved entity');
+assertEqual(data.messages[1].content.resource.uri, 'aei://entity/Orac', 'Entity context is embedded as a resource');
+assert(data.messages[2].content.text.includes('[protocol] x402'), 'Profile summarizes neighbors');
+
+data = (await (await mcp('POST', request(52, 'prompts/get', { name: 'compare_protocols', arguments: { first: 'x402', second: 'A2A Protocol' } }), resourceSession)).json()).result;
+assertEqual(data.messages.filter(m => m.content.type === 'resource').length, 2, 'Comparison embeds both protocols');
+assertEqual(data.messages[3].content.text, 'Connected to both: Orac', 'Comparison lists shared connections');
+
+data = (await (await mcp('POST', request(53, 'prompts/get', { name: 'explain_connection', arguments: { from: 'x402', to: 'A2A Protocol' } }), resourceSession)).json()).result;
+assert(data.messages[0].content.text.includes('x402 ← uses ← Orac → uses → A2A Protocol'), 'Connection prompt includes the path');
+
+data = await (await mcp('POST', request(54, 'prompts/get', { name: 'compare_protocols', arguments: { first: 'x402' } }), resourceSession)).json();
+assertEqual(data.error.code, -32602, 'Missing argument is Invalid params');
+data = await (await mcp('POST', request(55, 'prompts/get', { name: 'profile_agent', arguments: { name: 'Nobody At All' } }), resourceSession)).json();
+assertEqual(data.error.code, -32602, 'Unknown entity is Invalid params');
+data = await (await mcp('POST', request(56, 'prompts/get', { name: 'no_such_prompt' }), resourceSession)).json();
+assertEqual(data.error.code, -32602, 'Unknown prompt is Invalid params');
+
+//===================
+// Test 8: Structured tool output
+//===================
+console.log('\n=== Test 8: Structured Tool Output ===');
+
+const tools = (await (await mcp('POST', request(60, 'tools/list'), resourceSession)).json()).result.tools;
+assert(tools.every(t => t.outputSchema?.type === 'object'), 'Every tool declares an outputSchema');
+const schemaOf = name => tools.find(t => t.name === name).outputSchema;
+
+async function callTool(id, name, args) {
+  return (await (await mcp('POST', request(id, 'tools/call', { name, arguments: args }), resourceSession)).json()).result;
+}
+
+const calls = [
+  ['search_nodes', { query: 'payments' }],
+  ['read_entity', { name: 'orac' }],
+  ['find_path', { from: 'x402', to: 'A2A Protocol' }],
+  ['read_graph', { limit: 2 }],
+  ['graph_stats', {}],
+  ['create_entity', { name: 'Structured', entityType: 'concept', observations: ['Typed'] }],
+  ['add_observation', { name: 'Structured', observation: 'Has a schema', confidence: 0.9 }],
+  ['invalidate_observation', { name: 'Structured', observation: 'Has a schema' }],
+  ['create_relation', { source: 'Orac', relation: 'explores', target: 'Structured' }]
+];
+const structured = {};
+for (const [i, [name, args]] of calls.entries()) {
+  const result = await callTool(61 + i, name, args);
+  assert(!result.isError && result.content[0].type === 'text', `${name} keeps its text rendering`);
+  assertEqual(schemaMismatch(result.structuredContent, schemaOf(name)), null, `${name} structuredContent matches its outputSchema`);
+  structured[name] = result.structuredContent;
+}
+
+const rest = async path => (await call('GET', path)).json();
+const entityTool = (await callTool(69, 'read_entity', { name: 'Orac' })).structuredContent;
+assertEqual(JSON.stringify(entityTool), JSON.stringify(await rest('/entity/Orac')), 'read_entity matches GET /entity');
+assertEqual(structured.read_entity.resolved_from, 'orac', 'Corrected name is reported');
+const pathTool = (await callTool(73, 'find_path', { from: 'x402', to: 'A2A Protocol' })).structuredContent;
+assertEqual(JSON.stringify(pathTool), JSON.stringify(await rest('/path?from=x402&to=A2A%20Protocol')), 'find_path matches GET /path');
+assertEqual(structured.search_nodes.results[0].name, 'x402', 'search_nodes returns REST-shaped results');
+assertEqual(structured.read_graph.next_cursor !== null, true, 'read_graph pages like GET /graph');
+const statsTool = (await callTool(74, 'graph_stats', {})).structuredContent;
+assertEqual(JSON.stringify(statsTool), JSON.stringify(await rest('/stats')), 'graph_stats matches GET /stats');
+assertEqual(structured.add_observation.confidence, 0.9, 'Write results echo REST confirmations');
+
+let result = await callTool(70, 'read_entity', { name: 'Nobody At All' });
+assertEqual(result.isError, true, 'Entity not found is a tool error');
+assert(result.content[0].text.includes('not found') && result.structuredContent === undefined, 'Tool error carries text and no structured content');
+result = await callTool(71, 'create_entity', { name: 'Structured', entityType: 'concept' });
+assertEqual(result.isError, true, 'Duplicate entity is a tool error');
+result = await callTool(72, 'find_path', { from: 'Orac', to: 'x402', direction: 'sideways' });
+assertEqual(result.isError, true, 'Invalid options are a tool error');
+
+//===================
+// Test 9: Every REST capability has a tool with the same results and errors
+//===================
+console.log('\n=== Test 9: REST Parity ===');
+
+const toolNames = tools.map(t => t.name);
+for (const name of ['trust_score', 'get_neighborhood', 'query_graph', 'entity_history', 'list_events', 'register_agent', 'add_signed_observation', 'attest_observation', 'verify_observation', 'invalidate_observation']) {
+  assert(toolNames.includes(name), `tools/list includes ${name}`);
+}
+const api = await rest('/api');
+assert(api.api.mcp.description.includes(`${tools.length} tools`) && api.api.mcp.description.includes('invalidate_observation'), '/api lists every tool');
+
+// Structured results match the REST bodies
+async function parity(id, name, args, restBody, message) {
+  const result = await callTool(id, name, args);
+  assert(!result.isError, `${name} succeeds`);
+  assertEqual(schemaMismatch(result.structuredContent, schemaOf(name)), null, `${name} structuredContent matches its outputSchema`);
+  assertEqual(JSON.stringify(result.structuredContent), JSON.stringify(await restBody()), message);
+  return result;
+}
+
+const withoutTime = ({ last_updated, ...rest }) => rest;
+result = await callTool(80, 'trust_score', { entity_id: 'Orac' });
+assertEqual(schemaMismatch(result.structuredContent, schemaOf('trust_score')), null, 'trust_score structuredContent matches its outputSchema');
+assertEqual(JSON.stringify(withoutTime(result.structuredContent)), JSON.stringify(withoutTime(await rest('/trust-score/Orac'))), 'trust_score matches GET /trust-score');
+assert(result.content[0].text.startsWith('Orac: reputation'), 'trust_score renders the score');
+
+await parity(81, 'get_neighborhood', { name: 'Orac', depth: 1 }, () => rest('/entity/Orac/neighborhood?depth=1'), 'get_neighborhood matches GET /entity/<name>/neighborhood');
+const queryBody = { nodes: { a: { name: 'Orac' }, b: {} }, edges: [{ from: 'a', relation: 'explores', to: 'b' }], return: ['b.name'] };
+result = await parity(82, 'query_graph', queryBody, async () => (await call('POST', '/query', queryBody)).json(), 'query_graph matches POST /query');
+assert(result.content[0].text.includes('Structured'), 'query_graph renders its rows');
+await parity(83, 'entity_history', { name: 'Structured', limit: 10 }, () => rest('/entity/Structured/history?limit=10'), 'entity_history matches GET /entity/<name>/history');
+await parity(84, 'list_events', { limit: 5 }, () => rest('/events?limit=5'), 'list_events matches GET /events');
+result = await parity(85, 'search_nodes', { query: 'Orac', min_confidence: 0.1 }, () => rest('/search?q=Orac&min_confidence=0.1&limit=20'), 'search_nodes with min_confidence matches GET /search');
+assert(result.structuredContent.results[0].observations.every(o => typeof o.effective_confidence === 'number'), 'min_confidence reports effective confidence');
+
+result = await callTool(86, 'register_agent', { name: 'ParityBot', description: 'Checks parity', platform: 'NanoClaw' });
+assertEqual(schemaMismatch(result.structuredContent, schemaOf('register_agent')), null, 'register_agent structuredContent matches its outputSchema');
+assertEqual(result.structuredContent.message, 'Agent registered successfully', 'register_agent registers a new agent');
+const history = (await callTool(87, 'entity_history', { name: 'ParityBot' })).structuredContent;
+assertEqual(history.events[0].actor.via, 'mcp', 'Tool writes are logged as made via MCP');
+
+// Attestations round-trip through the tools
+const signed = {
+  entity_id: 'Orac', attribute: 'status', value: 'active', observed_at: '2026-02-01T00:00:00Z', source: '0x0000000000000000000000000000000000000000', confidence: 0.9
+};
+const privateKey = '0x' + '4c'.repeat(32);
+const attestation = (await callTool(88, 'attest_observation', { observation: signed, privateKey })).structuredContent;
+assertEqual(schemaMismatch(attestation, schemaOf('attest_observation')), null, 'attest_observation structuredContent matches its outputSchema');
+signed.source = attestation.signature.public_key;
+const resigned = (await callTool(89, 'attest_observation', { observation: signed, privateKey })).structuredContent;
+result = await callTool(90, 'verify_observation', { observation: signed, signature: resigned.signature });
+assertEqual(result.structuredContent.valid, true, 'verify_observation accepts the signature');
+assertEqual(result.structuredContent.authorized, true, 'Signer is authorized for its own address');
+const restVerify = await (await call('POST', '/verify', { observation: signed, signature: resigned.signature })).json();
+assertEqual(JSON.stringify(result.structuredContent), JSON.stringify(restVerify), 'verify_observation matches POST /verify');
+result = await callTool(91, 'verify_observation', { observation: { ...signed, value: 'retired' }, signature: resigned.signature });
+assert(!result.isError && result.structuredContent.valid === false, 'A tampered observation fails verification');
+
+// Failures carry the REST error message
+async function sameError(id, name, args, restCall) {
+  const result = await callTool(id, name, args);
+  const res = await restCall();
+  const { error } = await res.json();
+  assertEqual(result.isError, true, `${name}: ${error} is a tool error`);
+  assert(result.content[0].text.startsWith(error), `${name} reports "${error}" as REST does (${res.status})`);
+}
+await sameError(92, 'create_relation', { source: 'Orac', relation: 'explores', target: 'Structured' },
+  () => call('POST', '/relation', { source: 'Orac', relation: 'explores', target: 'Structured' }));
+await sameError(93, 'search_nodes', { query: 'Orac', min_confidence: 2 }, () => call('GET', '/search?q=Orac&min_confidence=2'));
+await sameError(94, 'trust_score', { entity_id: 'Nobody' }, () => call('GET', '/trust-score/Nobody'));
+await sameError(95, 'attest_observation', { observation: { entity_id: 'Orac' }, privateKey },
+  () => call('POST', '/attest', { observation: { entity_id: 'Orac' }, privateKey }));
+await sameError(96, 'query_graph', { nodes: {}, return: [] }, () => call('POST', '/query', { nodes: {}, return: [] }));
+await sameError(97, 'register_agent', { name: '  ' }, () => call('POST', '/register-agent', { name: '  ' }));
+
+data = await (await mcp('POST', request(99, 'tools/call', { name: 'no_such_tool', arguments: {} }), resourceSession)).json();
+assertEqual(data.error.code, -32602, 'Unknown tool is Invalid params');
+
+// Tools count against the REST rate limits of the calling key
+const limited = await (await call('POST', '/admin/api-keys', { name: 'limited', quotas: { relations: 1 } })).json();
+const limitedAuth = { Authorization: `Bearer ${limited.key}` };
+result = (await (await mcp('POST', request(100, 'tools/call', { name: 'create_relation', arguments: { source: 'ParityBot', relation: 'uses', target: 'x402' } }), limitedAuth)).json()).result;
+assert(!result.isError, 'Tool call within the key quota succeeds');
+result = (await (await mcp('POST', request(101, 'tools/call', { name: 'create_relation', arguments: { source: 'ParityBot', relation: 'uses', target: 'A2A Protocol' } }), limitedAuth)).json()).result;
+assertEqual(result.isError, true, 'Rate-limited tool call is a tool error');
+assert(result.content[0].text.startsWith('Rate limit exceeded'), 'Rate limit is reported');
+assertEqual((await call('POST', '/relation', { source: 'ParityBot', relation: 'uses', target: 'A2A Protocol' }, limitedAuth)).status, 429, 'REST shares the limit');
+
+console.log('\n=== All Tests Passed! ===\n');
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for cursor pagination on /graph, /agents, /search and MCP listings
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { compareKeys, encodeCursor, decodeCursor } from './src/pagination.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+
+function call(method, path, body) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key' },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+async function get(path) {
+  return (await call('GET', path)).json();
+}
+
+// Follow next_cursor until the listing is exhausted
+async function collect(path, field) {
+  const items = [];
+  const pages = [];
+  let cursor = null;
+  do {
+    const sep = path.includes('?') ? '&' : '?';
+    const data = await get(`${path}${cursor ? `${sep}cursor=${encodeURIComponent(cursor)}` : ''}`);
+    pages.push(data);
+    items.push(...data[field]);
+    cursor = data.next_cursor;
+  } while (cursor);
+  return { items, pages };
+}
+
+for (const name of ['Delta', 'Alpha', 'Echo', 'Charlie', 'Bravo']) {
+  await call('POST', '/entity', { name, entityType: 'agent', observations: [`${name} is an agent`] });
+}
+await call('POST', '/entity', { name: 'Moltbook', entityType: 'platform', observations: ['Platform for agents'] });
+for (const name of ['Alpha', 'Bravo', 'Charlie']) {
+  await call('POST', '/relation', { source: name, relation: 'active_on', target: 'Moltbook' });
+}
+
+//===================
+// Test 1: Cursor helpers
+//===================
+console.log('\n=== Test 1: Cursor Helpers ===');
+
+assert(compareKeys([-2, 'b'], [-1, 'a']) < 0, 'Keys compare element by element');
+assert(compareKeys(['Alpha'], ['Bravo']) < 0, 'Strings compare with localeCompare');
+assertEqual(JSON.stringify(decodeCursor(encodeCursor([0.25, 'Zoë']))), '[0.25,"Zoë"]', 'Cursor round-trips unicode and numbers');
+assertEqual(decodeCursor('not a cursor'), null, 'Garbage cursor decodes to null');
+
+//===================
+// Test 2: /graph
+//===================
+console.log('\n=== Test 2: /graph ===');
+
+let data = await get('/graph?limit=2');
+assertEqual(data.entities.length, 2, 'limit caps the page size');
+assertEqual(data.total, 6, 'total counts every entity');
+assertEqual(data.entities[0].name, 'Alpha', 'Entities are listed in name order');
+assert(typeof data.next_cursor === 'string', 'next_cursor is returned while more remain');
+
+let { items, pages } = await collect('/graph?limit=2', 'entities');
+assertEqual(pages.length, 3, 'Six entities take three pages of two');
+assertEqual(items.map(e => e.name).join(','), 'Alpha,Bravo,Charlie,Delta,Echo,Moltbook', 'Pages cover every entity exactly once');
+assertEqual(pages.flatMap(p => p.relations).length, 3, 'Each relation appears once, on its source page');
+assertEqual(pages[2].next_cursor, null, 'Last page has no next_cursor');
+
+data = await get('/graph?limit=2');
+await call('POST', '/entity', { name: 'Aardvark', entityType: 'agent' });
+const next = await get(`/graph?limit=2&cursor=${encodeURIComponent(data.next_cursor)}`);
+assertEqual(next.entities[0].name, 'Charlie', 'Inserting before the cursor does not shift the next page');
+
+let res = await call('GET', '/graph?cursor=bogus');
+assertEqual(res.status, 400, 'Invalid cursor is rejected');
+res = await call('GET', '/graph?limit=0');
+assertEqual(res.status, 400, 'Non-positive limit is rejected');
+
+//===================
+// Test 3: /agents and /search
+//===================
+console.log('\n=== Test 3: /agents and /search ===');
+
+({ items } = await collect('/agents?limit=4', 'agents'));
+assertEqual(items.length, 6, '/agents pages through agents only');
+assert(!items.some(a => a.name === 'Moltbook'), 'Non-agents are excluded');
+
+data = await get('/search?q=agent&limit=2');
+assertEqual(data.count, 2, 'Search page holds limit results');
+assertEqual(data.total, 7, 'Search total counts every match');
+
+({ items } = await collect('/search?q=agent&limit=4&sort=created', 'results'));
+assertEqual(new Set(items.map(r => r.name)).size, 7, 'Search pages have no duplicates');
+assertEqual(items[0].name, 'Aardvark', 'Pages follow the requested sort order');
+
+//===================
+// Test 4: MCP tools
+//===================
+console.log('\n=== Test 4: MCP Tools ===');
+
+async function tool(name, args) {
+  const r = await call('POST', '/mcp', { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+  return (await r.json()).result.content[0].text;
+}
+
+let text = await tool('read_graph', { limit: 3 });
+assert(text.startsWith('7 entities'), 'read_graph reports the total');
+const cursor = text.match(/cursor "([^"]+)"/)?.[1];
+assert(cursor, 'read_graph gives a cursor for the next page');
+text = await tool('read_graph', { limit: 3, cursor });
+assert(text.includes('] Charlie:') && !text.includes('] Alpha:'), 'read_graph continues from the cursor');
+
+text = await tool('search_nodes', { query: 'agent', limit: 2 });
+assert(text.includes('(2 of 7 shown'), 'search_nodes pages its results');
+
+console.log('\n=== All Tests Passed! ===\n');
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for declarative pattern queries (POST /query)
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+
+function call(method, path, body) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key' },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+async function query(body) {
+  const res = await call('POST', '/query', body);
+  return { status: res.status, data: await res.json() };
+}
+
+const column = (data, name) => data.rows.map(r => r[name]).join(',');
+
+await call('POST', '/entity', { name: 'Aineko', entityType: 'agent', observations: ['Autonomous research agent', 'Pays for data with x402'] });
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Maintains the AEI'] });
+await call('POST', '/entity', { name: 'Pith', entityType: 'agent', observations: ['Writes essays'] });
+await call('POST', '/entity', { name: 'NanoClaw', entityType: 'platform' });
+await call('POST', '/entity', { name: 'x402', entityType: 'protocol' });
+await call('POST', '/entity', { name: 'A2A', entityType: 'protocol' });
+await call('POST', '/observation', { name: 'Pith', observation: 'Joined Moltbook', source_agent: 'self-registered' });
+await call('POST', '/observation', { name: 'Orac', observation: 'Offline for maintenance', expires_at: '2020-01-01T00:00:00Z' });
+
+for (const agent of ['Aineko', 'Orac', 'Pith']) {
+  await call('POST', '/relation', { source: agent, relation: 'runs_on', target: 'NanoClaw' });
+}
+await call('POST', '/relation', { source: 'Aineko', relation: 'uses', target: 'x402' });
+await call('POST', '/relation', { source: 'Pith', relation: 'uses', target: 'x402' });
+await call('POST', '/relation', { source: 'Orac', relation: 'uses', target: 'A2A' });
+await call('POST', '/relation', { source: 'Orac', relation: 'collaborates_with', target: 'Aineko' });
+await call('POST', '/relation', { source: 'Pith', relation: 'collaborates_with', target: 'Aineko' });
+await call('POST', '/relation', { source: 'Pith', relation: 'implements', target: 'x402', expires_at: '2020-01-01T00:00:00Z' });
+
+//===================
+// Test 1: Patterns
+//===================
+console.log('\n=== Test 1: Patterns ===');
+
+let { status, data } = await query({
+  nodes: { a: { type: 'agent' }, p: { name: 'NanoClaw' }, x: { name: 'x402' } },
+  edges: [{ from: 'a', relation: 'runs_on', to: 'p' }, { from: 'a', relation: 'uses', to: 'x' }],
+  return: ['a.name']
+});
+assertEqual(status, 200, 'Query succeeds');
+assertEqual(column(data, 'a.name'), 'Aineko,Pith', 'Edge patterns join node variables');
+
+({ data } = await query({
+  nodes: { a: { type: 'agent', trust: { gt: 0.4 } }, p: { name: 'NanoClaw' }, x: { name: 'x402' } },
+  edges: [{ from: 'a', relation: 'runs_on', to: 'p' }, { from: 'a', relation: 'uses', to: 'x' }],
+  return: ['a.name', 'a.trust']
+}));
+assertEqual(column(data, 'a.name'), 'Aineko', 'Trust predicate filters on PageRank score');
+assert(data.rows[0]['a.trust'] > 0.4, 'Trust can be projected');
+
+({ data } = await query({ nodes: { a: { type: 'AGENT', observation: 'x402' } } }));
+assertEqual(column(data, 'a.name'), 'Aineko', 'Observation string matches text, case-insensitively');
+
+({ data } = await query({ nodes: { a: { observation: { source_agent: 'self-registered', text: { contains: 'moltbook' } } } } }));
+assertEqual(column(data, 'a.name'), 'Pith', 'Observation fields must hold for the same observation');
+
+({ data } = await query({ nodes: { a: { name: { in: ['Orac', 'Pith'] } } }, return: ['a'] }));
+assertEqual(data.rows.length, 2, 'in operator matches a list');
+assert(!data.rows.find(r => r.a.name === 'Orac').a.observations.includes('Offline for maintenance'), 'Expired observations are excluded');
+
+({ data } = await query({ nodes: { a: { observation: 'maintenance' } } }));
+assertEqual(data.count, 0, 'Expired observations do not match');
+({ data } = await query({ nodes: { a: { observation: 'maintenance' } }, include_expired: true }));
+assertEqual(column(data, 'a.name'), 'Orac', 'include_expired matches expired observations');
+
+//===================
+// Test 2: Edges and projections
+//===================
+console.log('\n=== Test 2: Edges and Projections ===');
+
+({ data } = await query({
+  nodes: { a: { name: 'Pith' }, x: { type: 'protocol' } },
+  edges: [{ from: 'a', to: 'x', as: 'r' }],
+  return: ['x.name', 'r.relation']
+}));
+assertEqual(column(data, 'r.relation'), 'uses', 'Expired relations are not matched');
+
+({ data } = await query({
+  nodes: { a: { name: 'Pith' }, x: { type: 'protocol' } },
+  edges: [{ from: 'a', to: 'x', as: 'r' }],
+  return: ['r.relation'],
+  include_expired: true
+}));
+assertEqual(data.count, 2, 'Each parallel relation is a separate row');
+
+({ data } = await query({
+  nodes: { x: { name: 'Aineko' }, a: {} },
+  edges: [{ from: 'x', relation: 'collaborates_with', to: 'a', direction: 'both' }],
+  return: ['a.name']
+}));
+assertEqual(column(data, 'a.name'), 'Orac,Pith', 'direction=both matches relations either way');
+
+({ data } = await query({
+  nodes: { a: { type: 'agent' }, p: { type: 'platform' } },
+  edges: [{ from: 'a', relation: 'runs_on', to: 'p' }],
+  return: ['p.name'],
+  distinct: true
+}));
+assertEqual(column(data, 'p.name'), 'NanoClaw', 'distinct removes duplicate rows');
+
+({ data } = await query({ nodes: { a: { type: 'agent' } }, limit: 2 }));
+assertEqual(data.count, 2, 'limit caps the rows');
+assert(data.truncated, 'Truncation is reported');
+
+//===================
+// Test 3: Validation
+//===================
+console.log('\n=== Test 3: Validation ===');
+
+({ status, data } = await query({ nodes: {} }));
+assertEqual(status, 400, 'Empty pattern is rejected');
+({ status } = await query({ nodes: { a: { colour: 'red' } } }));
+assertEqual(status, 400, 'Unknown node field is rejected');
+({ status } = await query({ nodes: { a: { name: { like: 'x' } } } }));
+assertEqual(status, 400, 'Unknown operator is rejected');
+({ status, data } = await query({ nodes: { a: {} }, edges: [{ from: 'a', to: 'b' }] }));
+assertEqual(status, 400, 'Edge to an undeclared variable is rejected');
+assert(data.error.includes('edges[0].to'), 'Error names the offending field');
+({ status } = await query({ nodes: { a: {} }, return: ['a.colour'] }));
+assertEqual(status, 400, 'Unknown projection is rejected');
+
+console.log('\n=== All Tests Passed! ===\n');
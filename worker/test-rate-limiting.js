@@ -1,46 +1,146 @@
-// Test rate limiting implementation locally
-const indexCode = require('fs').readFileSync('./src/index-v3-rate-limited.js', 'utf8');
-
-// Mock Cloudflare environment
-const mockEnv = {
-  KG_STORE: new Map(),
-  GRAPH_KEY: 'test-graph'
-};
-
-// Mock KV store
-mockEnv.KG_STORE.get = async function(key, options) {
-  const value = this.get(key);
-  if (!value) return null;
-  return options?.type === 'json' ? JSON.parse(value) : value;
-};
-
-mockEnv.KG_STORE.put = async function(key, value, options) {
-  this.set(key, value);
-};
-
-// Initialize test graph
-mockEnv.KG_STORE.set(mockEnv.GRAPH_KEY, JSON.stringify({
-  entities: [{ name: 'TestEntity', entityType: 'test', observations: [{ text: 'Test' }], created: new Date().toISOString(), updated: new Date().toISOString() }],
-  relations: []
-}));
-
-console.log('Rate limiting test simulation:');
-console.log('');
-console.log('Test 1: Entity creation rate limit (10/hour)');
-console.log('Expected: First 10 succeed, 11th fails with 429');
-console.log('');
-console.log('Test 2: Observation rate limit (50/hour)');
-console.log('Expected: First 50 succeed, 51st fails with 429');
-console.log('');
-console.log('Test 3: Retry-After header present');
-console.log('Expected: 429 response includes retry_after seconds');
-console.log('');
-console.log('Note: Full integration testing requires deploying to Cloudflare Workers');
-console.log('This would test KV storage, IP extraction, and sliding windows.');
-console.log('');
-console.log('Manual testing steps:');
-console.log('1. Deploy to Cloudflare Workers test environment');
-console.log('2. Run curl loops to test each rate limit');
-console.log('3. Verify 429 responses and Retry-After headers');
-console.log('4. Test sliding window (wait and retry)');
-console.log('5. Verify legitimate usage still works');
+#!/usr/bin/env node
+
+/**
+ * Test rate limiting against the worker's fetch handler with an in-memory store
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { assert } from './test-helpers.js';
+
+let clock = Date.now();
+const env = { GRAPH_KEY: 'test-graph', KG_STORE: new MemoryStore({ now: () => clock }), ADMIN_API_KEY: 'test-admin-key' };
+
+function post(path, body, key, ip = '10.0.0.1') {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip, Authorization: `Bearer ${key}` },
+    body: JSON.stringify(body)
+  }), env);
+}
+
+function get(path, ip = '10.0.0.1') {
+  return worker.fetch(new Request(`http://localhost${path}`, { headers: { 'CF-Connecting-IP': ip } }), env);
+}
+
+async function issueKey(body) {
+  return (await (await post('/admin/api-keys', body, 'test-admin-key')).json()).key;
+}
+
+const key = await issueKey({ name: 'writer' });
+const otherKey = await issueKey({ name: 'other writer' });
+
+//===================
+// Test 1: Entity creation rate limit (10/hour)
+//===================
+console.log('\n=== Test 1: Entity Creation Limit ===');
+
+for (let i = 1; i <= 10; i++) {
+  const res = await post('/entity', { name: `Agent${i}`, entityType: 'agent' }, key);
+  if (res.status !== 201) assert(false, `Entity ${i} should be created (got ${res.status})`);
+}
+assert(true, 'First 10 entity creations succeed');
+
+let res = await post('/entity', { name: 'Agent11', entityType: 'agent' }, key);
+assert(res.status === 429, '11th entity creation is rate limited');
+assert(res.headers.get('Retry-After') === '3600', '429 response includes Retry-After');
+
+res = await post('/entity', { name: 'Agent11', entityType: 'agent' }, key, '10.0.0.2');
+assert(res.status === 429, 'Changing IP does not reset a key\'s limit');
+
+res = await post('/entity', { name: 'Agent11', entityType: 'agent' }, otherKey);
+assert(res.status === 201, 'Limit is per API key');
+
+//===================
+// Test 2: Observation rate limit (50/hour)
+//===================
+console.log('\n=== Test 2: Observation Limit ===');
+
+for (let i = 1; i <= 50; i++) {
+  res = await post('/observation', { name: 'Agent1', observation: `Fact ${i}` }, key);
+  if (res.status !== 200) assert(false, `Observation ${i} should be added (got ${res.status})`);
+}
+assert(res.headers.get('X-RateLimit-Remaining') === '0', 'Remaining count reaches zero');
+res = await post('/observation', { name: 'Agent1', observation: 'Fact 51' }, key);
+assert(res.status === 429, '51st observation is rate limited');
+
+//===================
+// Test 3: Window expiry
+//===================
+console.log('\n=== Test 3: Window Expiry ===');
+
+clock += 3601 * 1000;
+res = await post('/entity', { name: 'Agent12', entityType: 'agent' }, key);
+assert(res.status === 201, 'Entity creation allowed again after the hour window');
+
+//===================
+// Test 4: Key quotas
+//===================
+console.log('\n=== Test 4: Key Quotas ===');
+
+const smallKey = await issueKey({ name: 'small', quotas: { entities: 2 } });
+res = await post('/entity', { name: 'Small1', entityType: 'agent' }, smallKey);
+assert(res.headers.get('X-RateLimit-Limit') === '2', 'Key quota replaces the default limit');
+await post('/entity', { name: 'Small2', entityType: 'agent' }, smallKey);
+res = await post('/entity', { name: 'Small3', entityType: 'agent' }, smallKey);
+assert(res.status === 429, 'Key quota is enforced');
+res = await post('/relation', { source: 'Small1', relation: 'knows', target: 'Small2' }, smallKey);
+assert(res.headers.get('X-RateLimit-Limit') === '20', 'Buckets left out keep the default limit');
+
+const bulkKey = await issueKey({ name: 'bulk', quotas: null });
+for (let i = 1; i <= 11; i++) {
+  res = await post('/entity', { name: `Bulk${i}`, entityType: 'agent' }, bulkKey);
+  if (res.status !== 201) assert(false, `Bulk entity ${i} should be created (got ${res.status})`);
+}
+assert(true, 'quotas: null lifts every limit');
+
+const unlimitedBucketKey = await issueKey({ name: 'no entity limit', quotas: { entities: null } });
+for (let i = 1; i <= 11; i++) {
+  res = await post('/entity', { name: `Free${i}`, entityType: 'agent' }, unlimitedBucketKey);
+  if (res.status !== 201) assert(false, `Free entity ${i} should be created (got ${res.status})`);
+}
+assert(true, 'A null quota lifts one bucket\'s limit');
+
+//===================
+// Test 5: Anonymous reads
+//===================
+console.log('\n=== Test 5: Anonymous Reads ===');
+
+res = await get('/stats');
+assert(res.status === 200, 'Anonymous reads need no key');
+await env.KG_STORE.put('rate:139.68.251.208:reads', '1000');
+res = await get('/entity/Agent1', '139.68.251.208');
+assert(res.status === 429, 'Anonymous reads are limited per IP, with no IP exempt');
+res = await get('/entity/Agent1', '10.0.0.3');
+assert(res.status === 200, 'Other IPs keep their own read limit');
+
+// Behind a proxy only X-Forwarded-For names the client
+await env.KG_STORE.put('rate:203.0.113.9:reads', '1000');
+res = await worker.fetch(new Request('http://localhost/verify', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': '203.0.113.9, 10.0.0.1' },
+  body: JSON.stringify({})
+}), env);
+assert(res.status === 429, '/verify counts against the forwarded client IP like other routes');
+
+// Every read route is metered, whole-graph ones included
+for (const path of ['/stats', '/graph', '/agents']) {
+  res = await get(path, '10.0.0.4');
+  assert(res.status === 200 && res.headers.get('X-RateLimit-Limit') === '1000', `${path} reports its read limit`);
+  res = await get(path, '139.68.251.208');
+  assert(res.status === 429 && res.headers.get('Retry-After') === '3600', `${path} is rate limited`);
+}
+
+//===================
+// Test 6: Malformed paths
+//===================
+console.log('\n=== Test 6: Malformed Paths ===');
+
+for (const path of ['/entity/%E0%A4%A', '/entity/%ZZ/history', '/trust-score/%']) {
+  res = await get(path);
+  assert(res.status === 400, `${path} is a bad request, not a server error`);
+}
+res = await get('/entity/%F0%9F%A6%9E');
+assert(res.status === 404, 'Well-formed encoded names are still looked up');
+
+console.log('\n=== All Tests Passed! ===\n');
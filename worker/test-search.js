@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for ranked full-text search
+ */
+
+import worker from './src/index.js';
+import { MemoryStore, listAllKeys } from './src/storage.js';
+import { loadEntity } from './src/graph-store.js';
+import { tokenize, stem, highlight, indexEntity, repairSearchIndex } from './src/search-index.js';
+import { editDistance, nameWords, resolveEntityName } from './src/fuzzy.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+
+function call(method, path, body) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key' },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+async function search(q) {
+  const res = await call('GET', `/search?q=${encodeURIComponent(q)}`);
+  return res.json();
+}
+
+// Search for "agent" with extra raw query parameters
+async function filtered(params) {
+  const res = await call('GET', `/search?q=agent&${params}`);
+  return res.json();
+}
+
+//===================
+// Test 1: Tokenizing and stemming
+//===================
+console.log('\n=== Test 1: Tokenizer ===');
+
+assertEqual(stem('agents'), 'agent', 'Plural folded');
+assertEqual(stem('memories'), 'memory', '-ies folded to -y');
+assertEqual(stem('running'), 'run', '-ing stripped with doubled consonant');
+assertEqual(stem('status'), 'status', '-us words left alone');
+assertEqual(tokenize('The ERC-8004 registry, on Base').join(' '), 'erc 8004 registry base', 'Stopwords dropped, punctuation split');
+assertEqual(highlight('Supports x402 payments for agents', new Set(['payment'])), 'Supports x402 **payments** for agents', 'Matched words highlighted');
+
+//===================
+// Test 2: Ranking
+//===================
+console.log('\n=== Test 2: BM25 Ranking ===');
+
+await call('POST', '/entity', { name: 'ContextVault', entityType: 'tool', observations: ['Persistent memory layer for agents', 'Pays for storage with x402 micropayments'] });
+await call('POST', '/entity', { name: 'graphiti-memory', entityType: 'tool', observations: ['Temporal knowledge graph memory', 'Memory stored in FalkorDB'] });
+await call('POST', '/entity', { name: 'x402', entityType: 'protocol', observations: ['HTTP 402 micropayments between agents'] });
+await call('POST', '/entity', { name: 'Moltbook', entityType: 'platform', observations: ['Social network for AI agents'] });
+
+let data = await search('x402 memory');
+assert(data.count === 3, 'Multi-word query matches entities containing either word');
+assertEqual(data.results[0].name, 'ContextVault', 'Entity matching both words ranks first');
+assert(data.results[0].relevance > 0, 'Results report BM25 relevance');
+
+data = await search('memory');
+assertEqual(data.results[0].name, 'graphiti-memory', 'Name match and repeated term outrank a single mention');
+
+data = await search('micropayment');
+assert(data.results.some(r => r.name === 'x402'), 'Stemmed query matches inflected text');
+
+data = await search('micro');
+assert(data.count === 2, 'Unknown word expands to indexed prefixes');
+
+data = await search('nonexistentword');
+assertEqual(data.count, 0, 'No match returns empty results');
+
+//===================
+// Test 3: Highlights
+//===================
+console.log('\n=== Test 3: Highlights ===');
+
+data = await search('x402 memory');
+const cv = data.results.find(r => r.name === 'ContextVault');
+assertEqual(cv.highlights.length, 2, 'Each matching observation gets a highlight');
+assert(cv.highlights.some(h => h.snippet.includes('**memory**')), 'Snippet marks the matched word');
+assert(cv.highlights.every(h => typeof h.observation === 'string'), 'Highlight names the full observation');
+
+//===================
+// Test 4: Index maintenance
+//===================
+console.log('\n=== Test 4: Index Maintenance ===');
+
+await call('POST', '/observation', { name: 'Moltbook', observation: 'Hosts agent memory experiments' });
+data = await search('memory');
+assert(data.results.some(r => r.name === 'Moltbook'), 'New observation is searchable immediately');
+
+await call('POST', '/observation/invalidate', { name: 'Moltbook', observation: 'Hosts agent memory experiments' });
+data = await search('memory');
+assert(!data.results.some(r => r.name === 'Moltbook'), 'Invalidated observation drops out of the index');
+
+for (const key of await listAllKeys(env.KG_STORE, 'knowledge-graph:search')) await env.KG_STORE.delete(key);
+data = await search('memory');
+assert(data.count === 2, 'Missing index is rebuilt on the next search');
+
+const written = [];
+const put = env.KG_STORE.put.bind(env.KG_STORE);
+const compareAndSwap = env.KG_STORE.compareAndSwap.bind(env.KG_STORE);
+env.KG_STORE.put = async (key, value, opts) => { written.push(key); return put(key, value, opts); };
+env.KG_STORE.compareAndSwap = async (key, expected, value, opts) => { written.push(key); return compareAndSwap(key, expected, value, opts); };
+await call('POST', '/observation', { name: 'Moltbook', observation: 'Indexes lobster memes' });
+env.KG_STORE.put = put;
+env.KG_STORE.compareAndSwap = compareAndSwap;
+const newTerms = tokenize('Indexes lobster memes').map(t => `knowledge-graph:search-term:${t}`);
+assert(written.includes('knowledge-graph:search-doc:Moltbook'), 'A write reindexes its own entity');
+assert(!written.some(k => k.startsWith('knowledge-graph:search-doc:') && !k.endsWith(':Moltbook')), 'and no other entity');
+assert(newTerms.every(k => written.includes(k)), 'Postings of the added terms are updated');
+assert(!written.some(k => k.startsWith('knowledge-graph:search-term:') && !newTerms.includes(k)), 'and no other term');
+
+// A search reads only the postings of its own terms
+const read = [];
+const get = env.KG_STORE.get.bind(env.KG_STORE);
+env.KG_STORE.get = async (key, type) => {
+  for (const k of Array.isArray(key) ? key : [key]) read.push(k);
+  return get(key, type);
+};
+data = await search('lobster');
+env.KG_STORE.get = get;
+assert(data.results.some(r => r.name === 'Moltbook'), 'Search finds the new term');
+assertEqual(read.filter(k => k.startsWith('knowledge-graph:search-term:')).join(), 'knowledge-graph:search-term:lobster', 'Search reads only its term\'s postings');
+
+// Index writes fail: the observation is stored, its index update queued
+env.KG_STORE.compareAndSwap = async (key, expected, value, opts) => {
+  if (key.startsWith('knowledge-graph:search-term:')) throw new Error('KV write limit exceeded');
+  return compareAndSwap(key, expected, value, opts);
+};
+let res = await call('POST', '/observation', { name: 'Moltbook', observation: 'Archives crustacean folklore' });
+env.KG_STORE.compareAndSwap = compareAndSwap;
+assertEqual(res.status, 200, 'Write succeeds when its index update fails');
+assert(await env.KG_STORE.get('knowledge-graph:search-pending:Moltbook'), 'Failed index update is queued');
+data = await search('folklore');
+assertEqual(data.count, 0, 'Not searchable until repaired');
+
+const repair = await repairSearchIndex(env);
+assertEqual(repair.repaired, 1, 'Scheduled repair reindexes the queued entity');
+assert(!await env.KG_STORE.get('knowledge-graph:search-pending:Moltbook'), 'and clears the queue');
+data = await search('folklore');
+assert(data.results.some(r => r.name === 'Moltbook'), 'Repaired entity is searchable');
+
+// A slower listener for an earlier revision doesn't overwrite a later doc
+const latest = await loadEntity(env, 'Moltbook');
+await indexEntity(env, { ...latest, rev: latest.rev - 1, observations: [] });
+data = await search('folklore');
+assert(data.results.some(r => r.name === 'Moltbook'), 'Out-of-order index update for an earlier revision is ignored');
+
+//===================
+// Test 5: MCP search_nodes
+//===================
+console.log('\n=== Test 5: MCP search_nodes ===');
+
+res = await call('POST', '/mcp', { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'search_nodes', arguments: { query: 'x402 memory' } } });
+let text = (await res.json()).result.content[0].text;
+assert(text.startsWith('[tool] ContextVault'), 'MCP search uses the same ranking');
+assert(text.includes('↳') && text.includes('**'), 'MCP results include highlighted snippets');
+
+//===================
+// Test 6: Typo tolerance
+//===================
+console.log('\n=== Test 6: Typo Tolerance ===');
+
+assertEqual(editDistance('memroy', 'memory'), 1, 'Transposition counts as one edit');
+assertEqual(editDistance('kitten', 'sitting', 1), 2, 'Distance is capped at max + 1');
+assertEqual(nameWords('ContextVault').join(' '), 'context vault', 'camelCase names split into words');
+assertEqual(resolveEntityName(['Moltbook', 'Molt'], 'moltbok').name, 'Moltbook', 'Unique close name resolves');
+assert(resolveEntityName(['Aineko', 'Aineka'], 'ainekx').name === null, 'Ambiguous misspelling is not guessed');
+
+data = await search('memroy');
+assert(data.results.some(r => r.name === 'graphiti-memory'), 'Misspelled word finds the intended term');
+assertEqual(data.corrections.memroy[0], 'memory', 'Search reports the correction');
+
+data = await search('context vault');
+assertEqual(data.results[0].name, 'ContextVault', 'Split words find a joined camelCase name');
+
+res = await call('GET', '/entity/contextvault');
+let entity = await res.json();
+assertEqual(res.status, 200, 'Case-insensitive entity read resolves');
+assertEqual(entity.name, 'ContextVault', 'Resolved entity has its canonical name');
+assertEqual(entity.resolved_from, 'contextvault', 'Response notes the requested name');
+
+res = await call('GET', '/entity/Moltbok');
+assertEqual((await res.json()).name, 'Moltbook', 'One-letter typo in entity name resolves');
+
+res = await call('GET', '/entity/Nothing%20Like%20It');
+assertEqual(res.status, 404, 'Unrelated name still 404s');
+
+res = await call('POST', '/mcp', { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'read_entity', arguments: { name: 'contextVault' } } });
+text = (await res.json()).result.content[0].text;
+assert(text.includes('[tool] ContextVault'), 'MCP read_entity resolves case differences');
+
+//===================
+// Test 7: Suggest
+//===================
+console.log('\n=== Test 7: Suggest ===');
+
+async function suggest(prefix) {
+  const r = await call('GET', `/suggest?prefix=${encodeURIComponent(prefix)}`);
+  return (await r.json()).suggestions;
+}
+
+let suggestions = await suggest('Con');
+assertEqual(suggestions[0].name, 'ContextVault', 'Prefix completes the name');
+assertEqual(suggestions[0].entityType, 'tool', 'Suggestions carry the entity type');
+
+suggestions = await suggest('vault');
+assertEqual(suggestions[0]?.match, 'word', 'camelCase word prefix matches');
+
+suggestions = await suggest('molbt');
+assertEqual(suggestions[0]?.name, 'Moltbook', 'Typo in prefix still suggests');
+
+await call('POST', '/entity', { name: 'x402-facilitator', entityType: 'tool' });
+suggestions = await suggest('x4');
+assertEqual(suggestions.map(s => s.name).join(','), 'x402,x402-facilitator', 'Shorter completions rank first');
+
+res = await call('GET', '/suggest');
+assertEqual(res.status, 400, 'Missing prefix is rejected');
+
+//===================
+// Test 8: Filters and sorting
+//===================
+console.log('\n=== Test 8: Filters ===');
+
+await call('POST', '/entity', { name: 'NanoClaw', entityType: 'platform', observations: ['Container runtime for agents'] });
+await call('POST', '/entity', { name: 'Aineko', entityType: 'agent', observations: ['Autonomous research agent'] });
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Knowledge graph agent'] });
+await call('POST', '/relation', { source: 'Aineko', relation: 'runs_on', target: 'NanoClaw' });
+await call('POST', '/observation', { name: 'Orac', observation: 'Registered itself as an agent', source_agent: 'self-registered' });
+await call('POST', '/observation', { name: 'Orac', observation: 'Agent was offline', expires_at: '2020-01-01T00:00:00Z' });
+
+const names = d => d.results.map(r => r.name).sort().join(',');
+
+data = await filtered('type=agent');
+assertEqual(names(data), 'Aineko,Orac', 'type keeps only matching entity types');
+assertEqual(data.filters.type, 'agent', 'Applied filters are echoed');
+
+data = await filtered('type=agent,platform');
+assertEqual(names(data), 'Aineko,Moltbook,NanoClaw,Orac', 'type accepts several comma-separated types');
+
+data = await filtered('has_relation=runs_on:NanoClaw');
+assertEqual(names(data), 'Aineko', 'has_relation matches relation type and counterpart');
+
+data = await filtered('has_relation=runs_on:*');
+assertEqual(names(data), 'Aineko,NanoClaw', 'has_relation wildcard matches either direction');
+
+data = await filtered('source_agent=self-registered');
+assertEqual(names(data), 'Orac', 'source_agent matches observation provenance');
+
+data = await filtered('observed_before=2000-01-01T00:00:00Z');
+assertEqual(data.count, 0, 'observed_before excludes newer observations');
+
+data = await filtered(`observed_after=${encodeURIComponent(new Date(Date.now() - 3600000).toISOString())}&type=agent`);
+assertEqual(data.count, 2, 'observed_after keeps recent observations');
+
+data = await filtered('updated_since=2999-01-01T00:00:00Z');
+assertEqual(data.count, 0, 'updated_since filters on entity update time');
+
+data = await filtered('type=agent');
+let orac = data.results.find(r => r.name === 'Orac');
+assert(!orac.observations.some(o => o.text === 'Agent was offline'), 'Expired observations hidden by default');
+data = await filtered('type=agent&include_expired=true');
+orac = data.results.find(r => r.name === 'Orac');
+assert(orac.observations.some(o => o.text === 'Agent was offline' && o.expired), 'include_expired returns expired observations');
+
+data = await filtered('sort=created');
+assertEqual(data.results[0].name, 'Orac', 'sort=created puts the newest entity first');
+assertEqual(data.sort, 'created', 'Response reports the sort order');
+
+data = await filtered('sort=trust');
+assert(data.count > 0, 'sort=trust ranks by trust score');
+
+res = await call('GET', '/search?q=agent&sort=random');
+assertEqual(res.status, 400, 'Unknown sort is rejected');
+res = await call('GET', '/search?q=agent&observed_after=yesterday');
+assertEqual(res.status, 400, 'Invalid date is rejected');
+
+res = await call('POST', '/mcp', { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'search_nodes', arguments: { query: 'agent', type: 'agent', has_relation: 'runs_on:NanoClaw' } } });
+text = (await res.json()).result.content[0].text;
+assert(text.startsWith('[agent] Aineko') && !text.includes('Orac'), 'MCP search_nodes accepts the same filters');
+
+res = await call('POST', '/mcp', { jsonrpc: '2.0', id: 4, method: 'tools/list' });
+const schema = (await res.json()).result.tools.find(t => t.name === 'search_nodes').inputSchema;
+assert(['type', 'has_relation', 'source_agent', 'observed_after', 'observed_before', 'updated_since', 'include_expired', 'sort'].every(k => k in schema.properties), 'search_nodes schema lists every filter');
+
+console.log('\n=== All Tests Passed! ===\n');
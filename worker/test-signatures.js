@@ -13,27 +13,13 @@ import {
   createSignableMessage,
   signObservation,
   verifySignature,
-  isAuthorizedSource
+  hashStruct,
+  observationTypedData,
+  hashTypedData
 } from './src/crypto-utils.js';
-
-// Test utilities
-function assert(condition, message) {
-  if (!condition) {
-    console.error(`❌ FAILED: ${message}`);
-    process.exit(1);
-  }
-  console.log(`✓ ${message}`);
-}
-
-function assertEqual(actual, expected, message) {
-  if (actual !== expected) {
-    console.error(`❌ FAILED: ${message}`);
-    console.error(`  Expected: ${expected}`);
-    console.error(`  Got: ${actual}`);
-    process.exit(1);
-  }
-  console.log(`✓ ${message}`);
-}
+import { isAuthorizedSource } from './src/authorization.js';
+import { MemoryStore } from './src/storage.js';
+import { assert, assertEqual } from './test-helpers.js';
 
 //===================
 // Test 1: Hex conversion
@@ -166,13 +152,14 @@ assert(invalidVerif2.valid === false, 'Wrong message hash fails verification');
 console.log('\n=== Test 8: Source Authorization ===');
 
 // Ethereum address as source - must match signer
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore() };
 const ethAddress = signature.public_key;
-assert(isAuthorizedSource(ethAddress, ethAddress), 'Matching address is authorized');
-assert(!isAuthorizedSource(ethAddress, '0x' + '1'.repeat(40)), 'Non-matching address is not authorized');
+assert(await isAuthorizedSource(env, ethAddress, ethAddress), 'Matching address is authorized');
+assert(!(await isAuthorizedSource(env, ethAddress, '0x' + '1'.repeat(40))), 'Non-matching address is not authorized');
 
-// Domain name as source - accept if valid address provided
-assert(isAuthorizedSource(ethAddress, 'orac.eth'), 'Valid address authorized for domain');
-assert(!isAuthorizedSource('invalid', 'orac.eth'), 'Invalid address not authorized');
+// Other sources need a lookup (ENS, ERC-8004: see test-ens.js, test-erc8004.js)
+assert(!(await isAuthorizedSource(env, ethAddress, 'orac.eth')), 'Unverifiable source is not authorized');
+assert(!(await isAuthorizedSource(env, 'invalid', ethAddress)), 'Invalid address not authorized');
 
 //===================
 // Test 9: Multiple signatures on same observation
@@ -210,6 +197,99 @@ assert(sig1.message_hash !== sig2.message_hash, 'Different confidence produces d
 const crossVerif = await verifySignature(obs2, sig1);
 assert(crossVerif.valid === false, 'Signature for different confidence fails');
 
+//===================
+// Test 11: EIP-712 encoding
+//===================
+console.log('\n=== Test 11: EIP-712 Encoding ===');
+
+// Domain separator of the "Ether Mail" example in the EIP-712 specification
+const mailDomainTypes = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ]
+};
+const mailDomain = { name: 'Ether Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' };
+assertEqual(bytesToHex(hashStruct('EIP712Domain', mailDomain, mailDomainTypes)),
+  '0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f', 'Domain separator matches the EIP-712 reference');
+
+const typed = observationTypedData({ ...observation, value: 42 });
+assertEqual(typed.primaryType, 'Observation', 'Typed data has the Observation primary type');
+assertEqual(typed.message.value, '42', 'Non-string values are signed as JSON');
+assertEqual(typed.message.confidence, String(observation.confidence), 'Confidence is signed as its decimal text');
+
+//===================
+// Test 12: EIP-712 signatures
+//===================
+console.log('\n=== Test 12: EIP-712 Signatures ===');
+
+assertEqual(signature.scheme, 'eip712', 'EIP-712 is the default scheme');
+assertEqual(signature.message_hash, hashTypedData(observationTypedData(observation)), 'Message hash is the EIP-712 digest');
+assert(/^0x[0-9a-f]{130}$/.test(signature.signature_hex), 'EIP-712 signature is 65 bytes (r, s, v) as wallets produce');
+
+assert((await verifySignature(observation, signature)).valid, 'EIP-712 signature verifies by recovery');
+const wrongSigner = { ...signature, public_key: signature2.public_key };
+assert(!(await verifySignature(observation, wrongSigner)).valid, 'EIP-712 signature claimed by another address fails');
+
+//===================
+// Test 13: Legacy signatures
+//===================
+console.log('\n=== Test 13: Legacy Signatures ===');
+
+const legacy = await signObservation(observation, bytesToHex(privateKey), { scheme: 'legacy' });
+assertEqual(legacy.message_hash, keccak256(createSignableMessage(observation)), 'Legacy hash is Keccak-256 of the "|"-joined fields');
+const { scheme: _scheme, ...preEip712 } = legacy;
+assert((await verifySignature(observation, preEip712)).valid, 'Signature without a scheme verifies as legacy');
+assert(!(await verifySignature(observation, { ...legacy, scheme: 'eip712' })).valid, 'Legacy signature does not verify as EIP-712');
+assert(!(await verifySignature(observation, { ...legacy, scheme: 'rot13' })).valid, 'Unknown scheme fails');
+
+// A "|" inside a field shifts the legacy split; typed data keeps fields apart
+const left = { ...observation, attribute: 'role', value: 'builder|maintainer' };
+const right = { ...observation, attribute: 'role|builder', value: 'maintainer' };
+const legacyLeft = await signObservation(left, bytesToHex(privateKey), { scheme: 'legacy' });
+assert((await verifySignature(right, legacyLeft)).valid, 'Legacy signature collides across a "|" in a field');
+const typedLeft = await signObservation(left, bytesToHex(privateKey));
+assert(!(await verifySignature(right, typedLeft)).valid, 'EIP-712 signature does not');
+
+//===================
+// Test 14: Signer recovery
+//===================
+console.log('\n=== Test 14: Signer Recovery ===');
+
+assert(/^0x[0-9a-f]{130}$/.test(legacy.signature_hex), 'Legacy signatures are 65 bytes (r, s, v) too');
+assert(!('public_key_full' in signature), 'Signatures no longer carry the full public key');
+const v = parseInt(signature.signature_hex.slice(-2), 16);
+assert(v === 27 || v === 28, 'Recovery byte is 27 or 28');
+
+let result = await verifySignature(observation, { ...signature, public_key: signature.public_key.toUpperCase().replace('0X', '0x') });
+assertEqual(result.signer, signature.public_key, 'Recovered signer is returned lower-cased');
+
+// A valid signature by one key, claimed for another address
+const attacker = secp.utils.randomSecretKey();
+const attackerSignature = await signObservation(observation, bytesToHex(attacker));
+result = await verifySignature(observation, { ...attackerSignature, public_key: signature.public_key });
+assert(!result.valid, 'Valid signature claimed for a different address fails');
+assertEqual(result.error, 'Signature was not made by the claimed public_key address', 'Mismatch is reported');
+result = await verifySignature(observation, { ...attackerSignature, public_key: signature.public_key, public_key_full: bytesToHex(secp.getPublicKey(privateKey, false)) });
+assert(!result.valid, 'Sending the victim\'s full public key does not help');
+
+// Legacy signatures issued before recovery bytes: 64-byte compact over sha256(hash)
+const oldHash = keccak256(createSignableMessage(observation));
+const oldSignature = {
+  algorithm: 'ECDSA-secp256k1',
+  public_key: signature.public_key,
+  signature_hex: bytesToHex(await secp.signAsync(hexToBytes(oldHash), privateKey)),
+  message_hash: oldHash
+};
+assert(/^0x[0-9a-f]{128}$/.test(oldSignature.signature_hex), 'Old legacy signature is 64 bytes');
+result = await verifySignature(observation, oldSignature);
+assert(result.valid, 'Old 64-byte legacy signature still verifies');
+assertEqual(result.signer, signature.public_key, 'Its signer is recovered');
+assert(!(await verifySignature(observation, { ...oldSignature, public_key: attackerSignature.public_key })).valid, 'Old legacy signature claimed for another address fails');
+assert(!(await verifySignature(observation, { ...oldSignature, scheme: 'eip712', message_hash: signature.message_hash })).valid, '64-byte signature is not accepted as EIP-712');
+
 //===================
 console.log('\n=== All Tests Passed! ===\n');
 console.log('✅ Hex conversion works');
@@ -222,4 +302,7 @@ console.log('✅ Invalid signature detection works');
 console.log('✅ Source authorization works');
 console.log('✅ Multiple signatures work');
 console.log('✅ Confidence changes are detected');
+console.log('✅ EIP-712 typed-data signing works');
+console.log('✅ Legacy signatures still verify');
+console.log('✅ Signers are recovered and checked against the claimed address');
 console.log('\n🎉 All signature functionality verified!\n');
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for client-signed observations (POST /observation/signed) and
+ * the deprecated server-side signing of POST /attest
+ */
+
+import * as secp from '@noble/secp256k1';
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { updateEntity } from './src/graph-store.js';
+import { bytesToHex, publicKeyToAddress, signObservation } from './src/crypto-utils.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+
+function call(method, path, body, headers = {}) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+const privateKey = secp.utils.randomSecretKey();
+const privateKeyHex = bytesToHex(privateKey);
+const address = publicKeyToAddress(secp.getPublicKey(privateKey, false));
+
+function observationFor(fields = {}) {
+  return {
+    entity_id: 'Orac',
+    attribute: 'status',
+    value: 'operational',
+    observed_at: '2026-10-01T12:00:00.000Z',
+    source: address,
+    confidence: 0.9,
+    ...fields
+  };
+}
+
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Runs on NanoClaw'] });
+
+//===================
+// Test 1: Submitting a signed observation
+//===================
+console.log('\n=== Test 1: Signed Submission ===');
+
+const observation = observationFor();
+const signature = await signObservation(observation, privateKeyHex);
+
+let res = await call('POST', '/observation/signed', { observation, signature });
+assertEqual(res.status, 200, 'Signed observation accepted');
+assert(res.headers.get('ETag'), 'Response carries the entity ETag');
+let data = await res.json();
+assertEqual(data.added, 'status: operational', 'Stored as "<attribute>: <value>"');
+assertEqual(data.signer, address, 'Signer is reported');
+assertEqual(data.verified, true, 'Submission is verified');
+
+data = await (await call('GET', '/entity/Orac')).json();
+const stored = data.observations.find(o => o.text === 'status: operational');
+assert(stored, 'Observation is on the entity');
+assertEqual(stored.verified, true, 'Entity read flags it as verified');
+assertEqual(stored.attestation.signatures.length, 1, 'Entity read returns the list of signatures');
+assertEqual(stored.attestation.signatures[0].signer, address, 'Entity read returns the attestation signer');
+assertEqual(stored.attestation.signatures[0].signature.signature_hex, signature.signature_hex, 'Entity read returns the signature');
+assertEqual(stored.attester_count, 1, 'One attester');
+assertEqual(stored.source_agent, address, 'Observation is attributed to its source');
+assertEqual(stored.observed_at, observation.observed_at, 'observed_at is the signed time');
+assertEqual(stored.confidence, 0.9, 'confidence is the signed confidence');
+assert(data.observations.filter(o => !o.attestation).every(o => !('verified' in o)), 'Unsigned observations carry no flag');
+
+data = await (await call('GET', '/entity/Orac/history')).json();
+assert(data.events.some(e => e.operation === 'add_signed_observation'), 'Submission is logged');
+
+//===================
+// Test 2: Rejections
+//===================
+console.log('\n=== Test 2: Rejections ===');
+
+res = await call('POST', '/observation/signed', { observation: { ...observation, value: 'degraded' }, signature });
+assertEqual(res.status, 400, 'Tampered observation is rejected');
+assert((await res.json()).error.startsWith('Invalid signature'), 'Invalid signature is reported');
+
+const impostor = await signObservation(observation, bytesToHex(secp.utils.randomSecretKey()));
+res = await call('POST', '/observation/signed', { observation, signature: { ...impostor, public_key: address } });
+assertEqual(res.status, 400, 'Signature by another key claiming the source address is rejected');
+
+const forged = observationFor({ source: '0x000000000000000000000000000000000000dead' });
+res = await call('POST', '/observation/signed', { observation: forged, signature: await signObservation(forged, privateKeyHex) });
+assertEqual(res.status, 403, 'Signer not authorized for the source is rejected');
+
+res = await call('POST', '/observation/signed', { observation, signature });
+assertEqual(res.status, 409, 'Resubmitting the same signature is a conflict');
+
+const elsewhere = observationFor({ entity_id: 'Orca' });
+res = await call('POST', '/observation/signed', { observation: elsewhere, signature: await signObservation(elsewhere, privateKeyHex) });
+assertEqual(res.status, 404, 'Unknown entity is not found');
+
+res = await call('POST', '/observation/signed', { observation });
+assertEqual(res.status, 400, 'Missing signature is rejected');
+const undated = observationFor({ observed_at: 'yesterday' });
+res = await call('POST', '/observation/signed', { observation: undated, signature: await signObservation(undated, privateKeyHex) });
+assertEqual(res.status, 400, 'Invalid observed_at is rejected');
+const structured = observationFor({ value: { tier: 'gold' } });
+res = await call('POST', '/observation/signed', { observation: structured, signature: await signObservation(structured, privateKeyHex) });
+assertEqual(res.status, 400, 'Object value is rejected');
+assert((await res.json()).error.includes('observation.value'), 'Error names the value');
+res = await call('POST', '/observation', { name: 'Orac', observation: { status: 'operational' } });
+assertEqual(res.status, 400, 'Unsigned observation must be text');
+
+const update = observationFor({ value: 'upgraded' });
+res = await call('POST', '/observation/signed', { observation: update, signature: await signObservation(update, privateKeyHex) }, { 'If-Match': '"1"' });
+assertEqual(res.status, 409, 'Stale If-Match is a conflict');
+
+res = await worker.fetch(new Request('http://localhost/observation/signed', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ observation, signature })
+}), env);
+assertEqual(res.status, 401, 'Submitting needs an API key');
+
+//===================
+// Test 3: Verified flag
+//===================
+console.log('\n=== Test 3: Verified Flag ===');
+
+await updateEntity(env, 'Orac', e => {
+  e.observations.find(o => o.text === 'status: operational').confidence = 1.0;
+}, { record: false });
+data = await (await call('GET', '/entity/Orac')).json();
+assertEqual(data.observations.find(o => o.text === 'status: operational').verified, false, 'Stored observation edited after signing is not verified');
+
+//===================
+// Test 4: MCP
+//===================
+console.log('\n=== Test 4: MCP ===');
+
+const viaMcp = observationFor({ attribute: 'version', value: '2.1' });
+data = await (await call('POST', '/mcp', {
+  jsonrpc: '2.0', id: 1, method: 'tools/call',
+  params: { name: 'add_signed_observation', arguments: { observation: viaMcp, signature: await signObservation(viaMcp, privateKeyHex) } }
+}, { Accept: 'application/json, text/event-stream' })).json();
+assert(!data.result.isError, 'add_signed_observation tool succeeds');
+assertEqual(data.result.structuredContent.added, 'version: 2.1', 'Tool returns the REST body');
+
+//===================
+// Test 5: Deprecated server-side signing
+//===================
+console.log('\n=== Test 5: Server-Side Signing ===');
+
+res = await call('POST', '/attest', { observation, privateKey: privateKeyHex });
+assertEqual(res.status, 410, '/attest is disabled by default');
+assert((await res.json()).error.includes('/observation/signed'), 'Error points to /observation/signed');
+
+env.ALLOW_SERVER_SIGNING = 'true';
+res = await call('POST', '/attest', { observation, privateKey: privateKeyHex });
+assertEqual(res.status, 200, '/attest works when ALLOW_SERVER_SIGNING is set');
+assertEqual(res.headers.get('Deprecation'), 'true', 'Response carries a Deprecation header');
+data = await res.json();
+assert(data.deprecated.includes('/observation/signed'), 'Response body notes the deprecation');
+
+//===================
+// Test 6: Signing schemes
+//===================
+console.log('\n=== Test 6: Signing Schemes ===');
+
+assertEqual(signature.scheme, 'eip712', 'Client signatures default to EIP-712');
+const legacyObservation = observationFor({ attribute: 'region', value: 'eu-west' });
+const legacySignature = await signObservation(legacyObservation, privateKeyHex, { scheme: 'legacy' });
+const { scheme: _scheme, ...unnamed } = legacySignature;
+res = await call('POST', '/observation/signed', { observation: legacyObservation, signature: unnamed });
+data = await res.json();
+assertEqual(data.scheme, 'legacy', 'Signature without a scheme is accepted as legacy');
+data = await (await call('GET', '/entity/Orac')).json();
+assertEqual(data.observations.find(o => o.text === 'region: eu-west').verified, true, 'Stored legacy attestation stays verified');
+
+data = await (await call('POST', '/verify', { observation, signature })).json();
+assertEqual(data.scheme, 'eip712', '/verify reports the scheme');
+assert(data.valid, '/verify accepts EIP-712 signatures');
+data = await (await call('POST', '/verify', { observation: legacyObservation, signature: unnamed })).json();
+assert(data.valid && data.scheme === 'legacy', '/verify accepts legacy signatures');
+data = await (await call('POST', '/verify', { observation: legacyObservation, signature: unnamed, scheme: 'eip712' })).json();
+assert(!data.valid && data.scheme === 'eip712', 'Requested scheme is used for a signature that names none');
+res = await call('POST', '/verify', { observation, signature, scheme: 'legacy' });
+assertEqual(res.status, 400, 'Requested scheme contradicting the signature is rejected');
+res = await call('POST', '/verify', { observation, signature: { ...signature, scheme: undefined }, scheme: 'rot13' });
+assertEqual(res.status, 400, 'Unknown scheme is rejected');
+
+data = await (await call('POST', '/attest', { observation, privateKey: privateKeyHex })).json();
+assertEqual(data.signature.scheme, 'eip712', '/attest signs EIP-712 by default');
+data = await (await call('POST', '/attest', { observation, privateKey: privateKeyHex, scheme: 'legacy' })).json();
+assertEqual(data.signature.scheme, 'legacy', '/attest signs legacy on request');
+res = await call('POST', '/attest', { observation, privateKey: privateKeyHex, scheme: 'rot13' });
+assertEqual(res.status, 400, '/attest rejects an unknown scheme');
+
+console.log('\n=== All Tests Passed! ===\n');
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for sharded graph storage, compare-and-swap concurrency and store backends
+ */
+
+import worker from './src/index.js';
+import { loadGraph, loadEntity, loadRelations, loadManifest, updateEntity } from './src/graph-store.js';
+import { MemoryStore, createKVStore } from './src/storage.js';
+import { StoreCoordinator } from './src/store-coordinator.js';
+import { FileStore } from './src/file-store.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { assert } from './test-helpers.js';
+
+function call(env, method, path, body) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key' },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+//===================
+// Test 1: Legacy blob migration
+//===================
+console.log('\n=== Test 1: Legacy Blob Migration ===');
+
+const legacyEnv = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore() };
+const now = new Date().toISOString();
+await legacyEnv.KG_STORE.put('knowledge-graph', JSON.stringify({
+  entities: [
+    { type: 'entity', name: 'Orac', entityType: 'agent', observations: [{ text: 'Runs on NanoClaw', observed_at: now }], created: now, updated: now },
+    { type: 'entity', name: 'NanoClaw', entityType: 'platform', observations: ['Container-based agent platform'], created: now, updated: now }
+  ],
+  relations: [{ type: 'relation', source: 'Orac', relation: 'runs_on', target: 'NanoClaw', created: now, expires_at: null }]
+}));
+
+const manifest = await loadManifest(legacyEnv);
+assert(manifest.entities.Orac === 'agent', 'Manifest indexes migrated entity types');
+assert(manifest.relations === 1, 'Manifest counts migrated relations');
+assert((await legacyEnv.KG_STORE.get('knowledge-graph:entity:Orac', 'json')).observations.length === 1, 'Observations stored in the entity record');
+assert((await loadRelations(legacyEnv, 'NanoClaw')).length === 1, 'Relation stored in target adjacency');
+assert((await loadRelations(legacyEnv, 'Orac')).length === 1, 'Relation stored in source adjacency');
+
+const graph = await loadGraph(legacyEnv);
+assert(graph.entities.length === 2, 'Full graph reassembled from shards');
+assert(graph.relations.length === 1, 'Relations are not duplicated across adjacency lists');
+
+// An entity last written while its observations had their own key
+const splitEnv = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore() };
+await splitEnv.KG_STORE.put('knowledge-graph:manifest', JSON.stringify({ schema: 2, rev: 1, entities: { Split: 'agent' }, relations: 0 }));
+await splitEnv.KG_STORE.put('knowledge-graph:entity:Split', JSON.stringify({ type: 'entity', name: 'Split', entityType: 'agent', rev: 3, writer: 'old-token' }));
+await splitEnv.KG_STORE.put('knowledge-graph:obs:Split', JSON.stringify({ rev: 2, observations: [{ text: 'Kept under its own key' }] }));
+assert((await loadEntity(splitEnv, 'Split')).observations[0].text === 'Kept under its own key', 'Records without observations read the old observation key');
+assert((await loadGraph(splitEnv)).entities[0].observations.length === 1, 'Whole-graph reads do too');
+await updateEntity(splitEnv, 'Split', e => { e.observations.push({ text: 'Appended after the move' }); });
+const moved = await splitEnv.KG_STORE.get('knowledge-graph:entity:Split', 'json');
+assert(moved.observations.length === 2 && moved.rev === 4 && !moved.writer, 'The next write moves the observations into the record');
+
+//===================
+// Test 2: Writes touch only the entity's keys
+//===================
+console.log('\n=== Test 2: Scoped Writes ===');
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+let res = await call(env, 'POST', '/entity', { name: 'Aineko', entityType: 'agent', observations: ['Built graph-memory-toolkit'] });
+assert(res.status === 201, 'Entity created');
+res = await call(env, 'POST', '/entity', { name: 'graph-memory-toolkit', entityType: 'tool' });
+assert(res.status === 201, 'Second entity created');
+
+const written = [];
+const put = env.KG_STORE.put.bind(env.KG_STORE);
+env.KG_STORE.put = async (key, value, opts) => { if (!key.startsWith('rate:')) written.push(key); return put(key, value, opts); };
+const swap = env.KG_STORE.compareAndSwap.bind(env.KG_STORE);
+env.KG_STORE.compareAndSwap = async (key, expected, value, opts) => { written.push(key); return swap(key, expected, value, opts); };
+
+res = await call(env, 'POST', '/observation', { name: 'Aineko', observation: 'Active on Moltbook' });
+assert(res.status === 200, 'Observation added');
+const eventLogKey = k => /^knowledge-graph:(event|history|event-days)(:|$)/.test(k);
+// Search postings are kept per term (search-index.js)
+const searchTermKey = k => /^knowledge-graph:search-(term|vocab|stats):/.test(k);
+assert(written.filter(k => !eventLogKey(k) && !searchTermKey(k)).every(k => k.endsWith(':Aineko')), 'Observation write only touched Aineko keys');
+assert(written.some(k => k.startsWith('knowledge-graph:event:')), 'Observation write appended to the event log');
+assert(!written.includes('knowledge-graph'), 'No monolithic graph blob written');
+
+written.length = 0;
+res = await call(env, 'POST', '/relation', { source: 'Aineko', relation: 'built', target: 'graph-memory-toolkit' });
+assert(res.status === 201, 'Relation created');
+assert(written.includes('knowledge-graph:rels:Aineko') && written.includes('knowledge-graph:rels:graph-memory-toolkit'), 'Relation written to both adjacency lists');
+
+res = await call(env, 'POST', '/relation', { source: 'Aineko', relation: 'built', target: 'graph-memory-toolkit' });
+assert(res.status === 409, 'Duplicate relation rejected');
+
+//===================
+// Test 3: Reads
+//===================
+console.log('\n=== Test 3: Reads ===');
+
+res = await call(env, 'GET', '/entity/Aineko');
+const entity = await res.json();
+assert(entity.observations.length === 2, 'Entity read returns all observations');
+assert(entity.relations[0].entity === 'graph-memory-toolkit', 'Entity read returns relations');
+
+res = await call(env, 'GET', '/graph');
+const full = await res.json();
+assert(full.entities.length === 2 && full.relations.length === 1, '/graph assembles entities and relations');
+
+const stored = await loadEntity(env, 'Aineko');
+assert(stored.observations.length === 2, 'loadEntity merges observations');
+
+//===================
+// Test 4: Compare-and-swap concurrency
+//===================
+console.log('\n=== Test 4: Compare-and-Swap Concurrency ===');
+
+res = await call(env, 'GET', '/entity/Aineko');
+const etag = res.headers.get('ETag');
+assert(/^"\d+"$/.test(etag), 'Entity read returns an ETag');
+
+const concurrent = await Promise.all([1, 2, 3, 4, 5].map(i =>
+  call(env, 'POST', '/observation', { name: 'Aineko', observation: `Concurrent fact ${i}` })
+));
+assert(concurrent.every(r => r.status === 200), 'Concurrent observation writes all succeed');
+const afterConcurrent = await loadEntity(env, 'Aineko');
+assert([1, 2, 3, 4, 5].every(i => afterConcurrent.observations.some(o => o.text === `Concurrent fact ${i}`)), 'No concurrent write was lost');
+
+const stale = await worker.fetch(new Request('http://localhost/observation', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-key', 'If-Match': etag },
+  body: JSON.stringify({ name: 'Aineko', observation: 'Written against a stale ETag' })
+}), env);
+assert(stale.status === 409, 'Stale If-Match is rejected with 409');
+assert(stale.headers.get('ETag') === `"${afterConcurrent.rev}"`, 'Conflict response carries the current ETag');
+
+const fresh = await worker.fetch(new Request('http://localhost/observation', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-key', 'If-Match': `"${afterConcurrent.rev}"` },
+  body: JSON.stringify({ name: 'Aineko', observation: 'Written against the current ETag' })
+}), env);
+assert(fresh.status === 200, 'Current If-Match is accepted');
+
+const created = await Promise.all([1, 2].map(() => call(env, 'POST', '/entity', { name: 'Racer', entityType: 'agent' })));
+assert(created.map(r => r.status).sort().join() === '201,409', 'Only one concurrent create of the same name wins');
+assert((await loadManifest(env)).entities.Racer === 'agent', 'Manifest keeps concurrently created entities');
+
+// Hold the first writer just before its swap and let a second writer commit in between
+let armed = true;
+let held;
+const heldAt = new Promise(resolve => { held = resolve; });
+let release;
+const gate = new Promise(resolve => { release = resolve; });
+const store = env.KG_STORE;
+const rawSwap = store.compareAndSwap;
+store.compareAndSwap = async (key, expected, value, opts) => {
+  if (armed && key === 'knowledge-graph:entity:Racer') {
+    armed = false;
+    held();
+    await gate;
+  }
+  return rawSwap(key, expected, value, opts);
+};
+
+const first = updateEntity(env, 'Racer', e => { e.observations.push({ text: 'Appended by the first writer' }); });
+await heldAt;
+await updateEntity(env, 'Racer', e => { e.observations.push({ text: 'Appended by the second writer' }); });
+release();
+await first;
+store.compareAndSwap = rawSwap;
+
+const racer = await loadEntity(env, 'Racer');
+assert(racer.observations.length === 2, 'A writer held before its swap loses no entry');
+assert(['first', 'second'].every(w => racer.observations.some(o => o.text === `Appended by the ${w} writer`)), 'Both concurrent appends are kept');
+
+// A relation written against the same If-Match while another is in flight: the check is part of the write
+const relateTo = target => worker.fetch(new Request('http://localhost/relation', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-admin-key', 'If-Match': `"${racer.rev}"` },
+  body: JSON.stringify({ source: 'Racer', relation: 'uses', target })
+}), env);
+armed = true;
+const relHeldAt = new Promise(resolve => { held = resolve; });
+const relGate = new Promise(resolve => { release = resolve; });
+store.compareAndSwap = async (key, expected, value, opts) => {
+  if (armed && key === 'knowledge-graph:rels:Racer') {
+    armed = false;
+    held();
+    await relGate;
+  }
+  return rawSwap(key, expected, value, opts);
+};
+const firstRelation = relateTo('Aineko');
+await relHeldAt;
+const secondRelation = await relateTo('graph-memory-toolkit');
+release();
+const related = [await firstRelation, secondRelation];
+store.compareAndSwap = rawSwap;
+assert(related.map(r => r.status).sort().join() === '201,409', 'Only one relation written against the same If-Match wins');
+assert((await loadRelations(env, 'Racer')).length === 1, 'The losing relation is not written');
+
+//===================
+// Test 5: Store backends
+//===================
+console.log('\n=== Test 5: Store Backends ===');
+
+let clock = Date.now();
+const memory = new MemoryStore({ now: () => clock });
+await memory.put('usage:Orac', JSON.stringify({ count: 3 }), { expirationTtl: 60 });
+assert((await memory.get('usage:Orac', 'json')).count === 3, 'MemoryStore round-trips JSON');
+assert((await memory.get('usage:Orac', { type: 'json' })).count === 3, 'MemoryStore accepts { type } options');
+assert((await memory.list({ prefix: 'usage:' })).keys[0].expiration, 'list reports expiration for TTL keys');
+clock += 61 * 1000;
+assert(await memory.get('usage:Orac') === null, 'TTL keys expire');
+assert((await memory.list({ prefix: 'usage:' })).keys.length === 0, 'Expired keys drop out of list');
+
+for (const k of ['a', 'b', 'c']) await memory.put(`page:${k}`, k);
+const page1 = await memory.list({ prefix: 'page:', limit: 2 });
+const page2 = await memory.list({ prefix: 'page:', limit: 2, cursor: page1.cursor });
+assert(!page1.list_complete && page2.list_complete && page2.keys[0].name === 'page:c', 'list paginates with a cursor');
+
+await memory.put('cas', 'a');
+assert(await memory.compareAndSwap('cas', 'a', 'b') && await memory.get('cas') === 'b', 'compareAndSwap replaces the expected value');
+assert(!await memory.compareAndSwap('cas', 'a', 'c') && await memory.get('cas') === 'b', 'compareAndSwap against a stale value fails');
+assert(await memory.compareAndSwap('cas', 'b', null) && await memory.get('cas') === null, 'compareAndSwap to null deletes');
+assert(await memory.compareAndSwap('cas', null, 'd') && await memory.get('cas') === 'd', 'compareAndSwap from null creates');
+
+// On KV, swaps go through one StoreCoordinator per key (a MemoryStore stands in for the binding)
+const kv = new MemoryStore();
+const coordinators = new Map();
+const locks = {
+  idFromName: name => name,
+  get(id) {
+    if (!coordinators.has(id)) {
+      const data = new Map();
+      const storage = { get: async k => data.get(k), put: async (k, v) => { data.set(k, v); } };
+      coordinators.set(id, new StoreCoordinator({ storage }, { KG_STORE: kv }));
+    }
+    const coordinator = coordinators.get(id);
+    return { fetch: (url, init) => coordinator.fetch(new Request(url, init)) };
+  }
+};
+const kvStore = createKVStore(kv, locks);
+await kv.put('doc', 'v1');
+const racing = await Promise.all(['v2', 'v3'].map(v => kvStore.compareAndSwap('doc', 'v1', v)));
+assert(racing.filter(Boolean).length === 1, 'Only one of two swaps from the same value wins');
+await kv.put('doc', 'v1'); // A replica still serving the old value
+assert(!await kvStore.compareAndSwap('doc', 'v1', 'v4'), 'A swap based on a stale read fails');
+await kvStore.compareAndSwap('session', null, 'short-lived', { expirationTtl: 0.01 });
+await new Promise(resolve => setTimeout(resolve, 20));
+assert(await kvStore.compareAndSwap('session', null, 'renewed'), 'An expired value counts as missing');
+let unguarded = null;
+try {
+  await createKVStore(kv).compareAndSwap('session', 'renewed', 'unguarded');
+} catch (err) {
+  unguarded = err;
+}
+assert(unguarded && await kv.get('session') === 'renewed', 'Without a coordinator compareAndSwap fails instead of writing');
+
+const dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'aei-')), 'store.jsonl');
+const fileEnv = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new FileStore(dataFile), ADMIN_API_KEY: 'test-admin-key' };
+res = await call(fileEnv, 'POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Runs on NanoClaw'] });
+assert(res.status === 201, 'Entity created on FileStore');
+await fileEnv.KG_STORE.delete('trust_scores_v1');
+
+const reopened = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new FileStore(dataFile), ADMIN_API_KEY: 'test-admin-key' };
+res = await call(reopened, 'GET', '/entity/Orac');
+assert(res.status === 200 && (await res.json()).observations[0].text === 'Runs on NanoClaw', 'FileStore persists across restarts');
+reopened.KG_STORE.compact();
+const compacted = new FileStore(dataFile);
+assert((await loadEntity({ GRAPH_KEY: 'knowledge-graph', KG_STORE: compacted }, 'Orac')) !== null, 'Compacted journal replays');
+fs.rmSync(path.dirname(dataFile), { recursive: true });
+
+console.log('\n=== All Tests Passed! ===\n');
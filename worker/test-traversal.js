@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for graph traversal: shortest paths and neighborhoods
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+
+function call(method, path, body) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key' },
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+async function get(path) {
+  return (await call('GET', path)).json();
+}
+
+async function tool(name, args) {
+  const res = await call('POST', '/mcp', { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+  return (await res.json()).result.content[0].text;
+}
+
+// KlausWorks ─collaborates_with→ Orac ─uses→ x402
+// KlausWorks ─uses→ A2A ─depends_on→ x402
+// Pith ─built→ KlausWorks;  Muninn ─uses→ x402 (expired)
+for (const [name, entityType] of [['KlausWorks', 'agent'], ['Orac', 'agent'], ['x402', 'protocol'], ['A2A', 'protocol'], ['Pith', 'agent'], ['Muninn', 'agent'], ['Island', 'concept']]) {
+  await call('POST', '/entity', { name, entityType });
+}
+await call('POST', '/relation', { source: 'KlausWorks', relation: 'collaborates_with', target: 'Orac' });
+await call('POST', '/relation', { source: 'Orac', relation: 'uses', target: 'x402' });
+await call('POST', '/relation', { source: 'KlausWorks', relation: 'uses', target: 'A2A' });
+await call('POST', '/relation', { source: 'A2A', relation: 'depends_on', target: 'x402' });
+await call('POST', '/relation', { source: 'Pith', relation: 'built', target: 'KlausWorks' });
+await call('POST', '/relation', { source: 'Muninn', relation: 'uses', target: 'x402', expires_at: '2020-01-01T00:00:00Z' });
+
+//===================
+// Test 1: Shortest paths
+//===================
+console.log('\n=== Test 1: Shortest Paths ===');
+
+let data = await get('/path?from=KlausWorks&to=x402');
+assert(data.found, 'Path found between connected entities');
+assertEqual(data.length, 2, 'Shortest path has two hops');
+assertEqual(data.paths.length, 2, 'Every shortest path is returned');
+assertEqual(data.paths[0].text, 'KlausWorks → uses → A2A → depends_on → x402', 'Paths render as readable text');
+assertEqual(data.paths[1].nodes.join(','), 'KlausWorks,Orac,x402', 'Paths list their nodes in order');
+
+data = await get('/path?from=x402&to=Pith');
+assertEqual(data.length, 3, 'Default direction follows relations both ways');
+assert(data.paths[0].text.startsWith('x402 ← ') && data.paths[0].text.endsWith('← built ← Pith'), 'Backwards hops render with ←');
+
+data = await get('/path?from=klausworks&to=X402');
+assertEqual(data.from, 'KlausWorks', 'Endpoint names resolve case-insensitively');
+
+data = await get('/path?from=Orac&to=Orac');
+assertEqual(data.length, 0, 'Path to self has length zero');
+
+//===================
+// Test 2: Options
+//===================
+console.log('\n=== Test 2: Options ===');
+
+data = await get('/path?from=KlausWorks&to=x402&relations=collaborates_with,uses');
+assertEqual(data.paths.length, 1, 'Relation filter restricts followed edges');
+assertEqual(data.paths[0].nodes[1], 'Orac', 'Only the permitted route remains');
+
+data = await get('/path?from=x402&to=KlausWorks&direction=out');
+assert(!data.found, 'direction=out does not walk relations backwards');
+data = await get('/path?from=x402&to=KlausWorks&direction=in');
+assert(data.found, 'direction=in walks target to source');
+
+data = await get('/path?from=Pith&to=x402&max_depth=2');
+assert(!data.found, 'max_depth caps the search');
+
+data = await get('/path?from=Muninn&to=x402');
+assert(!data.found, 'Expired relations are not followed');
+data = await get('/path?from=Muninn&to=x402&include_expired=true');
+assertEqual(data.length, 1, 'include_expired follows expired relations');
+
+data = await get('/path?from=Island&to=x402');
+assert(!data.found && data.paths.length === 0, 'Disconnected entities have no path');
+
+let res = await call('GET', '/path?from=KlausWorks&to=Nowhere');
+assertEqual(res.status, 404, 'Unknown endpoint is a 404');
+res = await call('GET', '/path?from=KlausWorks');
+assertEqual(res.status, 400, 'Both endpoints are required');
+res = await call('GET', '/path?from=KlausWorks&to=x402&direction=sideways');
+assertEqual(res.status, 400, 'Invalid direction is rejected');
+
+//===================
+// Test 3: MCP find_path
+//===================
+console.log('\n=== Test 3: MCP find_path ===');
+
+let text = await tool('find_path', { from: 'KlausWorks', to: 'x402', relations: ['collaborates_with', 'uses'] });
+assert(text.includes('KlausWorks → collaborates_with → Orac → uses → x402'), 'find_path returns the path');
+text = await tool('find_path', { from: 'Island', to: 'x402' });
+assert(text.startsWith('No path'), 'find_path reports when there is no path');
+
+//===================
+// Test 4: Neighborhoods
+//===================
+console.log('\n=== Test 4: Neighborhoods ===');
+
+const byName = d => d.entities.map(e => e.name).sort().join(',');
+
+data = await get('/entity/Orac/neighborhood?depth=1');
+assertEqual(byName(data), 'KlausWorks,Orac,x402', 'depth=1 holds direct neighbours');
+assertEqual(data.entities[0].name, 'Orac', 'Center comes first');
+assertEqual(data.entities.find(e => e.name === 'x402').distance, 1, 'Entities carry their hop distance');
+
+data = await get('/entity/Orac/neighborhood');
+assertEqual(byName(data), 'A2A,KlausWorks,Orac,Pith,x402', 'Default depth is two hops');
+assertEqual(data.relations.length, 5, 'Induced subgraph includes every relation among its entities');
+assert(data.relations.some(r => r.source === 'A2A' && r.target === 'x402'), 'Relations between non-center entities are included');
+const klaus = data.entities.find(e => e.name === 'KlausWorks');
+assert(klaus.relations.every(r => data.entities.some(e => e.name === r.entity)), 'Entity relations stay inside the neighborhood');
+
+data = await get('/entity/Orac/neighborhood?depth=2&types=agent');
+assertEqual(byName(data), 'KlausWorks,Orac,Pith', 'types limits which entities are reached');
+
+data = await get('/entity/Orac/neighborhood?depth=2&relations=collaborates_with,built');
+assertEqual(byName(data), 'KlausWorks,Orac,Pith', 'relations limits which edges are followed');
+
+data = await get('/entity/Orac/neighborhood?depth=3&max_nodes=3');
+assertEqual(data.entities.length, 3, 'max_nodes caps the entities');
+assert(data.truncated.nodes, 'Node truncation is reported');
+data = await get('/entity/Orac/neighborhood?depth=3&max_edges=2');
+assertEqual(data.relations.length, 2, 'max_edges caps the relations');
+assert(data.truncated.edges, 'Edge truncation is reported');
+
+data = await get('/entity/x402/neighborhood?depth=1');
+assert(!data.entities.some(e => e.name === 'Muninn'), 'Expired relations are not followed');
+data = await get('/entity/x402/neighborhood?depth=1&include_expired=true');
+assert(data.entities.some(e => e.name === 'Muninn'), 'include_expired follows expired relations');
+
+res = await call('GET', '/entity/Nowhere/neighborhood');
+assertEqual(res.status, 404, 'Unknown center is a 404');
+res = await call('GET', '/entity/Orac/neighborhood?depth=zero');
+assertEqual(res.status, 400, 'Invalid depth is rejected');
+
+console.log('\n=== All Tests Passed! ===\n');
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for Sign-In with Ethereum sessions and address-attributed writes
+ */
+
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import {
+  hashPersonalMessage,
+  signPersonalMessage,
+  recoverAddress
+} from './src/crypto-utils.js';
+import { formatSiweMessage, parseSiweMessage } from './src/wallet-auth.js';
+import { assert, assertEqual, newWallet } from './test-helpers.js';
+
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key' };
+
+function call(method, path, body, token, ip = '10.0.0.1') {
+  const headers = { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  }), env);
+}
+
+async function signIn(wallet, ip) {
+  const { message } = await (await call('POST', '/auth/nonce', { address: wallet.address }, null, ip)).json();
+  const signature = await signPersonalMessage(message, wallet.privateKey);
+  return call('POST', '/auth/verify', { message, signature }, null, ip);
+}
+
+//===================
+// Test 1: EIP-191 signing and recovery
+//===================
+console.log('\n=== Test 1: EIP-191 ===');
+
+// Reference vector from web3.js accounts.sign('Some data', key)
+const vectorKey = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+assertEqual(hashPersonalMessage('Some data'), '0x1da44b586eb0729ff70a73c326926f6ed5a25f5b056e7f47fbc6e58d86871655', 'personal_sign hash matches web3.js');
+const vectorSig = await signPersonalMessage('Some data', vectorKey);
+assertEqual(vectorSig, '0xb91467e570a6466aa9e9876cbcd013baba02900b8979d43fe208a4a4f339f5fd6007e74cd82e037b800186422fc2da167c747ef045e5d18a5f5d4300f8e1a0291c', 'Signature matches web3.js (r || s || v)');
+assertEqual(recoverAddress(hashPersonalMessage('Some data'), vectorSig), '0x2c7536e3605d9c16a7a3d7b1898e529396a65c23', 'Address recovered from signature');
+assert(recoverAddress(hashPersonalMessage('Other data'), vectorSig) !== '0x2c7536e3605d9c16a7a3d7b1898e529396a65c23', 'Different message recovers a different address');
+
+let threw = false;
+try { recoverAddress(hashPersonalMessage('Some data'), vectorSig.slice(0, -2)); } catch { threw = true; }
+assert(threw, 'Truncated signature is rejected');
+
+//===================
+// Test 2: SIWE messages
+//===================
+console.log('\n=== Test 2: SIWE Messages ===');
+
+const alice = newWallet();
+const fields = {
+  domain: 'localhost', address: alice.address, statement: 'Sign in', uri: 'http://localhost',
+  chainId: 8453, nonce: 'abc123', issuedAt: '2026-01-01T00:00:00.000Z', expirationTime: '2026-01-01T01:00:00.000Z'
+};
+const parsed = parseSiweMessage(formatSiweMessage(fields));
+assertEqual(parsed.domain, 'localhost', 'Domain parsed');
+assertEqual(parsed.address, alice.address, 'Address parsed');
+assertEqual(parsed.chainId, 8453, 'Chain ID parsed');
+assertEqual(parsed.nonce, 'abc123', 'Nonce parsed');
+assertEqual(parsed.expirationTime, '2026-01-01T01:00:00.000Z', 'Expiration Time parsed');
+assert(parseSiweMessage('hello').error, 'Non-SIWE text is rejected');
+assert(parseSiweMessage(formatSiweMessage(fields).replace('URI: http://localhost\n', '')).error, 'Message without a URI is rejected');
+
+//===================
+// Test 3: Sign-in flow
+//===================
+console.log('\n=== Test 3: Sign-In ===');
+
+let res = await call('POST', '/auth/nonce', { address: alice.address });
+assertEqual(res.status, 200, 'Nonce issued without an API key');
+let data = await res.json();
+assert(/^[0-9a-f]{32}$/.test(data.nonce), 'Nonce is random hex');
+assert(data.message.startsWith('localhost wants you to sign in with your Ethereum account:'), 'Message is bound to the host');
+assert(data.message.includes(`Nonce: ${data.nonce}`), 'Message carries the nonce');
+
+const signature = await signPersonalMessage(data.message, alice.privateKey);
+res = await call('POST', '/auth/verify', { message: data.message, signature });
+assertEqual(res.status, 201, 'Signed message opens a session');
+const session = await res.json();
+assert(session.token.startsWith('siwe_'), 'Session token returned');
+assertEqual(session.address, alice.address, 'Session is for the recovered address');
+assert(Date.parse(session.expires_at) - Date.now() <= 3600 * 1000, 'Session lasts at most an hour');
+
+res = await call('POST', '/auth/verify', { message: data.message, signature });
+assertEqual(res.status, 401, 'Nonce cannot be replayed');
+
+const mallory = newWallet();
+const { message: aliceMessage } = await (await call('POST', '/auth/nonce', { address: alice.address })).json();
+res = await call('POST', '/auth/verify', { message: aliceMessage, signature: await signPersonalMessage(aliceMessage, mallory.privateKey) });
+assertEqual(res.status, 401, 'Signing another address\'s message is rejected');
+assertEqual((await res.json()).error, 'Signature does not match the message address', 'Mismatch is reported');
+
+const { nonce } = await (await call('POST', '/auth/nonce', {})).json();
+const foreign = formatSiweMessage({ ...fields, domain: 'evil.example', nonce, issuedAt: new Date().toISOString(), expirationTime: null });
+res = await call('POST', '/auth/verify', { message: foreign, signature: await signPersonalMessage(foreign, alice.privateKey) });
+assertEqual(res.status, 401, 'Message for another domain is rejected');
+
+const elsewhere = formatSiweMessage({ ...fields, uri: 'https://evil.example/login', nonce, issuedAt: new Date().toISOString(), expirationTime: null });
+res = await call('POST', '/auth/verify', { message: elsewhere, signature: await signPersonalMessage(elsewhere, alice.privateKey) });
+assertEqual(res.status, 401, 'Message with a URI on another origin is rejected');
+assert((await res.json()).error.includes('is not on http://localhost'), 'Error names the expected origin');
+
+const expired = formatSiweMessage({ ...fields, nonce, issuedAt: '2020-01-01T00:00:00.000Z', expirationTime: '2020-01-01T01:00:00.000Z' });
+res = await call('POST', '/auth/verify', { message: expired, signature: await signPersonalMessage(expired, alice.privateKey) });
+assertEqual(res.status, 401, 'Expired message is rejected');
+
+const unknownNonce = formatSiweMessage({ ...fields, nonce: 'never-issued', issuedAt: new Date().toISOString(), expirationTime: null });
+res = await call('POST', '/auth/verify', { message: unknownNonce, signature: await signPersonalMessage(unknownNonce, alice.privateKey) });
+assertEqual(res.status, 401, 'Unknown nonce is rejected');
+
+const ownMessage = formatSiweMessage({ ...fields, nonce, issuedAt: new Date().toISOString(), expirationTime: null });
+res = await call('POST', '/auth/verify', { message: ownMessage, signature: await signPersonalMessage(ownMessage, alice.privateKey) });
+assertEqual(res.status, 201, 'Client-built message with a server nonce is accepted');
+
+const { message: raced } = await (await call('POST', '/auth/nonce', { address: alice.address })).json();
+const racedSignature = await signPersonalMessage(raced, alice.privateKey);
+const outcomes = await Promise.all([1, 2, 3].map(() => call('POST', '/auth/verify', { message: raced, signature: racedSignature })));
+assertEqual(outcomes.filter(r => r.status === 201).length, 1, 'Concurrent verifications of one nonce open a single session');
+
+res = await call('POST', '/auth/nonce', { address: 'not-an-address' });
+assertEqual(res.status, 400, 'Invalid address is rejected');
+
+//===================
+// Test 4: Attributed writes
+//===================
+console.log('\n=== Test 4: Attributed Writes ===');
+
+res = await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Runs on NanoClaw'], source_agent: 'Aineko' }, session.token);
+assertEqual(res.status, 403, 'A session alone cannot write');
+assert((await res.json()).error.includes('lacks the write scope'), 'Error names the missing scope');
+res = await call('GET', '/search?q=NanoClaw', null, session.token);
+assertEqual(res.status, 200, 'A session alone can read');
+
+res = await call('POST', '/admin/wallet-grants', { address: alice.address, scopes: ['admin'] }, 'test-admin-key');
+assertEqual(res.status, 400, 'Admin scope cannot be granted to a wallet');
+res = await call('POST', '/admin/wallet-grants', { address: alice.address, scopes: ['write'] }, session.token);
+assertEqual(res.status, 403, 'A session cannot grant itself scopes');
+res = await call('POST', '/admin/wallet-grants', { address: alice.address.toUpperCase().replace('0X', '0x'), scopes: ['write'] }, 'test-admin-key');
+assertEqual(res.status, 201, 'Admin grants the address write');
+assertEqual((await res.json()).address, alice.address, 'Grant is stored for the lower-case address');
+
+res = await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Runs on NanoClaw'], source_agent: 'Aineko' }, session.token);
+assertEqual(res.status, 201, 'Granted session can write, without signing in again');
+res = await call('POST', '/observation', { name: 'Orac', observation: 'Signed in with a wallet', source_agent: 'Aineko' }, session.token);
+data = await res.json();
+assertEqual(data.source_agent, alice.address, 'Observation is attributed to the address, not the claimed source_agent');
+
+data = await (await call('GET', '/entity/Orac')).json();
+assert(data.observations.every(o => o.source_agent === alice.address), 'Stored observations carry the address');
+
+data = await (await call('GET', '/entity/Orac/history')).json();
+assert(data.events.every(e => e.actor.address === alice.address && e.actor.source_agent === alice.address), 'Events record the address');
+assert(data.events.every(e => e.actor.api_key === null), 'Wallet writes have no api_key');
+
+res = await call('POST', '/register-agent', { name: 'Alice' }, session.token);
+assertEqual(res.status, 403, 'Registering needs its own grant');
+await call('POST', '/admin/wallet-grants', { address: alice.address, scopes: ['write', 'register'] }, 'test-admin-key');
+res = await call('POST', '/register-agent', { name: 'Alice' }, session.token);
+assert(res.status < 300, 'Session granted register can register an agent');
+res = await call('GET', '/admin/api-keys', null, session.token);
+assertEqual(res.status, 403, 'Session has no admin scope');
+
+data = await (await call('GET', '/admin/wallet-grants', null, 'test-admin-key')).json();
+assertEqual(data.count, 1, 'Re-granting replaces the earlier grant');
+assertEqual(data.grants[0].scopes.join(','), 'write,register', 'Grant lists its scopes');
+
+//===================
+// Test 5: Rate limits
+//===================
+console.log('\n=== Test 5: Rate Limits ===');
+
+// Two granted wallets behind one IP share its 10 entities an hour
+const ip = '10.0.0.5';
+const wallets = [newWallet(), newWallet()];
+const tokens = [];
+for (const wallet of wallets) {
+  await call('POST', '/admin/wallet-grants', { address: wallet.address, scopes: ['write'] }, 'test-admin-key');
+  tokens.push((await (await signIn(wallet, ip)).json()).token);
+}
+for (let i = 0; i < 6; i++) {
+  await call('POST', '/entity', { name: `First${i}`, entityType: 'agent' }, tokens[0], ip);
+}
+const statuses = [];
+for (let i = 0; i < 5; i++) {
+  statuses.push((await call('POST', '/entity', { name: `Second${i}`, entityType: 'agent' }, tokens[1], ip)).status);
+}
+assertEqual(statuses.filter(s => s === 201).length, 4, 'Second wallet gets only what is left of the IP\'s allowance');
+assertEqual(statuses[4], 429, 'then is rate-limited');
+res = await call('POST', '/entity', { name: 'Elsewhere', entityType: 'agent' }, tokens[1], '10.0.0.6');
+assertEqual(res.status, 201, 'The same wallet from another IP still has its own allowance');
+
+res = await call('DELETE', `/admin/wallet-grants/${wallets[1].address}`, null, 'test-admin-key');
+assertEqual(res.status, 200, 'Admin revokes a grant');
+res = await call('POST', '/entity', { name: 'Revoked', entityType: 'agent' }, tokens[1], '10.0.0.7');
+assertEqual(res.status, 403, 'Revoked session is back to read only');
+res = await call('DELETE', `/admin/wallet-grants/${wallets[1].address}`, null, 'test-admin-key');
+assertEqual(res.status, 404, 'Revoking twice is not found');
+
+//===================
+// Test 6: Sign-out
+//===================
+console.log('\n=== Test 6: Sign-Out ===');
+
+res = await call('DELETE', '/auth/session', null, session.token);
+assertEqual(res.status, 200, 'Signed out');
+assertEqual((await res.json()).signed_out, alice.address, 'Sign-out names the address');
+res = await call('POST', '/observation', { name: 'Orac', observation: 'After sign-out' }, session.token);
+assertEqual(res.status, 401, 'Ended session is rejected');
+
+res = await signIn(alice);
+assertEqual(res.status, 201, 'Can sign in again');
+
+console.log('\n=== All Tests Passed! ===\n');
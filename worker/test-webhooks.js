@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Test suite for webhook subscriptions: filtering, signing, retries and dead letters
+ */
+
+import http from 'node:http';
+import { createHmac } from 'node:crypto';
+import worker from './src/index.js';
+import { MemoryStore } from './src/storage.js';
+import { processWebhookRetries, isPrivateHost } from './src/webhooks.js';
+import { assert, assertEqual } from './test-helpers.js';
+
+// The local receiver below is on 127.0.0.1, which only ALLOW_PRIVATE_WEBHOOKS permits
+const env = { GRAPH_KEY: 'knowledge-graph', KG_STORE: new MemoryStore(), ADMIN_API_KEY: 'test-admin-key', ALLOW_PRIVATE_WEBHOOKS: 'true' };
+
+function call(method, path, body, headers = {}, callEnv = env) {
+  return worker.fetch(new Request(`http://localhost${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '10.0.0.1', Authorization: 'Bearer test-admin-key', ...headers },
+    body: body ? JSON.stringify(body) : undefined
+  }), callEnv);
+}
+
+// Local receiver: /fail always answers 500, /flaky fails once, anything else 200
+const received = [];
+let flakyFailures = 1;
+const receiver = http.createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const body = Buffer.concat(chunks).toString();
+  received.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+  if (req.url === '/fail' || (req.url === '/flaky' && flakyFailures-- > 0)) res.writeHead(500);
+  else res.writeHead(204);
+  res.end();
+});
+await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${receiver.address().port}`;
+
+const deliveredTo = path => received.filter(r => r.path === path).map(r => r.payload.type).join(',');
+
+async function subscribe(body) {
+  const res = await call('POST', '/subscriptions', body);
+  return { status: res.status, data: await res.json() };
+}
+
+//===================
+// Test 1: Subscriptions
+//===================
+console.log('\n=== Test 1: Subscriptions ===');
+
+let { status, data } = await subscribe({ url: 'not a url' });
+assertEqual(status, 400, 'Invalid URL is rejected');
+({ status } = await subscribe({ url: 'ftp://example.com/hook' }));
+assertEqual(status, 400, 'Non-HTTP URL is rejected');
+({ status, data } = await subscribe({ url: `${base}/x`, events: ['create', 'explode'] }));
+assertEqual(status, 400, 'Unknown event type is rejected');
+assert(data.error.includes('explode'), 'Error names the unknown event type');
+
+const orac = (await subscribe({ url: `${base}/orac`, entities: ['Orac'] })).data;
+assert(orac.id && /^[0-9a-f]{64}$/.test(orac.secret), 'Subscription returns an id and secret');
+const platforms = (await subscribe({ url: `${base}/platforms`, types: 'platform', events: 'relate' })).data;
+assertEqual(platforms.filters.events[0], 'relate', 'Comma-separated filters are accepted');
+await subscribe({ url: `${base}/aineko`, source_agent: ['Aineko'] });
+
+let res = await call('GET', `/subscriptions/${orac.id}`);
+data = await res.json();
+assertEqual(data.url, `${base}/orac`, 'Subscription can be read back');
+assertEqual(data.secret, undefined, 'Secret is not shown again');
+res = await call('GET', '/subscriptions/nope');
+assertEqual(res.status, 404, 'Unknown subscription is a 404');
+res = await call('GET', `/subscriptions/${orac.id}`, null, { Authorization: '' });
+assertEqual(res.status, 403, 'Reading a subscription requires its secret');
+res = await call('GET', `/subscriptions/${orac.id}/dead-letters`, null, { Authorization: '' });
+assertEqual(res.status, 403, 'and so does reading its dead letters');
+res = await call('GET', `/subscriptions/${orac.id}`, null, { Authorization: '', 'X-Webhook-Secret': platforms.secret });
+assertEqual(res.status, 403, 'Another subscription\'s secret is refused');
+res = await call('GET', `/subscriptions/${orac.id}`, null, { Authorization: '', 'X-Webhook-Secret': orac.secret });
+assertEqual((await res.json()).url, `${base}/orac`, 'The secret reads it back');
+res = await call('GET', `/subscriptions/${orac.id}/dead-letters`, null, { Authorization: '', 'X-Webhook-Secret': orac.secret });
+assertEqual(res.status, 200, 'and its dead letters');
+
+//===================
+// Test 2: Delivery and filters
+//===================
+console.log('\n=== Test 2: Delivery and Filters ===');
+
+await call('POST', '/entity', { name: 'Orac', entityType: 'agent', observations: ['Runs on NanoClaw'] });
+await call('POST', '/observation', { name: 'Orac', observation: 'Holds 10 USDC', source_agent: 'Aineko' });
+await call('POST', '/entity', { name: 'Moltbook', entityType: 'platform' });
+await call('POST', '/relation', { source: 'Orac', relation: 'active_on', target: 'Moltbook' });
+await call('POST', '/observation/invalidate', { name: 'Orac', observation: 'Holds 10 USDC' });
+await call('POST', '/entity', { name: 'Pith', entityType: 'agent' });
+
+assertEqual(deliveredTo('/orac'), 'create,observe,relate,invalidate', 'Entity filter receives every change to that entity');
+assertEqual(deliveredTo('/platforms'), 'relate', 'Type and event filters combine');
+assertEqual(deliveredTo('/aineko'), 'observe', 'source_agent filter matches the writer');
+
+const first = received.find(r => r.path === '/orac');
+assertEqual(first.payload.event.after.name, 'Orac', 'Payload carries the logged event');
+assertEqual(first.payload.subscription, orac.id, 'Payload names the subscription');
+assertEqual(first.headers['x-aei-event'], 'create', 'Event type is sent as a header');
+const expected = 'sha256=' + createHmac('sha256', orac.secret).update(`${first.headers['x-aei-timestamp']}.${first.body}`).digest('hex');
+assertEqual(first.headers['x-aei-signature'], expected, 'Signature is HMAC-SHA256 of timestamp and body');
+
+//===================
+// Test 3: Retries and dead letters
+//===================
+console.log('\n=== Test 3: Retries and Dead Letters ===');
+
+const failing = (await subscribe({ url: `${base}/fail`, entities: ['Failing'] })).data;
+const flaky = (await subscribe({ url: `${base}/flaky`, entities: ['Failing'] })).data;
+await call('POST', '/entity', { name: 'Failing', entityType: 'agent' });
+assertEqual(received.filter(r => r.path === '/fail').length, 1, 'First attempt follows the write');
+
+let result = await processWebhookRetries(env);
+assertEqual(result.attempted, 0, 'Retries wait for their backoff');
+
+let clock = Date.now();
+clock += 31 * 1000;
+result = await processWebhookRetries(env, new Date(clock));
+assertEqual(result.attempted, 2, 'Due retries are attempted');
+assertEqual(result.delivered, 1, 'A retry that succeeds is not retried again');
+assertEqual(received.filter(r => r.path === '/flaky').length, 2, 'Flaky receiver got the delivery on retry');
+
+for (let i = 0; i < 4; i++) {
+  clock += 7 * 60 * 60 * 1000;
+  await processWebhookRetries(env, new Date(clock));
+}
+assertEqual(received.filter(r => r.path === '/fail').length, 6, 'Delivery is attempted once plus five retries');
+clock += 7 * 60 * 60 * 1000;
+result = await processWebhookRetries(env, new Date(clock));
+assertEqual(result.attempted, 0, 'Nothing is retried after the last attempt');
+
+data = await (await call('GET', `/subscriptions/${failing.id}/dead-letters`)).json();
+assertEqual(data.total, 1, 'Exhausted delivery is dead-lettered');
+assertEqual(data.dead_letters[0].attempts, 6, 'Dead letter records the attempts');
+assertEqual(data.dead_letters[0].last_error, 'HTTP 500', 'Dead letter records the last error');
+assertEqual(data.dead_letters[0].payload.event.after.name, 'Failing', 'Dead letter keeps the undelivered payload');
+data = await (await call('GET', `/subscriptions/${failing.id}`)).json();
+assertEqual(data.dead_letters, 1, 'Subscription reports its dead-letter count');
+data = await (await call('GET', `/subscriptions/${flaky.id}/dead-letters`)).json();
+assertEqual(data.total, 0, 'Delivered retries are not dead-lettered');
+
+//===================
+// Test 4: Unsubscribe
+//===================
+console.log('\n=== Test 4: Unsubscribe ===');
+
+res = await call('DELETE', `/subscriptions/${orac.id}`);
+assertEqual(res.status, 403, 'Unsubscribing requires the secret');
+res = await call('DELETE', `/subscriptions/${orac.id}`, null, { 'X-Webhook-Secret': 'wrong' });
+assertEqual(res.status, 403, 'A wrong secret is refused');
+res = await call('DELETE', `/subscriptions/${orac.id}`, null, { 'X-Webhook-Secret': orac.secret });
+assertEqual(res.status, 200, 'Subscription deleted with its secret');
+
+await call('POST', '/observation', { name: 'Orac', observation: 'Posted an essay' });
+assertEqual(deliveredTo('/orac'), 'create,observe,relate,invalidate', 'Deleted subscription receives nothing more');
+res = await call('GET', `/subscriptions/${orac.id}`);
+assertEqual(res.status, 404, 'Deleted subscription is gone');
+
+receiver.close();
+
+//===================
+// Test 5: Private addresses
+//===================
+console.log('\n=== Test 5: Private Addresses ===');
+
+// Same store without the development flag; rebind.example turns private later
+let rebound = false;
+const strict = {
+  ...env,
+  ALLOW_PRIVATE_WEBHOOKS: undefined,
+  WEBHOOK_RESOLVER: async host => (host === 'rebind.example' && rebound ? ['10.0.0.5'] : ['93.184.215.14'])
+};
+const subscribeStrict = async body => {
+  const res = await call('POST', '/subscriptions', body, {}, strict);
+  return { status: res.status, data: await res.json() };
+};
+
+({ status, data } = await subscribeStrict({ url: 'http://hooks.example.com/aei' }));
+assertEqual(status, 400, 'Plain http is rejected');
+assert(data.error.includes('https'), 'Error asks for https');
+for (const url of [
+  'https://localhost/hook', 'https://127.0.0.1/hook', 'https://2130706433/hook', 'https://10.1.2.3/hook',
+  'https://172.20.0.1/hook', 'https://192.168.1.1/hook', 'https://169.254.169.254/latest/meta-data/',
+  'https://metadata.google.internal/', 'https://[::1]/hook', 'https://[fd00:ec2::254]/', 'https://[fe80::1]/hook',
+  'https://[::ffff:127.0.0.1]/hook'
+]) {
+  ({ status } = await subscribeStrict({ url }));
+  assertEqual(status, 400, `${url} is rejected`);
+}
+assert(!isPrivateHost('93.184.215.14') && !isPrivateHost('hooks.example.com') && !isPrivateHost('[2606:4700::1]'), 'Public hosts are not private');
+
+rebound = true;
+({ status, data } = await subscribeStrict({ url: 'https://rebind.example/hook' }));
+assertEqual(status, 400, 'A name resolving to a private address is rejected');
+assert(data.error.includes('resolves to a private address'), 'Error says where it resolves');
+rebound = false;
+
+// Resolves publicly when subscribing, privately when delivering
+const rebinding = (await subscribeStrict({ url: 'https://rebind.example/hook', entities: ['Rebound'] })).data;
+assert(rebinding.id, 'Public name is accepted');
+const publicHook = (await subscribeStrict({ url: 'https://hooks.example.com/aei', entities: ['Rebound'] })).data;
+rebound = true;
+
+const posted = [];
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url) => {
+  posted.push(new URL(url).hostname);
+  return new Response(null, { status: 204 });
+};
+await call('POST', '/entity', { name: 'Rebound', entityType: 'agent' }, {}, strict);
+clock = Date.now();
+for (let i = 0; i < 6; i++) {
+  clock += 7 * 60 * 60 * 1000;
+  await processWebhookRetries(strict, new Date(clock));
+}
+globalThis.fetch = realFetch;
+
+assertEqual(posted.filter(h => h === 'hooks.example.com').length, 1, 'Public host is delivered to');
+assertEqual(posted.filter(h => h === 'rebind.example').length, 0, 'Nothing is posted to a host that now resolves privately');
+data = await (await call('GET', `/subscriptions/${rebinding.id}/dead-letters`)).json();
+assert(data.dead_letters[0].last_error.includes('Delivery refused'), 'Refused deliveries are retried, then dead-lettered');
+data = await (await call('GET', `/subscriptions/${publicHook.id}/dead-letters`)).json();
+assertEqual(data.total, 0, 'Delivered subscription has no dead letters');
+
+console.log('\n=== All Tests Passed! ===\n');